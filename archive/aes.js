@@ -0,0 +1,268 @@
+/**
+ * aes.js
+ *
+ * Licensed under the MIT License
+ *
+ * Copyright(c) 2026 Google Inc.
+ *
+ * Implementation of the AES block cipher, which encrypted archives use for their file data. This is
+ * used instead of WebCrypto, since unrar decrypts synchronously and the AES-CTR mode of WinZip
+ * counts in little-endian order.
+ *
+ * Reference Documentation:
+ *
+ * FIPS 197: https://csrc.nist.gov/pubs/fips/197/upd1/final
+ */
+
+const AES_BLOCKBYTES = 16;
+
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+
+// The MixColumns step combined with SubBytes, one table for each row of the state.
+const TE0 = new Uint32Array(256);
+const TE1 = new Uint32Array(256);
+const TE2 = new Uint32Array(256);
+const TE3 = new Uint32Array(256);
+
+// The InvMixColumns step combined with InvSubBytes, one table for each row of the state.
+const TD0 = new Uint32Array(256);
+const TD1 = new Uint32Array(256);
+const TD2 = new Uint32Array(256);
+const TD3 = new Uint32Array(256);
+
+// Builds the tables from multiplication in GF(2^8).
+{
+  const exp = new Uint8Array(256);
+  const log = new Uint8Array(256);
+  for (let i = 0, x = 1; i < 255; ++i) {
+    exp[i] = x;
+    log[x] = i;
+    // Multiply by the generator 3.
+    x ^= ((x << 1) ^ ((x & 0x80) ? 0x1b : 0)) & 0xff;
+  }
+  const mul = (a, b) => (a && b) ? exp[(log[a] + log[b]) % 255] : 0;
+
+  for (let x = 0; x < 256; ++x) {
+    const inv = x ? exp[(255 - log[x]) % 255] : 0;
+    let s = inv;
+    for (let i = 1; i < 5; ++i) {
+      s ^= ((inv << i) | (inv >> (8 - i))) & 0xff;
+    }
+    s ^= 0x63;
+    SBOX[x] = s;
+    INV_SBOX[s] = x;
+  }
+
+  for (let x = 0; x < 256; ++x) {
+    const s = SBOX[x];
+    const t = (mul(s, 0x02) << 24) | (s << 16) | (s << 8) | mul(s, 0x03);
+    TE0[x] = t;
+    TE1[x] = (t >>> 8) | (t << 24);
+    TE2[x] = (t >>> 16) | (t << 16);
+    TE3[x] = (t >>> 24) | (t << 8);
+  }
+
+  for (let x = 0; x < 256; ++x) {
+    const s = INV_SBOX[x];
+    const t = (mul(s, 0x0e) << 24) | (mul(s, 0x09) << 16) | (mul(s, 0x0d) << 8) | mul(s, 0x0b);
+    TD0[x] = t;
+    TD1[x] = (t >>> 8) | (t << 24);
+    TD2[x] = (t >>> 16) | (t << 16);
+    TD3[x] = (t >>> 24) | (t << 8);
+  }
+}
+
+/**
+ * An AES key, expanded into round keys for encryption and decryption.
+ */
+export class Aes {
+  /**
+   * @param {Uint8Array} key A 16, 24 or 32 byte key.
+   */
+  constructor(key) {
+    if (key.length != 16 && key.length != 24 && key.length != 32) {
+      throw `Error! Invalid AES key length: ${key.length}`;
+    }
+    const nk = key.length / 4;
+    /** @type {number} */
+    this.rounds = nk + 6;
+
+    /**
+     * The key schedule for encryption.
+     * @type {Uint32Array}
+     * @private
+     */
+    this.ek_ = new Uint32Array(4 * (this.rounds + 1));
+    const w = this.ek_;
+    for (let i = 0; i < nk; ++i) {
+      w[i] = (key[i * 4] << 24) | (key[i * 4 + 1] << 16) | (key[i * 4 + 2] << 8) | key[i * 4 + 3];
+    }
+    let rcon = 1;
+    for (let i = nk; i < w.length; ++i) {
+      let t = w[i - 1];
+      if (i % nk == 0) {
+        t = subWord((t << 8) | (t >>> 24)) ^ (rcon << 24);
+        rcon = ((rcon << 1) ^ ((rcon & 0x80) ? 0x1b : 0)) & 0xff;
+      } else if (nk > 6 && i % nk == 4) {
+        t = subWord(t);
+      }
+      w[i] = w[i - nk] ^ t;
+    }
+
+    /**
+     * The key schedule for the equivalent inverse cipher: the round keys in reverse order, with
+     * InvMixColumns applied to all but the first and last.
+     * @type {Uint32Array}
+     * @private
+     */
+    this.dk_ = new Uint32Array(w.length);
+    for (let r = 0; r <= this.rounds; ++r) {
+      for (let i = 0; i < 4; ++i) {
+        const k = w[(this.rounds - r) * 4 + i];
+        this.dk_[r * 4 + i] = (r == 0 || r == this.rounds) ? k :
+            TD0[SBOX[k >>> 24]] ^ TD1[SBOX[(k >>> 16) & 0xff]] ^
+            TD2[SBOX[(k >>> 8) & 0xff]] ^ TD3[SBOX[k & 0xff]];
+      }
+    }
+  }
+
+  /**
+   * Encrypts one block.
+   * @param {Uint8Array} src
+   * @param {number} srcOffset
+   * @param {Uint8Array} dst
+   * @param {number} dstOffset
+   */
+  encryptBlock(src, srcOffset, dst, dstOffset) {
+    const ek = this.ek_;
+    let s0 = readWord(src, srcOffset) ^ ek[0];
+    let s1 = readWord(src, srcOffset + 4) ^ ek[1];
+    let s2 = readWord(src, srcOffset + 8) ^ ek[2];
+    let s3 = readWord(src, srcOffset + 12) ^ ek[3];
+    for (let r = 1; r < this.rounds; ++r) {
+      const t0 = TE0[s0 >>> 24] ^ TE1[(s1 >>> 16) & 0xff] ^ TE2[(s2 >>> 8) & 0xff] ^
+          TE3[s3 & 0xff] ^ ek[r * 4];
+      const t1 = TE0[s1 >>> 24] ^ TE1[(s2 >>> 16) & 0xff] ^ TE2[(s3 >>> 8) & 0xff] ^
+          TE3[s0 & 0xff] ^ ek[r * 4 + 1];
+      const t2 = TE0[s2 >>> 24] ^ TE1[(s3 >>> 16) & 0xff] ^ TE2[(s0 >>> 8) & 0xff] ^
+          TE3[s1 & 0xff] ^ ek[r * 4 + 2];
+      const t3 = TE0[s3 >>> 24] ^ TE1[(s0 >>> 16) & 0xff] ^ TE2[(s1 >>> 8) & 0xff] ^
+          TE3[s2 & 0xff] ^ ek[r * 4 + 3];
+      s0 = t0;
+      s1 = t1;
+      s2 = t2;
+      s3 = t3;
+    }
+    const k = this.rounds * 4;
+    writeWord(dst, dstOffset, shiftSubWord(s0, s1, s2, s3) ^ ek[k]);
+    writeWord(dst, dstOffset + 4, shiftSubWord(s1, s2, s3, s0) ^ ek[k + 1]);
+    writeWord(dst, dstOffset + 8, shiftSubWord(s2, s3, s0, s1) ^ ek[k + 2]);
+    writeWord(dst, dstOffset + 12, shiftSubWord(s3, s0, s1, s2) ^ ek[k + 3]);
+  }
+
+  /**
+   * Decrypts one block.
+   * @param {Uint8Array} src
+   * @param {number} srcOffset
+   * @param {Uint8Array} dst
+   * @param {number} dstOffset
+   */
+  decryptBlock(src, srcOffset, dst, dstOffset) {
+    const dk = this.dk_;
+    let s0 = readWord(src, srcOffset) ^ dk[0];
+    let s1 = readWord(src, srcOffset + 4) ^ dk[1];
+    let s2 = readWord(src, srcOffset + 8) ^ dk[2];
+    let s3 = readWord(src, srcOffset + 12) ^ dk[3];
+    for (let r = 1; r < this.rounds; ++r) {
+      const t0 = TD0[s0 >>> 24] ^ TD1[(s3 >>> 16) & 0xff] ^ TD2[(s2 >>> 8) & 0xff] ^
+          TD3[s1 & 0xff] ^ dk[r * 4];
+      const t1 = TD0[s1 >>> 24] ^ TD1[(s0 >>> 16) & 0xff] ^ TD2[(s3 >>> 8) & 0xff] ^
+          TD3[s2 & 0xff] ^ dk[r * 4 + 1];
+      const t2 = TD0[s2 >>> 24] ^ TD1[(s1 >>> 16) & 0xff] ^ TD2[(s0 >>> 8) & 0xff] ^
+          TD3[s3 & 0xff] ^ dk[r * 4 + 2];
+      const t3 = TD0[s3 >>> 24] ^ TD1[(s2 >>> 16) & 0xff] ^ TD2[(s1 >>> 8) & 0xff] ^
+          TD3[s0 & 0xff] ^ dk[r * 4 + 3];
+      s0 = t0;
+      s1 = t1;
+      s2 = t2;
+      s3 = t3;
+    }
+    const k = this.rounds * 4;
+    writeWord(dst, dstOffset, invSubWord(s0, s3, s2, s1) ^ dk[k]);
+    writeWord(dst, dstOffset + 4, invSubWord(s1, s0, s3, s2) ^ dk[k + 1]);
+    writeWord(dst, dstOffset + 8, invSubWord(s2, s1, s0, s3) ^ dk[k + 2]);
+    writeWord(dst, dstOffset + 12, invSubWord(s3, s2, s1, s0) ^ dk[k + 3]);
+  }
+
+  /**
+   * Decrypts bytes in cipher block chaining (CBC) mode.
+   * @param {Uint8Array} bytes The encrypted bytes. Any partial block at the end is ignored.
+   * @param {Uint8Array} iv The 16 byte initialization vector.
+   * @returns {Uint8Array} The decrypted bytes.
+   */
+  decryptCbc(bytes, iv) {
+    const numBytes = bytes.length - (bytes.length % AES_BLOCKBYTES);
+    const out = new Uint8Array(numBytes);
+    let prev = iv;
+    let prevOffset = 0;
+    for (let pos = 0; pos < numBytes; pos += AES_BLOCKBYTES) {
+      this.decryptBlock(bytes, pos, out, pos);
+      for (let i = 0; i < AES_BLOCKBYTES; ++i) {
+        out[pos + i] ^= prev[prevOffset + i];
+      }
+      prev = bytes;
+      prevOffset = pos;
+    }
+    return out;
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {number} The big-endian word at offset.
+ */
+function readWord(bytes, offset) {
+  return (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) |
+      bytes[offset + 3];
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @param {number} word
+ */
+function writeWord(bytes, offset, word) {
+  bytes[offset] = word >>> 24;
+  bytes[offset + 1] = (word >>> 16) & 0xff;
+  bytes[offset + 2] = (word >>> 8) & 0xff;
+  bytes[offset + 3] = word & 0xff;
+}
+
+/**
+ * @param {number} word
+ * @returns {number} The word with SubBytes applied to each byte.
+ */
+function subWord(word) {
+  return (SBOX[word >>> 24] << 24) | (SBOX[(word >>> 16) & 0xff] << 16) |
+      (SBOX[(word >>> 8) & 0xff] << 8) | SBOX[word & 0xff];
+}
+
+/**
+ * The last round of encryption: SubBytes and ShiftRows, without MixColumns.
+ * @returns {number} A column of the state, taking each byte from the given words in turn.
+ */
+function shiftSubWord(w0, w1, w2, w3) {
+  return ((SBOX[w0 >>> 24] << 24) | (SBOX[(w1 >>> 16) & 0xff] << 16) |
+      (SBOX[(w2 >>> 8) & 0xff] << 8) | SBOX[w3 & 0xff]) >>> 0;
+}
+
+/**
+ * The last round of decryption: InvShiftRows and InvSubBytes, without InvMixColumns.
+ * @returns {number} A column of the state, taking each byte from the given words in turn.
+ */
+function invSubWord(w0, w1, w2, w3) {
+  return ((INV_SBOX[w0 >>> 24] << 24) | (INV_SBOX[(w1 >>> 16) & 0xff] << 16) |
+      (INV_SBOX[(w2 >>> 8) & 0xff] << 8) | INV_SBOX[w3 & 0xff]) >>> 0;
+}
@@ -0,0 +1,202 @@
+/**
+ * blake2sp.js
+ *
+ * Licensed under the MIT License
+ *
+ * Copyright(c) 2026 Google Inc.
+ *
+ * Implementation of the BLAKE2sp hash function, which RAR 5.0 archives can use instead of CRC32
+ * to checksum the unpacked file data.
+ *
+ * Reference Documentation:
+ *
+ * BLAKE2: https://www.blake2.net/blake2.pdf
+ * RFC 7693: https://datatracker.ietf.org/doc/html/rfc7693
+ */
+
+const BLAKE2S_BLOCKBYTES = 64;
+const BLAKE2S_OUTBYTES = 32;
+const PARALLELISM_DEGREE = 8;
+
+const BLAKE2S_IV = [
+  0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A,
+  0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19,
+];
+
+const BLAKE2S_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+];
+
+/**
+ * The state of a single BLAKE2s instance, set up as a node of a BLAKE2sp tree.
+ */
+class Blake2sState {
+  /**
+   * @param {number} nodeOffset The offset of this node in the tree.
+   * @param {number} nodeDepth 0 for the leaves, 1 for the root.
+   * @param {boolean} lastNode Whether this is the last node at its depth.
+   */
+  constructor(nodeOffset, nodeDepth, lastNode) {
+    /** @type {Uint32Array} */
+    this.h = new Uint32Array(BLAKE2S_IV);
+    // The BLAKE2sp parameter block: 32 byte digest, no key, fanout 8, depth 2 and
+    // 32 byte inner hashes.
+    this.h[0] ^= 0x02080020;
+    this.h[2] ^= nodeOffset;
+    this.h[3] ^= (nodeDepth << 16) | 0x20000000;
+
+    /**
+     * The number of bytes compressed so far.
+     * @type {number}
+     */
+    this.t = 0;
+
+    /** @type {boolean} */
+    this.lastNode = lastNode;
+
+    /**
+     * Bytes that have not been compressed yet. The last block is always kept here, because it
+     * needs to be compressed with the finalization flag set.
+     * @type {Uint8Array}
+     */
+    this.buf = new Uint8Array(BLAKE2S_BLOCKBYTES);
+    this.bufLen = 0;
+
+    /** @private */
+    this.m_ = new Uint32Array(16);
+    /** @private */
+    this.v_ = new Uint32Array(16);
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   */
+  update(bytes) {
+    let pos = 0;
+    while (pos < bytes.length) {
+      if (this.bufLen == BLAKE2S_BLOCKBYTES) {
+        this.t += BLAKE2S_BLOCKBYTES;
+        this.compress_(false);
+        this.bufLen = 0;
+      }
+      const numBytes = Math.min(BLAKE2S_BLOCKBYTES - this.bufLen, bytes.length - pos);
+      this.buf.set(bytes.subarray(pos, pos + numBytes), this.bufLen);
+      this.bufLen += numBytes;
+      pos += numBytes;
+    }
+  }
+
+  /**
+   * @returns {Uint8Array} The 32 byte digest.
+   */
+  final() {
+    this.t += this.bufLen;
+    this.buf.fill(0, this.bufLen);
+    this.compress_(true);
+
+    const digest = new Uint8Array(BLAKE2S_OUTBYTES);
+    for (let i = 0; i < 8; ++i) {
+      digest[i * 4] = this.h[i] & 0xff;
+      digest[i * 4 + 1] = (this.h[i] >>> 8) & 0xff;
+      digest[i * 4 + 2] = (this.h[i] >>> 16) & 0xff;
+      digest[i * 4 + 3] = (this.h[i] >>> 24) & 0xff;
+    }
+    return digest;
+  }
+
+  /**
+   * @param {boolean} lastBlock
+   * @private
+   */
+  compress_(lastBlock) {
+    const m = this.m_;
+    const v = this.v_;
+    const buf = this.buf;
+    for (let i = 0; i < 16; ++i) {
+      m[i] = buf[i * 4] | (buf[i * 4 + 1] << 8) | (buf[i * 4 + 2] << 16) | (buf[i * 4 + 3] << 24);
+    }
+    for (let i = 0; i < 8; ++i) {
+      v[i] = this.h[i];
+      v[i + 8] = BLAKE2S_IV[i];
+    }
+    v[12] ^= this.t;
+    v[13] ^= Math.floor(this.t / 0x100000000);
+    if (lastBlock) {
+      v[14] = ~v[14];
+      if (this.lastNode) {
+        v[15] = ~v[15];
+      }
+    }
+
+    for (let r = 0; r < 10; ++r) {
+      const s = BLAKE2S_SIGMA[r];
+      G(v, 0, 4, 8, 12, m[s[0]], m[s[1]]);
+      G(v, 1, 5, 9, 13, m[s[2]], m[s[3]]);
+      G(v, 2, 6, 10, 14, m[s[4]], m[s[5]]);
+      G(v, 3, 7, 11, 15, m[s[6]], m[s[7]]);
+      G(v, 0, 5, 10, 15, m[s[8]], m[s[9]]);
+      G(v, 1, 6, 11, 12, m[s[10]], m[s[11]]);
+      G(v, 2, 7, 8, 13, m[s[12]], m[s[13]]);
+      G(v, 3, 4, 9, 14, m[s[14]], m[s[15]]);
+    }
+
+    for (let i = 0; i < 8; ++i) {
+      this.h[i] ^= v[i] ^ v[i + 8];
+    }
+  }
+}
+
+/**
+ * The BLAKE2s mixing function. The Uint32Array keeps all values as unsigned 32-bit integers.
+ * @param {Uint32Array} v
+ */
+function G(v, a, b, c, d, x, y) {
+  v[a] = v[a] + v[b] + x;
+  v[d] = rotr32(v[d] ^ v[a], 16);
+  v[c] = v[c] + v[d];
+  v[b] = rotr32(v[b] ^ v[c], 12);
+  v[a] = v[a] + v[b] + y;
+  v[d] = rotr32(v[d] ^ v[a], 8);
+  v[c] = v[c] + v[d];
+  v[b] = rotr32(v[b] ^ v[c], 7);
+}
+
+/**
+ * @param {number} w
+ * @param {number} c
+ * @returns {number}
+ */
+function rotr32(w, c) {
+  return (w >>> c) | (w << (32 - c));
+}
+
+/**
+ * Calculates the BLAKE2sp digest of some bytes. The 64 byte blocks of input are distributed
+ * round-robin over 8 BLAKE2s leaves, whose digests are then hashed by the root node.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} The 32 byte digest.
+ */
+export function blake2sp(bytes) {
+  const leaves = [];
+  for (let i = 0; i < PARALLELISM_DEGREE; ++i) {
+    leaves.push(new Blake2sState(i, 0, i == PARALLELISM_DEGREE - 1));
+  }
+  const root = new Blake2sState(0, 1, true);
+
+  for (let pos = 0, i = 0; pos < bytes.length; pos += BLAKE2S_BLOCKBYTES, ++i) {
+    leaves[i % PARALLELISM_DEGREE].update(bytes.subarray(pos, pos + BLAKE2S_BLOCKBYTES));
+  }
+  for (const leaf of leaves) {
+    root.update(leaf.final());
+  }
+  return root.final();
+}
@@ -8,6 +8,8 @@
  * Copyright(c) 2023 Google Inc.
  */
 
+import { ByteStream } from '../io/bytestream.js';
+
 /**
  * @typedef FileInfo An object that is sent to the implementation representing a file to compress.
  * @property {string} fileName The name of the file. TODO: Includes the path?
@@ -19,6 +21,8 @@
  * @typedef Implementation
  * @property {MessagePort} hostPort The port the host uses to communicate with the implementation.
  * @property {Function} disconnectFn A function to call when the port has been disconnected.
+ * @property {Function} terminateFn A function to call to stop the implementation right away, even
+ *     if it is in the middle of its work.
  */
 
 /**
@@ -43,6 +47,7 @@ export async function getConnectedPort(implFilename) {
     return {
       hostPort,
       disconnectFn: () => implModule.disconnect(),
+      terminateFn: () => implModule.disconnect(),
     };
   }
   
@@ -53,10 +58,172 @@ export async function getConnectedPort(implFilename) {
     resolve({
       hostPort,
       disconnectFn: () => worker.postMessage({ disconnect: true }),
+      terminateFn: () => worker.terminate(),
     });
   });
 }
 
+/**
+ * Converts an MS-DOS date and time, as used by zip and RAR archives, to a Date in local time.
+ * @param {number} dosDate The day (bits 0-4), month (bits 5-8) and year since 1980 (bits 9-15).
+ * @param {number} dosTime The seconds / 2 (bits 0-4), minutes (bits 5-10) and hours (bits 11-15).
+ * @returns {Date}
+ */
+export function dosDateTimeToDate(dosDate, dosTime) {
+  return new Date(((dosDate >> 9) & 0x7f) + 1980, ((dosDate >> 5) & 0xf) - 1, dosDate & 0x1f,
+      (dosTime >> 11) & 0x1f, (dosTime >> 5) & 0x3f, (dosTime & 0x1f) * 2);
+}
+
+/**
+ * @typedef FileAttributes
+ * @property {number=} mode The POSIX permission bits, like 0o644. Undefined if not known.
+ * @property {boolean} isDirectory
+ * @property {boolean} isSymlink
+ */
+
+/**
+ * Reads the attributes that zip and RAR archives keep for each file. An archiver on Unix stores the
+ * POSIX mode of the file (with its type in the top bits), and one on MS-DOS or Windows stores its
+ * MS-DOS attributes, which have no permissions.
+ * @param {number} attributes
+ * @param {boolean} isUnix Whether the archive was made on Unix.
+ * @returns {FileAttributes}
+ */
+export function readFileAttributes(attributes, isUnix) {
+  if (isUnix) {
+    const fileType = attributes & 0o170000;
+    return {
+      mode: attributes & 0o7777,
+      isDirectory: fileType === 0o040000,
+      isSymlink: fileType === 0o120000,
+    };
+  }
+  // The MS-DOS directory attribute.
+  return { mode: undefined, isDirectory: !!(attributes & 0x10), isSymlink: false };
+}
+
+/**
+ * Converts a glob pattern to a RegExp that tests the path of a file in an archive. As in a
+ * .gitignore file, a pattern with no slash (like '*.jpg') matches a file or directory name at any
+ * depth, a pattern with a slash (like 'comic/*.png' or '/comic') matches from the start of the
+ * path, and a pattern ending with a slash (like '__MACOSX/') only matches directories. A pattern
+ * that matches a directory matches all the files in it. '*' matches anything except a slash, '**'
+ * matches anything and '?' matches one character except a slash.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) {
+    pattern = pattern.slice(0, -1);
+  }
+  const anchored = pattern.includes('/');
+  if (pattern.startsWith('/')) {
+    pattern = pattern.slice(1);
+  }
+
+  let re = '';
+  for (let i = 0; i < pattern.length; ++i) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // '**/' matches zero or more directories.
+      if (pattern[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp((anchored ? '^' : '(?:^|/)') + re + (dirOnly ? '/' : '(?:$|/)'));
+}
+
+/**
+ * Makes a function that decides whether to extract a file, given its path in the archive.
+ * @param {string[]=} include Glob patterns of the files to extract. If empty, all files are.
+ * @param {string[]=} exclude Glob patterns of the files to skip, even if they are included.
+ * @returns {function(string): boolean}
+ */
+export function createFileFilter(include = [], exclude = []) {
+  const includeRegExps = include.map(globToRegExp);
+  const excludeRegExps = exclude.map(globToRegExp);
+  return (filename) => (includeRegExps.length == 0 || includeRegExps.some(re => re.test(filename)))
+      && !excludeRegExps.some(re => re.test(filename));
+}
+
+/**
+ * The most bytes that a decompressor implementation sends in one chunk of a file, with the chunked
+ * option.
+ */
+export const EXTRACT_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Used by a decompressor implementation to wait for the host to take each file it extracts, so
+ * that a slow host does not make extracted files pile up on the port. The host asks for this with
+ * the flowControl option, and sends a { resume: true } message each time it takes a file. See
+ * Unarchiver.entries().
+ */
+export class FlowControl {
+  /**
+   * @param {boolean} enabled If false, the implementation never waits for the host.
+   */
+  constructor(enabled) {
+    /** @type {boolean} */
+    this.enabled = enabled;
+
+    /**
+     * The number of extracted files that the host has not taken yet.
+     * @type {number}
+     */
+    this.numPendingFiles = 0;
+
+    /**
+     * Resolves the Promise returned by fileSent(), while the implementation is waiting.
+     * @type {function()}
+     * @private
+     */
+    this.resumeFn_ = null;
+  }
+
+  /**
+   * Call right after posting an extract message.
+   * @returns {Promise<void>} Resolves once the host has taken the file, so that the implementation
+   *     extracts the next file while the host works on this one.
+   */
+  fileSent() {
+    if (!this.enabled) {
+      return Promise.resolve();
+    }
+    this.numPendingFiles++;
+    return new Promise(resolve => {
+      this.resumeFn_ = resolve;
+      this.maybeResume_();
+    });
+  }
+
+  /** Call when the host sends a { resume: true } message. */
+  fileTaken() {
+    this.numPendingFiles = Math.max(0, this.numPendingFiles - 1);
+    this.maybeResume_();
+  }
+
+  /** @private */
+  maybeResume_() {
+    if (this.resumeFn_ && this.numPendingFiles === 0) {
+      const resumeFn = this.resumeFn_;
+      this.resumeFn_ = null;
+      resumeFn();
+    }
+  }
+}
+
 // Zip-specific things.
 
 export const LOCAL_FILE_HEADER_SIG = 0x04034b50;
@@ -67,6 +234,151 @@ export const ARCHIVE_EXTRA_DATA_SIG = 0x08064b50;
 export const DIGITAL_SIGNATURE_SIG = 0x05054b50;
 export const END_OF_CENTRAL_DIR_LOCATOR_SIG = 0x07064b50;
 export const DATA_DESCRIPTOR_SIG = 0x08074b50;
+export const ZIP64_END_OF_CENTRAL_DIR_SIG = 0x06064b50;
+
+// The header ID of the Zip64 extended information extra field.
+export const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+/**
+ * Logic taken from https://github.com/nodeca/pako/blob/master/lib/zlib/crc32.js
+ * @returns {Uint32Array}
+ */
+function createCRC32Table() {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = ((c & 1) ? (CRC32_MAGIC_NUMBER ^ (c >>> 1)) : (c >>> 1));
+    }
+    table[n] = c;
+  }
+  return table;
+}
+
+/** The CRC-32 of each byte value, as used by zip archives. */
+export const CRC32_TABLE = createCRC32Table();
+
+/**
+ * Logic taken from https://github.com/nodeca/pako/blob/master/lib/zlib/crc32.js
+ * @param {number} crc The CRC-32 of the bytes that come before these, or 0.
+ * @param {Uint8Array} bytes
+ * @returns {number} The CRC-32 of all the bytes so far, as an unsigned number.
+ */
+export function calculateCRC32(crc, bytes) {
+  crc ^= -1;
+  for (const byte of bytes) {
+    crc = (crc >>> 8) ^ CRC32_TABLE[(crc ^ byte) & 0xFF];
+  }
+  crc ^= -1;
+  if (crc < 0) {
+    crc += 0x100000000;
+  }
+  return crc;
+}
+
+/**
+ * Reads an 8 byte little-endian number. Numbers above 2^53 lose precision.
+ * @param {ByteStream} bstream
+ * @returns {number}
+ */
+export function readNumber8(bstream) {
+  const low = bstream.readNumber(4) >>> 0;
+  return (bstream.readNumber(4) >>> 0) * 0x100000000 + low;
+}
+
+/**
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @param {number} headerId
+ * @returns {ByteStream} The data of the extra field with the given header ID, or null.
+ */
+export function findExtraField(extraField, headerId) {
+  const bstream = new ByteStream(extraField.buffer, extraField.byteOffset, extraField.length);
+  while (bstream.getNumBytesLeft() >= 4) {
+    const id = bstream.readNumber(2);
+    const dataSize = Math.min(bstream.readNumber(2), bstream.getNumBytesLeft());
+    if (id === headerId) {
+      return dataSize > 0 ? new ByteStream(bstream.readBytes(dataSize).buffer) : null;
+    }
+    bstream.skip(dataSize);
+  }
+  return null;
+}
+
+/**
+ * Looks for the Zip64 extended information extra field. If it is there, the sizes, offset and disk
+ * number of the header that did not fit in their 32 (or 16) bit fields are replaced with the values
+ * in the extra field. Only the values that overflowed are in the extra field, in this order.
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @param {Object} header A local or central file header.
+ * @returns {boolean} True if the Zip64 extra field was found.
+ */
+export function readZip64ExtraField(extraField, header) {
+  const fieldStream = findExtraField(extraField, ZIP64_EXTRA_FIELD_ID);
+  if (!fieldStream) {
+    return false;
+  }
+
+  const readIfOverflowed = (name, max, n) => {
+    // readNumber(4) is signed, so 0xFFFFFFFF is read as -1.
+    if ((header[name] >>> 0) === max && fieldStream.getNumBytesLeft() >= n) {
+      header[name] = (n === 8) ? readNumber8(fieldStream) : fieldStream.readNumber(n);
+    }
+  };
+  readIfOverflowed('uncompressedSize', 0xFFFFFFFF, 8);
+  readIfOverflowed('compressedSize', 0xFFFFFFFF, 8);
+  readIfOverflowed('relativeOffset', 0xFFFFFFFF, 8);
+  readIfOverflowed('diskNumberStart', 0xFFFF, 4);
+  return true;
+}
+
+// The header IDs of the Info-ZIP Unicode Path and Unicode Comment extra fields.
+export const UNICODE_PATH_EXTRA_FIELD_ID = 0x7075;
+export const UNICODE_COMMENT_EXTRA_FIELD_ID = 0x6375;
+
+// The general purpose bit that says that the file name and comment are UTF-8.
+const UTF8_FLAG = 0x0800;
+
+// The characters of the bytes 0x80 to 0xFF in code page 437, the IBM PC character set, which zip
+// archives use for file names and comments that are not UTF-8.
+const CP437_HIGH_CHARS =
+    'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒ' +
+    'áíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐' +
+    '└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+    'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0';
+
+/**
+ * Decodes a file name or comment of a zip archive. The UTF-8 version in an Info-ZIP Unicode Path or
+ * Unicode Comment extra field comes first, if its CRC-32 shows that it is for the same bytes. Then
+ * the bytes are UTF-8 if the UTF-8 flag is set, and code page 437 if not, unless an encoding is
+ * given for them.
+ * @param {Uint8Array} bytes The bytes of the name or comment in the header.
+ * @param {number} generalPurpose The general purpose bit flag of the header.
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @param {number} unicodeFieldId UNICODE_PATH_EXTRA_FIELD_ID or UNICODE_COMMENT_EXTRA_FIELD_ID.
+ * @param {string=} encoding A TextDecoder encoding, like 'shift_jis' or 'gbk', for the names and
+ *     comments that are not UTF-8.
+ * @returns {string}
+ */
+export function decodeZipString(bytes, generalPurpose, extraField, unicodeFieldId,
+    encoding = undefined) {
+  const fieldStream = extraField ? findExtraField(extraField, unicodeFieldId) : null;
+  // The field has a version of 1, the CRC-32 of the bytes in the header, then the UTF-8 string.
+  if (fieldStream && fieldStream.getNumBytesLeft() > 5 && fieldStream.readNumber(1) === 1 &&
+      (fieldStream.readNumber(4) >>> 0) === calculateCRC32(0, bytes)) {
+    return new TextDecoder().decode(fieldStream.readBytes(fieldStream.getNumBytesLeft()));
+  }
+  if (generalPurpose & UTF8_FLAG) {
+    return new TextDecoder().decode(bytes);
+  }
+  if (encoding) {
+    return new TextDecoder(encoding).decode(bytes);
+  }
+  let str = '';
+  for (const byte of bytes) {
+    str += (byte < 0x80) ? String.fromCharCode(byte) : CP437_HIGH_CHARS[byte - 0x80];
+  }
+  return str;
+}
 
 /**
  * @readonly
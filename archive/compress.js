@@ -34,6 +34,7 @@ const FLUSH_TIMER_MS = 50;
 /**
  * @typedef CompressorOptions
  * @property {ZipCompressionMethod} zipCompressionMethod
+ * @property {AbortSignal=} signal A signal that stops the zipping when it is aborted.
  */
 
 /**
@@ -86,6 +87,13 @@ export class Zipper {
    */
   disconnectFn_;
 
+  /**
+   * A function to call to stop the implementation in the middle of its work.
+   * @type {Function}
+   * @private
+   */
+  terminateFn_;
+
   /**
    * A timer that periodically flushes pending files to the Worker. Set upon start() and stopped
    * upon the last file being compressed by the Worker.
@@ -154,13 +162,21 @@ export class Zipper {
    * in this method or in an appendFiles() call.
    * @param {FileInfo[]} files
    * @param {boolean} isLastFile
+   * @param {AbortSignal=} signal A signal that stops the zipping when it is aborted. If not set,
+   *     the signal option is used.
    * @returns {Promise<Uint8Array>} A Promise that will resolve once the final file has been sent.
-   *     The Promise resolves to an array of bytes of the entire zipped archive.
+   *     The Promise resolves to an array of bytes of the entire zipped archive. If the signal is
+   *     aborted, the implementation is terminated and the Promise rejects with the abort reason (an
+   *     AbortError DOMException, by default).
    */
-  async start(files = [], isLastFile = false) {
+  async start(files = [], isLastFile = false, signal = this.zipOptions.signal) {
     if (this.compressStatus_ !== CompressStatus.NOT_STARTED) {
       throw `start() called, but Zipper already started.`;
     }
+    if (signal && signal.aborted) {
+      this.terminate_();
+      throw signal.reason;
+    }
 
     // We optimize for the case where isLastFile=true in a start() call by posting to the Worker
     // immediately upon async resolving below. Otherwise, we push these files into the pending set
@@ -177,7 +193,20 @@ export class Zipper {
     const impl = await getConnectedPort('./zip.js');
     this.port_ = impl.hostPort;
     this.disconnectFn_ = impl.disconnectFn;
+    this.terminateFn_ = impl.terminateFn;
     return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.terminate_();
+        reject(signal.reason);
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
       this.port_.onerror = (evt) => {
         console.log('Impl error: message = ' + evt.message);
         reject(evt.message);
@@ -205,6 +234,10 @@ export class Zipper {
               this.disconnectFn_();
               this.port_ = null;
               this.disconnectFn_ = null;
+              this.terminateFn_ = null;
+              if (signal) {
+                signal.removeEventListener('abort', onAbort);
+              }
               resolve(this.byteArray);
               break;
             // Message sent back when the Worker has written some bytes to the zip file.
@@ -222,6 +255,29 @@ export class Zipper {
     });
   }
 
+  /**
+   * Stops the zip implementation in the middle of its work, and lets go of the files that have not
+   * been sent to it and the bytes zipped so far.
+   * @private
+   */
+  terminate_() {
+    if (this.flushTimer_) {
+      clearInterval(this.flushTimer_);
+      this.flushTimer_ = 0;
+    }
+    if (this.port_) {
+      this.port_.onmessage = null;
+      this.port_.close();
+      this.terminateFn_();
+      this.port_ = null;
+      this.disconnectFn_ = null;
+      this.terminateFn_ = null;
+    }
+    this.compressStatus_ = CompressStatus.ERROR;
+    this.pendingFilesToSend_ = [];
+    this.byteArray = new Uint8Array(0);
+  }
+
   /**
    * Updates the internal byte array with new bytes (by allocating a new array and copying).
    * @param {Uint8Array} newBytes
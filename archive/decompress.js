@@ -8,9 +8,10 @@
  * Copyright(c) 2021 Google Inc.
  */
 
-import { UnarchiveAppendEvent, UnarchiveErrorEvent, UnarchiveEvent, UnarchiveEventType,
-         UnarchiveExtractEvent, UnarchiveFinishEvent, UnarchiveInfoEvent,
-         UnarchiveProgressEvent, UnarchiveStartEvent } from './events.js';
+import { UnarchiveAppendEvent, UnarchiveEntryEvent, UnarchiveErrorEvent, UnarchiveEvent,
+         UnarchiveEventType, UnarchiveExtractChunkEvent, UnarchiveExtractEvent,
+         UnarchiveFinishEvent, UnarchiveInfoEvent, UnarchiveProgressEvent,
+         UnarchiveStartEvent } from './events.js';
 import { getConnectedPort } from './common.js';
 import { findMimeType } from '../file/sniffer.js';
 
@@ -18,9 +19,11 @@ import { findMimeType } from '../file/sniffer.js';
 // TODO(2.0): Remove this export, since they have moved to events.js?
 export {
   UnarchiveAppendEvent,
+  UnarchiveEntryEvent,
   UnarchiveErrorEvent,
   UnarchiveEvent,
   UnarchiveEventType,
+  UnarchiveExtractChunkEvent,
   UnarchiveExtractEvent,
   UnarchiveFinishEvent,
   UnarchiveInfoEvent,
@@ -35,14 +38,61 @@ export {
  */
 
 /**
- * @typedef UnarchivedFile
+ * @typedef {UnarchivedEntry & UnarchivedFileData} UnarchivedFile An extracted file has the same
+ *     information as its entry, and its data. The Unzipper, Unrarrer and Untarrer also leave in the
+ *     other fields they read from the file's header, like the crc32 of a zip file or the uid, gid,
+ *     uname and gname of a tar file. Those depend on the format and are due to go in 2.0.
+ */
+
+/**
+ * @typedef UnarchivedFileData
+ * @property {Uint8Array} fileData Empty for directories, links, devices and FIFOs.
+ */
+
+/**
+ * @typedef UnarchivedEntry Information about a file in the archive, sent before it is extracted.
  * @property {string} filename
- * @property {Uint8Array} fileData
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {Date=} lastModified Undefined if the archive does not record it.
+ * @property {number=} mode The POSIX permission bits, like 0o644. Undefined if the archive does not
+ *     record them: gzip files and archives made on Windows do not, and zip files only have them in
+ *     the central directory at the end, which only ZipReader reads before the files.
+ * @property {boolean} isDirectory
+ * @property {boolean} isSymlink
+ * @property {number} compressionMethod The compression method, as numbered by the archive format.
+ * @property {boolean} isEncrypted
+ * @property {string=} comment The comment on the file, if the archive has one.
+ * @property {UnarchivedEntryType=} type Only set by the Untarrer, which also sends the entries
+ *     that are not files. Other unarchivers only send files.
+ * @property {string=} linkname The target of a symbolic link or hard link in a tar archive.
+ */
+
+/**
+ * @typedef {'file'|'directory'|'symlink'|'hardlink'|'character-device'|'block-device'|'fifo'}
+ *     UnarchivedEntryType
  */
 
 /**
  * @typedef UnarchiverOptions
  * @property {boolean=} debug Set to true for verbose unarchiver logging.
+ * @property {string=} password The password for encrypted archives.
+ * @property {boolean=} listOnly Set to true to only send ENTRY events for the files in the
+ *     archive, without decompressing or extracting any of them.
+ * @property {string[]=} include Glob patterns (like '*.jpg') of the files to extract. Other files
+ *     are skipped. If not set, all files are extracted.
+ * @property {string[]=} exclude Glob patterns (like '__MACOSX/') of the files to skip.
+ * @property {AbortSignal=} signal A signal that stops the unarchiving when it is aborted.
+ * @property {boolean=} chunked Set to true to get the data of each file in EXTRACT_CHUNK events
+ *     instead of an EXTRACT event, so that a big file does not have to fit in memory. Stored and
+ *     deflated zip files and tar files are sent in chunks as their bytes come in. Other files are
+ *     sent as one chunk. Ignored by entries() and UnarchiveStream, which yield whole files.
+ * @property {boolean=} skipChecksums Set to true to skip checking the CRC-32 (or the BLAKE2sp hash
+ *     of RAR5) of each zip and RAR file, which is faster. Otherwise, a file that does not match its
+ *     checksum is not extracted, and an ERROR event is sent.
+ * @property {string=} filenameEncoding The encoding of the file names and comments in a zip archive
+ *     that are not flagged as UTF-8, like 'shift_jis' or 'gbk' for archives made by Japanese or
+ *     Chinese tools. Any TextDecoder encoding works. If not set, they are read as code page 437.
  */
 
 /**
@@ -64,6 +114,28 @@ export class Unarchiver extends EventTarget {
    */
   disconnectFn_;
 
+  /**
+   * A function to call to stop the implementation in the middle of its work.
+   * @type {Function}
+   * @private
+   */
+  terminateFn_;
+
+  /**
+   * Whether the implementation waits for each extracted file to be taken. See entries().
+   * @type {boolean}
+   * @private
+   */
+  flowControl_ = false;
+
+  /**
+   * Called with flow control when the implementation has read all the bytes it was sent, and needs
+   * more. See UnarchiveStream.
+   * @type {function()}
+   * @private
+   */
+  onWaitingForBytes_ = null;
+
   /**
    * @param {ArrayBuffer} arrayBuffer The Array Buffer. Note that this ArrayBuffer must not be
    *     referenced once it is sent to the Unarchiver, since it is marked as Transferable and sent
@@ -94,11 +166,66 @@ export class Unarchiver extends EventTarget {
      * @type {boolean}
      */
     this.debugMode_ = !!(options.debug);
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.password_ = options.password;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.listOnly_ = !!(options.listOnly);
+
+    /**
+     * @private
+     * @type {string[]}
+     */
+    this.include_ = options.include || [];
+
+    /**
+     * @private
+     * @type {string[]}
+     */
+    this.exclude_ = options.exclude || [];
+
+    /**
+     * @private
+     * @type {AbortSignal}
+     */
+    this.signal_ = options.signal;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.chunked_ = !!(options.chunked);
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.skipChecksums_ = !!(options.skipChecksums);
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.filenameEncoding_ = options.filenameEncoding;
+
+    /**
+     * Whether the constructor was given all of the bytes, so that update() is not expected.
+     * @protected
+     * @type {boolean}
+     */
+    this.inputComplete_ = false;
   }
 
   /**
    * Overridden so that the type hints for eventType are specific. Prefer onExtract(), etc.
-   * @param {'progress'|'extract'|'finish'} eventType 
+   * @param {'progress'|'entry'|'extract'|'extract-chunk'|'finish'} eventType 
    * @param {EventListenerOrEventListenerObject} listener 
    * @override
    */
@@ -106,6 +233,16 @@ export class Unarchiver extends EventTarget {
     super.addEventListener(eventType, listener);
   }
 
+  /**
+   * Type-safe way to subscribe to an UnarchiveEntryEvent.
+   * @param {function(UnarchiveEntryEvent)} listener 
+   * @returns {Unarchiver} for chaining.
+   */
+  onEntry(listener) {
+    super.addEventListener(UnarchiveEventType.ENTRY, listener);
+    return this;
+  }
+
   /**
    * Type-safe way to subscribe to an UnarchiveExtractEvent.
    * @param {function(UnarchiveExtractEvent)} listener 
@@ -116,6 +253,16 @@ export class Unarchiver extends EventTarget {
     return this;
   }
 
+  /**
+   * Type-safe way to subscribe to an UnarchiveExtractChunkEvent.
+   * @param {function(UnarchiveExtractChunkEvent)} listener 
+   * @returns {Unarchiver} for chaining.
+   */
+  onExtractChunk(listener) {
+    super.addEventListener(UnarchiveEventType.EXTRACT_CHUNK, listener);
+    return this;
+  }
+
   /**
    * Type-safe way to subscribe to an UnarchiveFinishEvent.
    * @param {function(UnarchiveFinishEvent)} listener 
@@ -173,8 +320,17 @@ export class Unarchiver extends EventTarget {
           obj.totalUncompressedBytesInArchive,
           obj.totalFilesInArchive,
           obj.totalCompressedBytesRead);
+      case UnarchiveEventType.ENTRY:
+        return new UnarchiveEntryEvent(obj.entry);
       case UnarchiveEventType.EXTRACT:
+        if (this.chunked_) {
+          // The implementation could not send this file in chunks, so it is all one chunk.
+          const {filename, fileData} = obj.unarchivedFile;
+          return new UnarchiveExtractChunkEvent(filename, fileData, true);
+        }
         return new UnarchiveExtractEvent(obj.unarchivedFile);
+      case UnarchiveEventType.EXTRACT_CHUNK:
+        return new UnarchiveExtractChunkEvent(obj.filename, obj.chunk, obj.isLastChunk);
       case UnarchiveEventType.FINISH:
         return new UnarchiveFinishEvent(obj.metadata);
       case UnarchiveEventType.INFO:
@@ -199,6 +355,10 @@ export class Unarchiver extends EventTarget {
         this.stop();
         return true;
       }
+    } else if (type === 'waiting') {
+      if (this.onWaitingForBytes_) {
+        this.onWaitingForBytes_();
+      }
     } else {
       console.log(`Unknown object received from port: ${obj}`);
     }
@@ -207,15 +367,35 @@ export class Unarchiver extends EventTarget {
 
   /**
    * Starts the unarchive by connecting the ports and sending the first ArrayBuffer.
+   * @param {AbortSignal=} signal A signal that stops the unarchiving when it is aborted. If not
+   *     set, the signal option is used.
    * @returns {Promise<void>} A Promise that resolves when the decompression is complete. While the
    *     decompression is proceeding, you can send more bytes of the archive to the decompressor
-   *     using the update() method.
+   *     using the update() method. If the signal is aborted, the implementation is terminated and
+   *     the Promise rejects with the abort reason (an AbortError DOMException, by default).
    */
-  async start() {
+  async start(signal = this.signal_) {
+    if (signal && signal.aborted) {
+      this.terminate_();
+      throw signal.reason;
+    }
     const impl = await getConnectedPort(this.getScriptFileName());
     this.port_ = impl.hostPort;
     this.disconnectFn_ = impl.disconnectFn;
+    this.terminateFn_ = impl.terminateFn;
     return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.terminate_();
+        reject(signal.reason);
+      };
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
       this.port_.onerror = (evt) => {
         console.log('Impl error: message = ' + evt.message);
         reject(evt);
@@ -227,6 +407,9 @@ export class Unarchiver extends EventTarget {
           console.log(evt.data);
         } else {
           if (this.handlePortEvent_(evt.data)) {
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
             resolve();
           }
         }
@@ -236,11 +419,90 @@ export class Unarchiver extends EventTarget {
       this.port_.postMessage({
         file: ab,
         logToConsole: this.debugMode_,
+        password: this.password_,
+        listOnly: this.listOnly_,
+        include: this.include_,
+        exclude: this.exclude_,
+        flowControl: this.flowControl_,
+        chunked: this.chunked_,
+        skipChecksums: this.skipChecksums_,
+        filenameEncoding: this.filenameEncoding_,
       }, [ab]);
       this.ab = null;
+      if (this.inputComplete_) {
+        this.endInput_();
+      }
     });
   }
 
+  /**
+   * Starts the unarchive and yields each extracted file, for use in a for await...of loop:
+   *
+   *   for await (const file of unarchiver.entries()) { ... }
+   *
+   * The implementation waits for the loop to take each file before it extracts the one after it,
+   * so a slow loop does not make extracted files pile up in memory. Leaving the loop early (with
+   * break, return or throw) stops the implementation. Event listeners are still called.
+   * @param {AbortSignal=} signal See start(). If it is aborted, the loop throws the abort reason.
+   * @returns {AsyncGenerator<UnarchivedFile>}
+   */
+  async *entries(signal = this.signal_) {
+    /** @type {UnarchivedFile[]} */
+    const files = [];
+    let finished = false;
+    let failed = false;
+    let error;
+    /** @type {function()} */
+    let wakeUp = null;
+    const onExtract = (evt) => {
+      files.push(evt.unarchivedFile);
+      if (wakeUp) wakeUp();
+    };
+    this.onExtract(onExtract);
+
+    // The loop takes whole files, so there would be no EXTRACT events for it in chunked mode. Both
+    // go back to how they were once the loop is done.
+    const { flowControl_: flowControl, chunked_: chunked } = this;
+    this.flowControl_ = true;
+    this.chunked_ = false;
+    this.start(signal).catch(e => {
+      failed = true;
+      error = e;
+    }).then(() => {
+      finished = true;
+      if (wakeUp) wakeUp();
+    });
+
+    try {
+      while (true) {
+        if (files.length > 0) {
+          const file = files.shift();
+          // Let the implementation extract the next file while this one is being used.
+          if (this.port_) {
+            this.port_.postMessage({ resume: true });
+          }
+          yield file;
+        } else if (finished) {
+          if (failed) {
+            throw error;
+          }
+          return;
+        } else {
+          await new Promise(resolve => wakeUp = resolve);
+          wakeUp = null;
+        }
+      }
+    } finally {
+      this.removeEventListener(UnarchiveEventType.EXTRACT, onExtract);
+      if (!finished) {
+        // The loop was left before the unarchive finished.
+        this.terminate_();
+      }
+      this.flowControl_ = flowControl;
+      this.chunked_ = chunked;
+    }
+  }
+
   // TODO(bitjs): Test whether ArrayBuffers must be transferred...
   /**
    * Adds more bytes to the unarchiver.
@@ -265,6 +527,17 @@ export class Unarchiver extends EventTarget {
     this.dispatchEvent(new UnarchiveAppendEvent(numBytes));
   }
 
+  /**
+   * Tells the implementation that update() will not be called again, so that it sends an error
+   * instead of waiting for more bytes if the archive is incomplete.
+   * @private
+   */
+  endInput_() {
+    if (this.port_) {
+      this.port_.postMessage({ end: true });
+    }
+  }
+
   /**
    * Closes the port to the decompressor implementation and terminates it.
    */
@@ -274,8 +547,41 @@ export class Unarchiver extends EventTarget {
       this.disconnectFn_();
       this.port_ = null;
       this.disconnectFn_ = null;
+      this.terminateFn_ = null;
+    }
+  }
+
+  /**
+   * Stops the decompressor implementation in the middle of its work, drops any events it has not
+   * sent yet and lets go of the bytes of the archive.
+   * @private
+   */
+  terminate_() {
+    if (this.port_) {
+      this.port_.onmessage = null;
+      this.port_.close();
+      this.terminateFn_();
+      this.port_ = null;
+      this.disconnectFn_ = null;
+      this.terminateFn_ = null;
     }
+    this.ab = null;
+  }
+}
+
+/**
+ * Joins the volumes of a multi-volume archive into one ArrayBuffer.
+ * @param {Array<ArrayBuffer>} volumes
+ * @returns {ArrayBuffer}
+ */
+function joinVolumes(volumes) {
+  const bytes = new Uint8Array(volumes.reduce((size, ab) => size + ab.byteLength, 0));
+  let offset = 0;
+  for (const ab of volumes) {
+    bytes.set(new Uint8Array(ab), offset);
+    offset += ab.byteLength;
   }
+  return bytes.buffer;
 }
 
 // Thin wrappers of decompressors for clients who want to construct a specific
@@ -295,11 +601,15 @@ export class Unzipper extends Unarchiver {
 
 export class Unrarrer extends Unarchiver {
   /**
-   * @param {ArrayBuffer} ab 
+   * @param {ArrayBuffer|Array<ArrayBuffer>} ab The archive, or all volumes of a multi-volume
+   *     archive in order (.part1.rar, .part2.rar, ... or .rar, .r00, .r01, ...). Volumes can also
+   *     be sent one at a time, in order, using update(). If a volume is missing from the array,
+   *     an error is sent instead of waiting for it.
    * @param {UnarchiverOptions} options 
    */
   constructor(ab, options = {}) {
-    super(ab, options);
+    super(Array.isArray(ab) ? joinVolumes(ab) : ab, options);
+    this.inputComplete_ = Array.isArray(ab);
   }
 
   getMIMEType() { return 'application/x-rar-compressed'; }
@@ -344,6 +654,228 @@ export class Gunzipper extends Unarchiver {
   getScriptFileName() { return './gunzip.js'; }
 }
 
+/**
+ * Unarchives a stream of bytes, like the body of a fetch() Response. It is a pair of streams, like
+ * a TransformStream: byte chunks (ArrayBuffers or Uint8Arrays) are written to the writable side,
+ * and the extracted files come out of the readable side. Use it with pipeThrough():
+ *
+ *   const response = await fetch('comic.cbz');
+ *   for await (const file of response.body.pipeThrough(new UnzipStream())) { ... }
+ *
+ * A chunk is only written once the implementation has read the one before it, and the
+ * implementation waits for each file to be read before it extracts the next one, so a slow reader
+ * slows down the download instead of making bytes and files pile up in memory.
+ *
+ * The first error event from the implementation, or an archive that ends too soon, errors both
+ * sides. Aborting the writable side or cancelling the readable side stops the implementation.
+ */
+export class UnarchiveStream {
+  /** @type {ReadableStream<UnarchivedFile>} */
+  readable;
+
+  /** @type {WritableStream<ArrayBuffer|ArrayBufferView>} */
+  writable;
+
+  /**
+   * Created upon the first chunk, since an Unarchiver needs its first bytes to start.
+   * @type {Unarchiver}
+   * @private
+   */
+  unarchiver_ = null;
+
+  /**
+   * Stops the unarchiver when something goes wrong on either side.
+   * @type {AbortController}
+   * @private
+   */
+  abortController_ = new AbortController();
+
+  /**
+   * Resolves to the extracted files once the first chunk has been written, or to null if the
+   * writable side was closed without any.
+   * @type {Promise<AsyncGenerator<UnarchivedFile>>}
+   * @private
+   */
+  files_;
+
+  /**
+   * Whether the implementation has read all the bytes it was sent, and needs more.
+   * @type {boolean}
+   * @private
+   */
+  waiting_ = false;
+
+  /**
+   * Whether the implementation has finished, or the stream has failed. Any more bytes are dropped.
+   * @type {boolean}
+   * @private
+   */
+  done_ = false;
+
+  /**
+   * Lets a write that is waiting for the implementation go ahead.
+   * @type {function()}
+   * @private
+   */
+  wakeWriter_ = null;
+
+  /**
+   * @param {UnarchiverOptions} options The options of the Unarchiver. If the signal option is
+   *     aborted, both sides of the stream are errored with its reason.
+   */
+  constructor(options = {}) {
+    /** @type {function(AsyncGenerator<UnarchivedFile>)} */
+    let setFiles;
+    this.files_ = new Promise(resolve => setFiles = resolve);
+
+    /** @type {ReadableStreamDefaultController} */
+    let readableController;
+    /** @type {WritableStreamDefaultController} */
+    let writableController;
+    const wakeWriter = () => {
+      if (this.wakeWriter_) {
+        this.wakeWriter_();
+        this.wakeWriter_ = null;
+      }
+    };
+    const fail = (reason) => {
+      if (this.abortController_.signal.aborted) {
+        return;
+      }
+      this.abortController_.abort(reason);
+      this.done_ = true;
+      readableController.error(reason);
+      writableController.error(reason);
+      setFiles(null);
+      wakeWriter();
+    };
+
+    this.readable = new ReadableStream({
+      start: (controller) => { readableController = controller; },
+      pull: async (controller) => {
+        const files = await this.files_;
+        if (!files) {
+          // Either the writable side was closed without any bytes, or the stream has failed.
+          if (!this.abortController_.signal.aborted) {
+            controller.close();
+          }
+          return;
+        }
+
+        let result;
+        try {
+          result = await files.next();
+        } catch (e) {
+          fail(e);
+          return;
+        }
+        if (this.abortController_.signal.aborted) {
+          return;
+        }
+        if (result.done) {
+          controller.close();
+        } else {
+          controller.enqueue(result.value);
+        }
+      },
+      cancel: (reason) => fail(reason),
+    });
+
+    this.writable = new WritableStream({
+      start: (controller) => { writableController = controller; },
+      write: async (chunk) => {
+        // Copy the bytes, since they are transferred to the implementation.
+        const ab = ArrayBuffer.isView(chunk)
+            ? chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength)
+            : chunk.slice(0);
+        if (!this.unarchiver_) {
+          // The files come out whole, so the chunked option does not apply.
+          this.unarchiver_ = this.createUnarchiver(ab,
+              { ...options, signal: undefined, chunked: false });
+          this.unarchiver_.onWaitingForBytes_ = () => {
+            this.waiting_ = true;
+            wakeWriter();
+          };
+          this.unarchiver_.addEventListener(UnarchiveEventType.FINISH, () => {
+            this.done_ = true;
+            wakeWriter();
+          });
+          this.unarchiver_.addEventListener(UnarchiveEventType.ERROR, evt => fail(evt.msg));
+          setFiles(this.unarchiver_.entries(this.abortController_.signal));
+          return;
+        }
+
+        while (!this.waiting_ && !this.done_) {
+          await new Promise(resolve => this.wakeWriter_ = resolve);
+        }
+        if (!this.done_) {
+          this.waiting_ = false;
+          this.unarchiver_.update(ab, true);
+        }
+      },
+      close: async () => {
+        if (!this.unarchiver_) {
+          setFiles(null);
+          return;
+        }
+        while (!this.waiting_ && !this.done_) {
+          await new Promise(resolve => this.wakeWriter_ = resolve);
+        }
+        if (!this.done_) {
+          this.unarchiver_.endInput_();
+        }
+      },
+      abort: (reason) => fail(reason),
+    });
+
+    if (options.signal) {
+      if (options.signal.aborted) {
+        fail(options.signal.reason);
+      } else {
+        options.signal.addEventListener('abort', () => fail(options.signal.reason), { once: true });
+      }
+    }
+  }
+
+  /**
+   * This method must be overridden by the subclass to make the Unarchiver.
+   * @param {ArrayBuffer} ab The first bytes of the archive.
+   * @param {UnarchiverOptions} options
+   * @returns {Unarchiver}
+   * @protected
+   */
+  createUnarchiver(ab, options) {
+    throw 'Subclasses of UnarchiveStream must overload createUnarchiver()';
+  }
+}
+
+export class UnzipStream extends UnarchiveStream {
+  /** @param {UnarchiverOptions} options */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  createUnarchiver(ab, options) { return new Unzipper(ab, options); }
+}
+
+export class UnrarStream extends UnarchiveStream {
+  /** @param {UnarchiverOptions} options */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  createUnarchiver(ab, options) { return new Unrarrer(ab, options); }
+}
+
+export class UntarStream extends UnarchiveStream {
+  /** @param {UnarchiverOptions} options */
+  constructor(options = {}) {
+    super(options);
+  }
+
+  createUnarchiver(ab, options) { return new Untarrer(ab, options); }
+}
+
 // TODO(2.0): When up-revving to a major new version, remove the string type for options.
 
 /**
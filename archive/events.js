@@ -19,7 +19,9 @@ export const UnarchiveEventType = {
   START: 'start',
   APPEND: 'append',
   PROGRESS: 'progress',
+  ENTRY: 'entry',
   EXTRACT: 'extract',
+  EXTRACT_CHUNK: 'extract-chunk',
   FINISH: 'finish',
   INFO: 'info',
   ERROR: 'error'
@@ -130,6 +132,21 @@ export class UnarchiveProgressEvent extends UnarchiveEvent {
   }
 }
 
+/** Entry event, with information about a file in the archive before it is extracted. */
+export class UnarchiveEntryEvent extends UnarchiveEvent {
+  /**
+   * @param {UnarchivedEntry} entry
+   */
+  constructor(entry) {
+    super(UnarchiveEventType.ENTRY);
+
+    /**
+     * @type {UnarchivedEntry}
+     */
+    this.entry = entry;
+  }
+}
+
 /** Extract event. */
 export class UnarchiveExtractEvent extends UnarchiveEvent {
   /**
@@ -144,3 +161,33 @@ export class UnarchiveExtractEvent extends UnarchiveEvent {
     this.unarchivedFile = unarchivedFile;
   }
 }
+
+/** Extract chunk event, with the next part of the data of a file. Sent with the chunked option. */
+export class UnarchiveExtractChunkEvent extends UnarchiveEvent {
+  /**
+   * @param {string} filename
+   * @param {Uint8Array} chunk
+   * @param {boolean} isLastChunk
+   */
+  constructor(filename, chunk, isLastChunk) {
+    super(UnarchiveEventType.EXTRACT_CHUNK);
+
+    /**
+     * The name of the file that the chunk is from.
+     * @type {string}
+     */
+    this.filename = filename;
+
+    /**
+     * The next bytes of the file.
+     * @type {Uint8Array}
+     */
+    this.chunk = chunk;
+
+    /**
+     * Whether this is the end of the file.
+     * @type {boolean}
+     */
+    this.isLastChunk = isLastChunk;
+  }
+}
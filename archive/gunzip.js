@@ -20,10 +20,13 @@ let hostPort;
 let bstream = null;
 // undefined unless a FNAME block is present.
 let filename;
+// Whether to only send the entry, without decompressing it.
+let listOnly = false;
 
 const err = str => hostPort.postMessage({ type: 'error', msg: str });
 
 async function gunzip() {
+  const port = hostPort;
   const sig = bstream.readBytes(2);
   if (sig[0] !== 0x1F || sig[1] !== 0x8B) {
     const errMsg = `First two bytes not 0x1F, 0x8B: ${sig[0].toString(16)} ${sig[1].toString(16)}`;
@@ -45,7 +48,7 @@ async function gunzip() {
   const fname = flags.readBits(1);
   const fcomment = flags.readBits(1);
 
-  bstream.skip(4); // MTIME
+  const mtime = bstream.readNumber(4) >>> 0; // MTIME
   bstream.skip(1); // XFL
   bstream.skip(1); // OS
 
@@ -60,25 +63,56 @@ async function gunzip() {
     const findNull = bstream.tee();
     while (findNull.readNumber(1) !== 0) numBytes++;
     filename = bstream.readString(numBytes);
+    bstream.skip(1);
   }
 
+  let comment;
   if (fcomment) {
     // Find the null-terminator byte.
     let numBytes = 0;
     const findNull = bstream.tee();
     while (findNull.readNumber(1) !== 0) numBytes++;
-    bstream.skip(numBytes); // COMMENT
+    comment = bstream.readString(numBytes);
+    bstream.skip(1);
   }
 
   if (fhcrc) {
     bstream.readNumber(2); // CRC16
   }
 
+  // The compressed blocks are followed by the CRC32 and the size of the original data (mod 2^32).
+  const compressedSize = bstream.getNumBytesLeft() - 8;
+  const trailer = bstream.tee();
+  trailer.skip(compressedSize + 4);
+  const entry = {
+    filename,
+    compressedSize,
+    uncompressedSize: trailer.readNumber(4) >>> 0,
+    // An MTIME of zero means there is no time stamp.
+    lastModified: mtime ? new Date(mtime * 1000) : undefined,
+    // Gzip does not keep the permissions of the file.
+    mode: undefined,
+    isDirectory: false,
+    isSymlink: false,
+    compressionMethod,
+    isEncrypted: false,
+    comment,
+  };
+  hostPort.postMessage({ type: 'entry', entry });
+  if (listOnly) {
+    hostPort.postMessage({ type: 'finish', metadata: {} });
+    return;
+  }
+
   // Now try to use native implementation of INFLATE, if supported by the runtime.
   const blob = new Blob([bstream.bytes.buffer]);
   const decompressedStream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
   const fileData = new Uint8Array(await new Response(decompressedStream).arrayBuffer());
-  const unarchivedFile = { filename, fileData };
+  if (hostPort !== port) {
+    // The host stopped the gunzip while the file was being decompressed.
+    return;
+  }
+  const unarchivedFile = { ...entry, fileData };
   hostPort.postMessage({ type: 'extract', unarchivedFile }, [fileData.buffer]);
 
   // TODO: Supported chunked decompression?
@@ -88,12 +122,19 @@ async function gunzip() {
 }
 
 // event.data.file has the first ArrayBuffer.
+// event.data.resume is sent when the host takes the extracted file.
 const onmessage = async function (event) {
+  if (event.data.resume) {
+    // There is only ever one file, so there is no next file to hold back.
+    return;
+  }
+
   const bytes = event.data.file;
 
   if (!bstream) {
     bstream = new ByteStream(bytes);
     bstream.setLittleEndian(true);
+    listOnly = !!event.data.listOnly;
   } else {
     throw `Gunzipper does not calling update() with more bytes. Send the whole file with start().`
   }
@@ -122,4 +163,5 @@ export function disconnect() {
   hostPort = null;
   bstream = null;
   filename = undefined;
+  listOnly = false;
 }
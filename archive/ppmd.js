@@ -0,0 +1,1267 @@
+/**
+ * ppmd.js
+ *
+ * Licensed under the MIT License
+ *
+ * Copyright(c) 2026 Google Inc.
+ *
+ * An implementation of Dmitry Shkarin's PPMd var.H model and Dmitry Subbotin's carryless range
+ * decoder, which RAR 3.x archives use for text compression.
+ * Adapted from model.cpp, suballoc.cpp and coder.cpp in unrar.
+ *
+ * All model structures live in a single Uint8Array heap and are referred to by their byte offset
+ * into it, with 0 playing the role of the null pointer. The structures are laid out like their C
+ * counterparts (little-endian, packed into 12 byte units):
+ *
+ * RARPPM_CONTEXT (12 bytes):
+ *   0: NumStats (uint16)
+ *   2: SummFreq (uint16) or OneState (RARPPM_STATE, 6 bytes)
+ *   4: Stats (uint32)
+ *   8: Suffix (uint32)
+ *
+ * RARPPM_STATE (6 bytes):
+ *   0: Symbol (uint8)
+ *   1: Freq (uint8)
+ *   2: Successor (uint32)
+ *
+ * RARPPM_MEM_BLK (12 bytes):
+ *   0: Stamp (uint16)
+ *   2: NU (uint16)
+ *   4: next (uint32)
+ *   8: prev (uint32)
+ */
+
+/** @typedef {import('../io/bitstream.js').BitStream} BitStream */
+
+const INT_BITS = 7;
+const PERIOD_BITS = 7;
+const TOT_BITS = INT_BITS + PERIOD_BITS;
+const INTERVAL = 1 << INT_BITS;
+const BIN_SCALE = 1 << TOT_BITS;
+const MAX_FREQ = 124;
+
+const TOP = 1 << 24;
+const BOT = 1 << 15;
+
+const UNIT_SIZE = 12;
+const STATE_SIZE = 6;
+
+const N1 = 4;
+const N2 = 4;
+const N3 = 4;
+const N4 = Math.floor((128 + 3 - 1 * N1 - 2 * N2 - 3 * N3) / 4);
+const N_INDEXES = N1 + N2 + N3 + N4;
+
+const InitBinEsc = [0x3CDD, 0x1F3F, 0x59BF, 0x48F3, 0x64A1, 0x5ABC, 0x6632, 0x6051];
+
+// Tabulated escapes for exponential symbol distribution.
+const ExpEscape = [25, 14, 9, 7, 5, 5, 4, 4, 4, 3, 3, 3, 2, 2, 2, 2];
+
+/**
+ * @param {Uint8Array} heap
+ * @param {number} p
+ * @returns {number}
+ */
+function get16(heap, p) {
+  return heap[p] | (heap[p + 1] << 8);
+}
+
+/**
+ * @param {Uint8Array} heap
+ * @param {number} p
+ * @param {number} val
+ */
+function set16(heap, p, val) {
+  heap[p] = val & 0xff;
+  heap[p + 1] = (val >>> 8) & 0xff;
+}
+
+/**
+ * @param {Uint8Array} heap
+ * @param {number} p
+ * @returns {number}
+ */
+function get32(heap, p) {
+  return (heap[p] | (heap[p + 1] << 8) | (heap[p + 2] << 16) | (heap[p + 3] << 24)) >>> 0;
+}
+
+/**
+ * @param {Uint8Array} heap
+ * @param {number} p
+ * @param {number} val
+ */
+function set32(heap, p, val) {
+  heap[p] = val & 0xff;
+  heap[p + 1] = (val >>> 8) & 0xff;
+  heap[p + 2] = (val >>> 16) & 0xff;
+  heap[p + 3] = (val >>> 24) & 0xff;
+}
+
+/**
+ * Swaps the two RARPPM_STATE structures at offsets a and b.
+ * @param {Uint8Array} heap
+ * @param {number} a
+ * @param {number} b
+ */
+function swapStates(heap, a, b) {
+  for (let i = 0; i < STATE_SIZE; ++i) {
+    const tmp = heap[a + i];
+    heap[a + i] = heap[b + i];
+    heap[b + i] = tmp;
+  }
+}
+
+/**
+ * Copies the RARPPM_STATE structure at offset src over the one at offset dst.
+ * @param {Uint8Array} heap
+ * @param {number} dst
+ * @param {number} src
+ */
+function copyState(heap, dst, src) {
+  heap.copyWithin(dst, src, src + STATE_SIZE);
+}
+
+/**
+ * SEE-context for PPM-contexts with masked symbols.
+ */
+class See2Context {
+  constructor() {
+    this.summ = 0;
+    this.shift = 0;
+    this.count = 0;
+  }
+
+  /** @param {number} initVal */
+  init(initVal) {
+    this.shift = PERIOD_BITS - 4;
+    this.summ = (initVal << this.shift) & 0xffff;
+    this.count = 4;
+  }
+
+  /** @returns {number} */
+  getMean() {
+    const retVal = this.summ >>> this.shift;
+    this.summ = (this.summ - retVal) & 0xffff;
+    return retVal + (retVal == 0 ? 1 : 0);
+  }
+
+  update() {
+    if (this.shift < PERIOD_BITS) {
+      this.count = (this.count - 1) & 0xff;
+      if (this.count == 0) {
+        this.summ = (this.summ + this.summ) & 0xffff;
+        this.count = (3 << this.shift++) & 0xff;
+      }
+    }
+  }
+}
+
+/**
+ * Carryless range decoder by Dmitry Subbotin.
+ */
+class RangeCoder {
+  constructor() {
+    this.low = 0;
+    this.code = 0;
+    this.range = 0;
+
+    // The SubRange structure.
+    this.lowCount = 0;
+    this.highCount = 0;
+    this.scale = 0;
+
+    /** @type {BitStream} */
+    this.bstream = null;
+  }
+
+  /**
+   * Reads the next byte of the compressed data. Range coded data is always byte-aligned.
+   * @returns {number}
+   */
+  getChar() {
+    return this.bstream.readBits(8);
+  }
+
+  initDecoder() {
+    this.low = 0;
+    this.code = 0;
+    this.range = 0xffffffff;
+    for (let i = 0; i < 4; i++) {
+      this.code = ((this.code << 8) | this.getChar()) >>> 0;
+    }
+  }
+
+  /** @returns {number} */
+  getCurrentCount() {
+    this.range = Math.floor(this.range / this.scale);
+    return Math.floor(((this.code - this.low) >>> 0) / this.range);
+  }
+
+  /**
+   * @param {number} shift
+   * @returns {number}
+   */
+  getCurrentShiftCount(shift) {
+    this.range = this.range >>> shift;
+    return Math.floor(((this.code - this.low) >>> 0) / this.range);
+  }
+
+  decode() {
+    this.low = (this.low + this.range * this.lowCount) >>> 0;
+    this.range = (this.range * (this.highCount - this.lowCount)) >>> 0;
+  }
+
+  /** The ARI_DEC_NORMALIZE macro. */
+  normalize() {
+    while (true) {
+      if (((this.low ^ (this.low + this.range)) >>> 0) >= TOP) {
+        if (this.range >= BOT) {
+          break;
+        }
+        this.range = -this.low & (BOT - 1);
+      }
+      this.code = ((this.code << 8) | this.getChar()) >>> 0;
+      this.range = (this.range << 8) >>> 0;
+      this.low = (this.low << 8) >>> 0;
+    }
+  }
+}
+
+/**
+ * Memory allocator for the model. Hands out blocks of 12 byte units from the heap.
+ */
+class SubAllocator {
+  constructor() {
+    this.subAllocatorSize = 0;
+
+    /** @type {Uint8Array} */
+    this.heap = null;
+
+    this.indx2Units = new Uint8Array(N_INDEXES);
+    this.units2Indx = new Uint8Array(128);
+    this.glueCount = 0;
+    this.freeList = new Uint32Array(N_INDEXES);
+
+    this.heapStart = 0;
+    this.loUnit = 0;
+    this.hiUnit = 0;
+    this.pText = 0;
+    this.unitsStart = 0;
+    this.heapEnd = 0;
+    this.fakeUnitsStart = 0;
+
+    /**
+     * An extra unit past the end of the heap that serves as the head of the list of free blocks
+     * in glueFreeBlocks_().
+     */
+    this.blockListHead_ = 0;
+  }
+
+  /** @returns {number} */
+  getAllocatedMemory() {
+    return this.subAllocatorSize;
+  }
+
+  /**
+   * @param {number} saSize The size of the heap, in megabytes.
+   * @returns {boolean}
+   */
+  startSubAllocator(saSize) {
+    const t = saSize << 20;
+    if (this.subAllocatorSize == t) {
+      return true;
+    }
+    this.stopSubAllocator();
+
+    // Add two more units: one as reserve for HeapEnd overflow checks and another to provide the
+    // space to align UnitsStart.
+    const allocSize = Math.floor(t / UNIT_SIZE) * UNIT_SIZE + 2 * UNIT_SIZE;
+    this.heap = new Uint8Array(allocSize + UNIT_SIZE);
+    this.blockListHead_ = allocSize;
+
+    // HeapEnd is used to control invalid memory access attempts when processing corrupt data.
+    this.heapEnd = this.heapStart + allocSize - UNIT_SIZE;
+
+    this.subAllocatorSize = t;
+    return true;
+  }
+
+  stopSubAllocator() {
+    if (this.subAllocatorSize) {
+      this.subAllocatorSize = 0;
+      this.heap = null;
+    }
+  }
+
+  initSubAllocator() {
+    this.freeList.fill(0);
+    this.pText = this.heapStart;
+
+    // Size2 is the (HiUnit-LoUnit) memory area size, which is 7/8 of the total size.
+    const size2 = UNIT_SIZE * (Math.floor(this.subAllocatorSize / 8 / UNIT_SIZE) * 7);
+
+    // Size1 is the size of the memory area from HeapStart to FakeUnitsStart. This area can
+    // contain different data types, both single symbols and structures. One more unit is added to
+    // the real size to keep UnitsStart aligned to UNIT_SIZE.
+    const size1 = this.subAllocatorSize - size2;
+    const realSize1 = Math.floor(size1 / UNIT_SIZE) * UNIT_SIZE + UNIT_SIZE;
+    this.loUnit = this.unitsStart = this.heapStart + realSize1;
+
+    // When we reach FakeUnitsStart, we restart the model.
+    this.fakeUnitsStart = this.heapStart + size1;
+    this.hiUnit = this.loUnit + size2;
+
+    let i = 0;
+    let k = 1;
+    for (; i < N1; i++, k += 1) {
+      this.indx2Units[i] = k;
+    }
+    for (k++; i < N1 + N2; i++, k += 2) {
+      this.indx2Units[i] = k;
+    }
+    for (k++; i < N1 + N2 + N3; i++, k += 3) {
+      this.indx2Units[i] = k;
+    }
+    for (k++; i < N1 + N2 + N3 + N4; i++, k += 4) {
+      this.indx2Units[i] = k;
+    }
+    this.glueCount = 0;
+    for (k = i = 0; k < 128; k++) {
+      i += (this.indx2Units[i] < k + 1) ? 1 : 0;
+      this.units2Indx[k] = i;
+    }
+  }
+
+  /**
+   * @param {number} p
+   * @param {number} indx
+   * @private
+   */
+  insertNode_(p, indx) {
+    set32(this.heap, p, this.freeList[indx]);
+    this.freeList[indx] = p;
+  }
+
+  /**
+   * @param {number} indx
+   * @returns {number}
+   * @private
+   */
+  removeNode_(indx) {
+    const retVal = this.freeList[indx];
+    this.freeList[indx] = get32(this.heap, retVal);
+    return retVal;
+  }
+
+  /**
+   * @param {number} nu
+   * @returns {number}
+   * @private
+   */
+  u2b_(nu) {
+    return UNIT_SIZE * nu;
+  }
+
+  /**
+   * @param {number} pv
+   * @param {number} oldIndx
+   * @param {number} newIndx
+   * @private
+   */
+  splitBlock_(pv, oldIndx, newIndx) {
+    let uDiff = this.indx2Units[oldIndx] - this.indx2Units[newIndx];
+    let p = pv + this.u2b_(this.indx2Units[newIndx]);
+    let i = this.units2Indx[uDiff - 1];
+    if (this.indx2Units[i] != uDiff) {
+      this.insertNode_(p, --i);
+      p += this.u2b_(i = this.indx2Units[i]);
+      uDiff -= i;
+    }
+    this.insertNode_(p, this.units2Indx[uDiff - 1]);
+  }
+
+  /**
+   * Inserts the memory block at p after the memory block at prev.
+   * @param {number} p
+   * @param {number} prev
+   * @private
+   */
+  insertBlockAt_(p, prev) {
+    const heap = this.heap;
+    const next = get32(heap, prev + 4);
+    set32(heap, p + 8, prev);
+    set32(heap, p + 4, next);
+    set32(heap, next + 8, p);
+    set32(heap, prev + 4, p);
+  }
+
+  /**
+   * @param {number} p
+   * @private
+   */
+  removeBlock_(p) {
+    const heap = this.heap;
+    const next = get32(heap, p + 4);
+    const prev = get32(heap, p + 8);
+    set32(heap, prev + 4, next);
+    set32(heap, next + 8, prev);
+  }
+
+  /** @private */
+  glueFreeBlocks_() {
+    const heap = this.heap;
+    const s0 = this.blockListHead_;
+    if (this.loUnit != this.hiUnit) {
+      heap[this.loUnit] = 0;
+    }
+    set16(heap, s0, 0);
+    set32(heap, s0 + 4, s0);
+    set32(heap, s0 + 8, s0);
+    for (let i = 0; i < N_INDEXES; i++) {
+      while (this.freeList[i]) {
+        const p = this.removeNode_(i);
+        this.insertBlockAt_(p, s0);
+        set16(heap, p, 0xffff);
+        set16(heap, p + 2, this.indx2Units[i]);
+      }
+    }
+
+    for (let p = get32(heap, s0 + 4); p != s0; p = get32(heap, p + 4)) {
+      let p1;
+      while (get16(heap, p1 = p + this.u2b_(get16(heap, p + 2))) == 0xffff &&
+          get16(heap, p + 2) + get16(heap, p1 + 2) < 0x10000) {
+        this.removeBlock_(p1);
+        set16(heap, p + 2, get16(heap, p + 2) + get16(heap, p1 + 2));
+      }
+    }
+
+    let p;
+    while ((p = get32(heap, s0 + 4)) != s0) {
+      this.removeBlock_(p);
+      let sz = get16(heap, p + 2);
+      for (; sz > 128; sz -= 128, p += this.u2b_(128)) {
+        this.insertNode_(p, N_INDEXES - 1);
+      }
+      let i = this.units2Indx[sz - 1];
+      if (this.indx2Units[i] != sz) {
+        const k = sz - this.indx2Units[--i];
+        this.insertNode_(p + this.u2b_(sz - k), k - 1);
+      }
+      this.insertNode_(p, i);
+    }
+  }
+
+  /**
+   * @param {number} indx
+   * @returns {number}
+   * @private
+   */
+  allocUnitsRare_(indx) {
+    if (!this.glueCount) {
+      this.glueCount = 255;
+      this.glueFreeBlocks_();
+      if (this.freeList[indx]) {
+        return this.removeNode_(indx);
+      }
+    }
+    let i = indx;
+    do {
+      if (++i == N_INDEXES) {
+        this.glueCount--;
+        const numBytes = this.u2b_(this.indx2Units[indx]);
+        if (this.fakeUnitsStart - this.pText > numBytes) {
+          this.fakeUnitsStart -= numBytes;
+          this.unitsStart -= numBytes;
+          return this.unitsStart;
+        }
+        return 0;
+      }
+    } while (!this.freeList[i]);
+    const retVal = this.removeNode_(i);
+    this.splitBlock_(retVal, i, indx);
+    return retVal;
+  }
+
+  /**
+   * @param {number} nu The number of units.
+   * @returns {number}
+   */
+  allocUnits(nu) {
+    const indx = this.units2Indx[nu - 1];
+    if (this.freeList[indx]) {
+      return this.removeNode_(indx);
+    }
+    const retVal = this.loUnit;
+    this.loUnit += this.u2b_(this.indx2Units[indx]);
+    if (this.loUnit <= this.hiUnit) {
+      return retVal;
+    }
+    this.loUnit -= this.u2b_(this.indx2Units[indx]);
+    return this.allocUnitsRare_(indx);
+  }
+
+  /** @returns {number} */
+  allocContext() {
+    if (this.hiUnit != this.loUnit) {
+      return (this.hiUnit -= UNIT_SIZE);
+    }
+    if (this.freeList[0]) {
+      return this.removeNode_(0);
+    }
+    return this.allocUnitsRare_(0);
+  }
+
+  /**
+   * @param {number} oldPtr
+   * @param {number} oldNU
+   * @returns {number}
+   */
+  expandUnits(oldPtr, oldNU) {
+    const i0 = this.units2Indx[oldNU - 1];
+    const i1 = this.units2Indx[oldNU - 1 + 1];
+    if (i0 == i1) {
+      return oldPtr;
+    }
+    const ptr = this.allocUnits(oldNU + 1);
+    if (ptr) {
+      this.heap.copyWithin(ptr, oldPtr, oldPtr + this.u2b_(oldNU));
+      this.insertNode_(oldPtr, i0);
+    }
+    return ptr;
+  }
+
+  /**
+   * @param {number} oldPtr
+   * @param {number} oldNU
+   * @param {number} newNU
+   * @returns {number}
+   */
+  shrinkUnits(oldPtr, oldNU, newNU) {
+    const i0 = this.units2Indx[oldNU - 1];
+    const i1 = this.units2Indx[newNU - 1];
+    if (i0 == i1) {
+      return oldPtr;
+    }
+    if (this.freeList[i1]) {
+      const ptr = this.removeNode_(i1);
+      this.heap.copyWithin(ptr, oldPtr, oldPtr + this.u2b_(newNU));
+      this.insertNode_(oldPtr, i0);
+      return ptr;
+    }
+    this.splitBlock_(oldPtr, i0, i1);
+    return oldPtr;
+  }
+
+  /**
+   * @param {number} ptr
+   * @param {number} oldNU
+   */
+  freeUnits(ptr, oldNU) {
+    this.insertNode_(ptr, this.units2Indx[oldNU - 1]);
+  }
+}
+
+/**
+ * The PPMd var.H model, as used by RAR 3.x.
+ */
+export class ModelPPM {
+  constructor() {
+    /** @type {Array<See2Context>} SEE2Cont[25][16] */
+    this.see2Cont_ = [];
+    for (let i = 0; i < 25 * 16; ++i) {
+      this.see2Cont_.push(new See2Context());
+    }
+    this.dummySee2Cont_ = new See2Context();
+
+    this.minContext_ = 0;
+    this.maxContext_ = 0;
+    /** The found next state transition. */
+    this.foundState_ = 0;
+    this.numMasked_ = 0;
+    this.initEsc_ = 0;
+    this.orderFall_ = 0;
+    this.maxOrder_ = 0;
+    this.runLength_ = 0;
+    this.initRL_ = 0;
+
+    this.charMask_ = new Uint8Array(256);
+    this.ns2Indx_ = new Uint8Array(256);
+    this.ns2BSIndx_ = new Uint8Array(256);
+    this.hb2Flag_ = new Uint8Array(256);
+    this.escCount_ = 0;
+    this.prevSuccess_ = 0;
+    this.hiBitsFlag_ = 0;
+
+    /** Binary SEE-contexts, BinSumm[128][64]. */
+    this.binSumm_ = new Uint16Array(128 * 64);
+
+    this.coder_ = new RangeCoder();
+    this.subAlloc_ = new SubAllocator();
+
+    /**
+     * Scratch space for decodeSymbol2_().
+     * @type {Array<number>}
+     */
+    this.ps_ = new Array(256).fill(0);
+  }
+
+  /**
+   * Sets the stream that the range coder reads bytes from. In solid archives, a PPM block can
+   * continue into the packed data of the next file.
+   * @param {BitStream} bstream
+   */
+  setBitStream(bstream) {
+    this.coder_.bstream = bstream;
+  }
+
+  /**
+   * Reset PPM variables after a data error, allowing safe resuming of further data processing.
+   */
+  cleanUp() {
+    this.subAlloc_.stopSubAllocator();
+    this.subAlloc_.startSubAllocator(1);
+    this.startModelRare_(2);
+  }
+
+  /**
+   * Reads the parameters at the start of a PPM block and initializes the range coder, restarting
+   * the model if the block asks for it.
+   * @param {BitStream} bstream The byte-aligned stream of compressed data.
+   * @param {number} escChar The current escape character.
+   * @returns {number} The escape character to use for this block, or -1 if the block could not
+   *     be initialized.
+   */
+  decodeInit(bstream, escChar) {
+    this.setBitStream(bstream);
+    const coder = this.coder_;
+    let maxOrder = coder.getChar();
+    const reset = (maxOrder & 0x20) != 0;
+
+    let maxMB = 0;
+    if (reset) {
+      maxMB = coder.getChar();
+    } else if (this.subAlloc_.getAllocatedMemory() == 0) {
+      return -1;
+    }
+    if (maxOrder & 0x40) {
+      escChar = coder.getChar();
+    }
+    coder.initDecoder();
+    if (reset) {
+      maxOrder = (maxOrder & 0x1f) + 1;
+      if (maxOrder > 16) {
+        maxOrder = 16 + (maxOrder - 16) * 3;
+      }
+      if (maxOrder == 1) {
+        this.subAlloc_.stopSubAllocator();
+        return -1;
+      }
+      this.subAlloc_.startSubAllocator(maxMB + 1);
+      this.startModelRare_(maxOrder);
+    }
+    return (this.minContext_ != 0) ? escChar : -1;
+  }
+
+  /**
+   * Decodes the next symbol.
+   * @returns {number} The symbol or -1 if the data is corrupt.
+   */
+  decodeChar() {
+    const subAlloc = this.subAlloc_;
+    const heap = subAlloc.heap;
+    const coder = this.coder_;
+    if (this.minContext_ <= subAlloc.pText || this.minContext_ > subAlloc.heapEnd) {
+      return -1;
+    }
+    if (get16(heap, this.minContext_) != 1) {
+      const stats = get32(heap, this.minContext_ + 4);
+      if (stats <= subAlloc.pText || stats > subAlloc.heapEnd) {
+        return -1;
+      }
+      if (!this.decodeSymbol1_(this.minContext_)) {
+        return -1;
+      }
+    } else {
+      this.decodeBinSymbol_(this.minContext_);
+    }
+    coder.decode();
+    while (!this.foundState_) {
+      coder.normalize();
+      do {
+        this.orderFall_++;
+        this.minContext_ = get32(heap, this.minContext_ + 8);
+        if (this.minContext_ <= subAlloc.pText || this.minContext_ > subAlloc.heapEnd) {
+          return -1;
+        }
+      } while (get16(heap, this.minContext_) == this.numMasked_);
+      if (!this.decodeSymbol2_(this.minContext_)) {
+        return -1;
+      }
+      coder.decode();
+    }
+    const symbol = heap[this.foundState_];
+    const successor = get32(heap, this.foundState_ + 2);
+    if (!this.orderFall_ && successor > subAlloc.pText) {
+      this.minContext_ = this.maxContext_ = successor;
+    } else {
+      this.updateModel_();
+      if (this.escCount_ == 0) {
+        this.clearMask_();
+      }
+    }
+    coder.normalize();
+    return symbol;
+  }
+
+  /** @private */
+  restartModelRare_() {
+    const subAlloc = this.subAlloc_;
+    this.charMask_.fill(0);
+    subAlloc.initSubAllocator();
+    const heap = subAlloc.heap;
+    this.initRL_ = -(this.maxOrder_ < 12 ? this.maxOrder_ : 12) - 1;
+    this.minContext_ = this.maxContext_ = subAlloc.allocContext();
+    set32(heap, this.minContext_ + 8, 0);
+    this.orderFall_ = this.maxOrder_;
+    set16(heap, this.minContext_, 256);
+    set16(heap, this.minContext_ + 2, 256 + 1);
+    const stats = subAlloc.allocUnits(256 / 2);
+    this.foundState_ = stats;
+    set32(heap, this.minContext_ + 4, stats);
+    this.runLength_ = this.initRL_;
+    this.prevSuccess_ = 0;
+    for (let i = 0; i < 256; i++) {
+      const s = stats + i * STATE_SIZE;
+      heap[s] = i;
+      heap[s + 1] = 1;
+      set32(heap, s + 2, 0);
+    }
+
+    for (let i = 0; i < 128; i++) {
+      for (let k = 0; k < 8; k++) {
+        for (let m = 0; m < 64; m += 8) {
+          this.binSumm_[i * 64 + k + m] = BIN_SCALE - Math.floor(InitBinEsc[k] / (i + 2));
+        }
+      }
+    }
+    for (let i = 0; i < 25; i++) {
+      for (let k = 0; k < 16; k++) {
+        this.see2Cont_[i * 16 + k].init(5 * i + 10);
+      }
+    }
+  }
+
+  /**
+   * @param {number} maxOrder
+   * @private
+   */
+  startModelRare_(maxOrder) {
+    this.escCount_ = 1;
+    this.maxOrder_ = maxOrder;
+    this.restartModelRare_();
+    this.ns2BSIndx_[0] = 2 * 0;
+    this.ns2BSIndx_[1] = 2 * 1;
+    this.ns2BSIndx_.fill(2 * 2, 2, 11);
+    this.ns2BSIndx_.fill(2 * 3, 11, 256);
+    let i = 0;
+    for (; i < 3; i++) {
+      this.ns2Indx_[i] = i;
+    }
+    for (let m = i, k = 1, step = 1; i < 256; i++) {
+      this.ns2Indx_[i] = m;
+      if (!--k) {
+        k = ++step;
+        m++;
+      }
+    }
+    this.hb2Flag_.fill(0, 0, 0x40);
+    this.hb2Flag_.fill(0x08, 0x40, 0x100);
+    this.dummySee2Cont_.shift = PERIOD_BITS;
+  }
+
+  /**
+   * @param {number} ctx
+   * @private
+   */
+  rescale_(ctx) {
+    const heap = this.subAlloc_.heap;
+    const oldNS = get16(heap, ctx);
+    let numStats = oldNS;
+    let i = numStats - 1;
+    let stats = get32(heap, ctx + 4);
+    let p;
+    for (p = this.foundState_; p != stats; p -= STATE_SIZE) {
+      swapStates(heap, p, p - STATE_SIZE);
+    }
+    heap[stats + 1] += 4;
+    let summFreq = get16(heap, ctx + 2) + 4;
+    let escFreq = summFreq - heap[p + 1];
+    const adder = (this.orderFall_ != 0) ? 1 : 0;
+    summFreq = (heap[p + 1] = (heap[p + 1] + adder) >> 1);
+    do {
+      p += STATE_SIZE;
+      escFreq -= heap[p + 1];
+      summFreq += (heap[p + 1] = (heap[p + 1] + adder) >> 1);
+      if (heap[p + 1] > heap[p - STATE_SIZE + 1]) {
+        const tmpSymbol = heap[p];
+        const tmpFreq = heap[p + 1];
+        const tmpSuccessor = get32(heap, p + 2);
+        let p1 = p;
+        do {
+          copyState(heap, p1, p1 - STATE_SIZE);
+          p1 -= STATE_SIZE;
+        } while (p1 != stats && tmpFreq > heap[p1 - STATE_SIZE + 1]);
+        heap[p1] = tmpSymbol;
+        heap[p1 + 1] = tmpFreq;
+        set32(heap, p1 + 2, tmpSuccessor);
+      }
+    } while (--i);
+    if (heap[p + 1] == 0) {
+      do {
+        i++;
+        p -= STATE_SIZE;
+      } while (heap[p + 1] == 0);
+      escFreq += i;
+      numStats -= i;
+      set16(heap, ctx, numStats);
+      if (numStats == 1) {
+        const tmpSymbol = heap[stats];
+        let tmpFreq = heap[stats + 1];
+        const tmpSuccessor = get32(heap, stats + 2);
+        do {
+          tmpFreq -= (tmpFreq >> 1);
+          escFreq >>= 1;
+        } while (escFreq > 1);
+        this.subAlloc_.freeUnits(stats, (oldNS + 1) >> 1);
+        this.foundState_ = ctx + 2;
+        heap[ctx + 2] = tmpSymbol;
+        heap[ctx + 3] = tmpFreq;
+        set32(heap, ctx + 4, tmpSuccessor);
+        return;
+      }
+    }
+    summFreq += (escFreq -= (escFreq >> 1));
+    set16(heap, ctx + 2, summFreq);
+    const n0 = (oldNS + 1) >> 1;
+    const n1 = (numStats + 1) >> 1;
+    if (n0 != n1) {
+      stats = this.subAlloc_.shrinkUnits(stats, n0, n1);
+      set32(heap, ctx + 4, stats);
+    }
+    this.foundState_ = stats;
+  }
+
+  /**
+   * Creates a new context with one state as a child of ctx and links it from the state pStats.
+   * @param {number} ctx
+   * @param {number} pStats
+   * @param {number} symbol The symbol of the first state.
+   * @param {number} freq The frequency of the first state.
+   * @param {number} successor The successor of the first state.
+   * @returns {number}
+   * @private
+   */
+  createChild_(ctx, pStats, symbol, freq, successor) {
+    const heap = this.subAlloc_.heap;
+    const pc = this.subAlloc_.allocContext();
+    if (pc) {
+      set16(heap, pc, 1);
+      heap[pc + 2] = symbol;
+      heap[pc + 3] = freq;
+      set32(heap, pc + 4, successor);
+      set32(heap, pc + 8, ctx);
+      set32(heap, pStats + 2, pc);
+    }
+    return pc;
+  }
+
+  /**
+   * @param {boolean} skip
+   * @param {number} p1
+   * @returns {number}
+   * @private
+   */
+  createSuccessors_(skip, p1) {
+    const subAlloc = this.subAlloc_;
+    const heap = subAlloc.heap;
+    const fsSymbol = heap[this.foundState_];
+    let pc = this.minContext_;
+    const upBranch = get32(heap, this.foundState_ + 2);
+    /** @type {Array<number>} */
+    const ps = [];
+    let p = 0;
+    let noLoop = false;
+    if (!skip) {
+      ps.push(this.foundState_);
+      if (!get32(heap, pc + 8)) {
+        noLoop = true;
+      }
+    }
+    if (!noLoop) {
+      let loopEntry = false;
+      if (p1) {
+        p = p1;
+        pc = get32(heap, pc + 8);
+        loopEntry = true;
+      }
+      do {
+        if (!loopEntry) {
+          pc = get32(heap, pc + 8);
+          if (get16(heap, pc) != 1) {
+            p = get32(heap, pc + 4);
+            while (heap[p] != fsSymbol) {
+              p += STATE_SIZE;
+            }
+          } else {
+            p = pc + 2;
+          }
+        }
+        loopEntry = false;
+        if (get32(heap, p + 2) != upBranch) {
+          pc = get32(heap, p + 2);
+          break;
+        }
+        ps.push(p);
+      } while (get32(heap, pc + 8));
+    }
+
+    if (ps.length == 0) {
+      return pc;
+    }
+    const upSymbol = heap[upBranch];
+    const upSuccessor = upBranch + 1;
+    let upFreq;
+    if (get16(heap, pc) != 1) {
+      if (pc <= subAlloc.pText) {
+        return 0;
+      }
+      p = get32(heap, pc + 4);
+      while (heap[p] != upSymbol) {
+        p += STATE_SIZE;
+      }
+      const cf = heap[p + 1] - 1;
+      const s0 = (get16(heap, pc + 2) - get16(heap, pc) - cf) >>> 0;
+      upFreq = 1 + ((2 * cf <= s0) ? ((5 * cf > s0) ? 1 : 0) :
+        Math.floor(((2 * cf + 3 * s0 - 1) >>> 0) / ((2 * s0) >>> 0)));
+    } else {
+      upFreq = heap[pc + 3];
+    }
+    do {
+      pc = this.createChild_(pc, ps.pop(), upSymbol, upFreq, upSuccessor);
+      if (!pc) {
+        return 0;
+      }
+    } while (ps.length);
+    return pc;
+  }
+
+  /** @private */
+  updateModel_() {
+    const subAlloc = this.subAlloc_;
+    const heap = subAlloc.heap;
+    const fsSymbol = heap[this.foundState_];
+    const fsFreq = heap[this.foundState_ + 1];
+    let fsSuccessor = get32(heap, this.foundState_ + 2);
+    let p = 0;
+    let pc = get32(heap, this.minContext_ + 8);
+
+    restartModel: {
+      if (fsFreq < MAX_FREQ / 4 && pc != 0) {
+        if (get16(heap, pc) != 1) {
+          p = get32(heap, pc + 4);
+          if (heap[p] != fsSymbol) {
+            do {
+              p += STATE_SIZE;
+            } while (heap[p] != fsSymbol);
+            if (heap[p + 1] >= heap[p - STATE_SIZE + 1]) {
+              swapStates(heap, p, p - STATE_SIZE);
+              p -= STATE_SIZE;
+            }
+          }
+          if (heap[p + 1] < MAX_FREQ - 9) {
+            heap[p + 1] += 2;
+            set16(heap, pc + 2, get16(heap, pc + 2) + 2);
+          }
+        } else {
+          p = pc + 2;
+          heap[p + 1] += (heap[p + 1] < 32) ? 1 : 0;
+        }
+      }
+      if (!this.orderFall_) {
+        this.minContext_ = this.maxContext_ = this.createSuccessors_(true, p);
+        set32(heap, this.foundState_ + 2, this.minContext_);
+        if (!this.minContext_) {
+          break restartModel;
+        }
+        return;
+      }
+      heap[subAlloc.pText++] = fsSymbol;
+      let successor = subAlloc.pText;
+      if (subAlloc.pText >= subAlloc.fakeUnitsStart) {
+        break restartModel;
+      }
+      if (fsSuccessor) {
+        if (fsSuccessor <= subAlloc.pText &&
+            (fsSuccessor = this.createSuccessors_(false, p)) == 0) {
+          break restartModel;
+        }
+        if (!--this.orderFall_) {
+          successor = fsSuccessor;
+          subAlloc.pText -= (this.maxContext_ != this.minContext_) ? 1 : 0;
+        }
+      } else {
+        set32(heap, this.foundState_ + 2, successor);
+        fsSuccessor = this.minContext_;
+      }
+      const ns = get16(heap, this.minContext_);
+      const s0 = (get16(heap, this.minContext_ + 2) - ns - (fsFreq - 1)) >>> 0;
+      for (pc = this.maxContext_; pc != this.minContext_; pc = get32(heap, pc + 8)) {
+        let ns1 = get16(heap, pc);
+        if (ns1 != 1) {
+          if ((ns1 & 1) == 0) {
+            const stats = subAlloc.expandUnits(get32(heap, pc + 4), ns1 >> 1);
+            set32(heap, pc + 4, stats);
+            if (!stats) {
+              break restartModel;
+            }
+          }
+          const summFreq = get16(heap, pc + 2);
+          set16(heap, pc + 2, summFreq + ((2 * ns1 < ns) ? 1 : 0) +
+            2 * (((4 * ns1 <= ns) ? 1 : 0) & ((summFreq <= 8 * ns1) ? 1 : 0)));
+        } else {
+          p = subAlloc.allocUnits(1);
+          if (!p) {
+            break restartModel;
+          }
+          copyState(heap, p, pc + 2);
+          set32(heap, pc + 4, p);
+          if (heap[p + 1] < MAX_FREQ / 4 - 1) {
+            heap[p + 1] += heap[p + 1];
+          } else {
+            heap[p + 1] = MAX_FREQ - 4;
+          }
+          set16(heap, pc + 2, heap[p + 1] + this.initEsc_ + ((ns > 3) ? 1 : 0));
+        }
+        let cf = 2 * fsFreq * (get16(heap, pc + 2) + 6);
+        const sf = (s0 + get16(heap, pc + 2)) >>> 0;
+        if (cf < ((6 * sf) >>> 0)) {
+          cf = 1 + ((cf > sf) ? 1 : 0) + ((cf >= ((4 * sf) >>> 0)) ? 1 : 0);
+          set16(heap, pc + 2, get16(heap, pc + 2) + 3);
+        } else {
+          cf = 4 + ((cf >= ((9 * sf) >>> 0)) ? 1 : 0) + ((cf >= ((12 * sf) >>> 0)) ? 1 : 0) +
+            ((cf >= ((15 * sf) >>> 0)) ? 1 : 0);
+          set16(heap, pc + 2, get16(heap, pc + 2) + cf);
+        }
+        p = get32(heap, pc + 4) + ns1 * STATE_SIZE;
+        set32(heap, p + 2, successor);
+        heap[p] = fsSymbol;
+        heap[p + 1] = cf;
+        set16(heap, pc, ++ns1);
+      }
+      this.maxContext_ = this.minContext_ = fsSuccessor;
+      return;
+    }
+
+    this.restartModelRare_();
+    this.escCount_ = 0;
+  }
+
+  /**
+   * @param {number} ctx
+   * @private
+   */
+  decodeBinSymbol_(ctx) {
+    const heap = this.subAlloc_.heap;
+    const coder = this.coder_;
+    const rs = ctx + 2;
+    this.hiBitsFlag_ = this.hb2Flag_[heap[this.foundState_]];
+    const index = (heap[rs + 1] - 1) * 64 + this.prevSuccess_ +
+      this.ns2BSIndx_[get16(heap, get32(heap, ctx + 8)) - 1] +
+      this.hiBitsFlag_ + 2 * this.hb2Flag_[heap[rs]] + ((this.runLength_ >> 26) & 0x20);
+    const bs = this.binSumm_[index];
+    if (coder.getCurrentShiftCount(TOT_BITS) < bs) {
+      this.foundState_ = rs;
+      heap[rs + 1] += (heap[rs + 1] < 128) ? 1 : 0;
+      coder.lowCount = 0;
+      coder.highCount = bs;
+      this.binSumm_[index] = bs + INTERVAL - ((bs + (1 << (PERIOD_BITS - 2))) >> PERIOD_BITS);
+      this.prevSuccess_ = 1;
+      this.runLength_++;
+    } else {
+      coder.lowCount = bs;
+      this.binSumm_[index] = bs - ((bs + (1 << (PERIOD_BITS - 2))) >> PERIOD_BITS);
+      coder.highCount = BIN_SCALE;
+      this.initEsc_ = ExpEscape[this.binSumm_[index] >> 10];
+      this.numMasked_ = 1;
+      this.charMask_[heap[rs]] = this.escCount_;
+      this.prevSuccess_ = 0;
+      this.foundState_ = 0;
+    }
+  }
+
+  /**
+   * @param {number} ctx
+   * @param {number} p
+   * @private
+   */
+  update1_(ctx, p) {
+    const heap = this.subAlloc_.heap;
+    this.foundState_ = p;
+    heap[p + 1] += 4;
+    set16(heap, ctx + 2, get16(heap, ctx + 2) + 4);
+    if (heap[p + 1] > heap[p - STATE_SIZE + 1]) {
+      swapStates(heap, p, p - STATE_SIZE);
+      this.foundState_ = p -= STATE_SIZE;
+      if (heap[p + 1] > MAX_FREQ) {
+        this.rescale_(ctx);
+      }
+    }
+  }
+
+  /**
+   * @param {number} ctx
+   * @returns {boolean}
+   * @private
+   */
+  decodeSymbol1_(ctx) {
+    const heap = this.subAlloc_.heap;
+    const coder = this.coder_;
+    coder.scale = get16(heap, ctx + 2);
+    let p = get32(heap, ctx + 4);
+    let hiCnt;
+    const count = coder.getCurrentCount();
+    if (count >= coder.scale) {
+      return false;
+    }
+    if (count < (hiCnt = heap[p + 1])) {
+      this.prevSuccess_ = (2 * (coder.highCount = hiCnt) > coder.scale) ? 1 : 0;
+      this.runLength_ += this.prevSuccess_;
+      this.foundState_ = p;
+      heap[p + 1] = (hiCnt += 4);
+      set16(heap, ctx + 2, get16(heap, ctx + 2) + 4);
+      if (hiCnt > MAX_FREQ) {
+        this.rescale_(ctx);
+      }
+      coder.lowCount = 0;
+      return true;
+    } else if (!this.foundState_) {
+      return false;
+    }
+    this.prevSuccess_ = 0;
+    const numStats = get16(heap, ctx);
+    let i = numStats - 1;
+    while ((hiCnt += heap[(p += STATE_SIZE) + 1]) <= count) {
+      if (--i == 0) {
+        this.hiBitsFlag_ = this.hb2Flag_[heap[this.foundState_]];
+        coder.lowCount = hiCnt;
+        this.charMask_[heap[p]] = this.escCount_;
+        i = (this.numMasked_ = numStats) - 1;
+        this.foundState_ = 0;
+        do {
+          this.charMask_[heap[p -= STATE_SIZE]] = this.escCount_;
+        } while (--i);
+        coder.highCount = coder.scale;
+        return true;
+      }
+    }
+    coder.lowCount = (coder.highCount = hiCnt) - heap[p + 1];
+    this.update1_(ctx, p);
+    return true;
+  }
+
+  /**
+   * @param {number} ctx
+   * @param {number} p
+   * @private
+   */
+  update2_(ctx, p) {
+    const heap = this.subAlloc_.heap;
+    this.foundState_ = p;
+    heap[p + 1] += 4;
+    set16(heap, ctx + 2, get16(heap, ctx + 2) + 4);
+    if (heap[p + 1] > MAX_FREQ) {
+      this.rescale_(ctx);
+    }
+    this.escCount_ = (this.escCount_ + 1) & 0xff;
+    this.runLength_ = this.initRL_;
+  }
+
+  /**
+   * @param {number} ctx
+   * @param {number} diff
+   * @returns {See2Context}
+   * @private
+   */
+  makeEscFreq2_(ctx, diff) {
+    const heap = this.subAlloc_.heap;
+    const numStats = get16(heap, ctx);
+    let psee2c;
+    if (numStats != 256) {
+      psee2c = this.see2Cont_[this.ns2Indx_[diff - 1] * 16 +
+        ((diff < get16(heap, get32(heap, ctx + 8)) - numStats) ? 1 : 0) +
+        2 * ((get16(heap, ctx + 2) < 11 * numStats) ? 1 : 0) +
+        4 * ((this.numMasked_ > diff) ? 1 : 0) +
+        this.hiBitsFlag_];
+      this.coder_.scale = psee2c.getMean();
+    } else {
+      psee2c = this.dummySee2Cont_;
+      this.coder_.scale = 1;
+    }
+    return psee2c;
+  }
+
+  /**
+   * @param {number} ctx
+   * @returns {boolean}
+   * @private
+   */
+  decodeSymbol2_(ctx) {
+    const heap = this.subAlloc_.heap;
+    const coder = this.coder_;
+    const numStats = get16(heap, ctx);
+    let i = numStats - this.numMasked_;
+    const psee2c = this.makeEscFreq2_(ctx, i);
+    const ps = this.ps_;
+    let n = 0;
+    let p = get32(heap, ctx + 4) - STATE_SIZE;
+    let hiCnt = 0;
+    do {
+      do {
+        p += STATE_SIZE;
+      } while (this.charMask_[heap[p]] == this.escCount_);
+      hiCnt += heap[p + 1];
+      ps[n++] = p;
+    } while (--i);
+    coder.scale += hiCnt;
+    const count = coder.getCurrentCount();
+    if (count >= coder.scale) {
+      return false;
+    }
+    let k = 0;
+    p = ps[0];
+    if (count < hiCnt) {
+      hiCnt = 0;
+      while ((hiCnt += heap[p + 1]) <= count) {
+        p = ps[++k];
+      }
+      coder.lowCount = (coder.highCount = hiCnt) - heap[p + 1];
+      psee2c.update();
+      this.update2_(ctx, p);
+    } else {
+      coder.lowCount = hiCnt;
+      coder.highCount = coder.scale;
+      for (k = 0; k < n; ++k) {
+        this.charMask_[heap[ps[k]]] = this.escCount_;
+      }
+      psee2c.summ = (psee2c.summ + coder.scale) & 0xffff;
+      this.numMasked_ = numStats;
+    }
+    return true;
+  }
+
+  /** @private */
+  clearMask_() {
+    this.escCount_ = 1;
+    this.charMask_.fill(0);
+  }
+}
@@ -61,7 +61,7 @@ function InitCRC() {
  * @param {Uint8Array} arr
  * @returns {number}
  */
-function CRC(startCRC, arr) {
+export function CRC(startCRC, arr) {
   if (CRCTab[1] == 0) {
     InitCRC();
   }
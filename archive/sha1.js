@@ -0,0 +1,218 @@
+/**
+ * sha1.js
+ *
+ * Licensed under the MIT License
+ *
+ * Copyright(c) 2026 Google Inc.
+ *
+ * Implementation of the SHA-1 hash function, which encrypted archives use to derive their keys.
+ * It is incremental, and its state can be copied part-way through, which WebCrypto does not allow.
+ *
+ * Reference Documentation:
+ *
+ * FIPS 180-4: https://csrc.nist.gov/pubs/fips/180-4/upd1/final
+ */
+
+const SHA1_BLOCKBYTES = 64;
+const SHA1_OUTBYTES = 20;
+
+const SHA1_IV = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+
+export class Sha1 {
+  constructor() {
+    /** @type {Uint32Array} */
+    this.h = new Uint32Array(SHA1_IV);
+
+    /**
+     * The number of bytes hashed so far.
+     * @type {number}
+     */
+    this.length = 0;
+
+    /**
+     * Bytes that do not fill a whole block yet.
+     * @type {Uint8Array}
+     */
+    this.buf = new Uint8Array(SHA1_BLOCKBYTES);
+    this.bufLen = 0;
+
+    /**
+     * The message schedule.
+     * @type {Uint32Array}
+     * @private
+     */
+    this.w_ = new Uint32Array(80);
+  }
+
+  /**
+   * @returns {Sha1} A copy of this hash, that can be updated independently.
+   */
+  clone() {
+    const copy = new Sha1();
+    copy.h.set(this.h);
+    copy.length = this.length;
+    copy.buf.set(this.buf);
+    copy.bufLen = this.bufLen;
+    return copy;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {Sha1} this, for chaining.
+   */
+  update(bytes) {
+    let pos = 0;
+    if (this.bufLen > 0) {
+      const numBytes = Math.min(SHA1_BLOCKBYTES - this.bufLen, bytes.length);
+      this.buf.set(bytes.subarray(0, numBytes), this.bufLen);
+      this.bufLen += numBytes;
+      pos = numBytes;
+      if (this.bufLen == SHA1_BLOCKBYTES) {
+        this.compress_(this.buf, 0);
+        this.bufLen = 0;
+      }
+    }
+    // Whole blocks are hashed straight from the input.
+    for (; pos + SHA1_BLOCKBYTES <= bytes.length; pos += SHA1_BLOCKBYTES) {
+      this.compress_(bytes, pos);
+    }
+    if (pos < bytes.length) {
+      this.buf.set(bytes.subarray(pos), this.bufLen);
+      this.bufLen += bytes.length - pos;
+    }
+    this.length += bytes.length;
+    return this;
+  }
+
+  /**
+   * Finishes the hash. Do not update it afterwards; clone() it first if you need to carry on.
+   * @returns {Uint8Array} The 20 byte digest.
+   */
+  digest() {
+    const bitLength = this.length * 8;
+    const buf = this.buf;
+    buf[this.bufLen++] = 0x80;
+    if (this.bufLen > SHA1_BLOCKBYTES - 8) {
+      buf.fill(0, this.bufLen);
+      this.compress_(buf, 0);
+      this.bufLen = 0;
+    }
+    buf.fill(0, this.bufLen);
+    const high = Math.floor(bitLength / 0x100000000);
+    for (let i = 0; i < 4; ++i) {
+      buf[56 + i] = (high >>> (24 - i * 8)) & 0xff;
+      buf[60 + i] = (bitLength >>> (24 - i * 8)) & 0xff;
+    }
+    this.compress_(buf, 0);
+
+    const digest = new Uint8Array(SHA1_OUTBYTES);
+    for (let i = 0; i < 5; ++i) {
+      digest[i * 4] = this.h[i] >>> 24;
+      digest[i * 4 + 1] = (this.h[i] >>> 16) & 0xff;
+      digest[i * 4 + 2] = (this.h[i] >>> 8) & 0xff;
+      digest[i * 4 + 3] = this.h[i] & 0xff;
+    }
+    return digest;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @param {number} offset Where the 64 byte block starts in bytes.
+   * @private
+   */
+  compress_(bytes, offset) {
+    const w = this.w_;
+    for (let i = 0; i < 16; ++i) {
+      const p = offset + i * 4;
+      w[i] = (bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3];
+    }
+    for (let i = 16; i < 80; ++i) {
+      const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+      w[i] = (x << 1) | (x >>> 31);
+    }
+
+    let a = this.h[0];
+    let b = this.h[1];
+    let c = this.h[2];
+    let d = this.h[3];
+    let e = this.h[4];
+    for (let i = 0; i < 80; ++i) {
+      let f;
+      if (i < 20) {
+        f = ((b & c) | (~b & d)) + 0x5A827999;
+      } else if (i < 40) {
+        f = (b ^ c ^ d) + 0x6ED9EBA1;
+      } else if (i < 60) {
+        f = ((b & c) | (b & d) | (c & d)) + 0x8F1BBCDC;
+      } else {
+        f = (b ^ c ^ d) + 0xCA62C1D6;
+      }
+      const t = (((a << 5) | (a >>> 27)) + f + e + w[i]) | 0;
+      e = d;
+      d = c;
+      c = (b << 30) | (b >>> 2);
+      b = a;
+      a = t;
+    }
+
+    this.h[0] += a;
+    this.h[1] += b;
+    this.h[2] += c;
+    this.h[3] += d;
+    this.h[4] += e;
+  }
+}
+
+/**
+ * Calculates the SHA-1 digest of some bytes.
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} The 20 byte digest.
+ */
+export function sha1(bytes) {
+  return new Sha1().update(bytes).digest();
+}
+
+/**
+ * Calculates the HMAC-SHA1 of some bytes, as per RFC 2104.
+ * @param {Uint8Array} key
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} The 20 byte message authentication code.
+ */
+export function hmacSha1(key, bytes) {
+  const paddedKey = new Uint8Array(SHA1_BLOCKBYTES);
+  paddedKey.set(key.length > SHA1_BLOCKBYTES ? sha1(key) : key);
+  const innerPad = paddedKey.map(b => b ^ 0x36);
+  const outerPad = paddedKey.map(b => b ^ 0x5c);
+  const inner = new Sha1().update(innerPad).update(bytes).digest();
+  return new Sha1().update(outerPad).update(inner).digest();
+}
+
+/**
+ * Derives a key from a password with PBKDF2-HMAC-SHA1, as per RFC 8018.
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @param {number} numBytes The length of the key.
+ * @returns {Uint8Array}
+ */
+export function pbkdf2Sha1(password, salt, iterations, numBytes) {
+  const key = new Uint8Array(numBytes);
+  const saltAndIndex = new Uint8Array(salt.length + 4);
+  saltAndIndex.set(salt);
+  for (let block = 1, pos = 0; pos < numBytes; ++block, pos += SHA1_OUTBYTES) {
+    saltAndIndex[salt.length] = block >>> 24;
+    saltAndIndex[salt.length + 1] = (block >>> 16) & 0xff;
+    saltAndIndex[salt.length + 2] = (block >>> 8) & 0xff;
+    saltAndIndex[salt.length + 3] = block & 0xff;
+    let u = hmacSha1(password, saltAndIndex);
+    const t = u.slice();
+    for (let i = 1; i < iterations; ++i) {
+      u = hmacSha1(password, u);
+      for (let j = 0; j < t.length; ++j) {
+        t[j] ^= u[j];
+      }
+    }
+    key.set(t.subarray(0, numBytes - pos), pos);
+  }
+  return key;
+}
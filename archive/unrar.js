@@ -14,8 +14,13 @@
 import { BitStream } from '../io/bitstream.js';
 import { ByteStream } from '../io/bytestream.js';
 import { ByteBuffer } from '../io/bytebuffer.js';
-import { RarVM, UnpackFilter, VM_GLOBALMEMADDR, VM_GLOBALMEMSIZE,
-         VM_FIXEDGLOBALSIZE, MAXWINMASK } from './rarvm.js';
+import { CRC, RarVM, UnpackFilter, VM_GLOBALMEMADDR, VM_GLOBALMEMSIZE,
+         VM_FIXEDGLOBALSIZE, MAXWINMASK, MAXWINSIZE } from './rarvm.js';
+import { Aes } from './aes.js';
+import { FlowControl, createFileFilter, dosDateTimeToDate, readFileAttributes } from './common.js';
+import { blake2sp } from './blake2sp.js';
+import { ModelPPM } from './ppmd.js';
+import { Sha1 } from './sha1.js';
 
 const UnarchiveState = {
   NOT_STARTED: 0,
@@ -33,6 +38,45 @@ let unarchiveState = UnarchiveState.NOT_STARTED;
 let bytestream = null;
 let allLocalFiles = null;
 let logToConsole = false;
+let isRar5 = false;
+/** @type {string} */
+let password = '';
+/** Whether the headers after the main header are encrypted. */
+let headersEncrypted = false;
+// Whether to only send the entries, without unpacking them.
+let listOnly = false;
+/**
+ * Whether to extract a file, from the include and exclude options.
+ * @type {function(string): boolean}
+ */
+let fileFilter = null;
+/**
+ * Whether the archive is solid. If so, files that are not extracted must still be unpacked, since
+ * the files after them can refer to their data.
+ */
+let isSolid = false;
+/**
+ * Whether to wait for the host to take each extracted file.
+ * @type {FlowControl}
+ */
+let flowControl = null;
+// Whether unrar() or unrar5() is running. Bytes sent meanwhile wait in pendingBytes.
+let isUnrarring = false;
+/** @type {ArrayBuffer[]} */
+let pendingBytes = [];
+// Whether the host said that it has no more bytes to send.
+let inputEnded = false;
+// Whether to skip checking the CRC32 (or BLAKE2sp hash) of each unpacked file.
+let skipChecksums = false;
+
+// Multi-volume archives.
+/**
+ * The parts read so far of a file that is split across volumes.
+ * @type {Array<RarLocalFile|Rar5LocalFile>}
+ */
+let splitFileParts = [];
+/** Whether the end of the last volume said another volume follows it. */
+let expectingNextVolume = false;
 
 // Progress variables.
 let currentFilename = '';
@@ -84,6 +128,12 @@ const SIGN_HEAD = 0x79;
 const NEWSUB_HEAD = 0x7a;
 const ENDARC_HEAD = 0x7b;
 
+// The host OS of a file header made on Unix, which stores the POSIX mode as the file attributes.
+const HOST_UNIX = 3;
+
+// 'Rar!', 0x1A, 0x07, 0x00
+const RAR_MARKER = [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00];
+
 // ============================================================================================== //
 
 /**
@@ -94,6 +144,8 @@ class RarVolumeHeader {
    */
   constructor(bstream) {
     let headBytesRead = 0;
+    // Hold on to where the header starts, to check its CRC.
+    const headerStream = bstream.tee();
 
     // byte 1,2
     this.crc = bstream.readNumber(2);
@@ -138,6 +190,12 @@ class RarVolumeHeader {
         // 2 bits unused
         //info('  LHD_SPLIT_BEFORE = ' + this.flags.LHD_SPLIT_BEFORE);
         break;
+      case ENDARC_HEAD:
+        this.flags.EARC_NEXT_VOLUME = !!(flagsValue & 0x01);
+        this.flags.EARC_DATACRC = !!(flagsValue & 0x02);
+        this.flags.EARC_REVSPACE = !!(flagsValue & 0x04);
+        this.flags.EARC_VOLNUMBER = !!(flagsValue & 0x08);
+        break;
       default:
         break;
     }
@@ -156,6 +214,9 @@ class RarVolumeHeader {
           headBytesRead += 1;
         }
         //info('Found MAIN_HEAD with highPosAv=' + this.highPosAv + ', posAv=' + this.posAv);
+        if (headBytesRead < this.headSize) {
+          bstream.readBytes(this.headSize - headBytesRead);
+        }
         break;
       case FILE_HEAD:
         this.packSize = bstream.readNumber(4);
@@ -239,6 +300,8 @@ class RarVolumeHeader {
 
         break;
       case ENDARC_HEAD:
+        // The end of a volume can have the data CRC and the volume number.
+        bstream.readBytes(this.headSize - 7);
         break;
       default:
         if (logToConsole) {
@@ -248,6 +311,14 @@ class RarVolumeHeader {
         bstream.readBytes(this.headSize - 7);
         break;
     }
+
+    // The CRC16 is the low 16 bits of the CRC32 of the header after the CRC field. The marker block
+    // has a fixed value instead, and old AV headers do not set it properly.
+    this.crcValid = true;
+    if (this.headType != MARK_HEAD && this.headType != AV_HEAD && this.headType != SIGN_HEAD) {
+      const headerBytes = headerStream.peekBytes(this.headSize).subarray(2);
+      this.crcValid = (((CRC(0xffffffff, headerBytes) ^ 0xffffffff) & 0xffff) == this.crc);
+    }
   }
 
   dump() {
@@ -263,6 +334,344 @@ class RarVolumeHeader {
   }
 }
 
+// ============================================================================================== //
+// RAR 3.x encryption.
+// Adapted from crypt.cpp, crypt3.cpp and sha1.cpp in unrar.
+
+const SIZE_SALT30 = 8;
+const CRYPT_BLOCK_SIZE = 16;
+
+/**
+ * Deriving a key takes a while, so keys are cached by their salt.
+ * @type {Map<string, {aes: Aes, iv: Uint8Array}>}
+ */
+const rKeyCache30 = new Map();
+
+/**
+ * Derives the AES-128 key and initialization vector for the password and a salt, from 0x40000
+ * rounds of SHA-1. Adapted from CryptData::SetKey30() in crypt3.cpp.
+ * @param {Uint8Array} salt The 8 byte salt, or null.
+ * @returns {{aes: Aes, iv: Uint8Array}}
+ */
+function RarSetKey30(salt) {
+  const cacheKey = salt ? salt.join(',') : '';
+  if (rKeyCache30.has(cacheKey)) {
+    return rKeyCache30.get(cacheKey);
+  }
+
+  // The password is hashed as UTF-16LE, followed by the salt.
+  const RawPsw = new Uint8Array(password.length * 2 + (salt ? SIZE_SALT30 : 0));
+  for (let I = 0; I < password.length; ++I) {
+    RawPsw[I * 2] = password.charCodeAt(I) & 0xff;
+    RawPsw[I * 2 + 1] = password.charCodeAt(I) >> 8;
+  }
+  if (salt) {
+    RawPsw.set(salt, password.length * 2);
+  }
+
+  const HashRounds = 0x40000;
+  const sha = new Sha1();
+  const PswNum = new Uint8Array(3);
+  const iv = new Uint8Array(CRYPT_BLOCK_SIZE);
+  for (let I = 0; I < HashRounds; ++I) {
+    const bufLen = sha.length % 64;
+    sha.update(RawPsw);
+    RarSha1Corrupt29(RawPsw, bufLen);
+
+    PswNum[0] = I;
+    PswNum[1] = I >> 8;
+    PswNum[2] = I >> 16;
+    sha.update(PswNum);
+    if (I % (HashRounds / 16) == 0) {
+      iv[I / (HashRounds / 16)] = sha.clone().digest()[19];
+    }
+  }
+
+  // The key is the first four words of the digest, each in little-endian order.
+  const digest = sha.digest();
+  const key = new Uint8Array(16);
+  for (let I = 0; I < 4; ++I) {
+    for (let J = 0; J < 4; ++J) {
+      key[I * 4 + J] = digest[I * 4 + 3 - J];
+    }
+  }
+
+  const result = { aes: new Aes(key), iv };
+  rKeyCache30.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * The SHA-1 that RAR 3.x uses to derive keys hashes whole 64 byte blocks of the input in place,
+ * and then overwrites them with the last 16 words of the message schedule. This changes the input
+ * of the following rounds, so it has to be copied. Adapted from sha1_process_rar29() in sha1.cpp.
+ * @param {Uint8Array} data The bytes that were just hashed.
+ * @param {number} bufLen The number of bytes the hash had buffered before data.
+ */
+function RarSha1Corrupt29(data, bufLen) {
+  const w = new Uint32Array(16);
+  // The first block is completed in the hash's own buffer, so only later blocks are changed.
+  for (let pos = 64 - bufLen; pos + 64 <= data.length; pos += 64) {
+    for (let i = 0; i < 16; ++i) {
+      const p = pos + i * 4;
+      w[i] = (data[p] << 24) | (data[p + 1] << 16) | (data[p + 2] << 8) | data[p + 3];
+    }
+    for (let t = 16; t < 80; ++t) {
+      const x = w[(t - 3) & 15] ^ w[(t - 8) & 15] ^ w[(t - 14) & 15] ^ w[t & 15];
+      w[t & 15] = (x << 1) | (x >>> 31);
+    }
+    for (let i = 0; i < 16; ++i) {
+      const p = pos + i * 4;
+      data[p] = w[i] & 0xff;
+      data[p + 1] = (w[i] >>> 8) & 0xff;
+      data[p + 2] = (w[i] >>> 16) & 0xff;
+      data[p + 3] = w[i] >>> 24;
+    }
+  }
+}
+
+/**
+ * Reads the next header of an archive with encrypted headers. Each header has its own salt and is
+ * padded to a whole number of AES blocks.
+ * @param {ByteStream} bstream
+ * @returns {ByteStream} The decrypted header, or null if the password is wrong.
+ */
+function RarDecryptHeader(bstream) {
+  const salt = bstream.readBytes(SIZE_SALT30);
+  const { aes, iv } = RarSetKey30(salt);
+  const firstBlock = bstream.readBytes(CRYPT_BLOCK_SIZE);
+  const firstBytes = aes.decryptCbc(firstBlock, iv);
+
+  // Check what we can before reading the rest, since a wrong password gives a random size.
+  const headType = firstBytes[2];
+  const headSize = firstBytes[5] | (firstBytes[6] << 8);
+  if (headType < MARK_HEAD || headType > ENDARC_HEAD || headSize < 7) {
+    return null;
+  }
+
+  const alignedSize = Math.ceil(headSize / CRYPT_BLOCK_SIZE) * CRYPT_BLOCK_SIZE;
+  const headerBytes = new Uint8Array(alignedSize);
+  headerBytes.set(firstBytes);
+  if (alignedSize > CRYPT_BLOCK_SIZE) {
+    const rest = bstream.readBytes(alignedSize - CRYPT_BLOCK_SIZE);
+    headerBytes.set(aes.decryptCbc(rest, firstBlock), CRYPT_BLOCK_SIZE);
+  }
+
+  const headCRC = (CRC(0xffffffff, headerBytes.subarray(2, headSize)) ^ 0xffffffff) & 0xffff;
+  if (headCRC != (firstBytes[0] | (firstBytes[1] << 8))) {
+    return null;
+  }
+  return new ByteStream(headerBytes.buffer);
+}
+
+// ============================================================================================== //
+// RAR 5.0 headers.
+// Adapted from headers5.hpp and Archive::ReadHeader50() in arcread.cpp in unrar.
+
+// 'Rar!', 0x1A, 0x07, 0x01, 0x00
+const RAR5_SIGNATURE = [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x01, 0x00];
+
+// RAR 5.0 header types.
+const HEAD5_MAIN = 0x01;
+const HEAD5_FILE = 0x02;
+const HEAD5_SERVICE = 0x03;
+const HEAD5_CRYPT = 0x04;
+const HEAD5_ENDARC = 0x05;
+
+// RAR 5.0 extra record types for file and service headers.
+const FHEXTRA_CRYPT = 0x01;
+const FHEXTRA_HASH = 0x02;
+const FHEXTRA_HTIME = 0x03;
+
+const FHEXTRA_HASH_BLAKE2 = 0x00;
+
+const FHEXTRA_HTIME_UNIXTIME = 0x01;
+const FHEXTRA_HTIME_MTIME = 0x02;
+
+// The host OS of a RAR 5.0 file header made on Unix.
+const HOST5_UNIX = 1;
+
+/**
+ * Reads a RAR 5.0 variable length integer. Each byte holds 7 bits of the number, least
+ * significant bits first, and the highest bit of each byte is set if another byte follows.
+ * @param {ByteStream} bstream
+ * @returns {number}
+ */
+function readVint(bstream) {
+  let result = 0;
+  let multiplier = 1;
+  for (let i = 0; i < 10; ++i) {
+    const b = bstream.readNumber(1);
+    result += (b & 0x7f) * multiplier;
+    if ((b & 0x80) == 0) {
+      break;
+    }
+    multiplier *= 128;
+  }
+  return result;
+}
+
+/**
+ */
+class Rar5VolumeHeader {
+  /**
+   * @param {ByteStream} bstream
+   */
+  constructor(bstream) {
+    // bytes 1-4
+    this.crc = bstream.readNumber(4) >>> 0;
+
+    // The CRC32 covers the header size field too, so hang on to its bytes.
+    const sizeStream = bstream.tee();
+    this.headSize = readVint(bstream);
+    const sizeBytes = sizeStream.readBytes(bstream.getNumBytesRead() - sizeStream.getNumBytesRead());
+    if (this.headSize == 0) {
+      throw 'Error! Found a RAR5 header with a size of zero';
+    }
+
+    const headerBytes = bstream.readBytes(this.headSize);
+    const headerCRC = (CRC(CRC(0xffffffff, sizeBytes), headerBytes) ^ 0xffffffff) >>> 0;
+    this.crcValid = (headerCRC === this.crc);
+
+    const hstream = new ByteStream(headerBytes.buffer);
+    this.headType = readVint(hstream);
+
+    this.flags = {};
+    this.flags.value = readVint(hstream);
+    const flagsValue = this.flags.value;
+    this.flags.HFL_EXTRA = !!(flagsValue & 0x01);
+    this.flags.HFL_DATA = !!(flagsValue & 0x02);
+    this.flags.HFL_SKIPIFUNKNOWN = !!(flagsValue & 0x04);
+    this.flags.HFL_SPLITBEFORE = !!(flagsValue & 0x08);
+    this.flags.HFL_SPLITAFTER = !!(flagsValue & 0x10);
+    this.flags.HFL_CHILD = !!(flagsValue & 0x20);
+    this.flags.HFL_INHERITED = !!(flagsValue & 0x40);
+
+    this.extraSize = this.flags.HFL_EXTRA ? readVint(hstream) : 0;
+    this.dataSize = this.flags.HFL_DATA ? readVint(hstream) : 0;
+
+    switch (this.headType) {
+      case HEAD5_MAIN: {
+        this.archiveFlags = {};
+        this.archiveFlags.value = readVint(hstream);
+        const archiveFlagsValue = this.archiveFlags.value;
+        this.archiveFlags.MHFL_VOLUME = !!(archiveFlagsValue & 0x01);
+        this.archiveFlags.MHFL_VOLNUMBER = !!(archiveFlagsValue & 0x02);
+        this.archiveFlags.MHFL_SOLID = !!(archiveFlagsValue & 0x04);
+        this.archiveFlags.MHFL_PROTECT = !!(archiveFlagsValue & 0x08);
+        this.archiveFlags.MHFL_LOCK = !!(archiveFlagsValue & 0x10);
+        this.volumeNumber = this.archiveFlags.MHFL_VOLNUMBER ? readVint(hstream) : 0;
+        break;
+      }
+      case HEAD5_FILE:
+      case HEAD5_SERVICE: {
+        this.packSize = this.dataSize;
+
+        this.fileFlags = {};
+        this.fileFlags.value = readVint(hstream);
+        const fileFlagsValue = this.fileFlags.value;
+        this.fileFlags.FHFL_DIRECTORY = !!(fileFlagsValue & 0x01);
+        this.fileFlags.FHFL_UTIME = !!(fileFlagsValue & 0x02);
+        this.fileFlags.FHFL_CRC32 = !!(fileFlagsValue & 0x04);
+        this.fileFlags.FHFL_UNPUNKNOWN = !!(fileFlagsValue & 0x08);
+
+        this.unpackedSize = readVint(hstream);
+        this.fileAttr = readVint(hstream);
+        if (this.fileFlags.FHFL_UTIME) {
+          this.mtime = hstream.readNumber(4) >>> 0;
+        }
+        if (this.fileFlags.FHFL_CRC32) {
+          this.fileCRC = hstream.readNumber(4) >>> 0;
+        }
+
+        const compInfo = readVint(hstream);
+        this.unpVer = compInfo & 0x3f;
+        this.solid = (this.headType == HEAD5_FILE) && !!(compInfo & 0x40);
+        this.method = (compInfo >> 7) & 7;
+        this.winSize = this.fileFlags.FHFL_DIRECTORY ? 0 : 0x20000 * Math.pow(2, (compInfo >> 10) & 0xf);
+        this.hostOS = readVint(hstream);
+
+        const nameSize = readVint(hstream);
+        this.filename = new TextDecoder('utf-8').decode(hstream.readBytes(nameSize));
+
+        this.encrypted = false;
+        /** @type {Uint8Array} */
+        this.blake2Hash = null;
+        if (this.extraSize > 0) {
+          this.readExtra_(headerBytes.subarray(this.headSize - this.extraSize));
+        }
+        break;
+      }
+      case HEAD5_ENDARC: {
+        this.endArcFlags = {};
+        this.endArcFlags.value = readVint(hstream);
+        this.endArcFlags.EHFL_NEXTVOLUME = !!(this.endArcFlags.value & 0x01);
+        break;
+      }
+      case HEAD5_CRYPT:
+        break;
+      default:
+        if (logToConsole) {
+          info('Found a RAR5 header of type ' + this.headType);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Reads the extra records at the end of a file or service header.
+   * @param {Uint8Array} extra
+   * @private
+   */
+  readExtra_(extra) {
+    const estream = new ByteStream(extra.slice().buffer);
+    while (estream.getNumBytesLeft() >= 2) {
+      const fieldSize = readVint(estream);
+      if (fieldSize == 0 || fieldSize > estream.getNumBytesLeft()) {
+        break;
+      }
+      const field = new ByteStream(estream.readBytes(fieldSize).buffer);
+      const fieldType = readVint(field);
+      switch (fieldType) {
+        case FHEXTRA_CRYPT:
+          this.encrypted = true;
+          break;
+        case FHEXTRA_HASH:
+          if (readVint(field) == FHEXTRA_HASH_BLAKE2) {
+            this.blake2Hash = field.readBytes(32);
+          }
+          break;
+        case FHEXTRA_HTIME: {
+          const timeFlags = readVint(field);
+          if (timeFlags & FHEXTRA_HTIME_MTIME) {
+            if (timeFlags & FHEXTRA_HTIME_UNIXTIME) {
+              this.mtime = field.readNumber(4) >>> 0;
+            } else {
+              // A Windows FILETIME, the number of 100ns intervals since 1601-01-01.
+              const low = field.readNumber(4) >>> 0;
+              const high = field.readNumber(4) >>> 0;
+              this.mtime = Math.floor((high * 0x100000000 + low) / 10000000) - 11644473600;
+            }
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  dump() {
+    info('  crc=' + this.crc);
+    info('  headType=' + this.headType);
+    info('  flags=' + twoByteValueToHexString(this.flags.value));
+    info('  headSize=' + this.headSize);
+    if (this.headType == HEAD5_FILE) {
+      info('Found RAR5 FILE header with packSize=' + this.packSize + ', unpackedSize= ' +
+        this.unpackedSize + ', hostOS=' + this.hostOS + ', unpVer=' + this.unpVer + ', method=' +
+        this.method + ', solid=' + this.solid + ', filename=' + this.filename);
+    }
+  }
+}
+
 const BLOCK_LZ = 0;
 const BLOCK_PPM = 1;
 
@@ -320,6 +729,8 @@ const RD = { //rep decode
 };
 
 /**
+ * The unpacked files before the current one in a solid archive, whose bytes matches can refer to.
+ * Only the last MAXWINSIZE bytes are kept.
  * @type {Array<ByteBuffer>}
  */
 const rOldBuffers = [];
@@ -359,16 +770,28 @@ function RarReadTables(bstream) {
   // before we start anything we need to get byte-aligned
   bstream.readBits((8 - bstream.bitPtr) & 0x7);
 
-  if (bstream.readBits(1)) {
-    info('Error!  PPM not implemented yet');
-    return;
+  // The PPM flag is part of the first byte of the PPM block parameters, so only peek at it.
+  const bitField = bstream.getBits();
+  if (bitField & 0x8000) {
+    unpBlockType = BLOCK_PPM;
+    const escChar = PPM.decodeInit(bstream, ppmEscChar);
+    if (escChar == -1) {
+      return false;
+    }
+    ppmEscChar = escChar;
+    return true;
   }
+  unpBlockType = BLOCK_LZ;
+
+  prevLowDist = 0;
+  lowDistRepCount = 0;
 
-  if (!bstream.readBits(1)) { //discard old table
+  if (!(bitField & 0x4000)) { //discard old table
     for (let i = UnpOldTable.length; i--;) {
       UnpOldTable[i] = 0;
     }
   }
+  bstream.readBits(2);
 
   // read in bit lengths
   for (let I = 0; I < rBC; ++I) {
@@ -423,6 +846,7 @@ function RarReadTables(bstream) {
   for (let i = UnpOldTable.length; i--;) {
     UnpOldTable[i] = Table[i];
   }
+  tablesRead = true;
   return true;
 }
 
@@ -493,476 +917,523 @@ function RarMakeDecodeTables(BitLength, offset, dec, size) {
 
 }
 
-// TODO: implement
-/**
- * @param {BitStream} bstream
- * @param {boolean} Solid
- */
-function Unpack15(bstream, Solid) {
-  info('ERROR!  RAR 1.5 compression not supported');
-}
+// ============================================================================================== //
+// RAR 1.5 decompression.
+// Adapted from unpack15.cpp in unrar.
+
+const rSTARTL1 = 2;
+const rDecL1 = [0x8000, 0xa000, 0xc000, 0xd000, 0xe000, 0xea00, 0xee00, 0xf000, 0xf200, 0xf200, 0xffff];
+const rPosL1 = [0, 0, 0, 2, 3, 5, 7, 11, 16, 20, 24, 32, 32];
+
+const rSTARTL2 = 3;
+const rDecL2 = [0xa000, 0xc000, 0xd000, 0xe000, 0xea00, 0xee00, 0xf000, 0xf200, 0xf240, 0xffff];
+const rPosL2 = [0, 0, 0, 0, 5, 7, 9, 13, 18, 22, 26, 34, 36];
+
+const rSTARTHF0 = 4;
+const rDecHf0 = [0x8000, 0xc000, 0xe000, 0xf200, 0xf200, 0xf200, 0xf200, 0xf200, 0xffff];
+const rPosHf0 = [0, 0, 0, 0, 0, 8, 16, 24, 33, 33, 33, 33, 33];
+
+const rSTARTHF1 = 5;
+const rDecHf1 = [0x2000, 0xc000, 0xe000, 0xf000, 0xf200, 0xf200, 0xf7e0, 0xffff];
+const rPosHf1 = [0, 0, 0, 0, 0, 0, 4, 44, 60, 76, 80, 80, 127];
+
+const rSTARTHF2 = 5;
+const rDecHf2 = [0x1000, 0x2400, 0x8000, 0xc000, 0xfa00, 0xffff, 0xffff, 0xffff];
+const rPosHf2 = [0, 0, 0, 0, 0, 0, 2, 7, 53, 117, 233, 0, 0];
+
+const rSTARTHF3 = 6;
+const rDecHf3 = [0x800, 0x2400, 0xee00, 0xfe80, 0xffff, 0xffff, 0xffff];
+const rPosHf3 = [0, 0, 0, 0, 0, 0, 0, 2, 16, 218, 251, 0, 0];
+
+const rSTARTHF4 = 8;
+const rDecHf4 = [0xff00, 0xffff, 0xffff, 0xffff, 0xffff, 0xffff];
+const rPosHf4 = [0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 0, 0, 0];
+
+const rShortLen1 = [1, 3, 4, 4, 5, 6, 7, 8, 8, 4, 4, 5, 6, 6, 4, 0];
+const rShortXor1 = [0, 0xa0, 0xd0, 0xe0, 0xf0, 0xf8, 0xfc, 0xfe, 0xff, 0xc0, 0x80, 0x90, 0x98,
+  0x9c, 0xb0];
+const rShortLen2 = [2, 3, 3, 3, 4, 4, 5, 6, 6, 4, 4, 5, 6, 6, 4, 0];
+const rShortXor2 = [0, 0x40, 0x60, 0xa0, 0xd0, 0xe0, 0xf0, 0xf8, 0xfc, 0xc0, 0x80, 0x90, 0x98,
+  0x9c, 0xb0];
+
+// The adaptive character sets. The high byte of each entry holds a byte value (or distance) and
+// the low byte holds a usage counter. NToPl* track the next place to swap entries to.
+const ChSet = new Array(256);
+const ChSetA = new Array(256);
+const ChSetB = new Array(256);
+const ChSetC = new Array(256);
+const NToPl = new Array(256);
+const NToPlB = new Array(256);
+const NToPlC = new Array(256);
+
+let avrPlc = 0;
+let avrPlcB = 0;
+let avrLn1 = 0;
+let avrLn2 = 0;
+let avrLn3 = 0;
+let numHuf = 0;
+let buf60 = 0;
+let maxDist3 = 0;
+let nhfb = 0;
+let nlzb = 0;
+let flagBuf = 0;
+let flagsCnt = 0;
+let stMode = 0;
+let lCount = 0;
+let oldDistPtr15 = 0;
 
 /**
- * Unpacks the bit stream into rBuffer using the Unpack20 algorithm.
+ * Unpacks the bit stream into rBuffer using the Unpack15 algorithm.
  * @param {BitStream} bstream
  * @param {boolean} Solid
  */
-function Unpack20(bstream, Solid) {
+function Unpack15(bstream, Solid) {
   const destUnpSize = rBuffer.data.length;
-  let oldDistPtr = 0;
-  let Bits;
 
   if (!Solid) {
-    RarReadTables20(bstream);
+    rOldDist = [0, 0, 0, 0];
+    oldDistPtr15 = 0;
+    lastDist = 0;
+    lastLength = 0;
+
+    avrPlcB = avrLn1 = avrLn2 = avrLn3 = numHuf = buf60 = 0;
+    avrPlc = 0x3500;
+    maxDist3 = 0x2001;
+    nhfb = nlzb = 0x80;
+    RarInitHuff15();
+  }
+  flagsCnt = 0;
+  flagBuf = 0;
+  stMode = 0;
+  lCount = 0;
+
+  if (destUnpSize > rBuffer.ptr) {
+    RarGetFlagsBuf15(bstream);
+    flagsCnt = 8;
   }
+
   while (destUnpSize > rBuffer.ptr) {
-    let num = RarDecodeNumber(bstream, LD);
-    if (num < 256) {
-      rBuffer.insertByte(num);
-      continue;
-    }
-    if (num > 269) {
-      let Length = rLDecode[num -= 270] + 3;
-      if ((Bits = rLBits[num]) > 0) {
-        Length += bstream.readBits(Bits);
-      }
-      let DistNumber = RarDecodeNumber(bstream, DD);
-      let Distance = rDDecode[DistNumber] + 1;
-      if ((Bits = rDBits[DistNumber]) > 0) {
-        Distance += bstream.readBits(Bits);
-      }
-      if (Distance >= 0x2000) {
-        Length++;
-        if (Distance >= 0x40000) {
-          Length++;
-        }
-      }
-      lastLength = Length;
-      lastDist = rOldDist[oldDistPtr++ & 3] = Distance;
-      RarCopyString(Length, Distance);
-      continue;
-    }
-    if (num == 269) {
-      RarReadTables20(bstream);
-      RarUpdateProgress();
+    if (stMode) {
+      RarHuffDecode15(bstream);
       continue;
     }
-    if (num == 256) {
-      lastDist = rOldDist[oldDistPtr++ & 3] = lastDist;
-      RarCopyString(lastLength, lastDist);
-      continue;
+
+    if (--flagsCnt < 0) {
+      RarGetFlagsBuf15(bstream);
+      flagsCnt = 7;
     }
-    if (num < 261) {
-      const Distance = rOldDist[(oldDistPtr - (num - 256)) & 3];
-      const LengthNumber = RarDecodeNumber(bstream, RD);
-      let Length = rLDecode[LengthNumber] + 2;
-      if ((Bits = rLBits[LengthNumber]) > 0) {
-        Length += bstream.readBits(Bits);
+
+    if (flagBuf & 0x80) {
+      flagBuf = (flagBuf << 1) & 0xff;
+      if (nlzb > nhfb) {
+        RarLongLZ15(bstream);
+      } else {
+        RarHuffDecode15(bstream);
       }
-      if (Distance >= 0x101) {
-        Length++;
-        if (Distance >= 0x2000) {
-          Length++
-          if (Distance >= 0x40000) {
-            Length++;
-          }
-        }
+    } else {
+      flagBuf = (flagBuf << 1) & 0xff;
+      if (--flagsCnt < 0) {
+        RarGetFlagsBuf15(bstream);
+        flagsCnt = 7;
       }
-      lastLength = Length;
-      lastDist = rOldDist[oldDistPtr++ & 3] = Distance;
-      RarCopyString(Length, Distance);
-      continue;
-    }
-    if (num < 270) {
-      let Distance = rSDDecode[num -= 261] + 1;
-      if ((Bits = rSDBits[num]) > 0) {
-        Distance += bstream.readBits(Bits);
+      if (flagBuf & 0x80) {
+        flagBuf = (flagBuf << 1) & 0xff;
+        if (nlzb > nhfb) {
+          RarHuffDecode15(bstream);
+        } else {
+          RarLongLZ15(bstream);
+        }
+      } else {
+        flagBuf = (flagBuf << 1) & 0xff;
+        RarShortLZ15(bstream);
       }
-      lastLength = 2;
-      lastDist = rOldDist[oldDistPtr++ & 3] = Distance;
-      RarCopyString(2, Distance);
-      continue;
     }
-
   }
   RarUpdateProgress();
 }
 
-function RarUpdateProgress() {
-  const change = rBuffer.ptr - currentBytesUnarchivedInFile;
-  currentBytesUnarchivedInFile = rBuffer.ptr;
-  currentBytesUnarchived += change;
-  postProgress();
+/**
+ * Decodes a number using one of the fixed RAR 1.5 code tables.
+ * @param {BitStream} bstream
+ * @param {number} StartPos The minimum number of bits in a code.
+ * @param {Array<number>} DecTab The upper limits of the codes for each bit length.
+ * @param {Array<number>} PosTab The first number for each bit length.
+ * @returns {number}
+ */
+function RarDecodeNum15(bstream, StartPos, DecTab, PosTab) {
+  const Num = bstream.getBits() & 0xfff0;
+  let I = 0;
+  while (DecTab[I] <= Num) {
+    StartPos++;
+    I++;
+  }
+  bstream.readBits(StartPos);
+  return ((Num - (I ? DecTab[I - 1] : 0)) >>> (16 - StartPos)) + PosTab[StartPos];
 }
 
-const rNC20 = 298;
-const rDC20 = 48;
-const rRC20 = 28;
-const rBC20 = 19;
-const rMC20 = 257;
-
-const UnpOldTable20 = new Array(rMC20 * 4);
+/**
+ * @param {number} Distance
+ * @param {number} Length
+ */
+function RarCopyString15(Distance, Length) {
+  // The last match can run past the end of the file.
+  RarCopyString(Math.min(Length, rBuffer.data.length - rBuffer.ptr), Distance);
+}
 
-// TODO: This function should return a boolean value, see unpack20.cpp.
-function RarReadTables20(bstream) {
-  const BitLength = new Array(rBC20);
-  const Table = new Array(rMC20 * 4);
-  let TableSize;
-  let N;
-  let I;
-  const AudioBlock = bstream.readBits(1);
-  if (!bstream.readBits(1)) {
-    for (let i = UnpOldTable20.length; i--;) {
-      UnpOldTable20[i] = 0;
+/**
+ * @param {BitStream} bstream
+ */
+function RarShortLZ15(bstream) {
+  numHuf = 0;
+
+  let BitField = bstream.getBits();
+  if (lCount == 2) {
+    bstream.readBits(1);
+    if (BitField >= 0x8000) {
+      RarCopyString15(lastDist, lastLength);
+      return;
     }
+    BitField = (BitField << 1) & 0xffff;
+    lCount = 0;
   }
-  TableSize = rNC20 + rDC20 + rRC20;
-  for (I = 0; I < rBC20; I++) {
-    BitLength[I] = bstream.readBits(4);
+
+  BitField >>>= 8;
+
+  // Code 1 (or 3) has a length that depends on buf60.
+  const ShortLen = (avrLn1 < 37) ? rShortLen1 : rShortLen2;
+  const ShortXor = (avrLn1 < 37) ? rShortXor1 : rShortXor2;
+  const SpecialPos = (avrLn1 < 37) ? 1 : 3;
+  let Length = 0;
+  let Bits;
+  while (true) {
+    Bits = (Length == SpecialPos) ? buf60 + 3 : ShortLen[Length];
+    if (((BitField ^ ShortXor[Length]) & (~(0xff >>> Bits) & 0xff)) == 0) {
+      break;
+    }
+    Length++;
   }
-  RarMakeDecodeTables(BitLength, 0, BD, rBC20);
-  I = 0;
-  while (I < TableSize) {
-    const num = RarDecodeNumber(bstream, BD);
-    if (num < 16) {
-      Table[I] = num + UnpOldTable20[I] & 0xf;
-      I++;
-    } else if (num == 16) {
-      N = bstream.readBits(2) + 3;
-      while (N-- > 0 && I < TableSize) {
-        Table[I] = Table[I - 1];
-        I++;
-      }
-    } else {
-      if (num == 17) {
-        N = bstream.readBits(3) + 3;
-      } else {
-        N = bstream.readBits(7) + 11;
-      }
-      while (N-- > 0 && I < TableSize) {
-        Table[I++] = 0;
-      }
+  bstream.readBits(Bits);
+
+  let Distance;
+  if (Length >= 9) {
+    if (Length == 9) {
+      lCount++;
+      RarCopyString15(lastDist, lastLength);
+      return;
+    }
+    if (Length == 14) {
+      lCount = 0;
+      Length = RarDecodeNum15(bstream, rSTARTL2, rDecL2, rPosL2) + 5;
+      Distance = (bstream.getBits() >>> 1) | 0x8000;
+      bstream.readBits(15);
+      lastLength = Length;
+      lastDist = Distance;
+      RarCopyString15(Distance, Length);
+      return;
     }
-  }
-  RarMakeDecodeTables(Table, 0, LD, rNC20);
-  RarMakeDecodeTables(Table, rNC20, DD, rDC20);
-  RarMakeDecodeTables(Table, rNC20 + rDC20, RD, rRC20);
-  for (let i = UnpOldTable20.length; i--;) {
-    UnpOldTable20[i] = Table[i];
-  }
-}
-
-let lowDistRepCount = 0;
-let prevLowDist = 0;
-
-let rOldDist = [0, 0, 0, 0];
-let lastDist;
-let lastLength;
-
-// ============================================================================================== //
-
-// Unpack code specific to RarVM
-const VM = new RarVM();
-
-/**
- * Filters code, one entry per filter.
- * @type {Array<UnpackFilter>}
- */
-let Filters = [];
 
-/**
- * Filters stack, several entrances of same filter are possible.
- * @type {Array<UnpackFilter>}
- */
-let PrgStack = [];
+    lCount = 0;
+    const SaveLength = Length;
+    Distance = rOldDist[(oldDistPtr15 - (Length - 9)) & 3];
+    Length = RarDecodeNum15(bstream, rSTARTL1, rDecL1, rPosL1) + 2;
+    if (Length == 0x101 && SaveLength == 10) {
+      buf60 ^= 1;
+      return;
+    }
+    if (Distance > 256) {
+      Length++;
+    }
+    if (Distance >= maxDist3) {
+      Length++;
+    }
 
-/**
- * Lengths of preceding blocks, one length per filter. Used to reduce
- * size required to write block length if lengths are repeating.
- * @type {Array<number>}
- */
-let OldFilterLengths = [];
+    rOldDist[oldDistPtr15++] = Distance;
+    oldDistPtr15 &= 3;
+    lastLength = Length;
+    lastDist = Distance;
+    RarCopyString15(Distance, Length);
+    return;
+  }
 
-let LastFilter = 0;
+  lCount = 0;
+  avrLn1 += Length;
+  avrLn1 -= avrLn1 >> 4;
 
-function InitFilters() {
-  OldFilterLengths = [];
-  LastFilter = 0;
-  Filters = [];
-  PrgStack = [];
+  let DistancePlace = RarDecodeNum15(bstream, rSTARTHF2, rDecHf2, rPosHf2) & 0xff;
+  Distance = ChSetA[DistancePlace];
+  if (--DistancePlace != -1) {
+    ChSetA[DistancePlace + 1] = ChSetA[DistancePlace];
+    ChSetA[DistancePlace] = Distance;
+  }
+  Length += 2;
+  rOldDist[oldDistPtr15++] = ++Distance;
+  oldDistPtr15 &= 3;
+  lastLength = Length;
+  lastDist = Distance;
+  RarCopyString15(Distance, Length);
 }
 
-
 /**
- * @param {number} firstByte The first byte (flags).
- * @param {Uint8Array} vmCode An array of bytes.
+ * @param {BitStream} bstream
  */
-function RarAddVMCode(firstByte, vmCode) {
-  VM.init();
-  const bstream = new BitStream(vmCode.buffer, true /* rtl */);
-
-  let filtPos;
-  if (firstByte & 0x80) {
-    filtPos = RarVM.readData(bstream);
-    if (filtPos == 0) {
-      InitFilters();
-    } else {
-      filtPos--;
-    }
+function RarLongLZ15(bstream) {
+  let Length;
+  let Distance;
+
+  numHuf = 0;
+  nlzb += 16;
+  if (nlzb > 0xff) {
+    nlzb = 0x90;
+    nhfb >>= 1;
+  }
+  const OldAvr2 = avrLn2;
+
+  let BitField = bstream.getBits();
+  if (avrLn2 >= 122) {
+    Length = RarDecodeNum15(bstream, rSTARTL2, rDecL2, rPosL2);
+  } else if (avrLn2 >= 64) {
+    Length = RarDecodeNum15(bstream, rSTARTL1, rDecL1, rPosL1);
+  } else if (BitField < 0x100) {
+    Length = BitField;
+    bstream.readBits(16);
   } else {
-    filtPos = LastFilter;
+    for (Length = 0; ((BitField << Length) & 0x8000) == 0; Length++) { }
+    bstream.readBits(Length + 1);
   }
 
-  if (filtPos > Filters.length || filtPos > OldFilterLengths.length) {
-    return false;
+  avrLn2 += Length;
+  avrLn2 -= avrLn2 >> 5;
+
+  let DistancePlace;
+  if (avrPlcB > 0x28ff) {
+    DistancePlace = RarDecodeNum15(bstream, rSTARTHF2, rDecHf2, rPosHf2);
+  } else if (avrPlcB > 0x6ff) {
+    DistancePlace = RarDecodeNum15(bstream, rSTARTHF1, rDecHf1, rPosHf1);
+  } else {
+    DistancePlace = RarDecodeNum15(bstream, rSTARTHF0, rDecHf0, rPosHf0);
   }
 
-  LastFilter = filtPos;
-  const newFilter = (filtPos == Filters.length);
+  avrPlcB += DistancePlace;
+  avrPlcB -= avrPlcB >> 8;
+  DistancePlace &= 0xff;
 
-  // new filter for PrgStack
-  const stackFilter = new UnpackFilter();
-  let filter = null;
-  // new filter code, never used before since VM reset
-  if (newFilter) {
-    // too many different filters, corrupt archive
-    if (filtPos > 1024) {
-      return false;
+  let NewDistancePlace;
+  while (true) {
+    Distance = ChSetB[DistancePlace];
+    NewDistancePlace = NToPlB[Distance++ & 0xff]++;
+    if (!(Distance & 0xff)) {
+      RarCorrHuff15(ChSetB, NToPlB);
+    } else {
+      break;
     }
-
-    filter = new UnpackFilter();
-    Filters.push(filter);
-    stackFilter.ParentFilter = (Filters.length - 1);
-    OldFilterLengths.push(0); // OldFilterLengths.Add(1)
-    filter.ExecCount = 0;
-  } else { // filter was used in the past
-    filter = Filters[filtPos];
-    stackFilter.ParentFilter = filtPos;
-    filter.ExecCount++;
   }
 
-  let emptyCount = 0;
-  for (let i = 0; i < PrgStack.length; ++i) {
-    PrgStack[i - emptyCount] = PrgStack[i];
+  ChSetB[DistancePlace] = ChSetB[NewDistancePlace];
+  ChSetB[NewDistancePlace] = Distance;
 
-    if (PrgStack[i] == null) {
-      emptyCount++;
-    }
-    if (emptyCount > 0) {
-      PrgStack[i] = null;
+  Distance = ((Distance & 0xff00) | (bstream.getBits() >>> 8)) >>> 1;
+  bstream.readBits(7);
+
+  const OldAvr3 = avrLn3;
+  if (Length != 1 && Length != 4) {
+    if (Length == 0 && Distance <= maxDist3) {
+      avrLn3++;
+      avrLn3 -= avrLn3 >> 8;
+    } else if (avrLn3 > 0) {
+      avrLn3--;
     }
   }
-
-  if (emptyCount == 0) {
-    PrgStack.push(null); //PrgStack.Add(1);
-    emptyCount = 1;
+  Length += 3;
+  if (Distance >= maxDist3) {
+    Length++;
   }
-
-  const stackPos = PrgStack.length - emptyCount;
-  PrgStack[stackPos] = stackFilter;
-  stackFilter.ExecCount = filter.ExecCount;
-
-  let blockStart = RarVM.readData(bstream);
-  if (firstByte & 0x40) {
-    blockStart += 258;
+  if (Distance <= 256) {
+    Length += 8;
   }
-  stackFilter.BlockStart = (blockStart + rBuffer.ptr) & MAXWINMASK;
-
-  if (firstByte & 0x20) {
-    stackFilter.BlockLength = RarVM.readData(bstream);
+  if (OldAvr3 > 0xb0 || avrPlc >= 0x2a00 && OldAvr2 < 0x40) {
+    maxDist3 = 0x7f00;
   } else {
-    stackFilter.BlockLength = filtPos < OldFilterLengths.length
-      ? OldFilterLengths[filtPos]
-      : 0;
-  }
-  stackFilter.NextWindow = (wBuffer.ptr != rBuffer.ptr) &&
-    (((wBuffer.ptr - rBuffer.ptr) & MAXWINMASK) <= blockStart);
-
-  OldFilterLengths[filtPos] = stackFilter.BlockLength;
-
-  for (let i = 0; i < 7; ++i) {
-    stackFilter.Prg.InitR[i] = 0;
+    maxDist3 = 0x2001;
   }
-  stackFilter.Prg.InitR[3] = VM_GLOBALMEMADDR;
-  stackFilter.Prg.InitR[4] = stackFilter.BlockLength;
-  stackFilter.Prg.InitR[5] = stackFilter.ExecCount;
+  rOldDist[oldDistPtr15++] = Distance;
+  oldDistPtr15 &= 3;
+  lastLength = Length;
+  lastDist = Distance;
+  RarCopyString15(Distance, Length);
+}
 
-  // set registers to optional parameters if any
-  if (firstByte & 0x10) {
-    const initMask = bstream.readBits(7);
-    for (let i = 0; i < 7; ++i) {
-      if (initMask & (1 << i)) {
-        stackFilter.Prg.InitR[i] = RarVM.readData(bstream);
-      }
-    }
+/**
+ * @param {BitStream} bstream
+ */
+function RarHuffDecode15(bstream) {
+  let BitField = bstream.getBits();
+  let BytePlace;
+
+  if (avrPlc > 0x75ff) {
+    BytePlace = RarDecodeNum15(bstream, rSTARTHF4, rDecHf4, rPosHf4);
+  } else if (avrPlc > 0x5dff) {
+    BytePlace = RarDecodeNum15(bstream, rSTARTHF3, rDecHf3, rPosHf3);
+  } else if (avrPlc > 0x35ff) {
+    BytePlace = RarDecodeNum15(bstream, rSTARTHF2, rDecHf2, rPosHf2);
+  } else if (avrPlc > 0x0dff) {
+    BytePlace = RarDecodeNum15(bstream, rSTARTHF1, rDecHf1, rPosHf1);
+  } else {
+    BytePlace = RarDecodeNum15(bstream, rSTARTHF0, rDecHf0, rPosHf0);
   }
+  BytePlace &= 0xff;
 
-  if (newFilter) {
-    const vmCodeSize = RarVM.readData(bstream);
-    if (vmCodeSize >= 0x10000 || vmCodeSize == 0) {
-      return false;
-    }
-    const vmCode = new Uint8Array(vmCodeSize);
-    for (let i = 0; i < vmCodeSize; ++i) {
-      //if (Inp.Overflow(3))
-      //  return(false);
-      vmCode[i] = bstream.readBits(8);
+  if (stMode) {
+    if (BytePlace == 0 && BitField > 0xfff) {
+      BytePlace = 0x100;
     }
-    VM.prepare(vmCode, filter.Prg);
-  }
-  stackFilter.Prg.Cmd = filter.Prg.Cmd;
-  stackFilter.Prg.AltCmd = filter.Prg.Cmd;
-
-  const staticDataSize = filter.Prg.StaticData.length;
-  if (staticDataSize > 0 && staticDataSize < VM_GLOBALMEMSIZE) {
-    // read statically defined data contained in DB commands
-    for (let i = 0; i < staticDataSize; ++i) {
-      stackFilter.Prg.StaticData[i] = filter.Prg.StaticData[i];
+    if (--BytePlace == -1) {
+      BitField = bstream.getBits();
+      bstream.readBits(1);
+      if (BitField & 0x8000) {
+        numHuf = stMode = 0;
+        return;
+      }
+      const Length = (BitField & 0x4000) ? 4 : 3;
+      bstream.readBits(1);
+      let Distance = RarDecodeNum15(bstream, rSTARTHF2, rDecHf2, rPosHf2);
+      Distance = (Distance << 5) | (bstream.getBits() >>> 11);
+      bstream.readBits(5);
+      RarCopyString15(Distance, Length);
+      return;
     }
+  } else if (numHuf++ >= 16 && flagsCnt == 0) {
+    stMode = 1;
   }
-
-  if (stackFilter.Prg.GlobalData.length < VM_FIXEDGLOBALSIZE) {
-    stackFilter.Prg.GlobalData = new Uint8Array(VM_FIXEDGLOBALSIZE);
+  avrPlc += BytePlace;
+  avrPlc -= avrPlc >> 8;
+  nhfb += 16;
+  if (nhfb > 0xff) {
+    nhfb = 0x90;
+    nlzb >>= 1;
   }
 
-  const globalData = stackFilter.Prg.GlobalData;
-  for (let i = 0; i < 7; ++i) {
-    VM.setLowEndianValue(globalData, stackFilter.Prg.InitR[i], i * 4);
-  }
+  rBuffer.insertByte(ChSet[BytePlace] >>> 8);
 
-  VM.setLowEndianValue(globalData, stackFilter.BlockLength, 0x1c);
-  VM.setLowEndianValue(globalData, 0, 0x20);
-  VM.setLowEndianValue(globalData, stackFilter.ExecCount, 0x2c);
-  for (let i = 0; i < 16; ++i) {
-    globalData[0x30 + i] = 0;
+  let CurByte;
+  let NewBytePlace;
+  while (true) {
+    CurByte = ChSet[BytePlace];
+    NewBytePlace = NToPl[CurByte++ & 0xff]++;
+    if ((CurByte & 0xff) > 0xa1) {
+      RarCorrHuff15(ChSet, NToPl);
+    } else {
+      break;
+    }
   }
 
-  // put data block passed as parameter if any
-  if (firstByte & 8) {
-    //if (Inp.Overflow(3))
-    //  return(false);
-    const dataSize = RarVM.readData(bstream);
-    if (dataSize > (VM_GLOBALMEMSIZE - VM_FIXEDGLOBALSIZE)) {
-      return false;
-    }
+  ChSet[BytePlace] = ChSet[NewBytePlace];
+  ChSet[NewBytePlace] = CurByte;
+}
 
-    const curSize = stackFilter.Prg.GlobalData.length;
-    if (curSize < dataSize + VM_FIXEDGLOBALSIZE) {
-      // Resize global data and update the stackFilter and local variable.
-      const numBytesToAdd = dataSize + VM_FIXEDGLOBALSIZE - curSize;
-      const newGlobalData = new Uint8Array(globalData.length + numBytesToAdd);
-      newGlobalData.set(globalData);
+/**
+ * Reads the next byte of flags that tell what kind of data follows.
+ * @param {BitStream} bstream
+ */
+function RarGetFlagsBuf15(bstream) {
+  const FlagsPlace = RarDecodeNum15(bstream, rSTARTHF2, rDecHf2, rPosHf2) & 0xff;
+  let Flags;
+  let NewFlagsPlace;
 
-      stackFilter.Prg.GlobalData = newGlobalData;
-      globalData = newGlobalData;
-    }
-    //byte *GlobalData=&StackFilter->Prg.GlobalData[VM_FIXEDGLOBALSIZE];
-    for (let i = 0; i < dataSize; ++i) {
-      //if (Inp.Overflow(3))
-      //  return(false);
-      globalData[VM_FIXEDGLOBALSIZE + i] = bstream.readBits(8);
+  while (true) {
+    Flags = ChSetC[FlagsPlace];
+    flagBuf = Flags >>> 8;
+    NewFlagsPlace = NToPlC[Flags++ & 0xff]++;
+    if ((Flags & 0xff) != 0) {
+      break;
     }
+    RarCorrHuff15(ChSetC, NToPlC);
   }
 
-  return true;
+  ChSetC[FlagsPlace] = ChSetC[NewFlagsPlace];
+  ChSetC[NewFlagsPlace] = Flags;
 }
 
+function RarInitHuff15() {
+  for (let I = 0; I < 256; I++) {
+    ChSet[I] = ChSetB[I] = I << 8;
+    ChSetA[I] = I;
+    ChSetC[I] = ((~I + 1) & 0xff) << 8;
+  }
+  NToPl.fill(0);
+  NToPlB.fill(0);
+  NToPlC.fill(0);
+  RarCorrHuff15(ChSetB, NToPlB);
+}
 
 /**
- * @param {!BitStream} bstream
+ * Resets the usage counters of a character set.
+ * @param {Array<number>} CharSet
+ * @param {Array<number>} NumToPlace
  */
-function RarReadVMCode(bstream) {
-  const firstByte = bstream.readBits(8);
-  let length = (firstByte & 7) + 1;
-  if (length == 7) {
-    length = bstream.readBits(8) + 7;
-  } else if (length == 8) {
-    length = bstream.readBits(16);
+function RarCorrHuff15(CharSet, NumToPlace) {
+  for (let I = 7, p = 0; I >= 0; I--) {
+    for (let J = 0; J < 32; J++, p++) {
+      CharSet[p] = (CharSet[p] & ~0xff) | I;
+    }
   }
-
-  // Read all bytes of VM code into an array.
-  const vmCode = new Uint8Array(length);
-  for (let i = 0; i < length; i++) {
-    // Do something here with checking readbuf.
-    vmCode[i] = bstream.readBits(8);
+  NumToPlace.fill(0);
+  for (let I = 6; I >= 0; I--) {
+    NumToPlace[I] = (7 - I) * 32;
   }
-  return RarAddVMCode(firstByte, vmCode);
 }
 
 /**
- * Unpacks the bit stream into rBuffer using the Unpack29 algorithm.
+ * Unpacks the bit stream into rBuffer using the Unpack20 algorithm.
  * @param {BitStream} bstream
  * @param {boolean} Solid
  */
-function Unpack29(bstream, Solid) {
-  // lazy initialize rDDecode and rDBits
-
-  const DDecode = new Array(rDC);
-  const DBits = new Array(rDC);
-
-  let Dist = 0;
-  let BitLength = 0;
-  let Slot = 0;
-
-  for (let I = 0; I < rDBitLengthCounts.length; I++, BitLength++) {
-    for (let J = 0; J < rDBitLengthCounts[I]; J++, Slot++, Dist += (1 << BitLength)) {
-      DDecode[Slot] = Dist;
-      DBits[Slot] = BitLength;
-    }
-  }
-
+function Unpack20(bstream, Solid) {
+  const destUnpSize = rBuffer.data.length;
+  let oldDistPtr = 0;
   let Bits;
-  //tablesRead = false;
 
-  rOldDist = [0, 0, 0, 0]
-
-  lastDist = 0;
-  lastLength = 0;
-
-  for (let i = UnpOldTable.length; i--;) {
-    UnpOldTable[i] = 0;
+  if (!Solid) {
+    unpAudioBlock = false;
+    unpChannelDelta = 0;
+    unpCurChannel = 0;
+    unpChannels = 1;
+    for (let i = 0; i < AudV.length; i++) {
+      AudV[i] = RarCreateAudioVariables();
+    }
+    for (let i = UnpOldTable20.length; i--;) {
+      UnpOldTable20[i] = 0;
+    }
+    RarReadTables20(bstream);
   }
+  while (destUnpSize > rBuffer.ptr) {
+    if (unpAudioBlock) {
+      const audioNumber = RarDecodeNumber(bstream, MD[unpCurChannel]);
+      if (audioNumber == 256) {
+        RarReadTables20(bstream);
+        RarUpdateProgress();
+        continue;
+      }
+      rBuffer.insertByte(RarDecodeAudio(audioNumber));
+      if (++unpCurChannel == unpChannels) {
+        unpCurChannel = 0;
+      }
+      continue;
+    }
 
-  // read in Huffman tables
-  RarReadTables(bstream);
-
-  while (true) {
     let num = RarDecodeNumber(bstream, LD);
-
     if (num < 256) {
       rBuffer.insertByte(num);
       continue;
     }
-    if (num >= 271) {
-      let Length = rLDecode[num -= 271] + 3;
+    if (num > 269) {
+      let Length = rLDecode[num -= 270] + 3;
       if ((Bits = rLBits[num]) > 0) {
         Length += bstream.readBits(Bits);
       }
-      const DistNumber = RarDecodeNumber(bstream, DD);
-      let Distance = DDecode[DistNumber] + 1;
-      if ((Bits = DBits[DistNumber]) > 0) {
-        if (DistNumber > 9) {
-          if (Bits > 4) {
-            Distance += ((bstream.getBits() >>> (20 - Bits)) << 4);
-            bstream.readBits(Bits - 4);
-            //todo: check this
-          }
-          if (lowDistRepCount > 0) {
-            lowDistRepCount--;
-            Distance += prevLowDist;
-          } else {
-            const LowDist = RarDecodeNumber(bstream, LDD);
-            if (LowDist == 16) {
-              lowDistRepCount = rLOW_DIST_REP_COUNT - 1;
-              Distance += prevLowDist;
-            } else {
-              Distance += LowDist;
-              prevLowDist = LowDist;
-            }
-          }
-        } else {
-          Distance += bstream.readBits(Bits);
-        }
+      let DistNumber = RarDecodeNumber(bstream, DD);
+      let Distance = rDDecode[DistNumber] + 1;
+      if ((Bits = rDBits[DistNumber]) > 0) {
+        Distance += bstream.readBits(Bits);
       }
       if (Distance >= 0x2000) {
         Length++;
@@ -970,175 +1441,904 @@ function Unpack29(bstream, Solid) {
           Length++;
         }
       }
-      RarInsertOldDist(Distance);
-      RarInsertLastMatch(Length, Distance);
+      lastLength = Length;
+      lastDist = rOldDist[oldDistPtr++ & 3] = Distance;
       RarCopyString(Length, Distance);
       continue;
     }
-    if (num == 256) {
-      if (!RarReadEndOfBlock(bstream)) {
-        break;
-      }
-      continue;
-    }
-    if (num == 257) {
-      if (!RarReadVMCode(bstream)) {
-        break;
-      }
+    if (num == 269) {
+      RarReadTables20(bstream);
+      RarUpdateProgress();
       continue;
     }
-    if (num == 258) {
-      if (lastLength != 0) {
-        RarCopyString(lastLength, lastDist);
-      }
+    if (num == 256) {
+      lastDist = rOldDist[oldDistPtr++ & 3] = lastDist;
+      RarCopyString(lastLength, lastDist);
       continue;
     }
-    if (num < 263) {
-      const DistNum = num - 259;
-      const Distance = rOldDist[DistNum];
-
-      for (let I = DistNum; I > 0; I--) {
-        rOldDist[I] = rOldDist[I - 1];
-      }
-      rOldDist[0] = Distance;
-
+    if (num < 261) {
+      const Distance = rOldDist[(oldDistPtr - (num - 256)) & 3];
       const LengthNumber = RarDecodeNumber(bstream, RD);
       let Length = rLDecode[LengthNumber] + 2;
       if ((Bits = rLBits[LengthNumber]) > 0) {
         Length += bstream.readBits(Bits);
       }
-      RarInsertLastMatch(Length, Distance);
+      if (Distance >= 0x101) {
+        Length++;
+        if (Distance >= 0x2000) {
+          Length++
+          if (Distance >= 0x40000) {
+            Length++;
+          }
+        }
+      }
+      lastLength = Length;
+      lastDist = rOldDist[oldDistPtr++ & 3] = Distance;
       RarCopyString(Length, Distance);
       continue;
     }
-    if (num < 272) {
-      let Distance = rSDDecode[num -= 263] + 1;
+    if (num < 270) {
+      let Distance = rSDDecode[num -= 261] + 1;
       if ((Bits = rSDBits[num]) > 0) {
         Distance += bstream.readBits(Bits);
       }
-      RarInsertOldDist(Distance);
-      RarInsertLastMatch(2, Distance);
+      lastLength = 2;
+      lastDist = rOldDist[oldDistPtr++ & 3] = Distance;
       RarCopyString(2, Distance);
       continue;
     }
-  } // while (true)
+
+  }
   RarUpdateProgress();
-  RarWriteBuf();
 }
 
-/**
- * Does stuff to the current byte buffer (rBuffer) based on
- * the filters loaded into the RarVM and writes out to wBuffer.
- */
-function RarWriteBuf() {
-  let writeSize = (rBuffer.ptr & MAXWINMASK);
+function RarUpdateProgress() {
+  const change = rBuffer.ptr - currentBytesUnarchivedInFile;
+  currentBytesUnarchivedInFile = rBuffer.ptr;
+  currentBytesUnarchived += change;
+  postProgress();
+}
 
-  for (let i = 0; i < PrgStack.length; ++i) {
-    const flt = PrgStack[i];
-    if (flt == null) {
-      continue;
-    }
+const rNC20 = 298;
+const rDC20 = 48;
+const rRC20 = 28;
+const rBC20 = 19;
+const rMC20 = 257;
 
-    if (flt.NextWindow) {
-      flt.NextWindow = false;
-      continue;
-    }
+const UnpOldTable20 = new Array(rMC20 * 4);
 
-    const blockStart = flt.BlockStart;
-    const blockLength = flt.BlockLength;
+/** The decode tables for each audio channel. */
+const MD = [0, 1, 2, 3].map(() => ({
+  DecodeLen: new Array(16),
+  DecodePos: new Array(16),
+  DecodeNum: new Array(rMC20)
+}));
 
-    // WrittenBorder = wBuffer.ptr
-    if (((blockStart - wBuffer.ptr) & MAXWINMASK) < writeSize) {
-      if (wBuffer.ptr != blockStart) {
-        // Copy blockStart bytes from rBuffer into wBuffer.
-        RarWriteArea(wBuffer.ptr, blockStart);
-        writeSize = (rBuffer.ptr - wBuffer.ptr) & MAXWINMASK;
-      }
-      if (blockLength <= writeSize) {
-        const blockEnd = (blockStart + blockLength) & MAXWINMASK;
-        if (blockStart < blockEnd || blockEnd == 0) {
-          VM.setMemory(0, rBuffer.data.subarray(blockStart, blockStart + blockLength), blockLength);
-        } else {
-          const firstPartLength = MAXWINSIZE - blockStart;
-          VM.setMemory(0, rBuffer.data.subarray(blockStart, blockStart + firstPartLength), firstPartLength);
-          VM.setMemory(firstPartLength, rBuffer.data, blockEnd);
-        }
+/**
+ * The state of the delta predictor for each audio channel.
+ * @typedef {Object} RarAudioVariables
+ * @property {number} K1
+ * @property {number} K2
+ * @property {number} K3
+ * @property {number} K4
+ * @property {number} K5
+ * @property {number} D1
+ * @property {number} D2
+ * @property {number} D3
+ * @property {number} D4
+ * @property {number} LastDelta
+ * @property {Array<number>} Dif
+ * @property {number} ByteCount
+ * @property {number} LastChar
+ */
 
-        const parentPrg = Filters[flt.ParentFilter].Prg;
-        const prg = flt.Prg;
+/** @type {Array<RarAudioVariables>} */
+const AudV = new Array(4);
+
+let unpAudioBlock = false;
+let unpChannels = 1;
+let unpCurChannel = 0;
+let unpChannelDelta = 0;
+
+/** @returns {RarAudioVariables} */
+function RarCreateAudioVariables() {
+  return {
+    K1: 0, K2: 0, K3: 0, K4: 0, K5: 0,
+    D1: 0, D2: 0, D3: 0, D4: 0,
+    LastDelta: 0,
+    Dif: new Array(11).fill(0),
+    ByteCount: 0,
+    LastChar: 0,
+  };
+}
 
-        if (parentPrg.GlobalData.length > VM_FIXEDGLOBALSIZE) {
-          // Copy global data from previous script execution if any.
-          prg.GlobalData = new Uint8Array(parentPrg.GlobalData);
+/**
+ * Predicts the next byte of the current audio channel and applies the decoded delta to it.
+ * @param {number} Delta
+ * @returns {number} The unpacked byte.
+ */
+function RarDecodeAudio(Delta) {
+  const V = AudV[unpCurChannel];
+  V.ByteCount++;
+  V.D4 = V.D3;
+  V.D3 = V.D2;
+  V.D2 = V.LastDelta - V.D1;
+  V.D1 = V.LastDelta;
+  const PCh = ((8 * V.LastChar + V.K1 * V.D1 + V.K2 * V.D2 + V.K3 * V.D3 + V.K4 * V.D4 +
+    V.K5 * unpChannelDelta) >> 3) & 0xff;
+
+  const Ch = (PCh - Delta) & 0xff;
+
+  // Delta as a signed byte, times 8.
+  const D = ((Delta << 24) >> 24) << 3;
+
+  V.Dif[0] += Math.abs(D);
+  V.Dif[1] += Math.abs(D - V.D1);
+  V.Dif[2] += Math.abs(D + V.D1);
+  V.Dif[3] += Math.abs(D - V.D2);
+  V.Dif[4] += Math.abs(D + V.D2);
+  V.Dif[5] += Math.abs(D - V.D3);
+  V.Dif[6] += Math.abs(D + V.D3);
+  V.Dif[7] += Math.abs(D - V.D4);
+  V.Dif[8] += Math.abs(D + V.D4);
+  V.Dif[9] += Math.abs(D - unpChannelDelta);
+  V.Dif[10] += Math.abs(D + unpChannelDelta);
+
+  unpChannelDelta = V.LastDelta = (((Ch - V.LastChar) << 24) >> 24);
+  V.LastChar = Ch;
+
+  if ((V.ByteCount & 0x1f) == 0) {
+    // Every 32 bytes, nudge the coefficient that would have given the smallest error.
+    let MinDif = V.Dif[0];
+    let NumMinDif = 0;
+    V.Dif[0] = 0;
+    for (let I = 1; I < V.Dif.length; I++) {
+      if (V.Dif[I] < MinDif) {
+        MinDif = V.Dif[I];
+        NumMinDif = I;
+      }
+      V.Dif[I] = 0;
+    }
+    switch (NumMinDif) {
+      case 1:
+        if (V.K1 >= -16) {
+          V.K1--;
         }
-
-        RarExecuteCode(prg);
-
-        if (prg.GlobalData.length > VM_FIXEDGLOBALSIZE) {
-          // Save global data for next script execution.
-          const globalDataLen = prg.GlobalData.length;
-          if (parentPrg.GlobalData.length < globalDataLen) {
-            parentPrg.GlobalData = new Uint8Array(globalDataLen);
-          }
-          parentPrg.GlobalData.set(
-            this.mem_.subarray(VM_FIXEDGLOBALSIZE, VM_FIXEDGLOBALSIZE + globalDataLen),
-            VM_FIXEDGLOBALSIZE);
-        } else {
-          parentPrg.GlobalData = new Uint8Array(0);
+        break;
+      case 2:
+        if (V.K1 < 16) {
+          V.K1++;
         }
-
-        let filteredData = prg.FilteredData;
-
-        PrgStack[i] = null;
-        while (i + 1 < PrgStack.length) {
-          const nextFilter = PrgStack[i + 1];
-          if (nextFilter == null || nextFilter.BlockStart != blockStart ||
-            nextFilter.BlockLength != filteredData.length || nextFilter.NextWindow) {
-            break;
-          }
-
-          // Apply several filters to same data block.
-
-          VM.setMemory(0, filteredData, filteredData.length);
-
-          const innerParentPrg = Filters[nextFilter.ParentFilter].Prg;
-          const nextPrg = nextFilter.Prg;
-
-          const globalDataLen = innerParentPrg.GlobalData.length;
-          if (globalDataLen > VM_FIXEDGLOBALSIZE) {
-            // Copy global data from previous script execution if any.
-            nextPrg.GlobalData = new Uint8Array(globalDataLen);
-            nextPrg.GlobalData.set(innerParentPrg.GlobalData.subarray(VM_FIXEDGLOBALSIZE, VM_FIXEDGLOBALSIZE + globalDataLen), VM_FIXEDGLOBALSIZE);
-          }
-
-          RarExecuteCode(nextPrg);
-
-          if (nextPrg.GlobalData.length > VM_GLOBALMEMSIZE) {
-            // Save global data for next script execution.
-            const globalDataLen = nextPrg.GlobalData.length;
-            if (innerParentPrg.GlobalData.length < globalDataLen) {
-              innerParentPrg.GlobalData = new Uint8Array(globalDataLen);
-            }
-            innerParentPrg.GlobalData.set(
-              this.mem_.subarray(VM_FIXEDGLOBALSIZE, VM_FIXEDGLOBALSIZE + globalDataLen),
-              VM_FIXEDGLOBALSIZE);
-          } else {
-            innerParentPrg.GlobalData = new Uint8Array(0);
-          }
-
-          filteredData = nextPrg.FilteredData;
-          i++;
-          PrgStack[i] = null;
-        } // while (i + 1 < PrgStack.length)
-
-        for (let j = 0; j < filteredData.length; ++j) {
-          wBuffer.insertByte(filteredData[j]);
+        break;
+      case 3:
+        if (V.K2 >= -16) {
+          V.K2--;
         }
-        writeSize = (rBuffer.ptr - wBuffer.ptr) & MAXWINMASK;
-      } // if (blockLength <= writeSize)
-      else {
-        for (let j = i; j < PrgStack.length; ++j) {
-          const theFlt = PrgStack[j];
+        break;
+      case 4:
+        if (V.K2 < 16) {
+          V.K2++;
+        }
+        break;
+      case 5:
+        if (V.K3 >= -16) {
+          V.K3--;
+        }
+        break;
+      case 6:
+        if (V.K3 < 16) {
+          V.K3++;
+        }
+        break;
+      case 7:
+        if (V.K4 >= -16) {
+          V.K4--;
+        }
+        break;
+      case 8:
+        if (V.K4 < 16) {
+          V.K4++;
+        }
+        break;
+      case 9:
+        if (V.K5 >= -16) {
+          V.K5--;
+        }
+        break;
+      case 10:
+        if (V.K5 < 16) {
+          V.K5++;
+        }
+        break;
+    }
+  }
+  return Ch;
+}
+
+// TODO: This function should return a boolean value, see unpack20.cpp.
+function RarReadTables20(bstream) {
+  const BitLength = new Array(rBC20);
+  const Table = new Array(rMC20 * 4);
+  let TableSize;
+  let N;
+  let I;
+  unpAudioBlock = !!bstream.readBits(1);
+  if (!bstream.readBits(1)) {
+    for (let i = UnpOldTable20.length; i--;) {
+      UnpOldTable20[i] = 0;
+    }
+  }
+  if (unpAudioBlock) {
+    unpChannels = bstream.readBits(2) + 1;
+    if (unpCurChannel >= unpChannels) {
+      unpCurChannel = 0;
+    }
+    TableSize = rMC20 * unpChannels;
+  } else {
+    TableSize = rNC20 + rDC20 + rRC20;
+  }
+  for (I = 0; I < rBC20; I++) {
+    BitLength[I] = bstream.readBits(4);
+  }
+  RarMakeDecodeTables(BitLength, 0, BD, rBC20);
+  I = 0;
+  while (I < TableSize) {
+    const num = RarDecodeNumber(bstream, BD);
+    if (num < 16) {
+      Table[I] = num + UnpOldTable20[I] & 0xf;
+      I++;
+    } else if (num == 16) {
+      N = bstream.readBits(2) + 3;
+      while (N-- > 0 && I < TableSize) {
+        Table[I] = Table[I - 1];
+        I++;
+      }
+    } else {
+      if (num == 17) {
+        N = bstream.readBits(3) + 3;
+      } else {
+        N = bstream.readBits(7) + 11;
+      }
+      while (N-- > 0 && I < TableSize) {
+        Table[I++] = 0;
+      }
+    }
+  }
+  if (unpAudioBlock) {
+    for (let i = 0; i < unpChannels; i++) {
+      RarMakeDecodeTables(Table, i * rMC20, MD[i], rMC20);
+    }
+  } else {
+    RarMakeDecodeTables(Table, 0, LD, rNC20);
+    RarMakeDecodeTables(Table, rNC20, DD, rDC20);
+    RarMakeDecodeTables(Table, rNC20 + rDC20, RD, rRC20);
+  }
+  for (let i = 0; i < TableSize; i++) {
+    UnpOldTable20[i] = Table[i];
+  }
+}
+
+let lowDistRepCount = 0;
+let prevLowDist = 0;
+
+let rOldDist = [0, 0, 0, 0];
+let lastDist;
+let lastLength;
+
+/** Whether the Huffman tables for the current LZ block have been read. */
+let tablesRead = false;
+
+/** BLOCK_LZ or BLOCK_PPM. */
+let unpBlockType = BLOCK_LZ;
+
+/** The PPMd model used for text compression. */
+let PPM = new ModelPPM();
+
+/** The escape character for PPM blocks. */
+let ppmEscChar = 2;
+
+// ============================================================================================== //
+
+// Unpack code specific to RarVM
+const VM = new RarVM();
+
+/**
+ * Filters code, one entry per filter.
+ * @type {Array<UnpackFilter>}
+ */
+let Filters = [];
+
+/**
+ * Filters stack, several entrances of same filter are possible.
+ * @type {Array<UnpackFilter>}
+ */
+let PrgStack = [];
+
+/**
+ * Lengths of preceding blocks, one length per filter. Used to reduce
+ * size required to write block length if lengths are repeating.
+ * @type {Array<number>}
+ */
+let OldFilterLengths = [];
+
+let LastFilter = 0;
+
+function InitFilters() {
+  OldFilterLengths = [];
+  LastFilter = 0;
+  Filters = [];
+  PrgStack = [];
+}
+
+
+/**
+ * @param {number} firstByte The first byte (flags).
+ * @param {Uint8Array} vmCode An array of bytes.
+ */
+function RarAddVMCode(firstByte, vmCode) {
+  VM.init();
+  const bstream = new BitStream(vmCode.buffer, true /* rtl */);
+
+  let filtPos;
+  if (firstByte & 0x80) {
+    filtPos = RarVM.readData(bstream);
+    if (filtPos == 0) {
+      InitFilters();
+    } else {
+      filtPos--;
+    }
+  } else {
+    filtPos = LastFilter;
+  }
+
+  if (filtPos > Filters.length || filtPos > OldFilterLengths.length) {
+    return false;
+  }
+
+  LastFilter = filtPos;
+  const newFilter = (filtPos == Filters.length);
+
+  // new filter for PrgStack
+  const stackFilter = new UnpackFilter();
+  let filter = null;
+  // new filter code, never used before since VM reset
+  if (newFilter) {
+    // too many different filters, corrupt archive
+    if (filtPos > 1024) {
+      return false;
+    }
+
+    filter = new UnpackFilter();
+    Filters.push(filter);
+    stackFilter.ParentFilter = (Filters.length - 1);
+    OldFilterLengths.push(0); // OldFilterLengths.Add(1)
+    filter.ExecCount = 0;
+  } else { // filter was used in the past
+    filter = Filters[filtPos];
+    stackFilter.ParentFilter = filtPos;
+    filter.ExecCount++;
+  }
+
+  let emptyCount = 0;
+  for (let i = 0; i < PrgStack.length; ++i) {
+    PrgStack[i - emptyCount] = PrgStack[i];
+
+    if (PrgStack[i] == null) {
+      emptyCount++;
+    }
+    if (emptyCount > 0) {
+      PrgStack[i] = null;
+    }
+  }
+
+  if (emptyCount == 0) {
+    PrgStack.push(null); //PrgStack.Add(1);
+    emptyCount = 1;
+  }
+
+  const stackPos = PrgStack.length - emptyCount;
+  PrgStack[stackPos] = stackFilter;
+  stackFilter.ExecCount = filter.ExecCount;
+
+  let blockStart = RarVM.readData(bstream);
+  if (firstByte & 0x40) {
+    blockStart += 258;
+  }
+  stackFilter.BlockStart = (blockStart + rBuffer.ptr) & MAXWINMASK;
+
+  if (firstByte & 0x20) {
+    stackFilter.BlockLength = RarVM.readData(bstream);
+  } else {
+    stackFilter.BlockLength = filtPos < OldFilterLengths.length
+      ? OldFilterLengths[filtPos]
+      : 0;
+  }
+  stackFilter.NextWindow = (wBuffer.ptr != rBuffer.ptr) &&
+    (((wBuffer.ptr - rBuffer.ptr) & MAXWINMASK) <= blockStart);
+
+  OldFilterLengths[filtPos] = stackFilter.BlockLength;
+
+  for (let i = 0; i < 7; ++i) {
+    stackFilter.Prg.InitR[i] = 0;
+  }
+  stackFilter.Prg.InitR[3] = VM_GLOBALMEMADDR;
+  stackFilter.Prg.InitR[4] = stackFilter.BlockLength;
+  stackFilter.Prg.InitR[5] = stackFilter.ExecCount;
+
+  // set registers to optional parameters if any
+  if (firstByte & 0x10) {
+    const initMask = bstream.readBits(7);
+    for (let i = 0; i < 7; ++i) {
+      if (initMask & (1 << i)) {
+        stackFilter.Prg.InitR[i] = RarVM.readData(bstream);
+      }
+    }
+  }
+
+  if (newFilter) {
+    const vmCodeSize = RarVM.readData(bstream);
+    if (vmCodeSize >= 0x10000 || vmCodeSize == 0) {
+      return false;
+    }
+    const vmCode = new Uint8Array(vmCodeSize);
+    for (let i = 0; i < vmCodeSize; ++i) {
+      //if (Inp.Overflow(3))
+      //  return(false);
+      vmCode[i] = bstream.readBits(8);
+    }
+    VM.prepare(vmCode, filter.Prg);
+  }
+  stackFilter.Prg.Cmd = filter.Prg.Cmd;
+  stackFilter.Prg.AltCmd = filter.Prg.Cmd;
+
+  const staticDataSize = filter.Prg.StaticData.length;
+  if (staticDataSize > 0 && staticDataSize < VM_GLOBALMEMSIZE) {
+    // read statically defined data contained in DB commands
+    for (let i = 0; i < staticDataSize; ++i) {
+      stackFilter.Prg.StaticData[i] = filter.Prg.StaticData[i];
+    }
+  }
+
+  if (stackFilter.Prg.GlobalData.length < VM_FIXEDGLOBALSIZE) {
+    stackFilter.Prg.GlobalData = new Uint8Array(VM_FIXEDGLOBALSIZE);
+  }
+
+  const globalData = stackFilter.Prg.GlobalData;
+  for (let i = 0; i < 7; ++i) {
+    VM.setLowEndianValue(globalData, stackFilter.Prg.InitR[i], i * 4);
+  }
+
+  VM.setLowEndianValue(globalData, stackFilter.BlockLength, 0x1c);
+  VM.setLowEndianValue(globalData, 0, 0x20);
+  VM.setLowEndianValue(globalData, stackFilter.ExecCount, 0x2c);
+  for (let i = 0; i < 16; ++i) {
+    globalData[0x30 + i] = 0;
+  }
+
+  // put data block passed as parameter if any
+  if (firstByte & 8) {
+    //if (Inp.Overflow(3))
+    //  return(false);
+    const dataSize = RarVM.readData(bstream);
+    if (dataSize > (VM_GLOBALMEMSIZE - VM_FIXEDGLOBALSIZE)) {
+      return false;
+    }
+
+    const curSize = stackFilter.Prg.GlobalData.length;
+    if (curSize < dataSize + VM_FIXEDGLOBALSIZE) {
+      // Resize global data and update the stackFilter and local variable.
+      const numBytesToAdd = dataSize + VM_FIXEDGLOBALSIZE - curSize;
+      const newGlobalData = new Uint8Array(globalData.length + numBytesToAdd);
+      newGlobalData.set(globalData);
+
+      stackFilter.Prg.GlobalData = newGlobalData;
+      globalData = newGlobalData;
+    }
+    //byte *GlobalData=&StackFilter->Prg.GlobalData[VM_FIXEDGLOBALSIZE];
+    for (let i = 0; i < dataSize; ++i) {
+      //if (Inp.Overflow(3))
+      //  return(false);
+      globalData[VM_FIXEDGLOBALSIZE + i] = bstream.readBits(8);
+    }
+  }
+
+  return true;
+}
+
+
+/**
+ * @param {!BitStream} bstream
+ */
+function RarReadVMCode(bstream) {
+  const firstByte = bstream.readBits(8);
+  let length = (firstByte & 7) + 1;
+  if (length == 7) {
+    length = bstream.readBits(8) + 7;
+  } else if (length == 8) {
+    length = bstream.readBits(16);
+  }
+
+  // Read all bytes of VM code into an array.
+  const vmCode = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    // Do something here with checking readbuf.
+    vmCode[i] = bstream.readBits(8);
+  }
+  return RarAddVMCode(firstByte, vmCode);
+}
+
+/**
+ * Reads VM code from a PPM block.
+ * @returns {boolean}
+ */
+function RarReadVMCodePPM() {
+  const firstByte = RarSafePPMDecodeChar();
+  if (firstByte == -1) {
+    return false;
+  }
+  let length = (firstByte & 7) + 1;
+  if (length == 7) {
+    const b1 = RarSafePPMDecodeChar();
+    if (b1 == -1) {
+      return false;
+    }
+    length = b1 + 7;
+  } else if (length == 8) {
+    const b1 = RarSafePPMDecodeChar();
+    if (b1 == -1) {
+      return false;
+    }
+    const b2 = RarSafePPMDecodeChar();
+    if (b2 == -1) {
+      return false;
+    }
+    length = b1 * 256 + b2;
+  }
+
+  // Read all bytes of VM code into an array.
+  const vmCode = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    const ch = RarSafePPMDecodeChar();
+    if (ch == -1) {
+      return false;
+    }
+    vmCode[i] = ch;
+  }
+  return RarAddVMCode(firstByte, vmCode);
+}
+
+/**
+ * Use this instead of calling PPM.decodeChar() directly to be sure that the PPM structures are
+ * reset in case of corrupt data, because they can be invalid after decodeChar() returned -1.
+ * @returns {number} The decoded byte or -1.
+ */
+function RarSafePPMDecodeChar() {
+  const ch = PPM.decodeChar();
+  if (ch == -1) { // Corrupt PPM data found.
+    PPM.cleanUp(); // Reset possibly corrupt PPM data structures.
+    unpBlockType = BLOCK_LZ; // Set faster and more fail proof LZ mode.
+  }
+  return ch;
+}
+
+/**
+ * Unpacks the bit stream into rBuffer using the Unpack29 algorithm.
+ * @param {BitStream} bstream
+ * @param {boolean} Solid
+ */
+function Unpack29(bstream, Solid) {
+  // lazy initialize rDDecode and rDBits
+
+  const DDecode = new Array(rDC);
+  const DBits = new Array(rDC);
+
+  let Dist = 0;
+  let BitLength = 0;
+  let Slot = 0;
+
+  for (let I = 0; I < rDBitLengthCounts.length; I++, BitLength++) {
+    for (let J = 0; J < rDBitLengthCounts[I]; J++, Slot++, Dist += (1 << BitLength)) {
+      DDecode[Slot] = Dist;
+      DBits[Slot] = BitLength;
+    }
+  }
+
+  let Bits;
+
+  rOldDist = [0, 0, 0, 0]
+
+  lastDist = 0;
+  lastLength = 0;
+
+  if (!Solid) {
+    tablesRead = false;
+    for (let i = UnpOldTable.length; i--;) {
+      UnpOldTable[i] = 0;
+    }
+    ppmEscChar = 2;
+    unpBlockType = BLOCK_LZ;
+  }
+
+  // In solid archives, a PPM block can continue into this file.
+  PPM.setBitStream(bstream);
+
+  // read in Huffman tables
+  if ((!Solid || !tablesRead) && !RarReadTables(bstream)) {
+    return;
+  }
+
+  while (true) {
+    if (unpBlockType == BLOCK_PPM) {
+      const ch = PPM.decodeChar();
+      if (ch == -1) { // Corrupt PPM data found.
+        PPM.cleanUp(); // Reset possibly corrupt PPM data structures.
+        unpBlockType = BLOCK_LZ; // Set faster and more fail proof LZ mode.
+        break;
+      }
+      if (ch == ppmEscChar) {
+        const nextCh = RarSafePPMDecodeChar();
+        if (nextCh == 0) { // End of PPM encoding.
+          if (!RarReadTables(bstream)) {
+            break;
+          }
+          continue;
+        }
+        if (nextCh == -1 || nextCh == 2) { // Corrupt PPM data or end of file in PPM mode.
+          break;
+        }
+        if (nextCh == 3) { // Read VM code.
+          if (!RarReadVMCodePPM()) {
+            break;
+          }
+          continue;
+        }
+        if (nextCh == 4) { // LZ inside of PPM.
+          let Distance = 0;
+          let Length = 0;
+          let failed = false;
+          for (let I = 0; I < 4 && !failed; I++) {
+            const c = RarSafePPMDecodeChar();
+            if (c == -1) {
+              failed = true;
+            } else if (I == 3) {
+              Length = c;
+            } else {
+              Distance = (Distance << 8) + c;
+            }
+          }
+          if (failed) {
+            break;
+          }
+          RarCopyString(Length + 32, Distance + 2);
+          continue;
+        }
+        if (nextCh == 5) { // One byte distance match (RLE) inside of PPM.
+          const Length = RarSafePPMDecodeChar();
+          if (Length == -1) {
+            break;
+          }
+          RarCopyString(Length + 4, 1);
+          continue;
+        }
+        // If we are here, nextCh must be 1, which means that the current byte is equal to our
+        // escape byte, so we just store it.
+      }
+      rBuffer.insertByte(ch);
+      continue;
+    }
+
+    let num = RarDecodeNumber(bstream, LD);
+
+    if (num < 256) {
+      rBuffer.insertByte(num);
+      continue;
+    }
+    if (num >= 271) {
+      let Length = rLDecode[num -= 271] + 3;
+      if ((Bits = rLBits[num]) > 0) {
+        Length += bstream.readBits(Bits);
+      }
+      const DistNumber = RarDecodeNumber(bstream, DD);
+      let Distance = DDecode[DistNumber] + 1;
+      if ((Bits = DBits[DistNumber]) > 0) {
+        if (DistNumber > 9) {
+          if (Bits > 4) {
+            Distance += ((bstream.getBits() >>> (20 - Bits)) << 4);
+            bstream.readBits(Bits - 4);
+            //todo: check this
+          }
+          if (lowDistRepCount > 0) {
+            lowDistRepCount--;
+            Distance += prevLowDist;
+          } else {
+            const LowDist = RarDecodeNumber(bstream, LDD);
+            if (LowDist == 16) {
+              lowDistRepCount = rLOW_DIST_REP_COUNT - 1;
+              Distance += prevLowDist;
+            } else {
+              Distance += LowDist;
+              prevLowDist = LowDist;
+            }
+          }
+        } else {
+          Distance += bstream.readBits(Bits);
+        }
+      }
+      if (Distance >= 0x2000) {
+        Length++;
+        if (Distance >= 0x40000) {
+          Length++;
+        }
+      }
+      RarInsertOldDist(Distance);
+      RarInsertLastMatch(Length, Distance);
+      RarCopyString(Length, Distance);
+      continue;
+    }
+    if (num == 256) {
+      if (!RarReadEndOfBlock(bstream)) {
+        break;
+      }
+      continue;
+    }
+    if (num == 257) {
+      if (!RarReadVMCode(bstream)) {
+        break;
+      }
+      continue;
+    }
+    if (num == 258) {
+      if (lastLength != 0) {
+        RarCopyString(lastLength, lastDist);
+      }
+      continue;
+    }
+    if (num < 263) {
+      const DistNum = num - 259;
+      const Distance = rOldDist[DistNum];
+
+      for (let I = DistNum; I > 0; I--) {
+        rOldDist[I] = rOldDist[I - 1];
+      }
+      rOldDist[0] = Distance;
+
+      const LengthNumber = RarDecodeNumber(bstream, RD);
+      let Length = rLDecode[LengthNumber] + 2;
+      if ((Bits = rLBits[LengthNumber]) > 0) {
+        Length += bstream.readBits(Bits);
+      }
+      RarInsertLastMatch(Length, Distance);
+      RarCopyString(Length, Distance);
+      continue;
+    }
+    if (num < 272) {
+      let Distance = rSDDecode[num -= 263] + 1;
+      if ((Bits = rSDBits[num]) > 0) {
+        Distance += bstream.readBits(Bits);
+      }
+      RarInsertOldDist(Distance);
+      RarInsertLastMatch(2, Distance);
+      RarCopyString(2, Distance);
+      continue;
+    }
+  } // while (true)
+  RarUpdateProgress();
+  RarWriteBuf();
+}
+
+/**
+ * Does stuff to the current byte buffer (rBuffer) based on
+ * the filters loaded into the RarVM and writes out to wBuffer.
+ */
+function RarWriteBuf() {
+  let writeSize = (rBuffer.ptr & MAXWINMASK);
+
+  for (let i = 0; i < PrgStack.length; ++i) {
+    const flt = PrgStack[i];
+    if (flt == null) {
+      continue;
+    }
+
+    if (flt.NextWindow) {
+      flt.NextWindow = false;
+      continue;
+    }
+
+    const blockStart = flt.BlockStart;
+    const blockLength = flt.BlockLength;
+
+    // WrittenBorder = wBuffer.ptr
+    if (((blockStart - wBuffer.ptr) & MAXWINMASK) < writeSize) {
+      if (wBuffer.ptr != blockStart) {
+        // Copy blockStart bytes from rBuffer into wBuffer.
+        RarWriteArea(wBuffer.ptr, blockStart);
+        writeSize = (rBuffer.ptr - wBuffer.ptr) & MAXWINMASK;
+      }
+      if (blockLength <= writeSize) {
+        const blockEnd = (blockStart + blockLength) & MAXWINMASK;
+        if (blockStart < blockEnd || blockEnd == 0) {
+          VM.setMemory(0, rBuffer.data.subarray(blockStart, blockStart + blockLength), blockLength);
+        } else {
+          const firstPartLength = MAXWINSIZE - blockStart;
+          VM.setMemory(0, rBuffer.data.subarray(blockStart, blockStart + firstPartLength), firstPartLength);
+          VM.setMemory(firstPartLength, rBuffer.data, blockEnd);
+        }
+
+        const parentPrg = Filters[flt.ParentFilter].Prg;
+        const prg = flt.Prg;
+
+        if (parentPrg.GlobalData.length > VM_FIXEDGLOBALSIZE) {
+          // Copy global data from previous script execution if any.
+          prg.GlobalData = new Uint8Array(parentPrg.GlobalData);
+        }
+
+        RarExecuteCode(prg);
+
+        if (prg.GlobalData.length > VM_FIXEDGLOBALSIZE) {
+          // Save global data for next script execution.
+          const globalDataLen = prg.GlobalData.length;
+          if (parentPrg.GlobalData.length < globalDataLen) {
+            parentPrg.GlobalData = new Uint8Array(globalDataLen);
+          }
+          parentPrg.GlobalData.set(
+            this.mem_.subarray(VM_FIXEDGLOBALSIZE, VM_FIXEDGLOBALSIZE + globalDataLen),
+            VM_FIXEDGLOBALSIZE);
+        } else {
+          parentPrg.GlobalData = new Uint8Array(0);
+        }
+
+        let filteredData = prg.FilteredData;
+
+        PrgStack[i] = null;
+        while (i + 1 < PrgStack.length) {
+          const nextFilter = PrgStack[i + 1];
+          if (nextFilter == null || nextFilter.BlockStart != blockStart ||
+            nextFilter.BlockLength != filteredData.length || nextFilter.NextWindow) {
+            break;
+          }
+
+          // Apply several filters to same data block.
+
+          VM.setMemory(0, filteredData, filteredData.length);
+
+          const innerParentPrg = Filters[nextFilter.ParentFilter].Prg;
+          const nextPrg = nextFilter.Prg;
+
+          const globalDataLen = innerParentPrg.GlobalData.length;
+          if (globalDataLen > VM_FIXEDGLOBALSIZE) {
+            // Copy global data from previous script execution if any.
+            nextPrg.GlobalData = new Uint8Array(globalDataLen);
+            nextPrg.GlobalData.set(innerParentPrg.GlobalData.subarray(VM_FIXEDGLOBALSIZE, VM_FIXEDGLOBALSIZE + globalDataLen), VM_FIXEDGLOBALSIZE);
+          }
+
+          RarExecuteCode(nextPrg);
+
+          if (nextPrg.GlobalData.length > VM_GLOBALMEMSIZE) {
+            // Save global data for next script execution.
+            const globalDataLen = nextPrg.GlobalData.length;
+            if (innerParentPrg.GlobalData.length < globalDataLen) {
+              innerParentPrg.GlobalData = new Uint8Array(globalDataLen);
+            }
+            innerParentPrg.GlobalData.set(
+              this.mem_.subarray(VM_FIXEDGLOBALSIZE, VM_FIXEDGLOBALSIZE + globalDataLen),
+              VM_FIXEDGLOBALSIZE);
+          } else {
+            innerParentPrg.GlobalData = new Uint8Array(0);
+          }
+
+          filteredData = nextPrg.FilteredData;
+          i++;
+          PrgStack[i] = null;
+        } // while (i + 1 < PrgStack.length)
+
+        for (let j = 0; j < filteredData.length; ++j) {
+          wBuffer.insertByte(filteredData[j]);
+        }
+        writeSize = (rBuffer.ptr - wBuffer.ptr) & MAXWINMASK;
+      } // if (blockLength <= writeSize)
+      else {
+        for (let j = i; j < PrgStack.length; ++j) {
+          const theFlt = PrgStack[j];
           if (theFlt != null && theFlt.NextWindow) {
             theFlt.NextWindow = false;
           }
@@ -1148,146 +2348,835 @@ function RarWriteBuf() {
     } // if (((blockStart - wBuffer.ptr) & MAXWINMASK) < writeSize)
   } // for (let i = 0; i < PrgStack.length; ++i)
 
-  // Write any remaining bytes from rBuffer to wBuffer;
-  RarWriteArea(wBuffer.ptr, rBuffer.ptr);
+  // Write any remaining bytes from rBuffer to wBuffer;
+  RarWriteArea(wBuffer.ptr, rBuffer.ptr);
+
+  // Now that the filtered buffer has been written, swap it back to rBuffer.
+  rBuffer = wBuffer;
+}
+
+/**
+ * Copy bytes from rBuffer to wBuffer.
+ * @param {number} startPtr The starting point to copy from rBuffer.
+ * @param {number} endPtr The ending point to copy from rBuffer.
+ */
+function RarWriteArea(startPtr, endPtr) {
+  if (endPtr < startPtr) {
+    console.error('endPtr < startPtr, endPtr=' + endPtr + ', startPtr=' + startPtr);
+    //    RarWriteData(startPtr, -(int)StartPtr & MAXWINMASK);
+    //    RarWriteData(0, endPtr);
+    return;
+  } else if (startPtr < endPtr) {
+    RarWriteData(startPtr, endPtr - startPtr);
+  }
+}
+
+/**
+ * Writes bytes into wBuffer from rBuffer.
+ * @param {number} offset The starting point to copy bytes from rBuffer.
+ * @param {number} numBytes The number of bytes to copy.
+ */
+function RarWriteData(offset, numBytes) {
+  if (wBuffer.ptr >= rBuffer.data.length) {
+    return;
+  }
+  const leftToWrite = rBuffer.data.length - wBuffer.ptr;
+  if (numBytes > leftToWrite) {
+    numBytes = leftToWrite;
+  }
+  for (let i = 0; i < numBytes; ++i) {
+    wBuffer.insertByte(rBuffer.data[offset + i]);
+  }
+}
+
+/**
+ * @param {VM_PreparedProgram} prg
+ */
+function RarExecuteCode(prg) {
+  if (prg.GlobalData.length > 0) {
+    const writtenFileSize = wBuffer.ptr;
+    prg.InitR[6] = writtenFileSize;
+    VM.setLowEndianValue(prg.GlobalData, writtenFileSize, 0x24);
+    VM.setLowEndianValue(prg.GlobalData, (writtenFileSize >>> 32) >> 0, 0x28);
+    VM.execute(prg);
+  }
+}
+
+function RarReadEndOfBlock(bstream) {
+  RarUpdateProgress();
+
+  let NewTable = false;
+  let NewFile = false;
+  if (bstream.readBits(1)) {
+    NewTable = true;
+  } else {
+    NewFile = true;
+    NewTable = !!bstream.readBits(1);
+  }
+  tablesRead = !NewTable;
+  return !(NewFile || NewTable && !RarReadTables(bstream));
+}
+
+function RarInsertLastMatch(length, distance) {
+  lastDist = distance;
+  lastLength = length;
+}
+
+function RarInsertOldDist(distance) {
+  rOldDist.splice(3, 1);
+  rOldDist.splice(0, 0, distance);
+}
+
+/**
+ * Copies len bytes from distance bytes ago in the buffer to the end of the
+ * current byte buffer.
+ * @param {number} length How many bytes to copy.
+ * @param {number} distance How far back in the buffer from the current write
+ *     pointer to start copying from.
+ */
+function RarCopyString(len, distance) {
+  let srcPtr = rBuffer.ptr - distance;
+  // If we need to go back to previous buffers, then seek back.
+  if (srcPtr < 0) {
+    let l = rOldBuffers.length;
+    while (srcPtr < 0) {
+      srcPtr = rOldBuffers[--l].data.length + srcPtr;
+    }
+    // Copy from the old buffers until the match reaches the current buffer.
+    while (len > 0 && l < rOldBuffers.length) {
+      const oldData = rOldBuffers[l].data;
+      while (len > 0 && srcPtr < oldData.length) {
+        rBuffer.insertByte(oldData[srcPtr++]);
+        len--;
+      }
+      if (srcPtr >= oldData.length) {
+        l++;
+        srcPtr = 0;
+      }
+    }
+  }
+  if (len > distance) {
+    while (len--) {
+      rBuffer.insertByte(rBuffer.data[srcPtr++]);
+    }
+  } else {
+    rBuffer.insertBytes(rBuffer.data.subarray(srcPtr, srcPtr + len));
+  }
+}
+
+/**
+ * @param {RarLocalFile} v
+ */
+function unpack(v) {
+  // TODO: implement what happens when unpVer is < 15
+  const Ver = v.header.unpVer <= 15 ? 15 : v.header.unpVer;
+  const Solid = v.header.flags.LHD_SOLID;
+  const bstream = new BitStream(v.fileData.buffer, true /* rtl */, v.fileData.byteOffset, v.fileData.byteLength);
+
+  rBuffer = new ByteBuffer(v.header.unpackedSize);
+  if (!Solid) {
+    // Only a solid file refers to the data of the files before it.
+    rOldBuffers.length = 0;
+  }
 
-  // Now that the filtered buffer has been written, swap it back to rBuffer.
-  rBuffer = wBuffer;
+  if (logToConsole) {
+    info('Unpacking ' + v.filename + ' RAR v' + Ver);
+  }
+
+  switch (Ver) {
+    case 15: // rar 1.5 compression
+      Unpack15(bstream, Solid);
+      break;
+    case 20: // rar 2.x compression
+    case 26: // files larger than 2GB
+      Unpack20(bstream, Solid);
+      break;
+    case 29: // rar 3.x compression
+    case 36: // alternative hash
+      wBuffer = new ByteBuffer(rBuffer.data.length);
+      Unpack29(bstream, Solid);
+      break;
+  } // switch(method)
+
+  if (!isSolid) {
+    return rBuffer.data;
+  }
+
+  // The next files can refer to this one. Matches never go back further than the largest window,
+  // so older files can be dropped.
+  rOldBuffers.push(rBuffer);
+  let historySize = rOldBuffers.reduce((size, buffer) => size + buffer.data.length, 0);
+  while (historySize - rOldBuffers[0].data.length >= MAXWINSIZE) {
+    historySize -= rOldBuffers.shift().data.length;
+  }
+  // The returned bytes are transferred to the host, so keep our own copy.
+  return rBuffer.data.slice();
 }
 
+// ============================================================================================== //
+// RAR 5.0 decompression.
+// Adapted from unpack50.cpp, unpackinline.cpp and unpack.cpp in unrar.
+
+const rNC5 = 306;
+const rDC5 = 64;
+const rLDC5 = 16;
+const rRC5 = 44;
+const rBC5 = 20;
+const rHUFF_TABLE_SIZE5 = (rNC5 + rDC5 + rRC5 + rLDC5);
+
+const rMAX_LZ_MATCH5 = 0x1001;
+const rMAX_UNPACK_FILTERS5 = 8192;
+const rUNPACK_MAX_WRITE5 = 0x400000;
+// Minimum window size must be at least twice the maximum size of a filter block.
+const rMIN_WINSIZE5 = 0x40000;
+
+// RAR 5.0 filter types.
+const FILTER_DELTA = 0;
+const FILTER_E8 = 1;
+const FILTER_E8E9 = 2;
+const FILTER_ARM = 3;
+
+const BD5 = {
+  DecodeLen: new Array(16),
+  DecodePos: new Array(16),
+  DecodeNum: new Array(rBC5)
+};
+const LD5 = {
+  DecodeLen: new Array(16),
+  DecodePos: new Array(16),
+  DecodeNum: new Array(rNC5)
+};
+const DD5 = {
+  DecodeLen: new Array(16),
+  DecodePos: new Array(16),
+  DecodeNum: new Array(rDC5)
+};
+const LDD5 = {
+  DecodeLen: new Array(16),
+  DecodePos: new Array(16),
+  DecodeNum: new Array(rLDC5)
+};
+const RD5 = {
+  DecodeLen: new Array(16),
+  DecodePos: new Array(16),
+  DecodeNum: new Array(rRC5)
+};
+
 /**
- * Copy bytes from rBuffer to wBuffer.
- * @param {number} startPtr The starting point to copy from rBuffer.
- * @param {number} endPtr The ending point to copy from rBuffer.
+ * Unlike the older algorithms, RAR 5.0 unpacks into a circular window (the dictionary) that is
+ * kept between the files of a solid archive. Bytes are copied out of the window into rBuffer
+ * once any filters covering them have been applied.
+ * @type {Uint8Array}
  */
-function RarWriteArea(startPtr, endPtr) {
-  if (endPtr < startPtr) {
-    console.error('endPtr < startPtr, endPtr=' + endPtr + ', startPtr=' + startPtr);
-    //    RarWriteData(startPtr, -(int)StartPtr & MAXWINMASK);
-    //    RarWriteData(0, endPtr);
+let rWindow5 = null;
+let rWinMask5 = 0;
+/** The number of bytes unpacked into the window in the current solid stream. */
+let rSolidBytes5 = 0;
+let rUnpPtr5 = 0;
+let rWrPtr5 = 0;
+let rWriteBorder5 = 0;
+let rWrittenFileSize5 = 0;
+let rDestUnpSize5 = 0;
+let rOldDist5 = [0, 0, 0, 0];
+let rLastLength5 = 0;
+let rTablesRead5 = false;
+
+/**
+ * @typedef Rar5Filter
+ * @property {number} blockStart
+ * @property {number} blockLength
+ * @property {number} type
+ * @property {number} channels
+ * @property {boolean} nextWindow
+ */
+
+/** @type {Array<Rar5Filter>} */
+let rFilters5 = [];
+
+const rBlockHeader5 = {
+  blockSize: -1,
+  blockBitSize: 0,
+  blockStart: 0,
+  lastBlockInFile: false,
+  tablePresent: false,
+};
+
+/**
+ * Makes sure the window is big enough for the dictionary of the file about to be unpacked. The
+ * window does not need to be bigger than the amount of data in the solid stream, so small
+ * archives with large dictionaries do not allocate the whole dictionary.
+ * @param {number} dictSize The dictionary size from the file header.
+ * @param {boolean} Solid
+ */
+function Rar5InitWindow(dictSize, Solid) {
+  if (!Solid) {
+    rSolidBytes5 = 0;
+  }
+  const bytesNeeded = Math.max(rMIN_WINSIZE5, Math.min(dictSize, rSolidBytes5 + rDestUnpSize5));
+  let winSize = rMIN_WINSIZE5;
+  while (winSize < bytesNeeded && winSize < 0x40000000) {
+    winSize *= 2;
+  }
+
+  if (rWindow5 && winSize <= rWindow5.length) {
     return;
-  } else if (startPtr < endPtr) {
-    RarWriteData(startPtr, endPtr - startPtr);
   }
+
+  const newWindow = new Uint8Array(winSize);
+  // If the window has grown in a solid stream, we need to copy the old data to their new
+  // positions behind rUnpPtr5.
+  if (Solid && rWindow5) {
+    const oldSize = rWindow5.length;
+    for (let i = 1; i < oldSize; ++i) {
+      newWindow[(rUnpPtr5 - i) & (winSize - 1)] = rWindow5[(rUnpPtr5 - i) & (oldSize - 1)];
+    }
+  }
+  rWindow5 = newWindow;
+  rWinMask5 = winSize - 1;
 }
 
 /**
- * Writes bytes into wBuffer from rBuffer.
- * @param {number} offset The starting point to copy bytes from rBuffer.
- * @param {number} numBytes The number of bytes to copy.
+ * @param {boolean} Solid
  */
-function RarWriteData(offset, numBytes) {
-  if (wBuffer.ptr >= rBuffer.data.length) {
-    return;
+function Rar5InitData(Solid) {
+  if (!Solid) {
+    rOldDist5 = [0, 0, 0, 0];
+    rLastLength5 = 0;
+    rTablesRead5 = false;
+    rUnpPtr5 = 0;
+    rWrPtr5 = 0;
+    rWriteBorder5 = Math.min(rWindow5.length, rUNPACK_MAX_WRITE5) & rWinMask5;
+    rFilters5 = [];
   }
-  const leftToWrite = rBuffer.data.length - wBuffer.ptr;
-  if (numBytes > leftToWrite) {
-    numBytes = leftToWrite;
+  rWrittenFileSize5 = 0;
+  rBlockHeader5.blockSize = -1;
+  rBlockHeader5.blockBitSize = 0;
+  rBlockHeader5.blockStart = 0;
+  rBlockHeader5.lastBlockInFile = false;
+  rBlockHeader5.tablePresent = false;
+}
+
+/**
+ * Reads the byte-aligned header at the start of every compressed block.
+ * @param {BitStream} bstream
+ * @returns {boolean} False if the block header is corrupt.
+ */
+function Rar5ReadBlockHeader(bstream) {
+  bstream.readBits((8 - bstream.bitPtr) & 0x7);
+  if (bstream.bytePtr + 3 > bstream.bytes.length) {
+    return false;
   }
-  for (let i = 0; i < numBytes; ++i) {
-    wBuffer.insertByte(rBuffer.data[offset + i]);
+
+  const blockFlags = bstream.readBits(8);
+  const byteCount = ((blockFlags >> 3) & 3) + 1;
+  if (byteCount == 4) {
+    return false;
+  }
+
+  const savedCheckSum = bstream.readBits(8);
+  let blockSize = 0;
+  for (let i = 0; i < byteCount; ++i) {
+    blockSize += bstream.readBits(8) << (i * 8);
+  }
+  const checkSum = (0x5a ^ blockFlags ^ blockSize ^ (blockSize >> 8) ^ (blockSize >> 16)) & 0xff;
+  if (checkSum != savedCheckSum) {
+    return false;
   }
+
+  rBlockHeader5.blockSize = blockSize;
+  rBlockHeader5.blockBitSize = (blockFlags & 7) + 1;
+  rBlockHeader5.blockStart = bstream.bytePtr;
+  rBlockHeader5.lastBlockInFile = !!(blockFlags & 0x40);
+  rBlockHeader5.tablePresent = !!(blockFlags & 0x80);
+  return true;
 }
 
 /**
- * @param {VM_PreparedProgram} prg
+ * Reads the Huffman tables of a block, if the block has them.
+ * @param {BitStream} bstream
+ * @returns {boolean} False if there are no tables to decode the block with.
  */
-function RarExecuteCode(prg) {
-  if (prg.GlobalData.length > 0) {
-    const writtenFileSize = wBuffer.ptr;
-    prg.InitR[6] = writtenFileSize;
-    VM.setLowEndianValue(prg.GlobalData, writtenFileSize, 0x24);
-    VM.setLowEndianValue(prg.GlobalData, (writtenFileSize >>> 32) >> 0, 0x28);
-    VM.execute(prg);
+function Rar5ReadTables(bstream) {
+  if (!rBlockHeader5.tablePresent) {
+    return rTablesRead5;
+  }
+
+  const BitLength = new Array(rBC5);
+  for (let I = 0; I < rBC5; ++I) {
+    const Length = bstream.readBits(4);
+    if (Length == 15) {
+      let ZeroCount = bstream.readBits(4);
+      if (ZeroCount == 0) {
+        BitLength[I] = 15;
+      } else {
+        ZeroCount += 2;
+        while (ZeroCount-- > 0 && I < rBC5) {
+          BitLength[I++] = 0;
+        }
+        --I;
+      }
+    } else {
+      BitLength[I] = Length;
+    }
+  }
+
+  RarMakeDecodeTables(BitLength, 0, BD5, rBC5);
+
+  const Table = new Array(rHUFF_TABLE_SIZE5);
+  const TableSize = rHUFF_TABLE_SIZE5;
+  for (let i = 0; i < TableSize;) {
+    const num = RarDecodeNumber(bstream, BD5);
+    if (num < 16) {
+      Table[i++] = num;
+    } else if (num < 18) {
+      let N = (num == 16) ? (bstream.readBits(3) + 3) : (bstream.readBits(7) + 11);
+      if (i > 0) {
+        while (N-- > 0 && i < TableSize) {
+          Table[i] = Table[i - 1];
+          i++;
+        }
+      }
+    } else {
+      let N = (num == 18) ? (bstream.readBits(3) + 3) : (bstream.readBits(7) + 11);
+      while (N-- > 0 && i < TableSize) {
+        Table[i++] = 0;
+      }
+    }
   }
+
+  RarMakeDecodeTables(Table, 0, LD5, rNC5);
+  RarMakeDecodeTables(Table, rNC5, DD5, rDC5);
+  RarMakeDecodeTables(Table, rNC5 + rDC5, LDD5, rLDC5);
+  RarMakeDecodeTables(Table, rNC5 + rDC5 + rLDC5, RD5, rRC5);
+  rTablesRead5 = true;
+  return true;
 }
 
-function RarReadEndOfBlock(bstream) {
-  RarUpdateProgress();
+/**
+ * @param {BitStream} bstream
+ * @returns {number}
+ */
+function Rar5ReadFilterData(bstream) {
+  const byteCount = bstream.readBits(2) + 1;
+  let data = 0;
+  for (let i = 0; i < byteCount; ++i) {
+    data += bstream.readBits(8) * (1 << (i * 8));
+  }
+  return data;
+}
 
-  let NewTable = false;
-  let NewFile = false;
-  if (bstream.readBits(1)) {
-    NewTable = true;
+/**
+ * Reads a filter and adds it to the queue of filters to apply when writing out the window.
+ * @param {BitStream} bstream
+ */
+function Rar5ReadFilter(bstream) {
+  const filter = {
+    blockStart: Rar5ReadFilterData(bstream),
+    blockLength: Rar5ReadFilterData(bstream),
+    type: bstream.readBits(3),
+    channels: 0,
+    nextWindow: false,
+  };
+  if (filter.type == FILTER_DELTA) {
+    filter.channels = bstream.readBits(5) + 1;
+  }
+
+  if (rFilters5.length >= rMAX_UNPACK_FILTERS5 - 1) {
+    // Write data, apply and flush filters.
+    Rar5WriteBuf();
+  }
+
+  // If the distance to the filter start is so large that it points to old data in the circular
+  // window that has not been written yet, then this filter is processed only after that older
+  // data has been written.
+  filter.nextWindow = rWrPtr5 != rUnpPtr5 &&
+      ((rWrPtr5 - rUnpPtr5) & rWinMask5) <= filter.blockStart;
+  filter.blockStart = (filter.blockStart + rUnpPtr5) & rWinMask5;
+  rFilters5.push(filter);
+}
+
+/**
+ * @param {BitStream} bstream
+ * @param {number} slot
+ * @returns {number}
+ */
+function Rar5SlotToLength(bstream, slot) {
+  let lBits;
+  let length = 2;
+  if (slot < 8) {
+    lBits = 0;
+    length += slot;
   } else {
-    NewFile = true;
-    NewTable = !!bstream.readBits(1);
+    lBits = (slot >> 2) - 1;
+    length += (4 | (slot & 3)) << lBits;
+  }
+
+  if (lBits > 0) {
+    length += bstream.readBits(lBits);
+  }
+  return length;
+}
+
+/**
+ * @param {number} distance
+ */
+function Rar5InsertOldDist(distance) {
+  rOldDist5[3] = rOldDist5[2];
+  rOldDist5[2] = rOldDist5[1];
+  rOldDist5[1] = rOldDist5[0];
+  rOldDist5[0] = distance;
+}
+
+/**
+ * Copies length bytes from distance bytes ago in the window to the current window position.
+ * @param {number} length
+ * @param {number} distance
+ */
+function Rar5CopyString(length, distance) {
+  const window = rWindow5;
+  const winSize = window.length;
+  let srcPtr = (rUnpPtr5 - distance) & rWinMask5;
+  if (distance >= length && srcPtr + length <= winSize && rUnpPtr5 + length <= winSize) {
+    window.copyWithin(rUnpPtr5, srcPtr, srcPtr + length);
+    rUnpPtr5 = (rUnpPtr5 + length) & rWinMask5;
+  } else {
+    // Slow copying for overlapping strings or when wrapping around the window.
+    while (length-- > 0) {
+      window[rUnpPtr5] = window[srcPtr++ & rWinMask5];
+      rUnpPtr5 = (rUnpPtr5 + 1) & rWinMask5;
+    }
+  }
+}
+
+/**
+ * Unpacks the bit stream into rBuffer using the RAR 5.0 algorithm.
+ * @param {BitStream} bstream
+ * @param {boolean} Solid
+ */
+function Unpack5(bstream, Solid) {
+  Rar5InitData(Solid);
+  if (!Rar5ReadBlockHeader(bstream) || !Rar5ReadTables(bstream)) {
+    err('Error! Could not read the first RAR5 block header');
+    return;
+  }
+
+  while (true) {
+    rUnpPtr5 &= rWinMask5;
+
+    // We use 'while', because an empty block can contain only the Huffman tables.
+    let fileDone = false;
+    while (bstream.bytePtr > rBlockHeader5.blockStart + rBlockHeader5.blockSize - 1 ||
+        (bstream.bytePtr == rBlockHeader5.blockStart + rBlockHeader5.blockSize - 1 &&
+         bstream.bitPtr >= rBlockHeader5.blockBitSize)) {
+      if (rBlockHeader5.lastBlockInFile) {
+        fileDone = true;
+        break;
+      }
+      if (!Rar5ReadBlockHeader(bstream) || !Rar5ReadTables(bstream)) {
+        err('Error! Corrupt RAR5 block header');
+        return;
+      }
+    }
+    if (fileDone || bstream.bytePtr >= bstream.bytes.length) {
+      break;
+    }
+
+    if (((rWriteBorder5 - rUnpPtr5) & rWinMask5) < rMAX_LZ_MATCH5 + 3 &&
+        rWriteBorder5 != rUnpPtr5) {
+      Rar5WriteBuf();
+      if (rWrittenFileSize5 > rDestUnpSize5) {
+        return;
+      }
+    }
+
+    const mainSlot = RarDecodeNumber(bstream, LD5);
+    if (mainSlot < 256) {
+      rWindow5[rUnpPtr5++] = mainSlot;
+      continue;
+    }
+    if (mainSlot >= 262) {
+      let length = Rar5SlotToLength(bstream, mainSlot - 262);
+
+      let dBits;
+      let distance = 1;
+      const distSlot = RarDecodeNumber(bstream, DD5);
+      if (distSlot < 4) {
+        dBits = 0;
+        distance += distSlot;
+      } else {
+        dBits = (distSlot >> 1) - 1;
+        distance += (2 | (distSlot & 1)) * Math.pow(2, dBits);
+      }
+
+      if (dBits > 0) {
+        if (dBits >= 4) {
+          if (dBits > 4) {
+            distance += bstream.readBits(dBits - 4) * 16;
+          }
+          distance += RarDecodeNumber(bstream, LDD5);
+        } else {
+          distance += bstream.readBits(dBits);
+        }
+      }
+
+      if (distance > 0x100) {
+        length++;
+        if (distance > 0x2000) {
+          length++;
+          if (distance > 0x40000) {
+            length++;
+          }
+        }
+      }
+
+      Rar5InsertOldDist(distance);
+      rLastLength5 = length;
+      Rar5CopyString(length, distance);
+      continue;
+    }
+    if (mainSlot == 256) {
+      Rar5ReadFilter(bstream);
+      continue;
+    }
+    if (mainSlot == 257) {
+      if (rLastLength5 != 0) {
+        Rar5CopyString(rLastLength5, rOldDist5[0]);
+      }
+      continue;
+    }
+    // 258 - 261 use one of the last four distances.
+    const distNum = mainSlot - 258;
+    const distance = rOldDist5[distNum];
+    for (let i = distNum; i > 0; --i) {
+      rOldDist5[i] = rOldDist5[i - 1];
+    }
+    rOldDist5[0] = distance;
+
+    const length = Rar5SlotToLength(bstream, RarDecodeNumber(bstream, RD5));
+    rLastLength5 = length;
+    Rar5CopyString(length, distance);
+  }
+  Rar5WriteBuf();
+}
+
+/**
+ * Writes the unpacked bytes between rWrPtr5 and rUnpPtr5 into rBuffer, applying any filters.
+ */
+function Rar5WriteBuf() {
+  let writtenBorder = rWrPtr5;
+  const fullWriteSize = (rUnpPtr5 - writtenBorder) & rWinMask5;
+  let writeSizeLeft = fullWriteSize;
+  let notAllFiltersProcessed = false;
+  for (let i = 0; i < rFilters5.length; ++i) {
+    const flt = rFilters5[i];
+    if (flt.type == null) {
+      continue;
+    }
+    if (flt.nextWindow) {
+      // This filter belongs to the next pass through the circular window. If we covered the
+      // filter block start with this write, it is applicable to the next write.
+      if (((flt.blockStart - rWrPtr5) & rWinMask5) <= fullWriteSize) {
+        flt.nextWindow = false;
+      }
+      continue;
+    }
+    const blockStart = flt.blockStart;
+    const blockLength = flt.blockLength;
+    if (((blockStart - writtenBorder) & rWinMask5) < writeSizeLeft) {
+      if (writtenBorder != blockStart) {
+        Rar5WriteArea(writtenBorder, blockStart);
+        writtenBorder = blockStart;
+        writeSizeLeft = (rUnpPtr5 - writtenBorder) & rWinMask5;
+      }
+      if (blockLength <= writeSizeLeft) {
+        if (blockLength > 0) {
+          const blockEnd = (blockStart + blockLength) & rWinMask5;
+          const mem = new Uint8Array(blockLength);
+          if (blockStart < blockEnd || blockEnd == 0) {
+            mem.set(rWindow5.subarray(blockStart, blockStart + blockLength));
+          } else {
+            const firstPartLength = rWindow5.length - blockStart;
+            mem.set(rWindow5.subarray(blockStart));
+            mem.set(rWindow5.subarray(0, blockEnd), firstPartLength);
+          }
+
+          const outMem = Rar5ApplyFilter(mem, flt);
+          flt.type = null;
+          if (outMem) {
+            Rar5WriteData(outMem);
+          } else {
+            rWrittenFileSize5 += blockLength;
+          }
+
+          writtenBorder = blockEnd;
+          writeSizeLeft = (rUnpPtr5 - writtenBorder) & rWinMask5;
+        }
+      } else {
+        // The current filter intersects the window write border, so we adjust the window
+        // border to process this filter next time, not now.
+        rWrPtr5 = writtenBorder;
+
+        // Since filter start positions can only increase, we quit processing all following
+        // filters for this data block and reset their 'nextWindow' flag.
+        for (let j = i; j < rFilters5.length; ++j) {
+          if (rFilters5[j].type != null) {
+            rFilters5[j].nextWindow = false;
+          }
+        }
+
+        notAllFiltersProcessed = true;
+        break;
+      }
+    }
   }
-  //tablesRead = !NewTable;
-  return !(NewFile || NewTable && !RarReadTables(bstream));
-}
 
-function RarInsertLastMatch(length, distance) {
-  lastDist = distance;
-  lastLength = length;
-}
+  // Remove processed filters from the queue.
+  rFilters5 = rFilters5.filter(flt => flt.type != null);
 
-function RarInsertOldDist(distance) {
-  rOldDist.splice(3, 1);
-  rOldDist.splice(0, 0, distance);
+  if (!notAllFiltersProcessed) {
+    // Write data left after the last filter.
+    Rar5WriteArea(writtenBorder, rUnpPtr5);
+    rWrPtr5 = rUnpPtr5;
+  }
+
+  // We prefer to write data in blocks not exceeding rUNPACK_MAX_WRITE5 instead of potentially
+  // huge window sized blocks.
+  rWriteBorder5 = (rUnpPtr5 + Math.min(rWindow5.length, rUNPACK_MAX_WRITE5)) & rWinMask5;
+
+  // Choose the nearest among rWriteBorder5 and the actual written border. If the border is equal
+  // to rUnpPtr5, it means that we have a whole window of data ahead.
+  if (rWriteBorder5 == rUnpPtr5 ||
+      rWrPtr5 != rUnpPtr5 &&
+      ((rWrPtr5 - rUnpPtr5) & rWinMask5) < ((rWriteBorder5 - rUnpPtr5) & rWinMask5)) {
+    rWriteBorder5 = rWrPtr5;
+  }
 }
 
 /**
- * Copies len bytes from distance bytes ago in the buffer to the end of the
- * current byte buffer.
- * @param {number} length How many bytes to copy.
- * @param {number} distance How far back in the buffer from the current write
- *     pointer to start copying from.
+ * @param {Uint8Array} data A copy of the window bytes that the filter applies to.
+ * @param {Rar5Filter} flt
+ * @returns {Uint8Array} The filtered bytes, or null for unknown filter types.
  */
-function RarCopyString(len, distance) {
-  let srcPtr = rBuffer.ptr - distance;
-  // If we need to go back to previous buffers, then seek back.
-  if (srcPtr < 0) {
-    let l = rOldBuffers.length;
-    while (srcPtr < 0) {
-      srcPtr = rOldBuffers[--l].data.length + srcPtr;
+function Rar5ApplyFilter(data, flt) {
+  const dataSize = data.length;
+  switch (flt.type) {
+    case FILTER_E8:
+    case FILTER_E8E9: {
+      const fileOffset = rWrittenFileSize5;
+      const FileSize = 0x1000000;
+      const cmpByte2 = (flt.type == FILTER_E8E9) ? 0xe9 : 0xe8;
+      for (let curPos = 0; curPos < dataSize - 4;) {
+        const curByte = data[curPos++];
+        if (curByte == 0xe8 || curByte == cmpByte2) {
+          const offset = (curPos + fileOffset) % FileSize;
+          const addr = (data[curPos] | (data[curPos + 1] << 8) | (data[curPos + 2] << 16) |
+              (data[curPos + 3] << 24)) >>> 0;
+          let newAddr = addr;
+          if (addr & 0x80000000) {
+            // addr < 0
+            if (((addr + offset) & 0x80000000) == 0) {
+              // addr + offset >= 0
+              newAddr = addr + FileSize;
+            }
+          } else if (((addr - FileSize) & 0x80000000) != 0) {
+            // addr < FileSize
+            newAddr = addr - offset;
+          }
+          newAddr >>>= 0;
+          data[curPos] = newAddr & 0xff;
+          data[curPos + 1] = (newAddr >>> 8) & 0xff;
+          data[curPos + 2] = (newAddr >>> 16) & 0xff;
+          data[curPos + 3] = (newAddr >>> 24) & 0xff;
+          curPos += 4;
+        }
+      }
+      return data;
     }
-    // TODO: lets hope that it never needs to read across buffer boundaries
-    while (len--) {
-      rBuffer.insertByte(rOldBuffers[l].data[srcPtr++]);
+    case FILTER_ARM: {
+      const fileOffset = rWrittenFileSize5;
+      for (let curPos = 0; curPos < dataSize - 3; curPos += 4) {
+        // BL command with '1110' (Always) condition.
+        if (data[curPos + 3] == 0xeb) {
+          let offset = data[curPos] + (data[curPos + 1] << 8) + (data[curPos + 2] << 16);
+          offset -= Math.floor((fileOffset + curPos) / 4);
+          data[curPos] = offset & 0xff;
+          data[curPos + 1] = (offset >> 8) & 0xff;
+          data[curPos + 2] = (offset >> 16) & 0xff;
+        }
+      }
+      return data;
     }
-  }
-  if (len > distance) {
-    while (len--) {
-      rBuffer.insertByte(rBuffer.data[srcPtr++]);
+    case FILTER_DELTA: {
+      // Bytes from the same channels are grouped into continuous data blocks, so we need to
+      // place them back into their interleaving positions.
+      const channels = flt.channels;
+      const dstData = new Uint8Array(dataSize);
+      let srcPos = 0;
+      for (let curChannel = 0; curChannel < channels; ++curChannel) {
+        let prevByte = 0;
+        for (let destPos = curChannel; destPos < dataSize; destPos += channels) {
+          prevByte = (prevByte - data[srcPos++]) & 0xff;
+          dstData[destPos] = prevByte;
+        }
+      }
+      return dstData;
     }
-  } else {
-    rBuffer.insertBytes(rBuffer.data.subarray(srcPtr, srcPtr + len));
   }
+  return null;
 }
 
 /**
- * @param {RarLocalFile} v
+ * @param {number} startPtr
+ * @param {number} endPtr
  */
-function unpack(v) {
-  // TODO: implement what happens when unpVer is < 15
-  const Ver = v.header.unpVer <= 15 ? 15 : v.header.unpVer;
-  const Solid = v.header.flags.LHD_SOLID;
-  const bstream = new BitStream(v.fileData.buffer, true /* rtl */, v.fileData.byteOffset, v.fileData.byteLength);
+function Rar5WriteArea(startPtr, endPtr) {
+  if (endPtr < startPtr) {
+    Rar5WriteData(rWindow5.subarray(startPtr));
+    Rar5WriteData(rWindow5.subarray(0, endPtr));
+  } else if (startPtr < endPtr) {
+    Rar5WriteData(rWindow5.subarray(startPtr, endPtr));
+  }
+}
+
+/**
+ * Writes bytes into rBuffer, up to the unpacked size of the current file.
+ * @param {Uint8Array} bytes
+ */
+function Rar5WriteData(bytes) {
+  if (rWrittenFileSize5 < rDestUnpSize5) {
+    const leftToWrite = rDestUnpSize5 - rWrittenFileSize5;
+    rBuffer.insertBytes(bytes.length > leftToWrite ? bytes.subarray(0, leftToWrite) : bytes);
+  }
+  rWrittenFileSize5 += bytes.length;
+}
+
+/**
+ * @param {Rar5LocalFile} v
+ * @returns {Uint8Array}
+ */
+function unpack5(v) {
+  const Solid = v.header.solid;
+  const bstream = new BitStream(v.fileData.buffer, true /* mtl */, v.fileData.byteOffset,
+      v.fileData.byteLength);
 
   rBuffer = new ByteBuffer(v.header.unpackedSize);
+  rDestUnpSize5 = v.header.unpackedSize;
 
   if (logToConsole) {
-    info('Unpacking ' + v.filename + ' RAR v' + Ver);
+    info('Unpacking ' + v.filename + ' RAR v5, dictionary size ' + v.header.winSize);
   }
 
-  switch (Ver) {
-    case 15: // rar 1.5 compression
-      Unpack15(bstream, Solid);
-      break;
-    case 20: // rar 2.x compression
-    case 26: // files larger than 2GB
-      Unpack20(bstream, Solid);
-      break;
-    case 29: // rar 3.x compression
-    case 36: // alternative hash
-      wBuffer = new ByteBuffer(rBuffer.data.length);
-      Unpack29(bstream, Solid);
-      break;
-  } // switch(method)
+  if (v.header.unpVer != 0) {
+    err(`Error! Unsupported RAR5 compression algorithm version ${v.header.unpVer} for ` +
+        `${v.filename}`);
+    return rBuffer.data;
+  }
+
+  Rar5InitWindow(v.header.winSize, Solid && rWindow5 != null);
+  Unpack5(bstream, Solid && rWindow5 != null);
+  rSolidBytes5 += v.header.unpackedSize;
+  RarUpdateProgress();
 
-  rOldBuffers.push(rBuffer);
-  // TODO: clear these old buffers when there's over 4MB of history
   return rBuffer.data;
 }
 
@@ -1296,12 +3185,16 @@ function unpack(v) {
 class RarLocalFile {
   /**
    * @param {ByteStream} bstream
+   * @param {ByteStream=} headerStream Where to read the header from, if it was encrypted.
    */
-  constructor(bstream) {
-    this.header = new RarVolumeHeader(bstream);
+  constructor(bstream, headerStream = bstream) {
+    this.header = new RarVolumeHeader(headerStream);
     this.filename = this.header.filename;
 
-    if (this.header.headType != FILE_HEAD && this.header.headType != ENDARC_HEAD) {
+    const headType = this.header.headType;
+    // Each volume of a multi-volume archive starts with its own marker and main header.
+    if (headType != FILE_HEAD && headType != ENDARC_HEAD && headType != MARK_HEAD &&
+        headType != MAIN_HEAD) {
       this.isValid = false;
       info('Error! RAR Volume did not include a FILE_HEAD header ');
     }
@@ -1316,8 +3209,35 @@ class RarLocalFile {
     }
   }
 
+  /** @returns {import('./decompress.js').UnarchivedEntry} */
+  getEntry() {
+    const header = this.header;
+    return {
+      filename: this.filename,
+      compressedSize: header.packSize,
+      uncompressedSize: header.unpackedSize,
+      lastModified: dosDateTimeToDate(header.fileTime >>> 16, header.fileTime & 0xffff),
+      ...readFileAttributes(header.fileAttr, header.hostOS == HOST_UNIX),
+      compressionMethod: header.method,
+      isEncrypted: header.flags.LHD_PASSWORD,
+      comment: undefined,
+    };
+  }
+
   unrar() {
+    if (!this.header.crcValid) {
+      // The sizes, method and flags of a corrupt header cannot be trusted to unpack the file.
+      err(`Error! RAR header CRC mismatch for ${this.filename}`);
+      this.isValid = false;
+      return;
+    }
     if (!this.header.flags.LHD_SPLIT_BEFORE) {
+      const encrypted = this.header.flags.LHD_PASSWORD;
+      if (encrypted && !this.decrypt_()) {
+        this.isValid = false;
+        return;
+      }
+
       // unstore file
       if (this.header.method == 0x30) {
         if (logToConsole) {
@@ -1328,22 +3248,232 @@ class RarLocalFile {
         currentBytesUnarchivedInFile += this.fileData.length;
         currentBytesUnarchived += this.fileData.length;
 
-        // Create a new buffer and copy it over.
-        const len = this.header.packSize;
+        // Create a new buffer and copy it over. Encrypted data is padded to the AES block size.
+        const len = this.header.unpackedSize;
         const newBuffer = new ByteBuffer(len);
-        newBuffer.insertBytes(this.fileData);
+        newBuffer.insertBytes(this.fileData.subarray(0, len));
         this.fileData = newBuffer.data;
       } else {
         this.isValid = true;
-        this.fileData = unpack(this);
+        try {
+          this.fileData = unpack(this);
+        } catch (e) {
+          // Data decrypted with the wrong password is garbage, which may not unpack at all.
+          if (!encrypted) {
+            throw e;
+          }
+          this.fileData = null;
+        }
+      }
+
+      // RAR 3.x has no password check, the CRC32 of the unpacked data is all we have.
+      if (encrypted && (!this.fileData ||
+          ((CRC(0xffffffff, this.fileData) ^ 0xffffffff) >>> 0) !== (this.header.fileCRC >>> 0))) {
+        err(`Error! Wrong password for ${this.filename}`);
+        this.isValid = false;
+      } else if (!encrypted && !skipChecksums && this.fileData &&
+          ((CRC(0xffffffff, this.fileData) ^ 0xffffffff) >>> 0) !== (this.header.fileCRC >>> 0)) {
+        err(`Error! CRC32 mismatch for ${this.filename}`);
+        this.isValid = false;
+      }
+    }
+  }
+
+  /**
+   * Decrypts the packed data with the key for the password and the salt of this file.
+   * @returns {boolean} Whether the data was decrypted.
+   * @private
+   */
+  decrypt_() {
+    if (this.header.unpVer < 29) {
+      err(`Error! RAR ${this.header.unpVer < 20 ? '1.5' : '2.0'} encryption is not supported: ` +
+          `${this.filename}`);
+      return false;
+    }
+    if (!password) {
+      err(`Error! ${this.filename} is encrypted, but no password was given`);
+      return false;
+    }
+    const { aes, iv } = RarSetKey30(this.header.salt || null);
+    this.fileData = aes.decryptCbc(this.fileData, iv);
+    return true;
+  }
+}
+
+/**
+ */
+class Rar5LocalFile {
+  /**
+   * @param {ByteStream} bstream
+   */
+  constructor(bstream) {
+    this.header = new Rar5VolumeHeader(bstream);
+    this.filename = this.header.filename;
+
+    /** @type {Uint8Array} */
+    this.fileData = null;
+    if (this.header.dataSize > 0) {
+      this.fileData = bstream.readBytes(this.header.dataSize);
+    }
+
+    this.isValid = (this.header.headType == HEAD5_FILE);
+  }
+
+  /** @returns {import('./decompress.js').UnarchivedEntry} */
+  getEntry() {
+    const header = this.header;
+    return {
+      filename: this.filename,
+      compressedSize: header.packSize,
+      uncompressedSize: header.unpackedSize,
+      lastModified: header.mtime !== undefined ? new Date(header.mtime * 1000) : undefined,
+      ...readFileAttributes(header.fileAttr, header.hostOS == HOST5_UNIX),
+      compressionMethod: header.method,
+      isEncrypted: header.encrypted,
+      comment: undefined,
+    };
+  }
+
+  unrar() {
+    const header = this.header;
+    if (!header.crcValid) {
+      err(`Error! RAR5 header CRC mismatch for ${this.filename}`);
+    }
+    if (header.encrypted) {
+      err(`Error! Encrypted RAR5 files are not supported: ${this.filename}`);
+      this.isValid = false;
+      return;
+    }
+    if (!this.fileData) {
+      // A corrupt header can give a file a size, but no data.
+      err(`Error! No data for the RAR5 file ${this.filename}`);
+      this.isValid = false;
+      return;
+    }
+
+    // unstore file
+    if (header.method == 0) {
+      if (logToConsole) {
+        info('Unstore ' + this.filename);
+      }
+      currentBytesUnarchivedInFile += this.fileData.length;
+      currentBytesUnarchived += this.fileData.length;
+
+      // Create a new buffer and copy it over.
+      const newBuffer = new ByteBuffer(header.unpackedSize);
+      newBuffer.insertBytes(this.fileData.subarray(0, header.unpackedSize));
+      this.fileData = newBuffer.data;
+    } else {
+      this.fileData = unpack5(this);
+    }
+
+    // Verify the unpacked data.
+    if (skipChecksums) {
+      return;
+    }
+    if (header.fileFlags.FHFL_CRC32) {
+      const crc = (CRC(0xffffffff, this.fileData) ^ 0xffffffff) >>> 0;
+      if (crc !== header.fileCRC) {
+        err(`Error! CRC32 mismatch for ${this.filename}`);
+        this.isValid = false;
+      }
+    }
+    if (header.blake2Hash) {
+      const digest = blake2sp(this.fileData);
+      if (digest.some((b, i) => b !== header.blake2Hash[i])) {
+        err(`Error! BLAKE2sp hash mismatch for ${this.filename}`);
+        this.isValid = false;
       }
     }
   }
 }
 
+/**
+ * Collects a part of a file that is split across volumes. Once the last part has been read, the
+ * packed data of all parts is joined into the first part, which can then be unpacked.
+ * @param {RarLocalFile|Rar5LocalFile} part
+ * @param {boolean} splitBefore Whether the file continues from the previous volume.
+ * @param {boolean} splitAfter Whether the file continues in the next volume.
+ * @returns {RarLocalFile|Rar5LocalFile} The joined file, or null if more parts are needed.
+ */
+function joinSplitFile(part, splitBefore, splitAfter) {
+  if (splitBefore &&
+      (splitFileParts.length == 0 || splitFileParts[0].filename != part.filename)) {
+    err(`Error! Missing the previous volume for ${part.filename}`);
+    splitFileParts = [];
+    return null;
+  }
+  if (!splitBefore && splitFileParts.length > 0) {
+    err(`Error! Missing the next volume for ${splitFileParts[0].filename}`);
+    splitFileParts = [];
+  }
+
+  splitFileParts.push(part);
+  if (splitAfter) {
+    return null;
+  }
+
+  const parts = splitFileParts;
+  splitFileParts = [];
+  const first = parts[0];
+  const packSize = parts.reduce((size, p) => size + p.fileData.length, 0);
+  const fileData = new Uint8Array(packSize);
+  let offset = 0;
+  for (const p of parts) {
+    fileData.set(p.fileData, offset);
+    offset += p.fileData.length;
+  }
+  first.fileData = fileData;
+  first.header.packSize = packSize;
+
+  // Only the header of the last part has the checksums of the whole file.
+  const lastHeader = parts[parts.length - 1].header;
+  first.header.fileCRC = lastHeader.fileCRC;
+  first.header.crcValid = parts.every(p => p.header.crcValid);
+  if (isRar5) {
+    first.header.dataSize = packSize;
+    first.header.fileFlags.FHFL_CRC32 = lastHeader.fileFlags.FHFL_CRC32;
+    first.header.blake2Hash = lastHeader.blake2Hash;
+    first.header.flags.HFL_SPLITAFTER = false;
+  } else {
+    first.header.flags.LHD_SPLIT_AFTER = false;
+  }
+  return first;
+}
+
+/**
+ * @param {ByteStream} bstream
+ * @returns {boolean} Whether the next bytes are the marker block that starts a volume.
+ */
+function RarIsMarkerNext(bstream) {
+  const marker = bstream.peekBytes(RAR_MARKER.length);
+  return RAR_MARKER.every((b, i) => b === marker[i]);
+}
+
 // Reads in the volume and main header.
 function unrar_start() {
   let bstream = bytestream.tee();
+  const signature = bstream.peekBytes(RAR5_SIGNATURE.length);
+  if (RAR5_SIGNATURE.every((b, i) => b === signature[i])) {
+    bstream.skip(RAR5_SIGNATURE.length);
+    if (logToConsole) {
+      info('Found RAR5 signature');
+    }
+
+    const mhead = new Rar5VolumeHeader(bstream);
+    if (mhead.headType != HEAD5_MAIN) {
+      info('Error! RAR5 did not include a MAIN header');
+    } else {
+      if (!mhead.crcValid) {
+        err('Error! RAR5 main header CRC mismatch');
+      }
+      isRar5 = true;
+      isSolid = mhead.archiveFlags.MHFL_SOLID;
+      bytestream = bstream.tee();
+    }
+    return;
+  }
+
   const header = new RarVolumeHeader(bstream);
   if (header.crc == 0x6152 && header.headType == 0x72 && header.flags.value == 0x1A21) {
     if (header.headSize == 7) {
@@ -1355,43 +3485,105 @@ function unrar_start() {
       if (mhead.headType != MAIN_HEAD) {
         info('Error! RAR did not include a MAIN_HEAD header');
       } else {
+        headersEncrypted = mhead.flags.MHD_PASSWORD;
+        isSolid = mhead.flags.MHD_SOLID;
         bytestream = bstream.tee();
       }
-    } else if (header.headSize === 0x107) {
-      throw 'Error! RAR5 files not supported yet. See https://github.com/codedread/bitjs/issues/25';
     }
   }
 }
 
-function unrar() {
+async function unrar() {
+  const port = hostPort;
   let bstream = bytestream.tee();
 
-  let localFile = null;
-  do {
-    localFile = new RarLocalFile(bstream);
+  while (bstream.getNumBytesLeft() > 0) {
+    // The marker and main header at the start of each volume are never encrypted.
+    let headerStream = bstream;
+    if (headersEncrypted && !RarIsMarkerNext(bstream)) {
+      if (!password) {
+        err('Error! The archive headers are encrypted, but no password was given');
+        break;
+      }
+      headerStream = RarDecryptHeader(bstream);
+      if (!headerStream) {
+        err('Error! Wrong password for the encrypted archive headers');
+        break;
+      }
+    }
+
+    let localFile = new RarLocalFile(bstream, headerStream);
+    const header = localFile.header;
     if (logToConsole) {
-      info('RAR localFile isValid=' + localFile.isValid + ', volume packSize=' + localFile.header.packSize);
-      localFile.header.dump();
+      info('RAR localFile isValid=' + localFile.isValid + ', volume packSize=' + header.packSize);
+      header.dump();
     }
 
-    if (localFile && localFile.isValid && localFile.header.packSize > 0) {
+    if (header.headType == MARK_HEAD || header.headType == MAIN_HEAD) {
+      // The start of the next volume.
+      expectingNextVolume = false;
+      headersEncrypted = (header.headType == MAIN_HEAD) && header.flags.MHD_PASSWORD;
+      continue;
+    } else if (header.headType == ENDARC_HEAD) {
       bytestream = bstream.tee();
-      totalUncompressedBytesInArchive += localFile.header.unpackedSize;
-      allLocalFiles.push(localFile);
+      expectingNextVolume = header.flags.EARC_NEXT_VOLUME;
+      if (expectingNextVolume) {
+        continue;
+      }
+      break;
+    } else if (header.headType != FILE_HEAD) {
+      break;
+    }
 
-      currentFilename = localFile.header.filename;
-      currentBytesUnarchivedInFile = 0;
-      localFile.unrar();
+    if (header.flags.LHD_SPLIT_BEFORE || header.flags.LHD_SPLIT_AFTER) {
+      bytestream = bstream.tee();
+      localFile = joinSplitFile(localFile, header.flags.LHD_SPLIT_BEFORE,
+          header.flags.LHD_SPLIT_AFTER);
+      if (!localFile) {
+        continue;
+      }
+    }
 
-      if (localFile.isValid) {
-        hostPort.postMessage({ type: 'extract', unarchivedFile: localFile }, [localFile.fileData.buffer]);
-        postProgress();
+    if (localFile.header.packSize == 0) {
+      if (localFile.header.unpackedSize == 0) {
+        // Skip this file.
+        continue;
+      }
+      break;
+    }
+
+    bytestream = bstream.tee();
+    totalUncompressedBytesInArchive += localFile.header.unpackedSize;
+    allLocalFiles.push(localFile);
+
+    currentFilename = localFile.header.filename;
+    currentBytesUnarchivedInFile = 0;
+    const extract = fileFilter(localFile.filename);
+    if (extract) {
+      hostPort.postMessage({ type: 'entry', entry: localFile.getEntry() });
+    }
+    if (listOnly || !(extract || isSolid)) {
+      localFile.fileData = null;
+      continue;
+    }
+    localFile.unrar();
+
+    if (localFile.isValid && extract) {
+      const unarchivedFile = { ...localFile, ...localFile.getEntry() };
+      hostPort.postMessage({ type: 'extract', unarchivedFile }, [unarchivedFile.fileData.buffer]);
+      postProgress();
+      await flowControl.fileSent();
+      if (hostPort !== port) {
+        // The host stopped the unrarring while we were waiting for it to take the file.
+        return;
       }
-    } else if (localFile.header.packSize == 0 && localFile.header.unpackedSize == 0) {
-      // Skip this file.
-      localFile.isValid = true;
     }
-  } while (localFile.isValid && bstream.getNumBytesLeft() > 0);
+  }
+
+  if (bstream.getNumBytesLeft() == 0 && (expectingNextVolume || splitFileParts.length > 0)) {
+    // Wait for update() to send the bytes of the next volume.
+    throw 'Error!  Overflowed the byte stream while waiting for the next volume';
+  }
 
   totalFilesInArchive = allLocalFiles.length;
 
@@ -1400,9 +3592,130 @@ function unrar() {
   bytestream = bstream.tee();
 };
 
+async function unrar5() {
+  const port = hostPort;
+  let bstream = bytestream.tee();
+
+  while (bstream.getNumBytesLeft() > 0) {
+    if (expectingNextVolume) {
+      // The next volume starts with the signature, followed by its main header.
+      const signature = bstream.readBytes(RAR5_SIGNATURE.length);
+      if (!RAR5_SIGNATURE.every((b, i) => b === signature[i])) {
+        err('Error! Did not find the RAR5 signature at the start of the next volume');
+        break;
+      }
+      bytestream = bstream.tee();
+      expectingNextVolume = false;
+      continue;
+    }
+
+    let localFile = new Rar5LocalFile(bstream);
+    const header = localFile.header;
+    if (logToConsole) {
+      header.dump();
+    }
+    bytestream = bstream.tee();
+
+    if (header.headType == HEAD5_ENDARC) {
+      expectingNextVolume = header.endArcFlags.EHFL_NEXTVOLUME;
+      if (expectingNextVolume) {
+        continue;
+      }
+      break;
+    } else if (header.headType == HEAD5_CRYPT) {
+      err('Error! Encrypted RAR5 archive headers are not supported');
+      break;
+    } else if (header.headType != HEAD5_FILE) {
+      // Skip service headers (comments, NTFS streams, etc) and anything we do not know about.
+      continue;
+    }
+
+    if (header.flags.HFL_SPLITBEFORE || header.flags.HFL_SPLITAFTER) {
+      localFile = joinSplitFile(localFile, header.flags.HFL_SPLITBEFORE,
+          header.flags.HFL_SPLITAFTER);
+      if (!localFile) {
+        continue;
+      }
+    }
+
+    if (localFile.header.packSize == 0 && localFile.header.unpackedSize == 0) {
+      // Skip this file (directories and empty files).
+      continue;
+    }
+
+    totalUncompressedBytesInArchive += localFile.header.unpackedSize;
+    allLocalFiles.push(localFile);
+
+    currentFilename = localFile.header.filename;
+    currentBytesUnarchivedInFile = 0;
+    const extract = fileFilter(localFile.filename);
+    if (extract) {
+      hostPort.postMessage({ type: 'entry', entry: localFile.getEntry() });
+    }
+    if (listOnly || !(extract || isSolid)) {
+      localFile.fileData = null;
+      continue;
+    }
+    localFile.unrar();
+
+    if (localFile.isValid && extract) {
+      const unarchivedFile = { ...localFile, ...localFile.getEntry() };
+      hostPort.postMessage({ type: 'extract', unarchivedFile }, [unarchivedFile.fileData.buffer]);
+      postProgress();
+      await flowControl.fileSent();
+      if (hostPort !== port) {
+        // The host stopped the unrarring while we were waiting for it to take the file.
+        return;
+      }
+    }
+  }
+
+  if (expectingNextVolume || splitFileParts.length > 0) {
+    // Wait for update() to send the bytes of the next volume.
+    throw 'Error!  Overflowed the byte stream while waiting for the next volume';
+  }
+
+  totalFilesInArchive = allLocalFiles.length;
+
+  postProgress();
+}
+
+/**
+ * Called once the host has sent all of its bytes. If the RAR archive is not done by then, it never
+ * will be.
+ */
+function checkForEndOfInput() {
+  if (inputEnded && unarchiveState !== UnarchiveState.FINISHED) {
+    err('Error! The RAR archive ended before it was complete');
+    unarchiveState = UnarchiveState.FINISHED;
+    hostPort.postMessage({ type: 'finish', metadata: {} });
+  }
+}
+
 // event.data.file has the first ArrayBuffer.
 // event.data.bytes has all subsequent ArrayBuffers.
-const onmessage = function (event) {
+// event.data.end is sent when the host has no more bytes to send.
+// event.data.resume is sent when the host takes an extracted file.
+const onmessage = async function (event) {
+  const port = hostPort;
+  if (event.data.resume) {
+    // This can arrive after the host stopped the implementation.
+    if (flowControl) {
+      flowControl.fileTaken();
+    }
+    return;
+  }
+  if (event.data.end) {
+    // This can arrive after the host stopped the implementation.
+    if (event.target === hostPort) {
+      inputEnded = true;
+      if (!isUnrarring) {
+        checkForEndOfInput();
+      }
+    }
+    return;
+  }
+
   const bytes = event.data.file || event.data.bytes;
   logToConsole = !!event.data.logToConsole;
 
@@ -1417,7 +3730,16 @@ const onmessage = function (event) {
     totalUncompressedBytesInArchive = 0;
     totalFilesInArchive = 0;
     allLocalFiles = [];
+    password = event.data.password || '';
+    listOnly = !!event.data.listOnly;
+    fileFilter = createFileFilter(event.data.include, event.data.exclude);
+    flowControl = new FlowControl(!!event.data.flowControl);
+    skipChecksums = !!event.data.skipChecksums;
     hostPort.postMessage({ type: 'start' });
+  } else if (isUnrarring) {
+    // unrar() works on a copy of the bytestream, so keep these until it is done.
+    pendingBytes.push(bytes);
+    return;
   } else {
     bytestream.push(bytes);
   }
@@ -1431,9 +3753,12 @@ const onmessage = function (event) {
         if (logToConsole) {
           console.dir(e);
         }
-        // Overrun the buffer.
-        unarchiveState = UnarchiveState.WAITING;
+        // Overrun the buffer. Read the headers again once more bytes come in.
         postProgress();
+        if (flowControl.enabled) {
+          hostPort.postMessage({ type: 'waiting' });
+        }
+        return;
       } else {
         console.error('Found an error while unrarring');
         console.dir(e);
@@ -1442,10 +3767,18 @@ const onmessage = function (event) {
     }
   }
 
-  if (unarchiveState === UnarchiveState.UNARCHIVING ||
+  while (unarchiveState === UnarchiveState.UNARCHIVING ||
     unarchiveState === UnarchiveState.WAITING) {
+    isUnrarring = true;
     try {
-      unrar();
+      if (isRar5) {
+        await unrar5();
+      } else {
+        await unrar();
+      }
+      if (hostPort !== port) {
+        return;
+      }
       unarchiveState = UnarchiveState.FINISHED;
       hostPort.postMessage({ type: 'finish', metadata: {} });
     } catch (e) {
@@ -1458,9 +3791,28 @@ const onmessage = function (event) {
       } else {
         console.error('Found an error while unrarring');
         console.dir(e);
+        isUnrarring = false;
         throw e;
       }
     }
+    if (hostPort !== port) {
+      return;
+    }
+    isUnrarring = false;
+
+    // Try again if more bytes came in while unrarring.
+    if (unarchiveState !== UnarchiveState.WAITING || pendingBytes.length === 0) {
+      break;
+    }
+    for (const moreBytes of pendingBytes) {
+      bytestream.push(moreBytes);
+    }
+    pendingBytes = [];
+  }
+  checkForEndOfInput();
+  if (flowControl.enabled && unarchiveState === UnarchiveState.WAITING) {
+    // Ask the host for more bytes.
+    hostPort.postMessage({ type: 'waiting' });
   }
 };
 
@@ -1487,7 +3839,29 @@ export function disconnect() {
   bytestream = null;
   allLocalFiles = null;
   logToConsole = false;
-  
+  isRar5 = false;
+  password = '';
+  headersEncrypted = false;
+  listOnly = false;
+  fileFilter = null;
+  isSolid = false;
+  flowControl = null;
+  isUnrarring = false;
+  pendingBytes = [];
+  inputEnded = false;
+  skipChecksums = false;
+  rKeyCache30.clear();
+  rOldBuffers.length = 0;
+  splitFileParts = [];
+  expectingNextVolume = false;
+  tablesRead = false;
+  unpBlockType = BLOCK_LZ;
+  PPM = new ModelPPM();
+  ppmEscChar = 2;
+  rWindow5 = null;
+  rSolidBytes5 = 0;
+  rFilters5 = [];
+
   currentFilename = '';
   currentFileNumber = 0;
   currentBytesUnarchivedInFile = 0;
@@ -11,6 +11,7 @@
  */
 
 import { ByteStream } from '../io/bytestream.js';
+import { EXTRACT_CHUNK_SIZE, FlowControl, createFileFilter } from './common.js';
 
 const UnarchiveState = {
   NOT_STARTED: 0,
@@ -28,6 +29,44 @@ let unarchiveState = UnarchiveState.NOT_STARTED;
 let bytestream = null;
 let allLocalFiles = null;
 let logToConsole = false;
+// Whether to only send the entries, without extracting them.
+let listOnly = false;
+/**
+ * Whether to extract a file, from the include and exclude options.
+ * @type {function(string): boolean}
+ */
+let fileFilter = null;
+/**
+ * Whether to wait for the host to take each extracted file.
+ * @type {FlowControl}
+ */
+let flowControl = null;
+// Whether untar() is running. Bytes sent meanwhile wait in pendingBytes.
+let isUntarring = false;
+/** @type {ArrayBuffer[]} */
+let pendingBytes = [];
+// Whether the host said that it has no more bytes to send.
+let inputEnded = false;
+// Whether to send the data of each file in extract-chunk messages.
+let chunked = false;
+/**
+ * The file whose data is being sent in chunks, if it ran out of bytes.
+ * @type {TarLocalFile}
+ */
+let chunkedFile = null;
+/**
+ * The records of the PAX global headers so far, which apply to all the entries after them.
+ * @type {Object<string, string>}
+ */
+let globalPaxRecords = {};
+/**
+ * The records of the PAX extended header, which apply to the next entry only.
+ * @type {Object<string, string>}
+ */
+let paxRecords = null;
+// Whether untar() found a zero block, which marks the end of the archive, or the bytes so far end
+// where the next header would start, which is the end if the host sends no more.
+let foundEndBlock = false;
 
 // Progress variables.
 let currentFilename = '';
@@ -64,9 +103,128 @@ const readCleanString = function (bstr, numBytes) {
   return zIndex != -1 ? str.substr(0, zIndex) : str;
 };
 
+// Reads a number field. It is octal, unless the high bit of the first byte is set, in which case it
+// is a big-endian base-256 number (a GNU extension for numbers that do not fit, like big sizes).
+const readNumberField = function (bstr, numBytes) {
+  const bytes = bstr.readBytes(numBytes);
+  if (bytes[0] & 0x80) {
+    let num = bytes[0] & 0x7f;
+    for (let i = 1; i < numBytes; ++i) {
+      num = num * 256 + bytes[i];
+    }
+    return num;
+  }
+  const zIndex = bytes.indexOf(0);
+  return parseInt(String.fromCharCode(...bytes.subarray(0, zIndex != -1 ? zIndex : numBytes)), 8);
+};
+
+/**
+ * @param {Uint8Array} block
+ * @returns {boolean}
+ */
+function isZeroBlock(block) {
+  return block.every(b => b == 0);
+}
+
+/**
+ * The checksum of a header is the sum of its bytes, with the bytes of the checksum field taken to
+ * be spaces. Some old tar programs summed the bytes as signed numbers, so either sum is accepted.
+ * @param {Uint8Array} header The 512 bytes of the header.
+ * @returns {boolean}
+ */
+function isHeaderChecksumValid(header) {
+  // An octal number, which can have spaces before it, and a NUL or a space after it.
+  const chksum = parseInt(String.fromCharCode(...header.subarray(148, 156)), 8);
+  let unsignedSum = 8 * 0x20;
+  let signedSum = 8 * 0x20;
+  for (let i = 0; i < 512; ++i) {
+    if (i < 148 || i >= 156) {
+      unsignedSum += header[i];
+      signedSum += (header[i] << 24) >> 24;
+    }
+  }
+  return chksum === unsignedSum || chksum === signedSum;
+}
+
+/**
+ * The type of entry of each typeflag, except for the headers that apply to the next entry.
+ * @type {Object<string, string>}
+ */
+const ENTRY_TYPES = {
+  '': 'file', // Old tar files have a NUL typeflag for regular files.
+  '0': 'file',
+  '1': 'hardlink',
+  '2': 'symlink',
+  '3': 'character-device',
+  '4': 'block-device',
+  '5': 'directory',
+  '6': 'fifo',
+  '7': 'file', // A contiguous file, which is just a regular file here.
+  'S': 'file', // A GNU sparse file.
+};
+
+/**
+ * Reads the entries of an old GNU sparse map, until the first empty one.
+ * @param {ByteStream} bstream
+ * @param {number} numEntries
+ * @param {Array<number[]>} sparseMap The [offset, numBytes] of each entry are added to this.
+ */
+function readGnuSparseMap(bstream, numEntries, sparseMap) {
+  for (let i = 0; i < numEntries; ++i) {
+    const offset = readNumberField(bstream, 12);
+    const numBytes = readNumberField(bstream, 12);
+    if (!isNaN(offset) && !isNaN(numBytes)) {
+      sparseMap.push([offset, numBytes]);
+    }
+  }
+}
+
+/**
+ * Parses the records in the data of a PAX extended or global header. Each record is
+ * '<length> <keyword>=<value>\n', where the length is the number of bytes of the whole record, and
+ * the value is UTF-8.
+ * See https://pubs.opengroup.org/onlinepubs/9699919799/utilities/pax.html#tag_20_92_13_03
+ * @param {Uint8Array} bytes
+ * @returns {Object<string, string>}
+ */
+function parsePaxRecords(bytes) {
+  const decoder = new TextDecoder();
+  const records = {};
+  let pos = 0;
+  while (pos < bytes.length) {
+    const space = bytes.indexOf(0x20, pos);
+    if (space == -1) {
+      break;
+    }
+    const length = parseInt(decoder.decode(bytes.subarray(pos, space)), 10);
+    if (!(length > 0) || pos + length > bytes.length) {
+      err(`Error! Invalid PAX record at byte ${pos} of the extended header`);
+      break;
+    }
+    // Leave out the newline at the end.
+    const record = decoder.decode(bytes.subarray(space + 1, pos + length - 1));
+    const equals = record.indexOf('=');
+    if (equals > 0) {
+      const keyword = record.substring(0, equals);
+      const value = record.substring(equals + 1);
+      records[keyword] = value;
+      // PAX 0.0 sparse files repeat these for each data segment. Join them up into a map, as in
+      // PAX 0.1 sparse files.
+      if (keyword == 'GNU.sparse.offset' || keyword == 'GNU.sparse.numbytes') {
+        const map = records['GNU.sparse.map'];
+        records['GNU.sparse.map'] = map ? `${map},${value}` : value;
+      }
+    }
+    pos += length;
+  }
+  return records;
+}
+
 class TarLocalFile {
   // takes a ByteStream and parses out the local file information
-  constructor(bstream) {
+  // If chunked is true, the file contents are left in the ByteStream for sendChunks().
+  // The PAX records override the fields of the header.
+  constructor(bstream, chunked = false, paxRecords = {}) {
     this.isValid = false;
 
     let bytesRead = 0;
@@ -74,10 +232,11 @@ class TarLocalFile {
     // Read in the header block
     this.name = readCleanString(bstream, 100);
     this.mode = readCleanString(bstream, 8);
-    this.uid = readCleanString(bstream, 8);
-    this.gid = readCleanString(bstream, 8);
-    this.size = parseInt(readCleanString(bstream, 12), 8);
-    this.mtime = readCleanString(bstream, 12);
+    this.uid = readNumberField(bstream, 8);
+    this.gid = readNumberField(bstream, 8);
+    this.size = readNumberField(bstream, 12);
+    // Seconds since the Unix epoch.
+    this.mtime = readNumberField(bstream, 12);
     this.chksum = readCleanString(bstream, 8);
     this.typeflag = readCleanString(bstream, 1);
     this.linkname = readCleanString(bstream, 100);
@@ -102,28 +261,79 @@ class TarLocalFile {
         this.name = `${this.prefix}/${this.name}`;
       }
       bstream.readBytes(12); // 512 - 500
+    } else if (this.maybeMagic == 'ustar ') {
+      // The old GNU format.
+      this.version = readCleanString(bstream, 2);
+      this.uname = readCleanString(bstream, 32);
+      this.gname = readCleanString(bstream, 32);
+      this.devmajor = readCleanString(bstream, 8);
+      this.devminor = readCleanString(bstream, 8);
+      bstream.readBytes(41); // atime, ctime, offset, longnames and a byte of padding.
+
+      // A sparse file has a map of where its data segments go in the file. The header has room for
+      // 4 entries, and extended sparse headers of 21 entries each can follow it.
+      const sparseMap = [];
+      readGnuSparseMap(bstream, 4, sparseMap);
+      let isExtended = bstream.readNumber(1);
+      this.realSize = readNumberField(bstream, 12);
+      bstream.readBytes(17); // 512 - 495
+      while (isExtended) {
+        readGnuSparseMap(bstream, 21, sparseMap);
+        isExtended = bstream.readNumber(1);
+        bstream.readBytes(7); // 512 - 505
+      }
+      if (this.typeflag == 'S') {
+        /**
+         * The [offset, numBytes] of each data segment of a sparse file.
+         * @type {Array<number[]>}
+         */
+        this.sparseMap = sparseMap;
+      }
     } else {
-      bstream.readBytes(255); // 512 - 257
+      bstream.readBytes(249); // 512 - 263
     }
 
     bytesRead += 512;
 
+    this.applyPaxRecords_(paxRecords);
+    // PAX 1.0 sparse files have their sparse map at the start of their data instead.
+    this.isSparse = !!this.sparseMap || paxRecords['GNU.sparse.major'] == '1';
+
     // Done header, now rest of blocks are the file contents.
     this.filename = this.name;
+    /**
+     * The type of entry, like 'file', 'directory' or 'symlink', or undefined for a header.
+     * @type {string}
+     */
+    this.type = ENTRY_TYPES[this.typeflag];
     /** @type {Uint8Array} */
     this.fileData = null;
+    // Whether the file contents are left in the ByteStream for sendChunks().
+    this.isChunked = false;
 
     info(`Untarring file '${this.filename}'`);
     info(`  size = ${this.size}`);
     info(`  typeflag = ${this.typeflag}`);
 
-    // A regular file.
-    if (this.typeflag == 0) {
+    // A regular file. Sparse files are put back together in one piece.
+    if (this.type == 'file' && chunked && !this.isSparse) {
       info('  This is a regular file.');
+      this.isChunked = true;
+      this.isValid = this.name.length > 0 && this.size > 0;
+      // The number of bytes of file contents still in the ByteStream, and the padding after them.
+      this.numBytesLeft = this.size;
+      this.numPaddingBytes = (512 - this.size % 512) % 512;
+      // Whether to send the contents to the host, or just skip over them.
+      this.isExtracted = false;
+    } else if (this.type == 'file') {
+      info(`  This is a ${this.isSparse ? 'sparse' : 'regular'} file.`);
       const sizeInBytes = parseInt(this.size);
       this.fileData = new Uint8Array(bstream.readBytes(sizeInBytes));
       bytesRead += sizeInBytes;
-      if (this.name.length > 0 && this.size > 0 && this.fileData && this.fileData.buffer) {
+      if (this.isSparse) {
+        this.fileData = this.expandSparseFile_(this.fileData);
+      }
+      if (this.name.length > 0 && this.fileData && this.fileData.length > 0) {
         this.isValid = true;
       }
 
@@ -132,33 +342,254 @@ class TarLocalFile {
       if (remaining > 0 && remaining < 512) {
         bstream.readBytes(remaining);
       }
-    } else if (this.typeflag == 5) {
-      info('  This is a directory.')
+    } else if (this.typeflag == 'x' || this.typeflag == 'g') {
+      info(`  This is a PAX ${this.typeflag == 'g' ? 'global' : 'extended'} header.`);
+      /**
+       * The records for the entries after this one.
+       * @type {Object<string, string>}
+       */
+      this.paxRecords = parsePaxRecords(bstream.readBytes(this.size));
+      bstream.skip((512 - this.size % 512) % 512);
+    } else if (this.typeflag == 'L' || this.typeflag == 'K') {
+      info(`  This is a GNU long ${this.typeflag == 'L' ? 'name' : 'link name'}.`);
+      // The name is for the next entry, so it is passed on as a PAX record.
+      const nameBytes = bstream.readBytes(this.size);
+      const zIndex = nameBytes.indexOf(0);
+      const longName = new TextDecoder().decode(
+          nameBytes.subarray(0, zIndex != -1 ? zIndex : nameBytes.length));
+      this.paxRecords = { [this.typeflag == 'L' ? 'path' : 'linkpath']: longName };
+      bstream.skip((512 - this.size % 512) % 512);
+    } else {
+      info(this.type ? `  This is a ${this.type.replace('-', ' ')}.` : '  This is not supported.');
+      // Directories, links, devices and FIFOs have no contents, so they are sent with no data.
+      if (this.type) {
+        this.fileData = new Uint8Array(0);
+        this.isValid = this.name.length > 0;
+      }
+      // Devices and FIFOs have no data blocks, whatever their size is. Other entries might, like
+      // the list of files in a GNU tar dump directory.
+      if (!['character-device', 'block-device', 'fifo'].includes(this.type) && this.size > 0) {
+        bstream.skip(this.size + (512 - this.size % 512) % 512);
+      }
     }
   }
+
+  /**
+   * Puts the data segments of a sparse file where they go in the file, with zeros in between.
+   * @param {Uint8Array} data The data segments, one after the other.
+   * @returns {Uint8Array} The file, or null if the sparse map does not fit the data.
+   * @private
+   */
+  expandSparseFile_(data) {
+    let sparseMap = this.sparseMap;
+    if (!sparseMap) {
+      // PAX 1.0: The number of segments, then the offset and size of each, as decimal numbers on
+      // their own lines, padded to a 512-byte block.
+      let pos = 0;
+      const readDecimal = () => {
+        const end = data.indexOf(0x0a, pos);
+        const num = parseInt(String.fromCharCode(...data.subarray(pos, end)), 10);
+        pos = end + 1;
+        return (end == -1) ? NaN : num;
+      };
+      const numSegments = readDecimal();
+      sparseMap = [];
+      for (let i = 0; i < numSegments; ++i) {
+        sparseMap.push([readDecimal(), readDecimal()]);
+      }
+      data = data.subarray(Math.ceil(pos / 512) * 512);
+    }
+
+    const fileData = new Uint8Array(this.realSize);
+    let pos = 0;
+    for (const [offset, numBytes] of sparseMap) {
+      if (!(offset >= 0 && numBytes >= 0) || offset + numBytes > fileData.length ||
+          pos + numBytes > data.length) {
+        err(`Error! Invalid sparse map for ${this.name}`);
+        return null;
+      }
+      fileData.set(data.subarray(pos, pos + numBytes), offset);
+      pos += numBytes;
+    }
+    return fileData;
+  }
+
+  /**
+   * @param {Object<string, string>} records The PAX records for this entry. A record with an empty
+   *     value leaves the field of the header as is.
+   * @private
+   */
+  applyPaxRecords_(records) {
+    for (const [keyword, value] of Object.entries(records)) {
+      if (value === '') {
+        continue;
+      }
+      switch (keyword) {
+        case 'path': this.name = value; break;
+        case 'linkpath': this.linkname = value; break;
+        case 'size': this.size = parseInt(value, 10); break;
+        // The mtime can have a fraction of a second.
+        case 'mtime': this.mtime = parseFloat(value); break;
+        case 'uid': this.uid = parseInt(value, 10); break;
+        case 'gid': this.gid = parseInt(value, 10); break;
+        case 'uname': this.uname = value; break;
+        case 'gname': this.gname = value; break;
+        case 'comment': this.comment = value; break;
+        case 'GNU.sparse.size': this.realSize = parseInt(value, 10); break;
+        case 'GNU.sparse.realsize': this.realSize = parseInt(value, 10); break;
+        case 'GNU.sparse.map': {
+          const numbers = value.split(',').map(n => parseInt(n, 10));
+          this.sparseMap = [];
+          for (let i = 0; i + 1 < numbers.length; i += 2) {
+            this.sparseMap.push([numbers[i], numbers[i + 1]]);
+          }
+          break;
+        }
+      }
+    }
+    // The name of a PAX sparse file is made up, so that other tar programs do not mistake it for
+    // the file.
+    if (records['GNU.sparse.name']) {
+      this.name = records['GNU.sparse.name'];
+    }
+  }
+
+  /** @returns {import('./decompress.js').UnarchivedEntry} */
+  getEntry() {
+    const mode = parseInt(this.mode, 8);
+    return {
+      filename: this.filename,
+      compressedSize: this.size,
+      uncompressedSize: this.isSparse ? this.realSize : this.size,
+      lastModified: isNaN(this.mtime) ? undefined : new Date(this.mtime * 1000),
+      // Some tar programs also put the file type bits in the mode field.
+      mode: isNaN(mode) ? undefined : mode & 0o7777,
+      isDirectory: this.type == 'directory',
+      isSymlink: this.type == 'symlink',
+      // Tar does not compress.
+      compressionMethod: 0,
+      isEncrypted: false,
+      comment: this.comment,
+      type: this.type,
+      linkname: (this.type == 'symlink' || this.type == 'hardlink') ? this.linkname : undefined,
+    };
+  }
 }
 
-const untar = function () {
+/**
+ * Sends the contents of chunkedFile to the host in extract-chunk messages of at most
+ * EXTRACT_CHUNK_SIZE bytes, as far as the ByteStream goes, then skips the block padding. If the
+ * ByteStream runs out, this throws and is called again once more bytes come in.
+ * @param {ByteStream} bstream
+ */
+function sendChunks(bstream) {
+  const file = chunkedFile;
+  while (file.numBytesLeft > 0) {
+    const numBytes = Math.min(file.numBytesLeft, bstream.getNumBytesLeft(), EXTRACT_CHUNK_SIZE);
+    if (numBytes === 0) {
+      throw 'Error!  Overflowed the byte stream while sending the chunks of a file';
+    }
+    // readBytes() returns a copy, so its buffer can be transferred.
+    const chunk = bstream.readBytes(numBytes);
+    file.numBytesLeft -= numBytes;
+    bytestream = bstream.tee();
+
+    if (file.isExtracted) {
+      currentBytesUnarchivedInFile += numBytes;
+      currentBytesUnarchived += numBytes;
+      hostPort.postMessage({
+        type: 'extract-chunk',
+        filename: file.filename,
+        chunk,
+        isLastChunk: file.numBytesLeft === 0,
+      }, [chunk.buffer]);
+      postProgress();
+    }
+  }
+
+  bstream.skip(file.numPaddingBytes);
+  bytestream = bstream.tee();
+  chunkedFile = null;
+}
+
+const untar = async function () {
+  const port = hostPort;
   let bstream = bytestream.tee();
 
-  // While we don't encounter an empty block, keep making TarLocalFiles.
-  while (bstream.peekNumber(4) != 0) {
-    const oneLocalFile = new TarLocalFile(bstream);
-    if (oneLocalFile && oneLocalFile.isValid) {
-      // If we make it to this point and haven't thrown an error, we have successfully
-      // read in the data for a local file, so we can update the actual bytestream.
-      bytestream = bstream.tee();
+  if (chunkedFile) {
+    // Carry on with the file that ran out of bytes.
+    sendChunks(bstream);
+  }
+
+  // Keep making TarLocalFiles until the two zero blocks at the end of the archive.
+  while (true) {
+    // Some tar programs write no zero blocks, so checkForEndOfInput() takes the bytes ending before
+    // the next header as the end too.
+    foundEndBlock = bstream.getNumBytesLeft() === 0;
+    const header = bstream.peekBytes(512);
+    if (isZeroBlock(header)) {
+      // Some tar programs only write one zero block.
+      foundEndBlock = true;
+      if (bstream.getNumBytesLeft() < 1024 ||
+          !isZeroBlock(bstream.peekBytes(1024).subarray(512))) {
+        info(`A lone zero block at byte ${bstream.getNumBytesRead()} ends the archive`);
+      }
+      break;
+    }
+    if (!isHeaderChecksumValid(header)) {
+      err(`Error! Invalid tar header checksum at byte ${bstream.getNumBytesRead()}`);
+      break;
+    }
 
+    const oneLocalFile = new TarLocalFile(bstream, chunked,
+        Object.assign({}, globalPaxRecords, paxRecords));
+    // If we make it to this point and haven't thrown an error, we have successfully read in the
+    // header and data of an entry (or just its header, if chunked), so we can update the actual
+    // bytestream.
+    bytestream = bstream.tee();
+    if (oneLocalFile.typeflag == 'g') {
+      Object.assign(globalPaxRecords, oneLocalFile.paxRecords);
+      continue;
+    } else if (oneLocalFile.paxRecords) {
+      // A PAX extended header or a GNU long name, for the next entry.
+      paxRecords = Object.assign(paxRecords || {}, oneLocalFile.paxRecords);
+      continue;
+    }
+    paxRecords = null;
+
+    if (oneLocalFile && oneLocalFile.isValid && fileFilter(oneLocalFile.filename)) {
       allLocalFiles.push(oneLocalFile);
       totalUncompressedBytesInArchive += oneLocalFile.size;
 
-      // update progress
-      currentFilename = oneLocalFile.filename;
-      currentFileNumber = totalFilesInArchive++;
-      currentBytesUnarchivedInFile = oneLocalFile.size;
-      currentBytesUnarchived += oneLocalFile.size;
-      hostPort.postMessage({ type: 'extract', unarchivedFile: oneLocalFile }, [oneLocalFile.fileData.buffer]);
-      postProgress();
+      hostPort.postMessage({ type: 'entry', entry: oneLocalFile.getEntry() });
+      if (listOnly) {
+        oneLocalFile.fileData = null;
+      } else if (oneLocalFile.isChunked) {
+        currentFilename = oneLocalFile.filename;
+        currentFileNumber = totalFilesInArchive++;
+        currentBytesUnarchivedInFile = 0;
+        oneLocalFile.isExtracted = true;
+      } else {
+        // update progress
+        currentFilename = oneLocalFile.filename;
+        currentFileNumber = totalFilesInArchive++;
+        currentBytesUnarchivedInFile = oneLocalFile.size;
+        currentBytesUnarchived += oneLocalFile.size;
+        // The common fields take the place of the header's own, such as its octal mode string.
+        const unarchivedFile = { ...oneLocalFile, ...oneLocalFile.getEntry() };
+        hostPort.postMessage({ type: 'extract', unarchivedFile }, [unarchivedFile.fileData.buffer]);
+        postProgress();
+        await flowControl.fileSent();
+        if (hostPort !== port) {
+          // The host stopped the untarring while we were waiting for it to take the file.
+          return;
+        }
+      }
+    }
+    if (oneLocalFile.isChunked && oneLocalFile.numBytesLeft > 0) {
+      // The file contents are still in the ByteStream, even if they are not extracted.
+      chunkedFile = oneLocalFile;
+      sendChunks(bstream);
     }
   }
   totalFilesInArchive = allLocalFiles.length;
@@ -168,15 +599,54 @@ const untar = function () {
   bytestream = bstream.tee();
 };
 
+/**
+ * Called once the host has sent all of its bytes. If the tar file is not done by then, it never
+ * will be.
+ */
+function checkForEndOfInput() {
+  if (inputEnded && unarchiveState !== UnarchiveState.FINISHED) {
+    if (!foundEndBlock) {
+      err('Error! The tar file ended before it was complete');
+    }
+    unarchiveState = UnarchiveState.FINISHED;
+    hostPort.postMessage({ type: 'finish', metadata: {} });
+  }
+}
+
 // event.data.file has the first ArrayBuffer.
 // event.data.bytes has all subsequent ArrayBuffers.
-const onmessage = function (event) {
+// event.data.end is sent when the host has no more bytes to send.
+// event.data.resume is sent when the host takes an extracted file.
+const onmessage = async function (event) {
+  const port = hostPort;
+  if (event.data.resume) {
+    // This can arrive after the host stopped the implementation.
+    if (flowControl) {
+      flowControl.fileTaken();
+    }
+    return;
+  }
+  if (event.data.end) {
+    // This can arrive after the host stopped the implementation.
+    if (event.target === hostPort) {
+      inputEnded = true;
+      if (!isUntarring) {
+        checkForEndOfInput();
+      }
+    }
+    return;
+  }
+
   const bytes = event.data.file || event.data.bytes;
   logToConsole = !!event.data.logToConsole;
 
   // This is the very first time we have been called. Initialize the bytestream.
   if (!bytestream) {
     bytestream = new ByteStream(bytes);
+  } else if (isUntarring) {
+    // untar() works on a copy of the bytestream, so keep these until it is done.
+    pendingBytes.push(bytes);
+    return;
   } else {
     bytestream.push(bytes);
   }
@@ -189,6 +659,13 @@ const onmessage = function (event) {
     totalUncompressedBytesInArchive = 0;
     totalFilesInArchive = 0;
     allLocalFiles = [];
+    listOnly = !!event.data.listOnly;
+    fileFilter = createFileFilter(event.data.include, event.data.exclude);
+    flowControl = new FlowControl(!!event.data.flowControl);
+    chunked = !!event.data.chunked;
+    globalPaxRecords = {};
+    paxRecords = null;
+    foundEndBlock = false;
 
     hostPort.postMessage({ type: 'start' });
 
@@ -197,10 +674,14 @@ const onmessage = function (event) {
     postProgress();
   }
 
-  if (unarchiveState === UnarchiveState.UNARCHIVING ||
+  while (unarchiveState === UnarchiveState.UNARCHIVING ||
     unarchiveState === UnarchiveState.WAITING) {
+    isUntarring = true;
     try {
-      untar();
+      await untar();
+      if (hostPort !== port) {
+        return;
+      }
       unarchiveState = UnarchiveState.FINISHED;
       hostPort.postMessage({ type: 'finish', metadata: {} });
     } catch (e) {
@@ -210,9 +691,28 @@ const onmessage = function (event) {
       } else {
         console.error('Found an error while untarring');
         console.dir(e);
+        isUntarring = false;
         throw e;
       }
     }
+    if (hostPort !== port) {
+      return;
+    }
+    isUntarring = false;
+
+    // Try again if more bytes came in while untarring.
+    if (unarchiveState !== UnarchiveState.WAITING || pendingBytes.length === 0) {
+      break;
+    }
+    for (const moreBytes of pendingBytes) {
+      bytestream.push(moreBytes);
+    }
+    pendingBytes = [];
+  }
+  checkForEndOfInput();
+  if (flowControl.enabled && unarchiveState === UnarchiveState.WAITING) {
+    // Ask the host for more bytes.
+    hostPort.postMessage({ type: 'waiting' });
   }
 };
 
@@ -239,6 +739,17 @@ export function disconnect() {
   bytestream = null;
   allLocalFiles = null;
   logToConsole = false;
+  listOnly = false;
+  fileFilter = null;
+  flowControl = null;
+  isUntarring = false;
+  pendingBytes = [];
+  inputEnded = false;
+  chunked = false;
+  chunkedFile = null;
+  globalPaxRecords = {};
+  paxRecords = null;
+  foundEndBlock = false;
   
   currentFilename = '';
   currentFileNumber = 0;
@@ -13,10 +13,14 @@
  */
 
 import { ByteStream } from '../io/bytestream.js';
-import { ARCHIVE_EXTRA_DATA_SIG, CENTRAL_FILE_HEADER_SIG, CRC32_MAGIC_NUMBER,
-  DATA_DESCRIPTOR_SIG, DIGITAL_SIGNATURE_SIG, END_OF_CENTRAL_DIR_SIG,
-  LOCAL_FILE_HEADER_SIG } from './common.js';
+import { ARCHIVE_EXTRA_DATA_SIG, CENTRAL_FILE_HEADER_SIG, CRC32_TABLE, DATA_DESCRIPTOR_SIG,
+  DIGITAL_SIGNATURE_SIG, END_OF_CENTRAL_DIR_LOCATOR_SIG, END_OF_CENTRAL_DIR_SIG, EXTRACT_CHUNK_SIZE,
+  FlowControl, LOCAL_FILE_HEADER_SIG, ZIP64_END_OF_CENTRAL_DIR_SIG, calculateCRC32,
+  UNICODE_PATH_EXTRA_FIELD_ID, createFileFilter, decodeZipString, dosDateTimeToDate, findExtraField,
+  readNumber8, readZip64ExtraField } from './common.js';
 import { inflate } from './inflate.js';
+import { Aes } from './aes.js';
+import { hmacSha1, pbkdf2Sha1 } from './sha1.js';
 
 const UnarchiveState = {
   NOT_STARTED: 0,
@@ -34,6 +38,37 @@ let unarchiveState = UnarchiveState.NOT_STARTED;
 let bytestream = null;
 let allLocalFiles = null;
 let logToConsole = false;
+/** @type {string} */
+let password = '';
+// Whether to only send the entries, without unzipping them.
+let listOnly = false;
+/**
+ * Whether to unzip a file, from the include and exclude options.
+ * @type {function(string): boolean}
+ */
+let fileFilter = null;
+/**
+ * Whether to wait for the host to take each unzipped file.
+ * @type {FlowControl}
+ */
+let flowControl = null;
+// Whether archiveUnzip() is running. Bytes sent meanwhile wait in pendingBytes.
+let isUnzipping = false;
+/** @type {ArrayBuffer[]} */
+let pendingBytes = [];
+// Whether the host said that it has no more bytes to send.
+let inputEnded = false;
+// Whether to send the data of each file in extract-chunk messages.
+let chunked = false;
+// Whether to skip checking the CRC-32 of each unzipped file.
+let skipChecksums = false;
+// The encoding of the file names and comments that are not UTF-8, instead of code page 437.
+let filenameEncoding;
+/**
+ * The file whose data is being unzipped in chunks, if it ran out of bytes.
+ * @type {ZipLocalFile}
+ */
+let chunkedFile = null;
 
 // Progress variables.
 let currentFilename = '';
@@ -69,9 +104,144 @@ const BIT = [0x01, 0x02, 0x04, 0x08,
   0x100, 0x200, 0x400, 0x800,
   0x1000, 0x2000, 0x4000, 0x8000];
 
+/**
+ * The traditional PKWARE encryption (ZipCrypto), as per section 6.1 of the App Note. The keys are
+ * updated with each byte of plain text, starting with the bytes of the password.
+ */
+class ZipCryptoKeys {
+  /** @param {Uint8Array} passwordBytes */
+  constructor(passwordBytes) {
+    this.key0 = 0x12345678;
+    this.key1 = 0x23456789;
+    this.key2 = 0x34567890;
+    for (const byte of passwordBytes) {
+      this.update(byte);
+    }
+  }
+
+  /** @param {number} byte */
+  update(byte) {
+    this.key0 = (this.key0 >>> 8) ^ CRC32_TABLE[(this.key0 ^ byte) & 0xff];
+    this.key1 = (Math.imul(this.key1 + (this.key0 & 0xff), 134775813) + 1) | 0;
+    this.key2 = (this.key2 >>> 8) ^ CRC32_TABLE[(this.key2 ^ (this.key1 >>> 24)) & 0xff];
+  }
+
+  /**
+   * Decrypts bytes in place.
+   * @param {Uint8Array} bytes
+   */
+  decrypt(bytes) {
+    for (let i = 0; i < bytes.length; ++i) {
+      const temp = (this.key2 | 2) & 0xffff;
+      bytes[i] ^= (Math.imul(temp, temp ^ 1) >>> 8) & 0xff;
+      this.update(bytes[i]);
+    }
+  }
+}
+
+// The encryption header that comes before the encrypted file data.
+const ZIPCRYPTO_HEADER_SIZE = 12;
+
+// WinZip AES encryption, see https://www.winzip.com/en/support/aes-encryption/.
+const WINZIP_AES_EXTRA_FIELD_ID = 0x9901;
+const WINZIP_AES_COMPRESSION_METHOD = 99;
+// The key length for each AES strength in the extra field. The salt is half as long.
+const WINZIP_AES_KEY_LENGTHS = [0, 16, 24, 32];
+const WINZIP_AES_PASSWORD_VERIFIER_LENGTH = 2;
+const WINZIP_AES_AUTH_CODE_LENGTH = 10;
+const WINZIP_AES_ITERATIONS = 1000;
+
+/**
+ * Derives the keys for WinZip AES with PBKDF2-HMAC-SHA1, using WebCrypto where available.
+ * @param {Uint8Array} passwordBytes
+ * @param {Uint8Array} salt
+ * @param {number} keyLength
+ * @returns {Promise<Uint8Array>} The AES key, then the HMAC key, then the password verifier.
+ */
+async function deriveWinZipAesKeys(passwordBytes, salt, keyLength) {
+  const numBytes = 2 * keyLength + WINZIP_AES_PASSWORD_VERIFIER_LENGTH;
+  if (globalThis.crypto && globalThis.crypto.subtle) {
+    const baseKey = await crypto.subtle.importKey('raw', passwordBytes, 'PBKDF2', false,
+        ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-1', salt, iterations: WINZIP_AES_ITERATIONS },
+        baseKey, numBytes * 8);
+    return new Uint8Array(bits);
+  }
+  return pbkdf2Sha1(passwordBytes, salt, WINZIP_AES_ITERATIONS, numBytes);
+}
+
+/**
+ * Calculates the HMAC-SHA1 of some bytes, using WebCrypto where available.
+ * @param {Uint8Array} key
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function calculateHmacSha1(key, bytes) {
+  if (globalThis.crypto && globalThis.crypto.subtle) {
+    const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-1' },
+        false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, bytes));
+  }
+  return hmacSha1(key, bytes);
+}
+
+/**
+ * Decrypts bytes in the AES-CTR mode of WinZip, where the counter starts at 1 and is little-endian.
+ * @param {Aes} aes
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function decryptWinZipAesCtr(aes, bytes) {
+  const out = new Uint8Array(bytes.length);
+  const counter = new Uint8Array(16);
+  const keyStream = new Uint8Array(16);
+  for (let pos = 0; pos < bytes.length; pos += 16) {
+    for (let i = 0; i < counter.length; ++i) {
+      counter[i] = (counter[i] + 1) & 0xff;
+      if (counter[i] !== 0) {
+        break;
+      }
+    }
+    aes.encryptBlock(counter, 0, keyStream, 0);
+    const numBytes = Math.min(16, bytes.length - pos);
+    for (let i = 0; i < numBytes; ++i) {
+      out[pos + i] = bytes[pos + i] ^ keyStream[i];
+    }
+  }
+  return out;
+}
+
+/**
+ * @typedef WinZipAesExtraField
+ * @property {number} vendorVersion 1 for AE-1, 2 for AE-2, which does not store the CRC-32.
+ * @property {number} strength 1, 2 or 3 for AES-128, AES-192 or AES-256.
+ * @property {number} compressionMethod The compression method of the decrypted data.
+ */
+
+/**
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @returns {WinZipAesExtraField} The WinZip AES extra field, or null.
+ */
+function readWinZipAesExtraField(extraField) {
+  const fieldStream = findExtraField(extraField, WINZIP_AES_EXTRA_FIELD_ID);
+  if (!fieldStream || fieldStream.getNumBytesLeft() < 7) {
+    return null;
+  }
+  const vendorVersion = fieldStream.readNumber(2);
+  fieldStream.readString(2); // Vendor ID, 'AE'.
+  const strength = fieldStream.readNumber(1);
+  const compressionMethod = fieldStream.readNumber(2);
+  return { vendorVersion, strength, compressionMethod };
+}
+
 class ZipLocalFile {
-  /** @param {ByteStream} bstream */
-  constructor(bstream) {
+  /**
+   * @param {ByteStream} bstream
+   * @param {boolean=} chunked Whether to leave the file data in the ByteStream for unzipChunks(),
+   *     if the file can be unzipped in chunks.
+   */
+  constructor(bstream, chunked = false) {
     if (typeof bstream != typeof {} || !bstream.readNumber || typeof bstream.readNumber != typeof function () { }) {
       return null;
     }
@@ -83,33 +253,67 @@ class ZipLocalFile {
     this.lastModFileTime = bstream.readNumber(2);
     this.lastModFileDate = bstream.readNumber(2);
     this.crc32 = bstream.readNumber(4);
-    this.compressedSize = bstream.readNumber(4);
-    this.uncompressedSize = bstream.readNumber(4);
+    this.compressedSize = bstream.readNumber(4) >>> 0;
+    this.uncompressedSize = bstream.readNumber(4) >>> 0;
     this.fileNameLength = bstream.readNumber(2);
     this.extraFieldLength = bstream.readNumber(2);
 
-    this.filename = null;
-    if (this.fileNameLength > 0) {
-      this.filename = bstream.readString(this.fileNameLength);
-    }
+    const filenameBytes = bstream.readBytes(this.fileNameLength);
 
     this.extraField = null;
+    /**
+     * Whether the sizes are 8 byte values from the Zip64 extra field. If so, the data descriptor
+     * also has 8 byte sizes.
+     * @type {boolean}
+     */
+    this.isZip64 = false;
+    /** @type {WinZipAesExtraField} */
+    this.aesExtraField = null;
+    let extraFieldBytes = null;
     if (this.extraFieldLength > 0) {
+      extraFieldBytes = bstream.peekBytes(this.extraFieldLength);
+      this.isZip64 = readZip64ExtraField(extraFieldBytes, this);
+      this.aesExtraField = readWinZipAesExtraField(extraFieldBytes);
       this.extraField = bstream.readString(this.extraFieldLength);
     }
 
-    // Data descriptor is present if this bit is set, compressed size should be zero.
+    this.filename = null;
+    if (this.fileNameLength > 0) {
+      this.filename = decodeZipString(filenameBytes, this.generalPurpose,
+          extraFieldBytes, UNICODE_PATH_EXTRA_FIELD_ID, filenameEncoding);
+    }
+
+    this.isEncrypted = ((this.generalPurpose & BIT[0]) !== 0);
+
+    // Data descriptor is present if this bit is set, compressed size should be zero. Info-ZIP sets
+    // this bit for all encrypted files, but still fills in the header.
     this.hasDataDescriptor = ((this.generalPurpose & BIT[3]) !== 0);
-    if (this.hasDataDescriptor &&
+    if (this.hasDataDescriptor && !this.isEncrypted &&
       (this.crc32 !== 0 || this.compressedSize !== 0 || this.uncompressedSize !== 0)) {
       err('Zip local file with a data descriptor and non-zero crc/compressedSize/uncompressedSize');
     }
 
+    // Stored and deflated files can be unzipped as their bytes come in, if the size of the data is
+    // known up front and it does not need to be decrypted first.
+    this.isChunked = chunked && !this.hasDataDescriptor && !this.isEncrypted &&
+        (this.compressionMethod == 0 ||
+          (this.compressionMethod == 8 && typeof DecompressionStream !== 'undefined'));
+    // The number of bytes of file data still in the ByteStream, if chunked.
+    this.numBytesLeft = this.isChunked ? this.compressedSize : 0;
+    // Whether to send the unzipped data to the host, or just skip over it, if chunked.
+    this.isExtracted = false;
+    /** @type {ChunkedInflater} */
+    this.inflater = null;
+    // The CRC-32 of the unzipped chunks so far.
+    this.chunksCRC32 = 0;
+
     // Read in the compressed data if we have no data descriptor.
     /** @type {Uint8Array} */
     this.fileData = null;
     let descriptorSize = 0;
-    if (this.hasDataDescriptor) {
+    if (this.isChunked) {
+      // The file data is read by unzipChunks().
+    } else if (this.hasDataDescriptor) {
       // Hold on to a reference to the bstream, since that is where the compressed file data begins.
       let savedBstream = bstream.tee();
 
@@ -125,25 +329,30 @@ class ZipLocalFile {
           bstream.readBytes(1);
         }
 
-        // Copy all the read bytes into a buffer and examine the last 16 bytes to see if they are the
-        // data descriptor.
+        // Copy all the read bytes into a buffer and examine the last 16 bytes (24 bytes for Zip64,
+        // which has 8 byte sizes) to see if they are the data descriptor.
+        const sizeLength = this.isZip64 ? 8 : 4;
+        const maxDescriptorSize = 8 + 2 * sizeLength;
         let bufferedByteArr = savedBstream.peekBytes(numBytesSeeked);
-        const descriptorStream = new ByteStream(bufferedByteArr.buffer, numBytesSeeked - 16, 16);
+        const descriptorStream = new ByteStream(bufferedByteArr.buffer,
+            numBytesSeeked - maxDescriptorSize, maxDescriptorSize);
+        const readSize = () =>
+            this.isZip64 ? readNumber8(descriptorStream) : descriptorStream.readNumber(4) >>> 0;
         const maybeDescriptorSig = descriptorStream.readNumber(4);
         const maybeCrc32 = descriptorStream.readNumber(4);
-        const maybeCompressedSize = descriptorStream.readNumber(4);
-        const maybeUncompressedSize = descriptorStream.readNumber(4);
+        const maybeCompressedSize = readSize();
+        const maybeUncompressedSize = readSize();
 
         // From the PKZIP App Note: "The signature value 0x08074b50 is also used by some ZIP
         // implementations as a marker for the Data Descriptor record".
         if (maybeDescriptorSig === DATA_DESCRIPTOR_SIG) {
-          if (maybeCompressedSize === (numBytesSeeked - 16)) {
+          if (maybeCompressedSize === (numBytesSeeked - maxDescriptorSize)) {
             foundDataDescriptor = true;
-            descriptorSize = 16;
+            descriptorSize = maxDescriptorSize;
           }
-        } else if (maybeCompressedSize === (numBytesSeeked - 12)) {
+        } else if (maybeCompressedSize === (numBytesSeeked - maxDescriptorSize + 4)) {
           foundDataDescriptor = true;
-          descriptorSize = 12;
+          descriptorSize = maxDescriptorSize - 4;
         }
 
         if (foundDataDescriptor) {
@@ -155,8 +364,10 @@ class ZipLocalFile {
       bstream = savedBstream;
     }
 
-    this.fileData = new Uint8Array(bstream.readBytes(this.compressedSize));
-    bstream.readBytes(descriptorSize);
+    if (!this.isChunked) {
+      this.fileData = new Uint8Array(bstream.readBytes(this.compressedSize));
+      bstream.readBytes(descriptorSize);
+    }
 
     // Now that we have all the bytes for this file, we can print out some information.
     if (logToConsole) {
@@ -173,15 +384,40 @@ class ZipLocalFile {
       info(` extra field length=${this.extraFieldLength}`);
       info(` filename = '${this.filename}'`);
       info(` hasDataDescriptor = ${this.hasDataDescriptor}`);
+      info(` isEncrypted = ${this.isEncrypted}`);
+      info(` isZip64 = ${this.isZip64}`);
     }
   }
 
+  /** @returns {import('./decompress.js').UnarchivedEntry} */
+  getEntry() {
+    return {
+      filename: this.filename,
+      compressedSize: this.compressedSize,
+      uncompressedSize: this.uncompressedSize,
+      lastModified: dosDateTimeToDate(this.lastModFileDate, this.lastModFileTime),
+      // The file attributes and comment are only in the central directory.
+      mode: undefined,
+      isDirectory: !!this.filename && this.filename.endsWith('/'),
+      isSymlink: false,
+      compressionMethod: this.aesExtraField ?
+          this.aesExtraField.compressionMethod : this.compressionMethod,
+      isEncrypted: this.isEncrypted,
+      comment: undefined,
+    };
+  }
+
   // determine what kind of compressed data we have and decompress
   async unzip() {
     if (!this.fileData) {
       err('unzip() called on a file with out compressed file data');
     }
 
+    if (this.isEncrypted && !(await this.decrypt_())) {
+      this.fileData = null;
+      return;
+    }
+
     // Zip Version 1.0, no compression (store only)
     if (this.compressionMethod == 0) {
       if (logToConsole) {
@@ -203,19 +439,316 @@ class ZipLocalFile {
         `${this.filename} (${this.compressedSize} bytes)`);
       this.fileData = null;
     }
+
+    if (this.fileData && !this.checkCRC32(calculateCRC32(0, this.fileData))) {
+      this.fileData = null;
+    }
+  }
+
+  /**
+   * Compares the CRC-32 of the unzipped data with the one from the header or data descriptor, and
+   * sends an error if they do not match.
+   * @param {number} crc32 The CRC-32 of the unzipped data.
+   * @returns {boolean} False if they do not match.
+   */
+  checkCRC32(crc32) {
+    // AE-2 encrypted files do not store the CRC-32. Their authentication code is checked instead.
+    const isAe2 = this.aesExtraField && this.aesExtraField.vendorVersion === 2;
+    if (skipChecksums || isAe2 || crc32 === (this.crc32 >>> 0)) {
+      return true;
+    }
+    err(`Error! CRC32 mismatch for ${this.filename}`);
+    return false;
+  }
+
+  /**
+   * Decrypts the file data with the password, and strips off the encryption header.
+   * @returns {Promise<boolean>} Whether the data was decrypted.
+   * @private
+   */
+  async decrypt_() {
+    if (!password) {
+      err(`Error! ${this.filename} is encrypted, but no password was given`);
+      return false;
+    }
+
+    if (this.compressionMethod === WINZIP_AES_COMPRESSION_METHOD) {
+      return this.decryptWinZipAes_();
+    }
+
+    const keys = new ZipCryptoKeys(new TextEncoder().encode(password));
+    keys.decrypt(this.fileData);
+
+    // The last byte of the header is the high byte of the CRC-32, or of the last mod file time if
+    // there is a data descriptor, so that the CRC-32 was not known when the header was written.
+    const checkByte = this.hasDataDescriptor ?
+        (this.lastModFileTime >>> 8) & 0xff : (this.crc32 >>> 24) & 0xff;
+    if (this.fileData[ZIPCRYPTO_HEADER_SIZE - 1] !== checkByte) {
+      err(`Error! Wrong password for ${this.filename}`);
+      return false;
+    }
+
+    this.fileData = this.fileData.subarray(ZIPCRYPTO_HEADER_SIZE);
+    this.compressedSize -= ZIPCRYPTO_HEADER_SIZE;
+    return true;
+  }
+
+  /**
+   * Checks the password and the authentication code of the WinZip AES encrypted file data, and
+   * decrypts it. The compression method becomes the one from the extra field.
+   * @returns {Promise<boolean>} Whether the data was decrypted.
+   * @private
+   */
+  async decryptWinZipAes_() {
+    const keyLength = this.aesExtraField ? WINZIP_AES_KEY_LENGTHS[this.aesExtraField.strength] : 0;
+    if (!keyLength) {
+      err(`Error! Unsupported WinZip AES encryption: ${this.filename}`);
+      return false;
+    }
+
+    // The salt and password verifier come before the encrypted data, the authentication code after.
+    const saltLength = keyLength / 2;
+    const dataStart = saltLength + WINZIP_AES_PASSWORD_VERIFIER_LENGTH;
+    const dataEnd = this.fileData.length - WINZIP_AES_AUTH_CODE_LENGTH;
+    const salt = this.fileData.subarray(0, saltLength);
+    const encryptedData = this.fileData.subarray(dataStart, dataEnd);
+    const authCode = this.fileData.subarray(dataEnd);
+
+    const keys = await deriveWinZipAesKeys(new TextEncoder().encode(password), salt, keyLength);
+    if (keys[2 * keyLength] !== this.fileData[saltLength] ||
+        keys[2 * keyLength + 1] !== this.fileData[saltLength + 1]) {
+      err(`Error! Wrong password for ${this.filename}`);
+      return false;
+    }
+
+    const hmac = await calculateHmacSha1(keys.subarray(keyLength, 2 * keyLength), encryptedData);
+    if (authCode.some((b, i) => b !== hmac[i])) {
+      err(`Error! Authentication failed for ${this.filename}, the data is corrupt`);
+      return false;
+    }
+
+    this.fileData = decryptWinZipAesCtr(new Aes(keys.subarray(0, keyLength)), encryptedData);
+    this.compressedSize = this.fileData.length;
+    this.compressionMethod = this.aesExtraField.compressionMethod;
+    return true;
   }
 }
 
+/**
+ * Inflates the data of a file with DecompressionStream as its bytes come in, and sends the
+ * inflated bytes to the host in extract-chunk messages.
+ */
+class ChunkedInflater {
+  /** @param {ZipLocalFile} file */
+  constructor(file) {
+    /** @private */
+    this.file_ = file;
+    /** @private */
+    this.port_ = hostPort;
+    /**
+     * The error from DecompressionStream, if the data could not be inflated.
+     * @private
+     */
+    this.error_ = null;
+
+    const decompressionStream = new DecompressionStream('deflate-raw');
+    /**
+     * @type {WritableStreamDefaultWriter}
+     * @private
+     */
+    this.writer_ = decompressionStream.writable.getWriter();
+    /**
+     * Resolves once all the inflated bytes have been sent.
+     * @type {Promise<void>}
+     * @private
+     */
+    this.pumped_ = this.pump_(decompressionStream.readable.getReader());
+  }
+
+  /**
+   * @param {Uint8Array} bytes The next bytes of the deflated data.
+   * @returns {Promise<void>}
+   */
+  async write(bytes) {
+    try {
+      await this.writer_.write(bytes);
+    } catch (e) {
+      // The error is caught by pump_().
+    }
+  }
+
+  /**
+   * Call once all the deflated data has been written.
+   * @returns {Promise<void>} Resolves once the last chunk has been sent.
+   */
+  async close() {
+    try {
+      await this.writer_.close();
+    } catch (e) {
+      // The error is caught by pump_().
+    }
+    await this.pumped_;
+    if (hostPort !== this.port_) {
+      return;
+    }
+    if (this.error_) {
+      err(`Error! Could not inflate ${this.file_.filename}: ${this.error_}`);
+    } else {
+      this.file_.checkCRC32(this.file_.chunksCRC32);
+    }
+  }
+
+  /**
+   * Sends the inflated bytes to the host. Each chunk is held back until the next one comes out,
+   * so that the last chunk can be marked as the last one.
+   * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+   * @private
+   */
+  async pump_(reader) {
+    let heldChunk = null;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        if (heldChunk) {
+          this.post_(heldChunk, false);
+        }
+        heldChunk = value;
+      }
+    } catch (e) {
+      this.error_ = e;
+      return;
+    }
+    if (heldChunk) {
+      this.post_(heldChunk, true);
+    }
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @param {boolean} isLastChunk
+   * @private
+   */
+  post_(bytes, isLastChunk) {
+    if (hostPort !== this.port_) {
+      // The host stopped the unzipping.
+      return;
+    }
+    // Copy the bytes, since their buffer may be shared with other chunks.
+    const chunk = new Uint8Array(bytes);
+    if (!skipChecksums) {
+      this.file_.chunksCRC32 = calculateCRC32(this.file_.chunksCRC32, chunk);
+    }
+    currentBytesUnarchivedInFile += chunk.length;
+    currentBytesUnarchived += chunk.length;
+    hostPort.postMessage({
+      type: 'extract-chunk',
+      filename: this.file_.filename,
+      chunk,
+      isLastChunk,
+    }, [chunk.buffer]);
+    postProgress();
+  }
+}
+
+/**
+ * Unzips the data of chunkedFile as far as the ByteStream goes, and sends it to the host in
+ * extract-chunk messages. Stored data is sent in chunks of at most EXTRACT_CHUNK_SIZE bytes. If
+ * the ByteStream runs out, this throws and is called again once more bytes come in.
+ * @param {ByteStream} bstream
+ * @returns {Promise<void>}
+ */
+async function unzipChunks(bstream) {
+  const port = hostPort;
+  const file = chunkedFile;
+  while (file.numBytesLeft > 0) {
+    const numBytes = Math.min(file.numBytesLeft, bstream.getNumBytesLeft(), EXTRACT_CHUNK_SIZE);
+    if (numBytes === 0) {
+      throw 'Error!  Overflowed the byte stream while unzipping the chunks of a file';
+    }
+    // readBytes() returns a copy, so its buffer can be transferred.
+    const chunk = bstream.readBytes(numBytes);
+    file.numBytesLeft -= numBytes;
+    bytestream = bstream.tee();
+
+    if (file.inflater) {
+      await file.inflater.write(chunk);
+      if (hostPort !== port) {
+        return;
+      }
+    } else if (file.isExtracted) {
+      if (!skipChecksums) {
+        file.chunksCRC32 = calculateCRC32(file.chunksCRC32, chunk);
+      }
+      currentBytesUnarchivedInFile += numBytes;
+      currentBytesUnarchived += numBytes;
+      hostPort.postMessage({
+        type: 'extract-chunk',
+        filename: file.filename,
+        chunk,
+        isLastChunk: file.numBytesLeft === 0,
+      }, [chunk.buffer]);
+      postProgress();
+    }
+  }
+
+  if (file.inflater) {
+    await file.inflater.close();
+    if (hostPort !== port) {
+      return;
+    }
+  } else if (file.isExtracted) {
+    file.checkCRC32(file.chunksCRC32);
+  }
+  chunkedFile = null;
+}
+
 async function archiveUnzip() {
+  const port = hostPort;
   let bstream = bytestream.tee();
 
+  if (chunkedFile) {
+    // Carry on with the file that ran out of bytes.
+    await unzipChunks(bstream);
+    if (hostPort !== port) {
+      return;
+    }
+  }
+
   // loop until we don't see any more local files or we find a data descriptor.
   while (bstream.peekNumber(4) == LOCAL_FILE_HEADER_SIG) {
     // Note that this could throw an error if the bstream overflows, which is caught in the
     // message handler.
-    const oneLocalFile = new ZipLocalFile(bstream);
+    const oneLocalFile = new ZipLocalFile(bstream, chunked);
+    if (oneLocalFile && oneLocalFile.isChunked) {
+      // Only the header has been read, so the file data can come in later.
+      bytestream = bstream.tee();
+      chunkedFile = oneLocalFile;
+      if (oneLocalFile.uncompressedSize > 0 && fileFilter(oneLocalFile.filename)) {
+        allLocalFiles.push(oneLocalFile);
+        totalUncompressedBytesInArchive += oneLocalFile.uncompressedSize;
+
+        currentFilename = oneLocalFile.filename;
+        currentFileNumber = allLocalFiles.length - 1;
+        currentBytesUnarchivedInFile = 0;
+
+        hostPort.postMessage({ type: 'entry', entry: oneLocalFile.getEntry() });
+        oneLocalFile.isExtracted = !listOnly;
+        if (oneLocalFile.isExtracted && oneLocalFile.compressionMethod == 8) {
+          oneLocalFile.inflater = new ChunkedInflater(oneLocalFile);
+        }
+      }
+      await unzipChunks(bstream);
+      if (hostPort !== port) {
+        return;
+      }
+      continue;
+    }
     // this should strip out directories/folders
-    if (oneLocalFile && oneLocalFile.uncompressedSize > 0 && oneLocalFile.fileData) {
+    if (oneLocalFile && oneLocalFile.uncompressedSize > 0 && oneLocalFile.fileData &&
+        fileFilter(oneLocalFile.filename)) {
       // If we make it to this point and haven't thrown an error, we have successfully
       // read in the data for a local file, so we can update the actual bytestream.
       bytestream = bstream.tee();
@@ -228,12 +761,28 @@ async function archiveUnzip() {
       currentFileNumber = allLocalFiles.length - 1;
       currentBytesUnarchivedInFile = 0;
 
+      hostPort.postMessage({ type: 'entry', entry: oneLocalFile.getEntry() });
+      if (listOnly) {
+        oneLocalFile.fileData = null;
+        continue;
+      }
+
       // Actually do the unzipping.
       await oneLocalFile.unzip();
+      if (hostPort !== port) {
+        // The host stopped the unzipping while the file was being inflated.
+        return;
+      }
 
       if (oneLocalFile.fileData != null) {
-        hostPort.postMessage({ type: 'extract', unarchivedFile: oneLocalFile }, [oneLocalFile.fileData.buffer]);
+        const unarchivedFile = { ...oneLocalFile, ...oneLocalFile.getEntry() };
+        hostPort.postMessage({ type: 'extract', unarchivedFile }, [unarchivedFile.fileData.buffer]);
         postProgress();
+        await flowControl.fileSent();
+        if (hostPort !== port) {
+          // The host stopped the unzipping while we were waiting for it to take the file.
+          return;
+        }
       }
     }
   }
@@ -252,7 +801,6 @@ async function archiveUnzip() {
   }
 
   // central directory structure
-  // TODO: handle the rest of the structures (Zip64 stuff)
   if (bstream.peekNumber(4) == CENTRAL_FILE_HEADER_SIG) {
     if (logToConsole) {
       info(' Found a Central File Header');
@@ -280,6 +828,9 @@ async function archiveUnzip() {
         relativeOffset: bstream.readNumber(4),
       };
       cdfh.fileName = bstream.readString(cdfh.fileNameLength);
+      if (cdfh.extraFieldLength > 0) {
+        readZip64ExtraField(bstream.peekBytes(cdfh.extraFieldLength), cdfh);
+      }
       cdfh.extraField = bstream.readString(cdfh.extraFieldLength);
       cdfh.fileComment = bstream.readString(cdfh.fileCommentLength);
       if (logToConsole) {
@@ -302,6 +853,47 @@ async function archiveUnzip() {
     bstream.readString(sizeOfSignature); // digital signature data
   }
 
+  // Zip64 end of central directory record
+  let zip64eocds = null;
+  if (bstream.peekNumber(4) == ZIP64_END_OF_CENTRAL_DIR_SIG) {
+    bstream.readNumber(4); // signature
+    zip64eocds = {
+      sizeOfRecord: readNumber8(bstream),
+      versionMadeBy: bstream.readNumber(2),
+      versionNeededToExtract: bstream.readNumber(2),
+      numberOfThisDisk: bstream.readNumber(4),
+      diskWhereCentralDirectoryStarts: bstream.readNumber(4),
+      numberOfCentralDirectoryRecordsOnThisDisk: readNumber8(bstream),
+      totalNumberOfCentralDirectoryRecords: readNumber8(bstream),
+      sizeOfCentralDirectory: readNumber8(bstream),
+      offsetOfStartOfCentralDirectory: readNumber8(bstream),
+    };
+    // The size does not include the signature and size fields. Skip the extensible data sector.
+    bstream.skip(zip64eocds.sizeOfRecord - 44);
+    if (logToConsole) {
+      console.log('Zip64 End of Central Dir Record:');
+      for (const field in zip64eocds) {
+        console.log(`  ${field} = ${zip64eocds[field]}`);
+      }
+    }
+  }
+
+  // Zip64 end of central directory locator
+  if (bstream.peekNumber(4) == END_OF_CENTRAL_DIR_LOCATOR_SIG) {
+    bstream.readNumber(4); // signature
+    const locator = {
+      diskWithZip64EndOfCentralDir: bstream.readNumber(4),
+      offsetOfZip64EndOfCentralDir: readNumber8(bstream),
+      totalNumberOfDisks: bstream.readNumber(4),
+    };
+    if (logToConsole) {
+      console.log('Zip64 End of Central Dir Locator:');
+      for (const field in locator) {
+        console.log(`  ${field} = ${locator[field]}`);
+      }
+    }
+  }
+
   let metadata = {};
   if (bstream.peekNumber(4) == END_OF_CENTRAL_DIR_SIG) {
     bstream.readNumber(4); // signature
@@ -315,6 +907,16 @@ async function archiveUnzip() {
       commentLength: bstream.readNumber(2),
     };
     eocds.comment = bstream.readString(eocds.commentLength);
+    // Values that do not fit are set to all ones, and are in the Zip64 record instead.
+    if (zip64eocds) {
+      for (const field of ['numberOfThisDisk', 'diskWhereCentralDirectoryStarts',
+          'numberOfCentralDirectoryRecordsOnThisDisk', 'totalNumberOfCentralDirectoryRecords',
+          'sizeOfCentralDirectory', 'offsetOfStartOfCentralDirectory']) {
+        if (eocds[field] === 0xFFFF || eocds[field] === -1) {
+          eocds[field] = zip64eocds[field];
+        }
+      }
+    }
     if (logToConsole) {
       console.log('End of Central Dir Signature:');
       for (const field in eocds) {
@@ -332,15 +934,52 @@ async function archiveUnzip() {
   hostPort.postMessage({ type: 'finish', metadata });
 }
 
+/**
+ * Called once the host has sent all of its bytes. If the zip file is not done by then, it never
+ * will be.
+ */
+function checkForEndOfInput() {
+  if (inputEnded && unarchiveState !== UnarchiveState.FINISHED) {
+    err('Error! The zip file ended before it was complete');
+    unarchiveState = UnarchiveState.FINISHED;
+    hostPort.postMessage({ type: 'finish', metadata: {} });
+  }
+}
+
 // event.data.file has the first ArrayBuffer.
 // event.data.bytes has all subsequent ArrayBuffers.
+// event.data.end is sent when the host has no more bytes to send.
+// event.data.resume is sent when the host takes an unzipped file.
 const onmessage = async function (event) {
+  const port = hostPort;
+  if (event.data.resume) {
+    // This can arrive after the host stopped the implementation.
+    if (flowControl) {
+      flowControl.fileTaken();
+    }
+    return;
+  }
+  if (event.data.end) {
+    // This can arrive after the host stopped the implementation.
+    if (event.target === hostPort) {
+      inputEnded = true;
+      if (!isUnzipping) {
+        checkForEndOfInput();
+      }
+    }
+    return;
+  }
+
   const bytes = event.data.file || event.data.bytes;
   logToConsole = !!event.data.logToConsole;
 
   // This is the very first time we have been called. Initialize the bytestream.
   if (!bytestream) {
     bytestream = new ByteStream(bytes);
+  } else if (isUnzipping) {
+    // archiveUnzip() works on a copy of the bytestream, so keep these until it is done.
+    pendingBytes.push(bytes);
+    return;
   } else {
     bytestream.push(bytes);
   }
@@ -354,28 +993,67 @@ const onmessage = async function (event) {
     totalFilesInArchive = 0;
     currentBytesUnarchived = 0;
     allLocalFiles = [];
+    password = event.data.password || '';
+    listOnly = !!event.data.listOnly;
+    fileFilter = createFileFilter(event.data.include, event.data.exclude);
+    flowControl = new FlowControl(!!event.data.flowControl);
+    chunked = !!event.data.chunked;
+    skipChecksums = !!event.data.skipChecksums;
+    filenameEncoding = event.data.filenameEncoding;
 
     hostPort.postMessage({ type: 'start' });
 
+    if (filenameEncoding) {
+      try {
+        new TextDecoder(filenameEncoding);
+      } catch (e) {
+        err(`Error! Unsupported filename encoding: ${filenameEncoding}`);
+        filenameEncoding = undefined;
+      }
+    }
+
     unarchiveState = UnarchiveState.UNARCHIVING;
 
     postProgress();
   }
 
-  if (unarchiveState === UnarchiveState.UNARCHIVING ||
+  while (unarchiveState === UnarchiveState.UNARCHIVING ||
       unarchiveState === UnarchiveState.WAITING) {
+    isUnzipping = true;
     try {
       await archiveUnzip();
     } catch (e) {
       if (typeof e === 'string' && e.startsWith('Error!  Overflowed')) {
         // Overrun the buffer.
         unarchiveState = UnarchiveState.WAITING;
+      } else if (hostPort !== port) {
+        // The host stopped the unzipping, so there is nobody to tell.
+        return;
       } else {
         console.error('Found an error while unzipping');
         console.dir(e);
+        isUnzipping = false;
         throw e;
       }
     }
+    if (hostPort !== port) {
+      return;
+    }
+    isUnzipping = false;
+
+    // Try again if more bytes came in while unzipping.
+    if (unarchiveState !== UnarchiveState.WAITING || pendingBytes.length === 0) {
+      break;
+    }
+    for (const moreBytes of pendingBytes) {
+      bytestream.push(moreBytes);
+    }
+    pendingBytes = [];
+  }
+  checkForEndOfInput();
+  if (flowControl.enabled && unarchiveState === UnarchiveState.WAITING) {
+    // Ask the host for more bytes.
+    hostPort.postMessage({ type: 'waiting' });
   }
 };
 
@@ -403,6 +1081,17 @@ export function disconnect() {
   bytestream = null;
   allLocalFiles = null;
   logToConsole = false;
+  password = '';
+  listOnly = false;
+  fileFilter = null;
+  flowControl = null;
+  isUnzipping = false;
+  pendingBytes = [];
+  inputEnded = false;
+  chunked = false;
+  skipChecksums = false;
+  filenameEncoding = undefined;
+  chunkedFile = null;
   
   // Progress variables.
   currentFilename = '';
@@ -0,0 +1,277 @@
+/**
+ * zip-reader.js
+ *
+ * Provides random access to the files in a zip archive, using its central directory.
+ *
+ * Licensed under the MIT License
+ *
+ * Copyright(c) 2026 Google Inc.
+ *
+ * Reference Documentation:
+ *
+ * ZIP format: http://www.pkware.com/documents/casestudies/APPNOTE.TXT
+ */
+
+import { ByteStream } from '../io/bytestream.js';
+import { CENTRAL_FILE_HEADER_SIG, END_OF_CENTRAL_DIR_LOCATOR_SIG, END_OF_CENTRAL_DIR_SIG,
+  UNICODE_COMMENT_EXTRA_FIELD_ID, UNICODE_PATH_EXTRA_FIELD_ID, ZIP64_END_OF_CENTRAL_DIR_SIG,
+  decodeZipString, dosDateTimeToDate, readFileAttributes, readNumber8,
+  readZip64ExtraField } from './common.js';
+import { Unzipper } from './decompress.js';
+import { UnarchiveEventType } from './events.js';
+
+/** @typedef {import('./decompress.js').UnarchivedFile} UnarchivedFile */
+/** @typedef {import('./decompress.js').UnarchiverOptions} UnarchiverOptions */
+
+/**
+ * @typedef ZipEntry Information about a file in a zip archive, from its central directory header.
+ * @property {string} filename
+ * @property {string} comment
+ * @property {number} compressionMethod
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {number} crc32
+ * @property {number} lastModFileTime The time in MS-DOS format.
+ * @property {number} lastModFileDate The date in MS-DOS format.
+ * @property {Date} lastModified
+ * @property {number=} mode The POSIX permission bits, like 0o644. Undefined if the archive was not
+ *     made on Unix.
+ * @property {boolean} isDirectory
+ * @property {boolean} isSymlink
+ * @property {boolean} isEncrypted
+ */
+
+// The host OS in the version made by field, for archives made on Unix and on macOS.
+const HOST_UNIX = 3;
+const HOST_OSX = 19;
+
+/**
+ * @typedef CentralDirectoryRecord
+ * @property {ZipEntry} entry
+ * @property {number} localHeaderOffset Where the local file header is in the archive.
+ * @property {number} endOffset Where the file data (and data descriptor) ends in the archive.
+ * @property {Uint8Array} bytes The central directory file header.
+ */
+
+// The end of central directory record is 22 bytes, followed by a comment of up to 65535 bytes.
+const END_OF_CENTRAL_DIR_LENGTH = 22;
+const MAX_COMMENT_LENGTH = 0xFFFF;
+const ZIP64_END_OF_CENTRAL_DIR_LENGTH = 56;
+const ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH = 20;
+
+/**
+ * Reads a zip archive in any order. The central directory at the end of the archive is used to list
+ * the files, and to extract a single file without decompressing the files before it.
+ *
+ * Unlike an Unzipper, the ZipReader needs the whole archive up front, and keeps its ArrayBuffer.
+ */
+export class ZipReader {
+  /**
+   * @type {ArrayBuffer}
+   * @private
+   */
+  ab_;
+
+  /**
+   * @type {UnarchiverOptions}
+   * @private
+   */
+  options_;
+
+  /**
+   * The central directory, once it has been read.
+   * @type {CentralDirectoryRecord[]}
+   * @private
+   */
+  records_ = null;
+
+  /**
+   * @param {ArrayBuffer} ab The whole zip archive.
+   * @param {UnarchiverOptions} options Options for the Unzipper that extracts each file. Only the
+   *     password, filenameEncoding and skipChecksums are used.
+   */
+  constructor(ab, options = {}) {
+    this.ab_ = ab;
+    this.options_ = options;
+    if (options.filenameEncoding) {
+      try {
+        new TextDecoder(options.filenameEncoding);
+      } catch (e) {
+        throw `Error! Unsupported filename encoding: ${options.filenameEncoding}`;
+      }
+    }
+  }
+
+  /**
+   * Lists the files in the archive, in central directory order. Nothing is decompressed.
+   * @returns {ZipEntry[]}
+   */
+  list() {
+    return this.readCentralDirectory_().map(record => ({ ...record.entry }));
+  }
+
+  /**
+   * Extracts one file from the archive.
+   * @param {string} filename The name of the file, as in list().
+   * @returns {Promise<UnarchivedFile>} Rejects with the error message if the file is not in the
+   *     archive or cannot be extracted (for example, because of a wrong password).
+   */
+  async extract(filename) {
+    const record = this.readCentralDirectory_().find(r => r.entry.filename === filename);
+    if (!record) {
+      throw `Error! ${filename} is not in the zip archive`;
+    }
+    if (record.entry.uncompressedSize === 0) {
+      return { ...record.entry, fileData: new Uint8Array() };
+    }
+
+    // Make a zip archive that only has this file in it, and unzip that.
+    const localBytes = new Uint8Array(this.ab_, record.localHeaderOffset,
+        record.endOffset - record.localHeaderOffset);
+    const bytes = new Uint8Array(localBytes.length + record.bytes.length +
+        END_OF_CENTRAL_DIR_LENGTH);
+    bytes.set(localBytes);
+    bytes.set(record.bytes, localBytes.length);
+    const eocd = new DataView(bytes.buffer, localBytes.length + record.bytes.length);
+    eocd.setUint32(0, END_OF_CENTRAL_DIR_SIG, true);
+    eocd.setUint16(8, 1, true); // Number of central directory records on this disk.
+    eocd.setUint16(10, 1, true); // Total number of central directory records.
+    eocd.setUint32(12, record.bytes.length, true); // Size of central directory.
+    eocd.setUint32(16, localBytes.length, true); // Offset of start of central directory.
+
+    const {password, filenameEncoding, skipChecksums} = this.options_;
+    const unzipper = new Unzipper(bytes.buffer, {password, filenameEncoding, skipChecksums});
+    let unarchivedFile = null;
+    let errorMsg = null;
+    unzipper.onExtract(evt => unarchivedFile = evt.unarchivedFile);
+    unzipper.addEventListener(UnarchiveEventType.ERROR, evt => errorMsg = errorMsg || evt.msg);
+    await unzipper.start();
+    if (!unarchivedFile) {
+      throw errorMsg || `Error! Could not extract ${filename}`;
+    }
+    // The Unzipper only reads the local file header, which does not have these.
+    const {mode, isDirectory, isSymlink, comment} = record.entry;
+    return { ...unarchivedFile, mode, isDirectory, isSymlink, comment };
+  }
+
+  /**
+   * Finds the end of central directory record by scanning backwards from the end of the archive,
+   * since it ends with a variable length comment.
+   * @returns {number} The offset of the end of central directory record.
+   * @private
+   */
+  findEndOfCentralDirectory_() {
+    const view = new DataView(this.ab_);
+    const lastOffset = this.ab_.byteLength - END_OF_CENTRAL_DIR_LENGTH;
+    const firstOffset = Math.max(0, lastOffset - MAX_COMMENT_LENGTH);
+    for (let offset = lastOffset; offset >= firstOffset; --offset) {
+      // The comment could have the signature in it, so check that the comment length fits.
+      if (view.getUint32(offset, true) === END_OF_CENTRAL_DIR_SIG &&
+          offset + END_OF_CENTRAL_DIR_LENGTH + view.getUint16(offset + 20, true) ===
+              this.ab_.byteLength) {
+        return offset;
+      }
+    }
+    throw 'Error! Could not find the end of the central directory of the zip archive';
+  }
+
+  /**
+   * @returns {CentralDirectoryRecord[]}
+   * @private
+   */
+  readCentralDirectory_() {
+    if (this.records_) {
+      return this.records_;
+    }
+
+    const eocdOffset = this.findEndOfCentralDirectory_();
+    const eocd = new ByteStream(this.ab_, eocdOffset + 10, 10);
+    let numRecords = eocd.readNumber(2);
+    let cdSize = eocd.readNumber(4) >>> 0;
+    let cdOffset = eocd.readNumber(4) >>> 0;
+
+    // A Zip64 end of central directory locator right before the record points to the Zip64 record.
+    const locatorOffset = eocdOffset - ZIP64_END_OF_CENTRAL_DIR_LOCATOR_LENGTH;
+    if (locatorOffset >= 0 &&
+        new DataView(this.ab_).getUint32(locatorOffset, true) === END_OF_CENTRAL_DIR_LOCATOR_SIG) {
+      const locator = new ByteStream(this.ab_, locatorOffset + 8, 8);
+      const zip64 = new ByteStream(this.ab_, readNumber8(locator), ZIP64_END_OF_CENTRAL_DIR_LENGTH);
+      if (zip64.readNumber(4) !== ZIP64_END_OF_CENTRAL_DIR_SIG) {
+        throw 'Error! Could not find the Zip64 end of central directory record';
+      }
+      zip64.skip(28);
+      numRecords = readNumber8(zip64);
+      cdSize = readNumber8(zip64);
+      cdOffset = readNumber8(zip64);
+    }
+
+    const bstream = new ByteStream(this.ab_, cdOffset, cdSize);
+    const records = [];
+    for (let i = 0; i < numRecords; ++i) {
+      const startPtr = bstream.getNumBytesRead();
+      if (bstream.readNumber(4) !== CENTRAL_FILE_HEADER_SIG) {
+        throw 'Error! Bad central directory file header in the zip archive';
+      }
+      const hostOS = bstream.readNumber(2) >> 8; // Version made by.
+      bstream.skip(2); // Version needed to extract.
+      const generalPurpose = bstream.readNumber(2);
+      const header = {
+        compressionMethod: bstream.readNumber(2),
+        lastModFileTime: bstream.readNumber(2),
+        lastModFileDate: bstream.readNumber(2),
+        crc32: bstream.readNumber(4) >>> 0,
+        compressedSize: bstream.readNumber(4) >>> 0,
+        uncompressedSize: bstream.readNumber(4) >>> 0,
+      };
+      const fileNameLength = bstream.readNumber(2);
+      const extraFieldLength = bstream.readNumber(2);
+      const fileCommentLength = bstream.readNumber(2);
+      header.diskNumberStart = bstream.readNumber(2);
+      bstream.skip(2); // Internal file attributes.
+      const externalAttributes = bstream.readNumber(4) >>> 0;
+      header.relativeOffset = bstream.readNumber(4) >>> 0;
+      const filenameBytes = bstream.readBytes(fileNameLength);
+      const extraField = bstream.readBytes(extraFieldLength);
+      readZip64ExtraField(extraField, header);
+      const encoding = this.options_.filenameEncoding;
+      const filename = decodeZipString(filenameBytes, generalPurpose, extraField,
+          UNICODE_PATH_EXTRA_FIELD_ID, encoding);
+      const comment = decodeZipString(bstream.readBytes(fileCommentLength), generalPurpose,
+          extraField, UNICODE_COMMENT_EXTRA_FIELD_ID, encoding);
+      const isUnix = (hostOS === HOST_UNIX || hostOS === HOST_OSX) && externalAttributes > 0xFFFF;
+      // On Unix, the POSIX mode is in the high 16 bits, and the MS-DOS attributes are in the low.
+      const attributes = readFileAttributes(
+          isUnix ? externalAttributes >>> 16 : externalAttributes, isUnix);
+
+      records.push({
+        entry: {
+          filename,
+          comment,
+          compressionMethod: header.compressionMethod,
+          compressedSize: header.compressedSize,
+          uncompressedSize: header.uncompressedSize,
+          crc32: header.crc32,
+          lastModFileTime: header.lastModFileTime,
+          lastModFileDate: header.lastModFileDate,
+          lastModified: dosDateTimeToDate(header.lastModFileDate, header.lastModFileTime),
+          mode: attributes.mode,
+          isDirectory: attributes.isDirectory || filename.endsWith('/'),
+          isSymlink: attributes.isSymlink,
+          isEncrypted: (generalPurpose & 0x1) !== 0,
+        },
+        localHeaderOffset: header.relativeOffset,
+        endOffset: cdOffset,
+        bytes: new Uint8Array(this.ab_, cdOffset + startPtr, bstream.getNumBytesRead() - startPtr),
+      });
+    }
+
+    // The data of each file, and its data descriptor, ends where the next file starts.
+    const sortedRecords = records.slice().sort((a, b) => a.localHeaderOffset - b.localHeaderOffset);
+    for (let i = 0; i < sortedRecords.length - 1; ++i) {
+      sortedRecords[i].endOffset = sortedRecords[i + 1].localHeaderOffset;
+    }
+
+    this.records_ = records;
+    return records;
+  }
+}
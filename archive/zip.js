@@ -12,8 +12,9 @@
  */
 
 import { ByteBuffer } from '../io/bytebuffer.js';
-import { CENTRAL_FILE_HEADER_SIG, CRC32_MAGIC_NUMBER, END_OF_CENTRAL_DIR_SIG,
-  LOCAL_FILE_HEADER_SIG, ZipCompressionMethod } from './common.js';
+import { CENTRAL_FILE_HEADER_SIG, END_OF_CENTRAL_DIR_LOCATOR_SIG, END_OF_CENTRAL_DIR_SIG,
+  LOCAL_FILE_HEADER_SIG, ZIP64_END_OF_CENTRAL_DIR_SIG, ZIP64_EXTRA_FIELD_ID, ZipCompressionMethod,
+  calculateCRC32 } from './common.js';
 
 /** @typedef {import('./common.js').FileInfo} FileInfo */
 
@@ -46,15 +47,26 @@ let hostPort;
 /**
  * @typedef CentralDirectoryFileHeaderInfo An object to be used to construct the central directory.
  * @property {string} fileName
+ * @property {number} versionNeeded (2 bytes)
  * @property {number} compressionMethod (2 bytes)
  * @property {number} lastModFileTime (2 bytes)
  * @property {number} lastModFileDate (2 bytes)
  * @property {number} crc32 (4 bytes)
- * @property {number} compressedSize (4 bytes)
- * @property {number} uncompressedSize (4 bytes)
- * @property {number} byteOffset (4 bytes)
+ * @property {number} compressedSize (4 bytes, or 8 bytes in the Zip64 extra field)
+ * @property {number} uncompressedSize (4 bytes, or 8 bytes in the Zip64 extra field)
+ * @property {number} byteOffset (4 bytes, or 8 bytes in the Zip64 extra field)
  */
 
+// Values this big do not fit in the 4 (or 2) byte fields, which are set to all ones. The values go
+// in the Zip64 extra field or the Zip64 end of central directory record instead.
+const ZIP64_LIMIT_4 = 0xFFFFFFFF;
+const ZIP64_LIMIT_2 = 0xFFFF;
+
+// The "version needed to extract" values, as per section 4.4.3.2 of the App Note.
+const VERSION_NEEDED_STORE = 10;
+const VERSION_NEEDED_DEFLATE = 20;
+const VERSION_NEEDED_ZIP64 = 45;
+
 /** @type {ZipCompressionMethod} */
 let compressionMethod = ZipCompressionMethod.STORE;
 
@@ -74,46 +86,9 @@ const CompressorState = {
   FINISHED: 3,
 };
 let state = CompressorState.NOT_STARTED;
-const crc32Table = createCRC32Table();
 
 /** Helper functions. */
 
-/**
- * Logic taken from https://github.com/nodeca/pako/blob/master/lib/zlib/crc32.js
- * @returns {Uint8Array}
- */
-function createCRC32Table() {
-  const table = new Uint32Array(256);
-  for (let n = 0; n < 256; n++) {
-    let c = n;
-    for (let k = 0; k < 8; k++) {
-      c = ((c & 1) ? (CRC32_MAGIC_NUMBER ^ (c >>> 1)) : (c >>> 1));
-    }
-    table[n] = c;
-  }
-
-  return table;
-};
-
-/**
- * Logic taken from https://github.com/nodeca/pako/blob/master/lib/zlib/crc32.js
- * @param {number} crc
- * @param {Uint8Array} bytes
- * @returns {number}
- */
-function calculateCRC32(crc, bytes) {
-  const len = bytes.byteLength;
-  crc ^= -1;
-  for (const byte of bytes) {
-    crc = (crc >>> 8) ^ crc32Table[(crc ^ byte) & 0xFF];
-  }
-  crc ^= -1;
-  if (crc < 0) {
-    crc += 0x100000000;
-  }
-  return crc;
-}
-
 /**
  * Logic taken from https://github.com/thejoshwolfe/yazl.
  * @param {number} lastModTime The number of ms since the Unix epoch (1970-01-01 at midnight).
@@ -140,6 +115,26 @@ function dateToDosTime(jsDate) {
   return time;
 }
 
+/**
+ * ByteBuffer.writeNumber() can only write numbers up to 4 bytes.
+ * @param {ByteBuffer} buffer
+ * @param {number} num
+ */
+function writeNumber8(buffer, num) {
+  buffer.writeNumber(num % 0x100000000, 4);
+  buffer.writeNumber(Math.floor(num / 0x100000000), 4);
+}
+
+/**
+ * @param {CentralDirectoryFileHeaderInfo} cdInfo
+ * @returns {number[]} The values that do not fit in the central directory file header, in the
+ *     order they go in its Zip64 extra field.
+ */
+function getZip64Values(cdInfo) {
+  return [cdInfo.uncompressedSize, cdInfo.compressedSize, cdInfo.byteOffset]
+      .filter(value => value >= ZIP64_LIMIT_4);
+}
+
 /**
  * @param {FileInfo} file
  * @returns {Promise<ByteBuffer>}
@@ -155,14 +150,25 @@ async function zipOneFile(file) {
     compressedBytes = new Uint8Array(await new Response(compressedStream).arrayBuffer());
   }
 
+  // If either size is too big, the local header has both sizes in a Zip64 extra field.
+  const hasZip64Sizes = compressedBytes.byteLength >= ZIP64_LIMIT_4 ||
+      file.fileData.byteLength >= ZIP64_LIMIT_4;
+  const extraFieldLength = hasZip64Sizes ? 20 : 0;
+
   // Zip Local File Header has 30 bytes and then the filename and extrafields.
-  const fileHeaderSize = 30 + file.fileName.length;
+  const fileHeaderSize = 30 + file.fileName.length + extraFieldLength;
 
   /** @type {ByteBuffer} */
   const buffer = new ByteBuffer(fileHeaderSize + compressedBytes.byteLength);
 
+  let versionNeeded = (compressionMethod === ZipCompressionMethod.DEFLATE) ?
+      VERSION_NEEDED_DEFLATE : VERSION_NEEDED_STORE;
+  if (hasZip64Sizes || numBytesWritten >= ZIP64_LIMIT_4) {
+    versionNeeded = VERSION_NEEDED_ZIP64;
+  }
+
   buffer.writeNumber(LOCAL_FILE_HEADER_SIG, 4); // Magic number.
-  buffer.writeNumber(0x0A, 2); // Version.
+  buffer.writeNumber(versionNeeded, 2); // Version.
   buffer.writeNumber(0, 2); // General Purpose Flags.
   buffer.writeNumber(compressionMethod, 2); // Compression Method.
 
@@ -170,6 +176,7 @@ async function zipOneFile(file) {
 
   /** @type {CentralDirectoryFileHeaderInfo} */
   const centralDirectoryInfo = {
+    versionNeeded,
     compressionMethod,
     lastModFileTime: dateToDosTime(jsDate),
     lastModFileDate: dateToDosDate(jsDate),
@@ -184,11 +191,22 @@ async function zipOneFile(file) {
   buffer.writeNumber(centralDirectoryInfo.lastModFileTime, 2); // Last Mod File Time.
   buffer.writeNumber(centralDirectoryInfo.lastModFileDate, 2); // Last Mod Date.
   buffer.writeNumber(centralDirectoryInfo.crc32, 4); // crc32.
-  buffer.writeNumber(centralDirectoryInfo.compressedSize, 4); // Compressed size.
-  buffer.writeNumber(centralDirectoryInfo.uncompressedSize, 4); // Uncompressed size.
+  if (hasZip64Sizes) {
+    buffer.writeNumber(ZIP64_LIMIT_4, 4); // Compressed size.
+    buffer.writeNumber(ZIP64_LIMIT_4, 4); // Uncompressed size.
+  } else {
+    buffer.writeNumber(centralDirectoryInfo.compressedSize, 4); // Compressed size.
+    buffer.writeNumber(centralDirectoryInfo.uncompressedSize, 4); // Uncompressed size.
+  }
   buffer.writeNumber(centralDirectoryInfo.fileName.length, 2); // Filename length.
-  buffer.writeNumber(0, 2); // Extra field length.
+  buffer.writeNumber(extraFieldLength, 2); // Extra field length.
   buffer.writeASCIIString(centralDirectoryInfo.fileName); // Filename. Assumes ASCII.
+  if (hasZip64Sizes) {
+    buffer.writeNumber(ZIP64_EXTRA_FIELD_ID, 2); // Zip64 extra field header ID.
+    buffer.writeNumber(16, 2); // Size of the extra field data.
+    writeNumber8(buffer, centralDirectoryInfo.uncompressedSize); // Uncompressed size.
+    writeNumber8(buffer, centralDirectoryInfo.compressedSize); // Compressed size.
+  }
   buffer.insertBytes(compressedBytes);
 
   return buffer;
@@ -198,40 +216,82 @@ async function zipOneFile(file) {
  * @returns {ByteBuffer}
  */
 function writeCentralFileDirectory() {
-  // Each central directory file header is 46 bytes + the filename.
-  let cdsLength = filesCompressed.map(f => f.fileName.length + 46).reduce((a, c) => a + c);
-  // 22 extra bytes for the end-of-central-dir header.
-  const buffer = new ByteBuffer(cdsLength + 22);
-
-  for (const cdInfo of centralDirectoryInfos) {
+  // Each central directory file header is 46 bytes + the filename + the Zip64 extra field, which
+  // has a 4 byte header and 8 bytes for each value.
+  const zip64Values = centralDirectoryInfos.map(cdInfo => getZip64Values(cdInfo));
+  let cdsLength = centralDirectoryInfos.map((cdInfo, i) =>
+      cdInfo.fileName.length + 46 + (zip64Values[i].length ? 4 + zip64Values[i].length * 8 : 0))
+      .reduce((a, c) => a + c);
+  const numRecords = filesCompressed.length;
+  const needsZip64EndOfCentralDir = numRecords >= ZIP64_LIMIT_2 || cdsLength >= ZIP64_LIMIT_4 ||
+      numBytesWritten >= ZIP64_LIMIT_4;
+  // 22 extra bytes for the end-of-central-dir header. The Zip64 end-of-central-dir record is 56
+  // bytes and its locator is 20 bytes.
+  const buffer = new ByteBuffer(cdsLength + 22 + (needsZip64EndOfCentralDir ? 76 : 0));
+
+  centralDirectoryInfos.forEach((cdInfo, i) => {
+    const extraFieldLength = zip64Values[i].length ? 4 + zip64Values[i].length * 8 : 0;
     buffer.writeNumber(CENTRAL_FILE_HEADER_SIG, 4); // Magic number.
     buffer.writeNumber(0, 2); // Version made by. // 0x31e
-    buffer.writeNumber(0, 2); // Version needed to extract (minimum). // 0x14
+    // Version needed to extract (minimum).
+    buffer.writeNumber(extraFieldLength ? VERSION_NEEDED_ZIP64 : cdInfo.versionNeeded, 2);
     buffer.writeNumber(0, 2); // General purpose bit flag
     buffer.writeNumber(compressionMethod, 2); // Compression method.
     buffer.writeNumber(cdInfo.lastModFileTime, 2); // Last Mod File Time.
     buffer.writeNumber(cdInfo.lastModFileDate, 2); // Last Mod Date.
     buffer.writeNumber(cdInfo.crc32, 4); // crc32.
-    buffer.writeNumber(cdInfo.compressedSize, 4); // Compressed size.
-    buffer.writeNumber(cdInfo.uncompressedSize, 4); // Uncompressed size.
+    buffer.writeNumber(Math.min(cdInfo.compressedSize, ZIP64_LIMIT_4), 4); // Compressed size.
+    buffer.writeNumber(Math.min(cdInfo.uncompressedSize, ZIP64_LIMIT_4), 4); // Uncompressed size.
     buffer.writeNumber(cdInfo.fileName.length, 2); // File name length.
-    buffer.writeNumber(0, 2); // Extra field length.
+    buffer.writeNumber(extraFieldLength, 2); // Extra field length.
     buffer.writeNumber(0, 2); // Comment length.
     buffer.writeNumber(0, 2); // Disk number where file starts.
     buffer.writeNumber(0, 2); // Internal file attributes.
     buffer.writeNumber(0, 4); // External file attributes.
-    buffer.writeNumber(cdInfo.byteOffset, 4); // Relative offset of local file header.
+    // Relative offset of local file header.
+    buffer.writeNumber(Math.min(cdInfo.byteOffset, ZIP64_LIMIT_4), 4);
     buffer.writeASCIIString(cdInfo.fileName); // File name.
+    if (extraFieldLength) {
+      buffer.writeNumber(ZIP64_EXTRA_FIELD_ID, 2); // Zip64 extra field header ID.
+      buffer.writeNumber(extraFieldLength - 4, 2); // Size of the extra field data.
+      for (const value of zip64Values[i]) {
+        writeNumber8(buffer, value);
+      }
+    }
+  });
+
+  if (needsZip64EndOfCentralDir) {
+    // 56 bytes.
+    buffer.writeNumber(ZIP64_END_OF_CENTRAL_DIR_SIG, 4); // Magic number.
+    writeNumber8(buffer, 44); // Size of the rest of this record.
+    buffer.writeNumber(VERSION_NEEDED_ZIP64, 2); // Version made by.
+    buffer.writeNumber(VERSION_NEEDED_ZIP64, 2); // Version needed to extract (minimum).
+    buffer.writeNumber(0, 4); // Number of this disk.
+    buffer.writeNumber(0, 4); // Disk where central directory starts.
+    writeNumber8(buffer, numRecords); // Number of central directory records on this disk.
+    writeNumber8(buffer, numRecords); // Total number of central directory records.
+    writeNumber8(buffer, cdsLength); // Size of central directory.
+    writeNumber8(buffer, numBytesWritten); // Offset of start of central directory.
+
+    // 20 bytes.
+    buffer.writeNumber(END_OF_CENTRAL_DIR_LOCATOR_SIG, 4); // Magic number.
+    buffer.writeNumber(0, 4); // Disk where the Zip64 end of central directory record starts.
+    // Offset of the Zip64 end of central directory record.
+    writeNumber8(buffer, numBytesWritten + cdsLength);
+    buffer.writeNumber(1, 4); // Total number of disks.
   }
 
   // 22 more bytes.
   buffer.writeNumber(END_OF_CENTRAL_DIR_SIG, 4); // Magic number.
   buffer.writeNumber(0, 2); // Number of this disk.
   buffer.writeNumber(0, 2); // Disk where central directory starts.
-  buffer.writeNumber(filesCompressed.length, 2); // Number of central directory records on this disk.
-  buffer.writeNumber(filesCompressed.length, 2); // Total number of central directory records.
-  buffer.writeNumber(cdsLength, 4); // Size of central directory.
-  buffer.writeNumber(numBytesWritten, 4); // Offset of start of central directory.
+  // Number of central directory records on this disk.
+  buffer.writeNumber(Math.min(numRecords, ZIP64_LIMIT_2), 2);
+  // Total number of central directory records.
+  buffer.writeNumber(Math.min(numRecords, ZIP64_LIMIT_2), 2);
+  buffer.writeNumber(Math.min(cdsLength, ZIP64_LIMIT_4), 4); // Size of central directory.
+  // Offset of start of central directory.
+  buffer.writeNumber(Math.min(numBytesWritten, ZIP64_LIMIT_4), 4);
   buffer.writeNumber(0, 2); // Comment length.
 
   return buffer;
@@ -261,10 +321,14 @@ const onmessage = async function(evt) {
   }
 
   const msg = evt.data;
-  const filesToCompress = msg.files;
-  while (filesToCompress.length > 0) {
-    const fileInfo = filesToCompress.shift();
+  const port = hostPort;
+  // Not shift(), which is slow for archives with many files.
+  for (const fileInfo of msg.files) {
     const fileBuffer = await zipOneFile(fileInfo);
+    if (hostPort !== port) {
+      // The host stopped the zipping while the file was being compressed.
+      return;
+    }
     filesCompressed.push(fileInfo);
     numBytesWritten += fileBuffer.data.byteLength;
     hostPort.postMessage({ type: 'compress', bytes: fileBuffer.data }, [ fileBuffer.data.buffer ]);
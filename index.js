@@ -6,6 +6,8 @@
  * Copyright(c) 2020 Google Inc.
  */
 
+/** @typedef {import('./archive/zip-reader.js').ZipEntry} ZipEntry */
+
 /** @typedef {import('./codecs/codecs.js').ProbeStream} ProbeStream */
 /** @typedef {import('./codecs/codecs.js').ProbeFormat} ProbeFormat */
 /** @typedef {import('./codecs/codecs.js').ProbeInfo} ProbeInfo */
@@ -47,9 +49,12 @@
 
 export {
   UnarchiveEvent, UnarchiveEventType, UnarchiveInfoEvent, UnarchiveErrorEvent,
-  UnarchiveStartEvent, UnarchiveFinishEvent, UnarchiveProgressEvent, UnarchiveExtractEvent,
-  Unarchiver, Unzipper, Unrarrer, Untarrer, getUnarchiver
+  UnarchiveStartEvent, UnarchiveFinishEvent, UnarchiveProgressEvent, UnarchiveEntryEvent,
+  UnarchiveExtractEvent, UnarchiveExtractChunkEvent,
+  Unarchiver, Unzipper, Unrarrer, Untarrer, getUnarchiver,
+  UnarchiveStream, UnzipStream, UnrarStream, UntarStream,
 } from './archive/decompress.js';
+export { ZipReader } from './archive/zip-reader.js';
 export { getFullMIMEString, getShortMIMEString } from './codecs/codecs.js';
 export { findMimeType } from './file/sniffer.js';
 export { GifParseEventType, GifParser } from './image/parsers/gif.js';
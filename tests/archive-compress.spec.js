@@ -1,9 +1,11 @@
 import * as fs from 'node:fs';
 import 'mocha';
 import { expect } from 'chai';
-import { getUnarchiver } from '../archive/decompress.js';
+import { Unzipper, getUnarchiver } from '../archive/decompress.js';
+import { ZipReader } from '../archive/zip-reader.js';
 import { CompressStatus, Zipper } from '../archive/compress.js';
-import { ZipCompressionMethod } from '../archive/common.js';
+import { END_OF_CENTRAL_DIR_LOCATOR_SIG, END_OF_CENTRAL_DIR_SIG, ZIP64_END_OF_CENTRAL_DIR_SIG,
+  ZipCompressionMethod, getConnectedPort } from '../archive/common.js';
 
 /**
  * @typedef {import('./archive/compress.js').FileInfo} FileInfo
@@ -127,4 +129,98 @@ describe('bitjs.archive.compress', () => {
     done();
   });
 
+  it('zipper.start() rejects when the signal aborts', async () => {
+    const fileArr = Array.from(inputFileInfos.values());
+    const controller = new AbortController();
+    const zipper = new Zipper({zipCompressionMethod: ZipCompressionMethod.STORE});
+    // Without the last file, the Zipper waits for appendFiles() until it is aborted.
+    const zipPromise = zipper.start([fileArr[0]], false, controller.signal);
+    setTimeout(() => controller.abort(), 100);
+    try {
+      await zipPromise;
+      throw 'start() did not reject';
+    } catch (err) {
+      expect(err.name).equals('AbortError');
+    }
+    expect(zipper.compressState).equals(CompressStatus.ERROR);
+
+    // The zip implementation can be used again.
+    const byteArray = await new Zipper({zipCompressionMethod: ZipCompressionMethod.STORE})
+        .start(fileArr, true);
+    expect(byteArray.byteLength > decompressedFileSize).equals(true);
+  });
+
+  it('zipper.start() rejects right away with an aborted signal option', async () => {
+    const zipper = new Zipper({
+      zipCompressionMethod: ZipCompressionMethod.STORE,
+      signal: AbortSignal.abort(),
+    });
+    try {
+      await zipper.start(Array.from(inputFileInfos.values()), true);
+      throw 'start() did not reject';
+    } catch (err) {
+      expect(err.name).equals('AbortError');
+    }
+  });
+
+  it('zip implementation writes a Zip64 end of central directory for more than 65535 files',
+      async function() {
+    this.timeout(30000);
+    const NUM_FILES = 65536;
+    const files = [];
+    for (let i = 0; i < NUM_FILES; ++i) {
+      files.push({fileName: `${i}.txt`, lastModTime: 0, fileData: new Uint8Array([i & 0xff])});
+    }
+
+    // Talk to the implementation directly, since Zipper copies its whole byte array every time
+    // the implementation sends bytes.
+    const impl = await getConnectedPort('./zip.js');
+    const chunks = [];
+    await new Promise(resolve => {
+      impl.hostPort.onmessage = evt => {
+        if (evt.data.type === 'compress') chunks.push(evt.data.bytes);
+        if (evt.data.type === 'finish') resolve();
+      };
+      impl.hostPort.postMessage({files, isLastFile: true});
+    });
+    impl.hostPort.close();
+    impl.disconnectFn();
+
+    const byteArray = new Uint8Array(await new Blob(chunks).arrayBuffer());
+    const view = new DataView(byteArray.buffer);
+    const eocdOffset = byteArray.byteLength - 22;
+    const locatorOffset = eocdOffset - 20;
+    const zip64EocdOffset = locatorOffset - 56;
+    expect(view.getUint32(eocdOffset, true)).equals(END_OF_CENTRAL_DIR_SIG);
+    expect(view.getUint16(eocdOffset + 8, true)).equals(0xFFFF);
+    expect(view.getUint16(eocdOffset + 10, true)).equals(0xFFFF);
+    expect(view.getUint32(locatorOffset, true)).equals(END_OF_CENTRAL_DIR_LOCATOR_SIG);
+    expect(Number(view.getBigUint64(locatorOffset + 8, true))).equals(zip64EocdOffset);
+    expect(view.getUint32(zip64EocdOffset, true)).equals(ZIP64_END_OF_CENTRAL_DIR_SIG);
+    expect(Number(view.getBigUint64(zip64EocdOffset + 24, true))).equals(NUM_FILES);
+    expect(Number(view.getBigUint64(zip64EocdOffset + 32, true))).equals(NUM_FILES);
+    const cdOffset = Number(view.getBigUint64(zip64EocdOffset + 48, true));
+    const cdSize = Number(view.getBigUint64(zip64EocdOffset + 40, true));
+    expect(cdOffset + cdSize).equals(zip64EocdOffset);
+
+    // Read it back, through the Zip64 end of central directory and through the local headers.
+    const reader = new ZipReader(byteArray.buffer);
+    expect(reader.list().map(e => e.filename)).deep.equals(files.map(f => f.fileName));
+    for (const i of [0, 255, 256, NUM_FILES - 1]) {
+      const {filename, fileData} = await reader.extract(`${i}.txt`);
+      expect([filename, Array.from(fileData)]).deep.equals([`${i}.txt`, [i & 0xff]]);
+    }
+
+    let numExtracted = 0;
+    const unzipper = new Unzipper(byteArray.buffer.slice(0));
+    unzipper.onExtract(evt => {
+      const {filename, fileData} = evt.unarchivedFile;
+      expect([filename, Array.from(fileData)]).deep.equals(
+          [files[numExtracted].fileName, Array.from(files[numExtracted].fileData)]);
+      numExtracted++;
+    });
+    await unzipper.start();
+    expect(numExtracted).equals(NUM_FILES);
+  });
+
 });
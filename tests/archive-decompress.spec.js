@@ -2,10 +2,41 @@ import * as fs from 'node:fs';
 import 'mocha';
 import { expect } from 'chai';
 
-import { Gunzipper, Unarchiver, getUnarchiver } from '../archive/decompress.js';
+import { Gunzipper, UnarchiveExtractChunkEvent, Unarchiver, Unrarrer, UnrarStream, UntarStream,
+         UnzipStream, getUnarchiver } from '../archive/decompress.js';
+import { CRC } from '../archive/rarvm.js';
+
+/**
+ * @typedef {import('../archive/decompress.js').UnarchivedFile} UnarchivedFile
+ * @typedef {import('../archive/decompress.js').UnarchiverOptions} UnarchiverOptions
+ */
 
 const PATH = `tests/archive-testfiles/`;
 
+/**
+ * @param {string} filename
+ * @param {number} chunkSize
+ * @param {Object} counts Counts the chunks that were pulled, and whether the stream was cancelled.
+ * @returns {ReadableStream<Uint8Array>} The bytes of the file, in chunks.
+ */
+function streamFile(filename, chunkSize, counts = {}) {
+  const bytes = new Uint8Array(fs.readFileSync(`${PATH}${filename}`));
+  counts.numPulls = 0;
+  counts.cancelled = false;
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      counts.numPulls++;
+      controller.enqueue(bytes.subarray(offset, offset + chunkSize));
+      offset += chunkSize;
+      if (offset >= bytes.length) {
+        controller.close();
+      }
+    },
+    cancel() { counts.cancelled = true; },
+  });
+}
+
 const INPUT_FILES = [
   'sample-1.txt',
   'sample-2.csv',
@@ -19,10 +50,31 @@ const ARCHIVE_FILES = [
   'archive-rar-default.rar',
   // rar a -m5 -ma4 archive-rar-smaller.rar sample*
   'archive-rar-smaller.rar',
+  // RAR 3.x, compressed with PPMd. Has escaped literals, an LZ match inside PPM and switches from
+  // PPM to LZ and back. Only has sample-1.txt.
+  'archive-rar-ppm.rar',
+  // RAR 1.5 compression.
+  'archive-rar15.rar',
+  // RAR 1.5 compression, solid.
+  'archive-rar15-solid.rar',
+  // RAR 2.0 multimedia compression with 1, 3 and 4 audio channels, switching between LZ and audio
+  // blocks.
+  'archive-rar-audio.rar',
+  // RAR5, stored.
+  'archive-rar5-store.rar',
+  // RAR5, compressed with E8 and DELTA filters, multiple blocks and an archive comment.
+  'archive-rar5-default.rar',
+  // RAR5, solid with BLAKE2sp file hashes.
+  'archive-rar5-solid.rar',
   'archive-tar.tar',
   'archive-zip-store.zip',
   'archive-zip-faster.zip',
   'archive-zip-smaller.zip',
+  // zip -fz archive-zip64.zip sample* -n .csv, with the counts, size and offset in the end of
+  // central directory record moved to the Zip64 record.
+  'archive-zip64.zip',
+  // Zip64 written to a stream, with 8 byte sizes in the data descriptors.
+  'archive-zip64-descriptor.zip',
 ];
 
 describe('bitjs.archive.decompress', () => {
@@ -38,6 +90,10 @@ describe('bitjs.archive.decompress', () => {
   for (const outFile of ARCHIVE_FILES) {
     it(outFile, async () => {
       const bufs = new Map(inputArrayBuffers);
+      if (outFile === 'archive-rar-ppm.rar') {
+        bufs.delete('sample-2.csv');
+        bufs.delete('sample-3.json');
+      }
       const nodeBuf = fs.readFileSync(`${PATH}${outFile}`);
       const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
       let unarchiver = getUnarchiver(ab);
@@ -49,11 +105,7 @@ describe('bitjs.archive.decompress', () => {
         extractEvtFiredForAddEventListener = true;
         const {filename, fileData} = evt.unarchivedFile;
         expect(bufs.has(filename)).equals(true);
-        const ab = bufs.get(filename);
-        expect(fileData.byteLength).equals(ab.byteLength);
-        for (let b = 0; b < fileData.byteLength; ++b) {
-          expect(fileData[b] === ab[b]);
-        }
+        expect(Array.from(fileData)).deep.equals(Array.from(new Uint8Array(bufs.get(filename))));
         // Remove the value from the map so that it is only used once.
         bufs.delete(filename);
       });
@@ -61,13 +113,1277 @@ describe('bitjs.archive.decompress', () => {
         extractEvtFiredForOnExtract = true;
         expect(evt.unarchivedFile.filename.length > 0).equals(true);
       })
+      const errorMsgs = [];
+      unarchiver.addEventListener('error', evt => errorMsgs.push(evt.msg));
 
       await unarchiver.start();
       expect(extractEvtFiredForAddEventListener).equals(true);
       expect(extractEvtFiredForOnExtract).equals(true);
+      expect(errorMsgs).deep.equals([]);
+      // Every file was extracted.
+      expect(Array.from(bufs.keys())).deep.equals([]);
     });
   }
 
+  describe('listOnly', () => {
+    for (const archiveName of ARCHIVE_FILES) {
+      it(`lists the files in ${archiveName} without extracting them`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unarchiver = getUnarchiver(ab, {listOnly: true});
+        const entries = [];
+        let extractEvtFired = false;
+        unarchiver.onEntry(evt => entries.push(evt.entry));
+        unarchiver.onExtract(() => extractEvtFired = true);
+
+        await unarchiver.start();
+        expect(extractEvtFired).equals(false);
+        expect(entries.length).greaterThan(0);
+        for (const entry of entries) {
+          expect(INPUT_FILES).includes(entry.filename);
+          expect(entry.uncompressedSize).equals(inputArrayBuffers.get(entry.filename).byteLength);
+          expect(entry.compressedSize).greaterThan(0);
+          expect(entry.lastModified).instanceOf(Date);
+          expect(entry.isEncrypted).equals(false);
+        }
+      });
+    }
+
+    it('lists encrypted files without a password', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-aes.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, {listOnly: true});
+      const entries = [];
+      const errorMsgs = [];
+      unzipper.onEntry(evt => entries.push(evt.entry));
+      unzipper.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unzipper.start();
+      expect(errorMsgs).deep.equals([]);
+      expect(entries.map(e => e.filename)).deep.equals(INPUT_FILES);
+      expect(entries.every(e => e.isEncrypted)).equals(true);
+      // The compression method is the one inside the WinZip AES extra field.
+      expect(entries.map(e => e.compressionMethod)).deep.equals([8, 0, 8]);
+    });
+
+    it('lists a gzipped file', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}sample-1-slowest.txt.gz`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const gunzipper = getUnarchiver(ab, {listOnly: true});
+      const entries = [];
+      let extractEvtFired = false;
+      gunzipper.onEntry(evt => entries.push(evt.entry));
+      gunzipper.onExtract(() => extractEvtFired = true);
+
+      await gunzipper.start();
+      expect(extractEvtFired).equals(false);
+      expect(entries.length).equals(1);
+      expect(entries[0].filename).equals('sample-1.txt');
+      expect(entries[0].uncompressedSize).equals(inputArrayBuffers.get('sample-1.txt').byteLength);
+      expect(entries[0].compressedSize).equals(nodeBuf.length - 18 - 'sample-1.txt'.length - 1);
+    });
+
+    it('sends each entry before extracting it', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      const events = [];
+      untarrer.onEntry(evt => events.push(`entry ${evt.entry.filename}`));
+      untarrer.onExtract(evt => events.push(`extract ${evt.unarchivedFile.filename}`));
+
+      await untarrer.start();
+      expect(events).deep.equals(INPUT_FILES.flatMap(f => [`entry ${f}`, `extract ${f}`]));
+    });
+
+    // The mode is undefined when the archive does not record it: the Unzipper only reads the local
+    // file headers, archive-rar5-default.rar was made on Windows, and gzip files do not have one.
+    for (const [archiveName, mode] of [
+        ['archive-zip-store.zip', undefined], ['archive-rar-default.rar', 0o644],
+        ['archive-rar5-default.rar', undefined], ['archive-tar.tar', 0o644],
+        ['sample-1-slowest.txt.gz', undefined]]) {
+      it(`extracts the files of ${archiveName} with the metadata of their entries`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unarchiver = getUnarchiver(ab);
+        const entries = [];
+        const unarchivedFiles = [];
+        unarchiver.onEntry(evt => entries.push(evt.entry));
+        unarchiver.onExtract(evt => unarchivedFiles.push(evt.unarchivedFile));
+
+        await unarchiver.start();
+        expect(unarchivedFiles.length).equals(entries.length);
+        for (let i = 0; i < entries.length; ++i) {
+          const {fileData, ...metadata} = unarchivedFiles[i];
+          expect(metadata).deep.include(entries[i]);
+          expect(metadata.lastModified).instanceOf(Date);
+          expect(metadata.mode).equals(mode);
+          expect(metadata.isDirectory).equals(false);
+          expect(metadata.isSymlink).equals(false);
+        }
+      });
+    }
+  });
+
+  describe('include and exclude', () => {
+    /**
+     * @param {string} archiveName
+     * @param {UnarchiverOptions} options
+     * @returns {Promise<Array<UnarchivedFile>>}
+     */
+    async function extractFiles(archiveName, options) {
+      const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unarchiver = getUnarchiver(ab, options);
+      const entryFilenames = [];
+      const unarchivedFiles = [];
+      unarchiver.onEntry(evt => entryFilenames.push(evt.entry.filename));
+      unarchiver.onExtract(evt => unarchivedFiles.push(evt.unarchivedFile));
+      await unarchiver.start();
+      expect(entryFilenames).deep.equals(unarchivedFiles.map(f => f.filename));
+      return unarchivedFiles;
+    }
+
+    for (const archiveName of ['archive-zip-smaller.zip', 'archive-tar.tar',
+                               'archive-rar-default.rar', 'archive-rar5-default.rar']) {
+      it(`only extracts the included files from ${archiveName}`, async () => {
+        const files = await extractFiles(archiveName, {include: ['*.csv', 'sample-3.*']});
+        expect(files.map(f => f.filename)).deep.equals(['sample-2.csv', 'sample-3.json']);
+      });
+
+      it(`skips the excluded files in ${archiveName}`, async () => {
+        const files = await extractFiles(archiveName, {exclude: ['sample-2.csv']});
+        expect(files.map(f => f.filename)).deep.equals(['sample-1.txt', 'sample-3.json']);
+      });
+    }
+
+    // Later files in a solid archive refer to the data of earlier files, so those still have to be
+    // unpacked.
+    for (const archiveName of ['archive-rar15-solid.rar', 'archive-rar5-solid.rar']) {
+      it(`extracts the last file of ${archiveName} byte-exact`, async () => {
+        const files = await extractFiles(archiveName, {include: ['sample-3.json']});
+        expect(files.length).equals(1);
+        expect(files[0].filename).equals('sample-3.json');
+        expect(files[0].fileData).deep.equals(
+            new Uint8Array(inputArrayBuffers.get('sample-3.json')));
+      });
+    }
+
+    it('skips __MACOSX/ directories', async () => {
+      // zip archive-zip-macosx.zip comic/sample-1.txt comic/sample-2.csv
+      //     __MACOSX/comic/._sample-1.txt
+      const files = await extractFiles('archive-zip-macosx.zip',
+          {include: ['*.txt'], exclude: ['__MACOSX/']});
+      expect(files.map(f => f.filename)).deep.equals(['comic/sample-1.txt']);
+    });
+
+    it('lists only the included files', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-macosx.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, {listOnly: true, include: ['/comic/']});
+      const entryFilenames = [];
+      unzipper.onEntry(evt => entryFilenames.push(evt.entry.filename));
+      await unzipper.start();
+      expect(entryFilenames).deep.equals(['comic/sample-1.txt', 'comic/sample-2.csv']);
+    });
+  });
+
+  describe('abort', () => {
+    it('rejects right away with an aborted signal', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-smaller.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, {signal: AbortSignal.abort()});
+      let startEvtFired = false;
+      unzipper.addEventListener('start', () => startEvtFired = true);
+      try {
+        await unzipper.start();
+        throw 'start() did not reject';
+      } catch (err) {
+        expect(err.name).equals('AbortError');
+      }
+      expect(startEvtFired).equals(false);
+    });
+
+    for (const archiveName of ['archive-zip-smaller.zip', 'archive-rar-default.rar',
+                               'archive-tar.tar']) {
+      it(`stops extracting ${archiveName} when the signal aborts`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unarchiver = getUnarchiver(ab);
+        const controller = new AbortController();
+        const extractedFilenames = [];
+        let finishEvtFired = false;
+        unarchiver.onExtract(evt => {
+          extractedFilenames.push(evt.unarchivedFile.filename);
+          controller.abort();
+        });
+        unarchiver.onFinish(() => finishEvtFired = true);
+        try {
+          await unarchiver.start(controller.signal);
+          throw 'start() did not reject';
+        } catch (err) {
+          expect(err.name).equals('AbortError');
+        }
+        expect(extractedFilenames).deep.equals(['sample-1.txt']);
+        expect(finishEvtFired).equals(false);
+
+        // The implementation can be used again.
+        const again = getUnarchiver(nodeBuf.buffer.slice(nodeBuf.byteOffset,
+            nodeBuf.byteOffset + nodeBuf.length));
+        const extractedAgain = [];
+        again.onExtract(evt => extractedAgain.push(evt.unarchivedFile.filename));
+        await again.start();
+        expect(extractedAgain.length).equals(3);
+      });
+    }
+
+    it('rejects with the reason given to abort()', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}sample-1-slowest.txt.gz`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const controller = new AbortController();
+      const gunzipper = getUnarchiver(ab, {signal: controller.signal});
+      gunzipper.addEventListener('entry', () => controller.abort('Navigated away'));
+      let extractEvtFired = false;
+      gunzipper.onExtract(() => extractEvtFired = true);
+      try {
+        await gunzipper.start();
+        throw 'start() did not reject';
+      } catch (err) {
+        expect(err).equals('Navigated away');
+      }
+      expect(extractEvtFired).equals(false);
+    });
+  });
+
+  describe('entries', () => {
+    for (const archiveName of ['archive-zip-smaller.zip', 'archive-rar-default.rar',
+                               'archive-rar5-solid.rar', 'archive-tar.tar']) {
+      it(`yields the files of ${archiveName}`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const filenames = [];
+        for await (const {filename, fileData} of getUnarchiver(ab).entries()) {
+          filenames.push(filename);
+          expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+        }
+        expect(filenames).deep.equals(INPUT_FILES);
+      });
+
+      it(`waits for a slow loop before extracting more of ${archiveName}`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unarchiver = getUnarchiver(ab);
+        let numExtracted = 0;
+        unarchiver.onExtract(() => numExtracted++);
+        let numTaken = 0;
+        for await (const file of unarchiver.entries()) {
+          numTaken++;
+          await new Promise(resolve => setTimeout(resolve, 20));
+          // At most the next file is extracted while this one is being used.
+          expect(numExtracted).lessThanOrEqual(numTaken + 1);
+        }
+        expect(numTaken).equals(3);
+      });
+    }
+
+    it('yields the gunzipped file', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}sample-1-slowest.txt.gz`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const files = [];
+      for await (const file of getUnarchiver(ab).entries()) {
+        files.push(file);
+      }
+      expect(files.length).equals(1);
+      expect(files[0].fileData).deep.equals(
+          new Uint8Array(inputArrayBuffers.get('sample-1.txt')));
+    });
+
+    it('stops the implementation when the loop is left early', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      let finishEvtFired = false;
+      untarrer.onFinish(() => finishEvtFired = true);
+      for await (const file of untarrer.entries()) {
+        expect(file.filename).equals('sample-1.txt');
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(finishEvtFired).equals(false);
+
+      // The implementation can be used again.
+      const again = getUnarchiver(nodeBuf.buffer.slice(nodeBuf.byteOffset,
+          nodeBuf.byteOffset + nodeBuf.length));
+      const filenames = [];
+      for await (const file of again.entries()) {
+        filenames.push(file.filename);
+      }
+      expect(filenames).deep.equals(INPUT_FILES);
+    });
+
+    it('throws the abort reason', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-smaller.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const controller = new AbortController();
+      const filenames = [];
+      try {
+        for await (const file of getUnarchiver(ab).entries(controller.signal)) {
+          filenames.push(file.filename);
+          controller.abort('Navigated away');
+        }
+        throw 'entries() did not throw';
+      } catch (err) {
+        expect(err).equals('Navigated away');
+      }
+      expect(filenames).deep.equals(['sample-1.txt']);
+    });
+
+    it('keeps the bytes sent with update() while waiting', async () => {
+      const volumes = ['archive-rar-multi-solid.rar', 'archive-rar-multi-solid.r00',
+          'archive-rar-multi-solid.r01'].map(volume => {
+        const nodeBuf = fs.readFileSync(`${PATH}${volume}`);
+        return nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      });
+      const unrarrer = new Unrarrer(volumes.shift());
+      unrarrer.addEventListener('start', () => unrarrer.update(volumes.shift()));
+      // The implementation is waiting for the first file to be taken when the last volume arrives.
+      unrarrer.onExtract(() => {
+        for (const volume of volumes.splice(0)) {
+          unrarrer.update(volume);
+        }
+      });
+      const filenames = [];
+      for await (const {filename, fileData} of unrarrer.entries()) {
+        filenames.push(filename);
+        expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+      }
+      expect(filenames).deep.equals(INPUT_FILES);
+    });
+  });
+
+  describe('streams', () => {
+    const STREAMS = new Map([
+      ['archive-zip-smaller.zip', UnzipStream],
+      ['archive-zip64-descriptor.zip', UnzipStream],
+      ['archive-rar-default.rar', UnrarStream],
+      ['archive-rar5-solid.rar', UnrarStream],
+      ['archive-tar.tar', UntarStream],
+    ]);
+    for (const [archiveName, StreamClass] of STREAMS) {
+      it(`unarchives ${archiveName} in small chunks`, async () => {
+        const filenames = [];
+        const files = streamFile(archiveName, 100).pipeThrough(new StreamClass());
+        for await (const {filename, fileData} of files) {
+          filenames.push(filename);
+          expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+        }
+        expect(filenames).deep.equals(INPUT_FILES);
+      });
+    }
+
+    it('stops reading the bytes while the files are not read', async () => {
+      const counts = {};
+      const reader = streamFile('archive-tar.tar', 100, counts)
+          .pipeThrough(new UntarStream()).getReader();
+      expect((await reader.read()).value.filename).equals('sample-1.txt');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      // The tar file is 4608 bytes, and the last file ends at 3584 bytes.
+      expect(counts.numPulls).lessThan(40);
+
+      const filenames = ['sample-1.txt'];
+      for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        filenames.push(result.value.filename);
+      }
+      expect(filenames).deep.equals(INPUT_FILES);
+    });
+
+    it('cancels the bytes when the files are cancelled', async () => {
+      const counts = {};
+      const reader = streamFile('archive-tar.tar', 512, counts)
+          .pipeThrough(new UntarStream()).getReader();
+      expect((await reader.read()).value.filename).equals('sample-1.txt');
+      await reader.cancel('Not needed');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(counts.cancelled).equals(true);
+    });
+
+    it('errors when the archive ends too soon', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-smaller.zip`);
+      const bytes = new Uint8Array(nodeBuf).subarray(0, 500);
+      const filenames = [];
+      try {
+        const files = new ReadableStream({
+          start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+          },
+        }).pipeThrough(new UnzipStream());
+        for await (const file of files) {
+          filenames.push(file.filename);
+        }
+        throw 'The stream did not error';
+      } catch (err) {
+        expect(err).equals('Error! The zip file ended before it was complete');
+      }
+      expect(filenames.length).lessThan(3);
+    });
+
+    it('errors with the error from the implementation', async () => {
+      try {
+        const files = streamFile('archive-zip-aes.zip', 100).pipeThrough(new UnzipStream());
+        for await (const file of files) {}
+        throw 'The stream did not error';
+      } catch (err) {
+        expect(err).contains('password');
+      }
+    });
+  });
+
+  describe('chunked', () => {
+    /**
+     * Unarchives a file that is sent in pieces with update(), with the chunked option.
+     * @param {string} archiveName
+     * @param {number} pieceSize
+     * @returns {Promise<Object>} The chunks of each file, and the number of extract events.
+     */
+    async function unarchiveInChunks(archiveName, pieceSize) {
+      const bytes = new Uint8Array(fs.readFileSync(`${PATH}${archiveName}`));
+      const pieces = [];
+      for (let offset = 0; offset < bytes.length; offset += pieceSize) {
+        pieces.push(bytes.slice(offset, offset + pieceSize).buffer);
+      }
+      const unarchiver = getUnarchiver(pieces.shift(), { chunked: true });
+      unarchiver.addEventListener('start', () => {
+        for (const piece of pieces) {
+          unarchiver.update(piece);
+        }
+      });
+      /** @type {Map<string, Uint8Array[]>} */
+      const chunks = new Map();
+      const lastChunkFilenames = [];
+      let numExtractEvents = 0;
+      unarchiver.onExtract(() => numExtractEvents++);
+      unarchiver.onExtractChunk(evt => {
+        expect(evt instanceof UnarchiveExtractChunkEvent).equals(true);
+        expect(lastChunkFilenames).not.includes(evt.filename);
+        if (!chunks.has(evt.filename)) {
+          chunks.set(evt.filename, []);
+        }
+        chunks.get(evt.filename).push(evt.chunk);
+        if (evt.isLastChunk) {
+          lastChunkFilenames.push(evt.filename);
+        }
+      });
+      await unarchiver.start();
+      expect(lastChunkFilenames).deep.equals(INPUT_FILES);
+      return { chunks, numExtractEvents };
+    }
+
+    /** @param {Uint8Array[]} chunks */
+    function concat(chunks) {
+      const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return bytes;
+    }
+
+    for (const archiveName of ['archive-zip-store.zip', 'archive-tar.tar']) {
+      it(`sends the files of ${archiveName} in chunks as their bytes come in`, async () => {
+        const { chunks, numExtractEvents } = await unarchiveInChunks(archiveName, 100);
+        expect(numExtractEvents).equals(0);
+        // sample-1.txt is 1000 bytes.
+        expect(chunks.get('sample-1.txt').length).greaterThan(5);
+        for (const filename of INPUT_FILES) {
+          expect(concat(chunks.get(filename))).deep.equals(
+              new Uint8Array(inputArrayBuffers.get(filename)));
+        }
+      });
+    }
+
+    it('inflates the files of a zip in chunks', async () => {
+      const { chunks, numExtractEvents } = await unarchiveInChunks('archive-zip-smaller.zip', 100);
+      expect(numExtractEvents).equals(0);
+      for (const filename of INPUT_FILES) {
+        expect(concat(chunks.get(filename))).deep.equals(
+            new Uint8Array(inputArrayBuffers.get(filename)));
+      }
+    });
+
+    it('sends other files in one chunk', async () => {
+      const { chunks, numExtractEvents } = await unarchiveInChunks('archive-rar-default.rar',
+          100000);
+      expect(numExtractEvents).equals(0);
+      for (const filename of INPUT_FILES) {
+        expect(chunks.get(filename)).deep.equals(
+            [new Uint8Array(inputArrayBuffers.get(filename))]);
+      }
+    });
+
+    it('skips the chunks of excluded files', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab, { chunked: true, exclude: ['sample-1.txt'] });
+      const filenames = [];
+      untarrer.onExtractChunk(evt => filenames.push(evt.filename));
+      await untarrer.start();
+      expect(filenames).deep.equals(['sample-2.csv', 'sample-3.json']);
+    });
+
+    it('is ignored by entries()', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-smaller.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const filenames = [];
+      const unzipper = getUnarchiver(ab, {chunked: true});
+      for await (const {filename, fileData} of unzipper.entries()) {
+        filenames.push(filename);
+        expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+      }
+      expect(filenames).deep.equals(INPUT_FILES);
+      // The option is only set aside for the loop.
+      expect([unzipper.chunked_, unzipper.flowControl_]).deep.equals([true, false]);
+    });
+
+    it('is set again when entries() is left early', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-smaller.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, {chunked: true});
+      for await (const file of unzipper.entries()) {
+        break;
+      }
+      expect([unzipper.chunked_, unzipper.flowControl_]).deep.equals([true, false]);
+    });
+
+    it('is ignored by the streams', async () => {
+      const filenames = [];
+      const files = streamFile('archive-zip-smaller.zip', 100)
+          .pipeThrough(new UnzipStream({chunked: true}));
+      for await (const {filename, fileData} of files) {
+        filenames.push(filename);
+        expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+      }
+      expect(filenames).deep.equals(INPUT_FILES);
+    });
+  });
+
+  describe('unrar', () => {
+    it('reports a stored RAR5 file with a size, but no data', async () => {
+      /**
+       * @param {number[]} fields The header type, flags and the rest, which must be short.
+       * @returns {number[]} The header with its CRC32 and size.
+       */
+      const rar5Header = (fields) => {
+        const bytes = [fields.length, ...fields];
+        const crc = (CRC(0xffffffff, new Uint8Array(bytes)) ^ 0xffffffff) >>> 0;
+        return [crc & 0xff, (crc >>> 8) & 0xff, (crc >>> 16) & 0xff, crc >>> 24, ...bytes];
+      };
+      const filename = [...new TextEncoder().encode('nodata.bin')];
+      const bytes = new Uint8Array([
+        0x52, 0x61, 0x72, 0x21, 0x1a, 0x07, 0x01, 0x00,
+        // The main header, with no archive flags.
+        ...rar5Header([1, 0, 0]),
+        // A stored file of 100 bytes, with no data area.
+        ...rar5Header([2, 0, 0, 100, 0, 0, 0, filename.length, ...filename]),
+        // The end of the archive.
+        ...rar5Header([5, 0, 0]),
+      ]);
+      const unrarrer = getUnarchiver(bytes.buffer);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals([]);
+      expect(errorMsgs).deep.equals(['Error! No data for the RAR5 file nodata.bin']);
+    });
+
+    it('reports a RAR5 checksum mismatch', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar5-badcrc.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals(['sample-2.csv']);
+      expect(errorMsgs.length).equals(1);
+      expect(errorMsgs[0]).contains('sample-1.txt');
+    });
+
+    // archive-rar-store.rar with the first byte of sample-2.csv and the file time in the header of
+    // sample-3.json changed.
+    it('reports RAR header and file CRC mismatches', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar-badcrc.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals(['sample-1.txt']);
+      expect(errorMsgs).deep.equals([
+        'Error! CRC32 mismatch for sample-2.csv',
+        'Error! RAR header CRC mismatch for sample-3.json',
+      ]);
+    });
+
+    it('skips the file CRC check, but not the header CRC check, with skipChecksums', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar-badcrc.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab, {skipChecksums: true});
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv']);
+      expect(errorMsgs).deep.equals(['Error! RAR header CRC mismatch for sample-3.json']);
+    });
+
+    it('decompresses RAR 2.0 audio blocks byte-exact', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar-audio.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab);
+      const extractedFilenames = [];
+      unrarrer.onExtract(evt => {
+        const {filename, fileData} = evt.unarchivedFile;
+        extractedFilenames.push(filename);
+        expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+      });
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv', 'sample-3.json']);
+    });
+
+    const MULTI_VOLUME_ARCHIVES = [
+      // Each file is split across volumes. sample-2.csv is stored, the others are compressed.
+      [
+        'archive-rar-multi.part1.rar',
+        'archive-rar-multi.part2.rar',
+        'archive-rar-multi.part3.rar',
+        'archive-rar-multi.part4.rar',
+      ],
+      // RAR5, sample-2.csv is split across volumes.
+      [
+        'archive-rar5-multi.part1.rar',
+        'archive-rar5-multi.part2.rar',
+      ],
+    ];
+
+    for (const volumeNames of MULTI_VOLUME_ARCHIVES) {
+      it(`joins files split across volumes of ${volumeNames[0]}`, async () => {
+        const volumes = volumeNames.map(volume => {
+          const nodeBuf = fs.readFileSync(`${PATH}${volume}`);
+          return nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        });
+        const unrarrer = new Unrarrer(volumes);
+        const extractedFilenames = [];
+        unrarrer.onExtract(evt => {
+          const {filename, fileData} = evt.unarchivedFile;
+          extractedFilenames.push(filename);
+          expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+        });
+
+        await unrarrer.start();
+        expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv', 'sample-3.json']);
+      });
+    }
+
+    it('errors when the last volume is missing from the array', async () => {
+      const volumes = ['archive-rar-multi.part1.rar', 'archive-rar-multi.part2.rar',
+          'archive-rar-multi.part3.rar'].map(volume => {
+        const nodeBuf = fs.readFileSync(`${PATH}${volume}`);
+        return nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      });
+      const unrarrer = new Unrarrer(volumes);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(errorMsgs).deep.equals(['Error! The RAR archive ended before it was complete']);
+      expect(extractedFilenames).not.contains('sample-3.json');
+    });
+
+    it('waits for the next volume sent with update()', async () => {
+      // A solid archive using the old .rar, .r00, .r01 volume names.
+      const volumes = ['archive-rar-multi-solid.rar', 'archive-rar-multi-solid.r00',
+          'archive-rar-multi-solid.r01'].map(volume => {
+        const nodeBuf = fs.readFileSync(`${PATH}${volume}`);
+        return nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      });
+      const unrarrer = new Unrarrer(volumes.shift());
+      const extractedFilenames = [];
+      unrarrer.addEventListener('start', () => {
+        for (const volume of volumes) {
+          unrarrer.update(volume);
+        }
+      });
+      unrarrer.onExtract(evt => {
+        const {filename, fileData} = evt.unarchivedFile;
+        extractedFilenames.push(filename);
+        expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+      });
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv', 'sample-3.json']);
+    });
+
+    const ENCRYPTED_ARCHIVES = new Map([
+      ['archive-rar-encrypted.rar', 'bitjs'],
+      // The password is long enough to hit the quirk in the SHA-1 that RAR 3.x uses.
+      ['archive-rar-encrypted-headers.rar',
+          'correct horse battery staple, and a few more words to make it long'],
+    ]);
+
+    for (const [archiveName, password] of ENCRYPTED_ARCHIVES) {
+      it(`decrypts ${archiveName} with the password`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unrarrer = getUnarchiver(ab, {password});
+        const extractedFilenames = [];
+        unrarrer.onExtract(evt => {
+          const {filename, fileData} = evt.unarchivedFile;
+          extractedFilenames.push(filename);
+          expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+        });
+
+        await unrarrer.start();
+        expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv', 'sample-3.json']);
+      });
+    }
+
+    it('reports an error for each encrypted file without a password', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar-encrypted.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals([]);
+      expect(errorMsgs.length).equals(3);
+      expect(errorMsgs[0]).contains('sample-1.txt');
+    });
+
+    it('reports a wrong password', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar-encrypted.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab, {password: 'not bitjs'});
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals([]);
+      expect(errorMsgs.length).equals(3);
+      expect(errorMsgs[0]).contains('Wrong password');
+    });
+
+    it('reports encrypted headers without a password', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-rar-encrypted-headers.rar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unrarrer = getUnarchiver(ab);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unrarrer.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unrarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unrarrer.start();
+      expect(extractedFilenames).deep.equals([]);
+      expect(errorMsgs.length).equals(1);
+    });
+  });
+
+  describe('unzip', () => {
+    for (const archiveName of ['archive-zip64.zip', 'archive-zip64-descriptor.zip']) {
+      it(`reads the Zip64 sizes of ${archiveName}`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unzipper = getUnarchiver(ab);
+        const extractedFilenames = [];
+        unzipper.onExtract(evt => {
+          const {filename, fileData} = evt.unarchivedFile;
+          extractedFilenames.push(filename);
+          expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+        });
+
+        await unzipper.start();
+        expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv', 'sample-3.json']);
+      });
+    }
+
+    it('sends the 8 byte sizes of a Zip64 extra field in the entry', async () => {
+      // Only the local file header of a stored file of 5 GB, with its sizes in the Zip64 extra
+      // field. In chunked mode, the entry is sent before the data comes in.
+      const filename = new TextEncoder().encode('big.bin');
+      const bytes = new Uint8Array(30 + filename.length + 20);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint32(18, 0xFFFFFFFF, true); // Compressed size.
+      view.setUint32(22, 0xFFFFFFFF, true); // Uncompressed size.
+      view.setUint16(26, filename.length, true);
+      view.setUint16(28, 20, true); // Extra field length.
+      bytes.set(filename, 30);
+      view.setUint16(30 + filename.length, 0x0001, true);
+      view.setUint16(32 + filename.length, 16, true);
+      view.setBigUint64(34 + filename.length, 5000000000n, true);
+      view.setBigUint64(42 + filename.length, 5000000000n, true);
+
+      const controller = new AbortController();
+      const unzipper = getUnarchiver(bytes.buffer, {chunked: true, listOnly: true});
+      const entry = await new Promise(resolve => {
+        unzipper.onEntry(evt => resolve(evt.entry));
+        unzipper.start(controller.signal).catch(() => {});
+      });
+      controller.abort();
+      expect([entry.filename, entry.compressedSize, entry.uncompressedSize]).deep.equals(
+          ['big.bin', 5000000000, 5000000000]);
+    });
+
+    it('leaves the CRC-32 and MS-DOS time from the header on the extracted files', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-store.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab);
+      const extractedFiles = [];
+      unzipper.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await unzipper.start();
+      expect(extractedFiles.map(f => f.crc32 >>> 0)).deep.equals(
+          [0x9c959ea5, 0xa5578f91, 0x710b6bbb]);
+      for (const {lastModFileTime, lastModFileDate} of extractedFiles) {
+        expect(lastModFileTime).a('number');
+        expect(lastModFileDate).a('number');
+      }
+    });
+
+    // archive-zip-store.zip with the first byte of sample-2.csv changed.
+    it('reports a CRC-32 mismatch', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-badcrc.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab);
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unzipper.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unzipper.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unzipper.start();
+      expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-3.json']);
+      expect(errorMsgs).deep.equals(['Error! CRC32 mismatch for sample-2.csv']);
+    });
+
+    it('reports a CRC-32 mismatch after the last chunk', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-badcrc.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, {chunked: true});
+      const events = [];
+      unzipper.onExtractChunk(evt => events.push(`chunk ${evt.filename}`));
+      unzipper.addEventListener('error', evt => events.push(evt.msg));
+
+      await unzipper.start();
+      expect(events).deep.equals(['chunk sample-1.txt', 'chunk sample-2.csv',
+          'Error! CRC32 mismatch for sample-2.csv', 'chunk sample-3.json']);
+    });
+
+    it('skips the CRC-32 check with the skipChecksums option', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-badcrc.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, {skipChecksums: true});
+      const extractedFilenames = [];
+      let errorEvtFired = false;
+      unzipper.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unzipper.addEventListener('error', () => errorEvtFired = true);
+
+      await unzipper.start();
+      expect(extractedFilenames).deep.equals(INPUT_FILES);
+      expect(errorEvtFired).equals(false);
+    });
+
+    const ENCRYPTED_ARCHIVES = [
+      // zip -P bitjs archive-zip-zipcrypto.zip sample* -n .csv, which has data descriptors, so the
+      // encryption header is checked against the last mod file time.
+      'archive-zip-zipcrypto.zip',
+      // No data descriptors, so the encryption header is checked against the CRC-32.
+      'archive-zip-zipcrypto-crc.zip',
+      // WinZip AE-2, with AES-128, AES-192 (stored) and AES-256 for each file.
+      'archive-zip-aes.zip',
+      // bsdtar --options zip:encryption=aes256, which is WinZip AE-1 with data descriptors.
+      'archive-zip-aes256.zip',
+    ];
+
+    for (const archiveName of ENCRYPTED_ARCHIVES) {
+      it(`decrypts ${archiveName} with the password`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+        const unzipper = getUnarchiver(ab, {password: 'bitjs'});
+        const extractedFilenames = [];
+        unzipper.onExtract(evt => {
+          const {filename, fileData} = evt.unarchivedFile;
+          extractedFilenames.push(filename);
+          expect(fileData).deep.equals(new Uint8Array(inputArrayBuffers.get(filename)));
+        });
+
+        await unzipper.start();
+        expect(extractedFilenames).deep.equals(['sample-1.txt', 'sample-2.csv', 'sample-3.json']);
+      });
+
+      it(`reports a missing or wrong password for ${archiveName}`, async () => {
+        const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+        for (const password of [undefined, 'not bitjs']) {
+          const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+          const unzipper = getUnarchiver(ab, {password});
+          const extractedFilenames = [];
+          const errorMsgs = [];
+          unzipper.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+          unzipper.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+          await unzipper.start();
+          expect(extractedFilenames).deep.equals([]);
+          expect(errorMsgs.length).equals(3);
+          expect(errorMsgs[0]).contains(password ? 'Wrong password' : 'no password');
+        }
+      });
+    }
+
+    it('reports WinZip AES data that fails authentication', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-zip-aes.zip`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      // Change a byte of the encrypted data of sample-1.txt.
+      new Uint8Array(ab)[70] ^= 1;
+      const unzipper = getUnarchiver(ab, {password: 'bitjs'});
+      const extractedFilenames = [];
+      const errorMsgs = [];
+      unzipper.onExtract(evt => extractedFilenames.push(evt.unarchivedFile.filename));
+      unzipper.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await unzipper.start();
+      expect(extractedFilenames).deep.equals(['sample-2.csv', 'sample-3.json']);
+      expect(errorMsgs.length).equals(1);
+      expect(errorMsgs[0]).contains('sample-1.txt');
+    });
+
+    /**
+     * @param {string} archiveName
+     * @param {UnarchiverOptions=} options
+     * @returns {Promise<{filenames: string[], errorMsgs: string[]}>}
+     */
+    async function unzipFilenames(archiveName, options = {}) {
+      const nodeBuf = fs.readFileSync(`${PATH}${archiveName}`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const unzipper = getUnarchiver(ab, options);
+      const filenames = [];
+      const errorMsgs = [];
+      unzipper.onExtract(evt => filenames.push(evt.unarchivedFile.filename));
+      unzipper.addEventListener('error', evt => errorMsgs.push(evt.msg));
+      await unzipper.start();
+      return {filenames, errorMsgs};
+    }
+
+    // A UTF-8 name with the UTF-8 flag, a code page 437 name, a name with an Info-ZIP Unicode Path
+    // extra field, and one with a Unicode Path extra field for a different name, which is ignored.
+    it('decodes UTF-8, code page 437 and Unicode Path file names', async () => {
+      expect(await unzipFilenames('archive-zip-filenames.zip')).deep.equals({
+        filenames: ['日本語/ñandú.txt', 'café ÿ.csv', 'unicode-path-😀.json', 'stale.txt'],
+        errorMsgs: [],
+      });
+    });
+
+    // 日本語.txt, in Shift-JIS without the UTF-8 flag.
+    it('decodes the file names with the filenameEncoding option', async () => {
+      expect((await unzipFilenames('archive-zip-shift-jis.zip')).filenames)
+          .deep.equals(['ô·û{îΩ.txt']);
+      expect((await unzipFilenames('archive-zip-shift-jis.zip', {filenameEncoding: 'shift_jis'})))
+          .deep.equals({filenames: ['日本語.txt'], errorMsgs: []});
+    });
+
+    it('reports an unsupported filenameEncoding and uses code page 437', async () => {
+      expect(await unzipFilenames('archive-zip-shift-jis.zip', {filenameEncoding: 'klingon'}))
+          .deep.equals({
+            filenames: ['ô·û{îΩ.txt'],
+            errorMsgs: ['Error! Unsupported filename encoding: klingon'],
+          });
+    });
+  });
+
+  describe('untar', () => {
+    // Written by Python's tarfile in the PAX format, with a global header that sets the mtime. The
+    // path of sample-1.txt is too long for the ustar header, sample-2.csv has its own mtime, and
+    // the ustar header of sample-3.json has a size of 0, so its size is only in the PAX record.
+    const PAX_DIR = 'pax-ünïcödé/' +
+        'a-directory-name-that-makes-the-path-longer-than-one-hundred-characters/';
+
+    it('applies the records of PAX headers to the entries after them', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar-pax.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      const entries = [];
+      const extractedFiles = [];
+      untarrer.onEntry(evt => entries.push(evt.entry));
+      untarrer.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await untarrer.start();
+      expect(entries.map(e => e.filename)).deep.equals(
+          [`${PAX_DIR}sample-1.txt`, 'sample-2.csv', 'sample-3.json']);
+      expect(entries.map(e => e.lastModified.getTime())).deep.equals(
+          [1700000000250, 1600000000500, 1700000000250]);
+      expect(entries[2].uncompressedSize).equals(120);
+      expect(extractedFiles.length).equals(3);
+      for (const {filename, fileData} of extractedFiles) {
+        expect(fileData).deep.equals(
+            new Uint8Array(inputArrayBuffers.get(filename.replace(PAX_DIR, ''))));
+      }
+    });
+
+    it('leaves the owner from the header on the extracted files', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      const extractedFiles = [];
+      untarrer.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await untarrer.start();
+      expect(extractedFiles.map(({uid, gid, uname, gname}) => [uid, gid, uname, gname]))
+          .deep.equals(INPUT_FILES.map(() => [112370, 89939, 'jeffschiller', 'primarygroup']));
+    });
+
+    // Written by Python's tarfile in the PAX format. The uid and gid are too big for the ustar
+    // header, and the uname and gname are not ASCII, so they are only in the PAX records.
+    it('applies the owner in the PAX records to the extracted file', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar-pax-owner.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      const extractedFiles = [];
+      untarrer.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await untarrer.start();
+      expect(extractedFiles.length).equals(1);
+      const {filename, uid, gid, uname, gname, mode} = extractedFiles[0];
+      expect([filename, uid, gid, uname, gname, mode]).deep.equals(
+          ['sample-1.txt', 3000000, 3000001, 'bïtjs', 'bïtjs-group', 0o644]);
+    });
+
+    /** @returns {Uint8Array} The 20000 bytes of sparse.bin, which has holes around its data. */
+    function getSparseFileData() {
+      const fileData = new Uint8Array(20000);
+      fileData.set(new Uint8Array(inputArrayBuffers.get('sample-2.csv')), 8192);
+      fileData.set(new Uint8Array(inputArrayBuffers.get('sample-3.json')), 16384);
+      return fileData;
+    }
+
+    // tar --format=gnu -S, with a GNU long name for sample-1.txt, a GNU long link name for a
+    // symbolic link to it, and sparse.bin.
+    it('reads GNU long names and sparse files', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar-gnu.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      const entries = [];
+      const extractedFiles = [];
+      untarrer.onEntry(evt => entries.push(evt.entry));
+      untarrer.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await untarrer.start();
+      const longName = `gnu-${'a-long-directory-name-'.repeat(5)}/sample-1.txt`;
+      expect(extractedFiles.map(f => f.filename)).deep.equals(
+          [longName, 'link-to-sample-1.txt', 'sparse.bin', 'sample-2.csv']);
+      expect(extractedFiles[0].fileData).deep.equals(
+          new Uint8Array(inputArrayBuffers.get('sample-1.txt')));
+      expect(extractedFiles[1].linkname).equals(longName);
+      expect(extractedFiles[2].fileData).deep.equals(getSparseFileData());
+      expect(extractedFiles[3].fileData).deep.equals(
+          new Uint8Array(inputArrayBuffers.get('sample-2.csv')));
+      expect(entries[2].uncompressedSize).equals(20000);
+    });
+
+    // Written by Python's tarfile, with a NUL typeflag for sample-1.txt and a contiguous file
+    // typeflag for sample-2.csv.
+    it('sends directories, links, devices and FIFOs as entries with no data', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar-types.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab);
+      const entries = [];
+      const extractedFiles = [];
+      untarrer.onEntry(evt => entries.push(evt.entry));
+      untarrer.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await untarrer.start();
+      expect(entries.map(e => [e.filename, e.type, e.linkname])).deep.equals([
+        ['dir/', 'directory', undefined],
+        ['dir/sample-1.txt', 'file', undefined],
+        ['dir/sample-2.csv', 'file', undefined],
+        ['dir/link-to-sample-1.txt', 'symlink', 'sample-1.txt'],
+        ['dir/hardlink-to-sample-2.csv', 'hardlink', 'dir/sample-2.csv'],
+        ['dir/fifo', 'fifo', undefined],
+        ['dev/null', 'character-device', undefined],
+        ['dev/sda', 'block-device', undefined],
+      ]);
+      expect(extractedFiles.map(f => f.filename)).deep.equals(entries.map(e => e.filename));
+      for (const {filename, type, fileData} of extractedFiles) {
+        expect(fileData).deep.equals(type == 'file' ?
+            new Uint8Array(inputArrayBuffers.get(filename.replace('dir/', ''))) :
+            new Uint8Array(0));
+      }
+    });
+
+    // In archive-tar.tar, the header of sample-2.csv is at byte 1536, and the two zero blocks at
+    // the end are at byte 3584.
+    /** @returns {Uint8Array} A copy of the bytes of archive-tar.tar. */
+    function getTarBytes() {
+      return new Uint8Array(fs.readFileSync(`${PATH}archive-tar.tar`));
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {Promise<{filenames: string[], errorMsgs: string[]}>}
+     */
+    async function untarBytes(bytes) {
+      const untarrer = getUnarchiver(bytes.buffer);
+      const filenames = [];
+      const errorMsgs = [];
+      untarrer.onExtract(evt => filenames.push(evt.unarchivedFile.filename));
+      untarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+      await untarrer.start();
+      return {filenames, errorMsgs};
+    }
+
+    it('reports a corrupt header instead of reading it', async () => {
+      const bytes = getTarBytes();
+      bytes[1536] ^= 0x01;
+      expect(await untarBytes(bytes)).deep.equals({
+        filenames: ['sample-1.txt'],
+        errorMsgs: ['Error! Invalid tar header checksum at byte 1536'],
+      });
+    });
+
+    it('accepts a header checksum that sums signed bytes', async () => {
+      const bytes = getTarBytes();
+      const header = bytes.subarray(1536, 2048);
+      // Put an é at the start of the user name, then write the signed checksum.
+      header[265] = 0xe9;
+      header.fill(0x20, 148, 156);
+      const signedSum = new Int8Array(header.buffer, header.byteOffset, 512)
+          .reduce((sum, b) => sum + b, 0);
+      header.set(new TextEncoder().encode(`${signedSum.toString(8).padStart(6, '0')}\0`), 148);
+      expect(await untarBytes(bytes)).deep.equals({filenames: INPUT_FILES, errorMsgs: []});
+    });
+
+    it('reads a header whose name starts with a NUL byte', async () => {
+      const bytes = getTarBytes();
+      const header = bytes.subarray(1536, 2048);
+      // An empty name, then fix the checksum. The entry has no name, so it is not extracted.
+      header.fill(0, 0, 100);
+      header.fill(0x20, 148, 156);
+      const sum = header.reduce((sum, b) => sum + b, 0);
+      header.set(new TextEncoder().encode(`${sum.toString(8).padStart(6, '0')}\0`), 148);
+      expect(await untarBytes(bytes)).deep.equals(
+          {filenames: ['sample-1.txt', 'sample-3.json'], errorMsgs: []});
+    });
+
+    it('ends the archive after one zero block at the end', async () => {
+      const bytes = getTarBytes().slice(0, 3584 + 512);
+      expect(await untarBytes(bytes)).deep.equals({filenames: INPUT_FILES, errorMsgs: []});
+    });
+
+    it('waits for update() when the bytes end between two entries', async () => {
+      const bytes = getTarBytes();
+      // sample-2.csv starts at byte 1536.
+      const untarrer = getUnarchiver(bytes.slice(0, 1536).buffer);
+      const filenames = [];
+      const errorMsgs = [];
+      untarrer.addEventListener('start', () => untarrer.update(bytes.slice(1536).buffer));
+      untarrer.onExtract(evt => filenames.push(evt.unarchivedFile.filename));
+      untarrer.addEventListener('error', evt => errorMsgs.push(evt.msg));
+
+      await untarrer.start();
+      expect({filenames, errorMsgs}).deep.equals({filenames: INPUT_FILES, errorMsgs: []});
+    });
+
+    for (const numZeroBlocks of [1, 0]) {
+      it(`ends the stream after ${numZeroBlocks} zero blocks at the end`, async () => {
+        const bytes = getTarBytes().subarray(0, 3584 + numZeroBlocks * 512);
+        const filenames = [];
+        const files = new ReadableStream({
+          start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+          },
+        }).pipeThrough(new UntarStream());
+        for await (const file of files) {
+          filenames.push(file.filename);
+        }
+        expect(filenames).deep.equals(INPUT_FILES);
+      });
+    }
+
+    it('errors when the stream ends in the middle of an entry', async () => {
+      const bytes = getTarBytes().subarray(0, 3000);
+      const filenames = [];
+      try {
+        const files = new ReadableStream({
+          start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+          },
+        }).pipeThrough(new UntarStream());
+        for await (const file of files) {
+          filenames.push(file.filename);
+        }
+        throw 'The stream did not error';
+      } catch (err) {
+        expect(err).equals('Error! The tar file ended before it was complete');
+      }
+      expect(filenames).deep.equals(['sample-1.txt', 'sample-2.csv']);
+    });
+
+    it('sends the mode and file type of each entry', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar-types.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab, {include: ['dir/']});
+      const extractedFiles = [];
+      untarrer.onExtract(evt => extractedFiles.push(evt.unarchivedFile));
+
+      await untarrer.start();
+      const metadata = extractedFiles.map(f => [f.filename, f.mode, f.isDirectory, f.isSymlink]);
+      expect(metadata).deep.equals([
+        ['dir/', 0o755, true, false],
+        ['dir/sample-1.txt', 0o644, false, false],
+        ['dir/sample-2.csv', 0o644, false, false],
+        ['dir/link-to-sample-1.txt', 0o777, false, true],
+        ['dir/hardlink-to-sample-2.csv', 0o644, false, false],
+        ['dir/fifo', 0o644, false, false],
+      ]);
+    });
+
+    // sparse.bin, written with tar --format=posix -S and --sparse-version=0.0, 0.1 and 1.0.
+    it('reads PAX sparse files', async () => {
+      const nodeBuf = fs.readFileSync(`${PATH}archive-tar-pax-sparse.tar`);
+      const ab = nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+      const untarrer = getUnarchiver(ab, {chunked: true});
+      /** @type {Map<string, Uint8Array[]>} */
+      const chunks = new Map();
+      untarrer.onExtractChunk(evt => {
+        chunks.set(evt.filename, (chunks.get(evt.filename) || []).concat([evt.chunk]));
+      });
+
+      await untarrer.start();
+      expect([...chunks.keys()]).deep.equals(
+          ['sparse-0.0.bin', 'sparse-0.1.bin', 'sparse-1.0.bin']);
+      for (const fileChunks of chunks.values()) {
+        expect(fileChunks).deep.equals([getSparseFileData()]);
+      }
+    });
+  });
+
   describe('gunzip', () => {
     it('can gunzip a file', async () => {
       const bufs = new Map(inputArrayBuffers);
@@ -0,0 +1,172 @@
+import * as fs from 'node:fs';
+import 'mocha';
+import { expect } from 'chai';
+
+import { CENTRAL_FILE_HEADER_SIG, END_OF_CENTRAL_DIR_SIG } from '../archive/common.js';
+import { ZipReader } from '../archive/zip-reader.js';
+
+const PATH = `tests/archive-testfiles/`;
+
+const INPUT_FILES = [
+  'sample-1.txt',
+  'sample-2.csv',
+  'sample-3.json',
+];
+
+/**
+ * @param {string} filename
+ * @returns {ArrayBuffer}
+ */
+function readArrayBuffer(filename) {
+  const nodeBuf = fs.readFileSync(`${PATH}${filename}`);
+  return nodeBuf.buffer.slice(nodeBuf.byteOffset, nodeBuf.byteOffset + nodeBuf.length);
+}
+
+describe('bitjs.archive.ZipReader', () => {
+  /** @type {Map<string, Uint8Array>} */
+  const inputFiles = new Map();
+  for (const inputFile of INPUT_FILES) {
+    inputFiles.set(inputFile, new Uint8Array(readArrayBuffer(inputFile)));
+  }
+
+  for (const archiveName of ['archive-zip-smaller.zip', 'archive-zip64.zip',
+                             'archive-zip64-descriptor.zip']) {
+    it(`lists the files in ${archiveName}`, () => {
+      const entries = new ZipReader(readArrayBuffer(archiveName)).list();
+      expect(entries.map(e => e.filename)).deep.equals(INPUT_FILES);
+      for (const entry of entries) {
+        expect(entry.uncompressedSize).equals(inputFiles.get(entry.filename).length);
+        expect(entry.isEncrypted).equals(false);
+      }
+    });
+
+    it(`extracts each file from ${archiveName}`, async () => {
+      const reader = new ZipReader(readArrayBuffer(archiveName));
+      for (const inputFile of [...INPUT_FILES].reverse()) {
+        const unarchivedFile = await reader.extract(inputFile);
+        expect(unarchivedFile.filename).equals(inputFile);
+        expect(unarchivedFile.fileData).deep.equals(inputFiles.get(inputFile));
+      }
+    });
+  }
+
+  it('lists and extracts the files with their mode from the central directory', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-store.zip'));
+    for (const entry of reader.list()) {
+      expect([entry.mode, entry.isDirectory, entry.isSymlink]).deep.equals([0o644, false, false]);
+      expect(entry.lastModified).instanceOf(Date);
+    }
+    const unarchivedFile = await reader.extract('sample-1.txt');
+    expect(unarchivedFile.mode).equals(0o644);
+    expect(unarchivedFile.lastModified).deep.equals(reader.list()[0].lastModified);
+    expect(unarchivedFile.comment).equals('');
+  });
+
+  it('finds the end of the central directory before an archive comment', async () => {
+    const ab = readArrayBuffer('archive-zip-store.zip');
+    // Append a comment that has an end of central directory signature in it.
+    const comment = new Uint8Array([0x50, 0x4b, 0x05, 0x06, 0x00, 0x01, 0x02]);
+    const bytes = new Uint8Array(ab.byteLength + comment.length);
+    bytes.set(new Uint8Array(ab));
+    bytes.set(comment, ab.byteLength);
+    new DataView(bytes.buffer).setUint16(ab.byteLength - 2, comment.length, true);
+
+    const reader = new ZipReader(bytes.buffer);
+    expect(reader.list().map(e => e.filename)).deep.equals(INPUT_FILES);
+    const unarchivedFile = await reader.extract('sample-2.csv');
+    expect(unarchivedFile.fileData).deep.equals(inputFiles.get('sample-2.csv'));
+  });
+
+  it('lists the 8 byte sizes and offset of a Zip64 extra field', () => {
+    // Only a central directory, for a file past 4 GiB whose sizes and offset are in the Zip64
+    // extra field, and the end of central directory record.
+    const filename = new TextEncoder().encode('big.bin');
+    const cdLength = 46 + filename.length + 28;
+    const bytes = new Uint8Array(cdLength + 22);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, CENTRAL_FILE_HEADER_SIG, true);
+    view.setUint32(20, 0xFFFFFFFF, true); // Compressed size.
+    view.setUint32(24, 0xFFFFFFFF, true); // Uncompressed size.
+    view.setUint16(28, filename.length, true);
+    view.setUint16(30, 28, true); // Extra field length.
+    view.setUint32(42, 0xFFFFFFFF, true); // Relative offset of the local header.
+    bytes.set(filename, 46);
+    const extraOffset = 46 + filename.length;
+    view.setUint16(extraOffset, 0x0001, true);
+    view.setUint16(extraOffset + 2, 24, true);
+    view.setBigUint64(extraOffset + 4, 5000000000n, true);
+    view.setBigUint64(extraOffset + 12, 4500000000n, true);
+    view.setBigUint64(extraOffset + 20, 6000000000n, true);
+    view.setUint32(cdLength, END_OF_CENTRAL_DIR_SIG, true);
+    view.setUint16(cdLength + 8, 1, true);
+    view.setUint16(cdLength + 10, 1, true);
+    view.setUint32(cdLength + 12, cdLength, true);
+
+    const reader = new ZipReader(bytes.buffer);
+    const [entry] = reader.list();
+    expect([entry.filename, entry.uncompressedSize, entry.compressedSize]).deep.equals(
+        ['big.bin', 5000000000, 4500000000]);
+    expect(reader.readCentralDirectory_()[0].localHeaderOffset).equals(6000000000);
+  });
+
+  it('extracts an encrypted file with the password option', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-aes.zip'), {password: 'bitjs'});
+    expect(reader.list().every(e => e.isEncrypted)).equals(true);
+    const unarchivedFile = await reader.extract('sample-3.json');
+    expect(unarchivedFile.fileData).deep.equals(inputFiles.get('sample-3.json'));
+  });
+
+  it('ignores the options that are not for extracting one file', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-smaller.zip'),
+        {listOnly: true, exclude: ['*'], chunked: true});
+    const unarchivedFile = await reader.extract('sample-1.txt');
+    expect(unarchivedFile.fileData).deep.equals(inputFiles.get('sample-1.txt'));
+  });
+
+  it('rejects a wrong password', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-zipcrypto.zip'),
+        {password: 'not bitjs'});
+    try {
+      await reader.extract('sample-1.txt');
+      throw 'Extracted with a wrong password';
+    } catch (err) {
+      expect(err).contains('Wrong password');
+    }
+  });
+
+  it('decodes the file names and comments', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-filenames.zip'));
+    expect(reader.list().map(e => [e.filename, e.comment])).deep.equals([
+      ['日本語/ñandú.txt', ''],
+      ['café ÿ.csv', 'Ünïcode? No, cp437.'],
+      ['unicode-path-😀.json', 'comment ✓'],
+      ['stale.txt', ''],
+    ]);
+    const unarchivedFile = await reader.extract('unicode-path-😀.json');
+    expect(unarchivedFile.comment).equals('comment ✓');
+    expect(unarchivedFile.fileData).deep.equals(inputFiles.get('sample-3.json'));
+  });
+
+  it('decodes the file names with the filenameEncoding option', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-shift-jis.zip'),
+        {filenameEncoding: 'shift_jis'});
+    expect(reader.list().map(e => e.filename)).deep.equals(['日本語.txt']);
+    const unarchivedFile = await reader.extract('日本語.txt');
+    expect(unarchivedFile.fileData).deep.equals(inputFiles.get('sample-1.txt'));
+  });
+
+  it('rejects an unsupported filenameEncoding', () => {
+    expect(() => new ZipReader(readArrayBuffer('archive-zip-shift-jis.zip'),
+        {filenameEncoding: 'klingon'})).throws('Error! Unsupported filename encoding: klingon');
+  });
+
+  it('rejects a file that is not in the archive', async () => {
+    const reader = new ZipReader(readArrayBuffer('archive-zip-smaller.zip'));
+    try {
+      await reader.extract('sample-4.txt');
+      throw 'Extracted a missing file';
+    } catch (err) {
+      expect(err).contains('sample-4.txt is not in the zip archive');
+    }
+  });
+});
@@ -1,12 +1,3 @@
-/**
- * common.js
- *
- * Provides common definitions or functionality needed by multiple modules.
- *
- * Licensed under the MIT License
- *
- * Copyright(c) 2023 Google Inc.
- */
 /**
  * @typedef FileInfo An object that is sent to the implementation representing a file to compress.
  * @property {string} fileName The name of the file. TODO: Includes the path?
@@ -17,6 +8,8 @@
  * @typedef Implementation
  * @property {MessagePort} hostPort The port the host uses to communicate with the implementation.
  * @property {Function} disconnectFn A function to call when the port has been disconnected.
+ * @property {Function} terminateFn A function to call to stop the implementation right away, even
+ *     if it is in the middle of its work.
  */
 /**
  * Connects a host to a compress/decompress implementation via MessagePorts. The implementation must
@@ -30,6 +23,128 @@
  *     MessagePort connected to the implementation that the host should use.
  */
 export function getConnectedPort(implFilename: string): Promise<Implementation>;
+/**
+ * Converts an MS-DOS date and time, as used by zip and RAR archives, to a Date in local time.
+ * @param {number} dosDate The day (bits 0-4), month (bits 5-8) and year since 1980 (bits 9-15).
+ * @param {number} dosTime The seconds / 2 (bits 0-4), minutes (bits 5-10) and hours (bits 11-15).
+ * @returns {Date}
+ */
+export function dosDateTimeToDate(dosDate: number, dosTime: number): Date;
+/**
+ * @typedef FileAttributes
+ * @property {number=} mode The POSIX permission bits, like 0o644. Undefined if not known.
+ * @property {boolean} isDirectory
+ * @property {boolean} isSymlink
+ */
+/**
+ * Reads the attributes that zip and RAR archives keep for each file. An archiver on Unix stores the
+ * POSIX mode of the file (with its type in the top bits), and one on MS-DOS or Windows stores its
+ * MS-DOS attributes, which have no permissions.
+ * @param {number} attributes
+ * @param {boolean} isUnix Whether the archive was made on Unix.
+ * @returns {FileAttributes}
+ */
+export function readFileAttributes(attributes: number, isUnix: boolean): FileAttributes;
+/**
+ * Converts a glob pattern to a RegExp that tests the path of a file in an archive. As in a
+ * .gitignore file, a pattern with no slash (like '*.jpg') matches a file or directory name at any
+ * depth, a pattern with a slash (like 'comic/*.png' or '/comic') matches from the start of the
+ * path, and a pattern ending with a slash (like '__MACOSX/') only matches directories. A pattern
+ * that matches a directory matches all the files in it. '*' matches anything except a slash, '**'
+ * matches anything and '?' matches one character except a slash.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern: string): RegExp;
+/**
+ * Makes a function that decides whether to extract a file, given its path in the archive.
+ * @param {string[]=} include Glob patterns of the files to extract. If empty, all files are.
+ * @param {string[]=} exclude Glob patterns of the files to skip, even if they are included.
+ * @returns {function(string): boolean}
+ */
+export function createFileFilter(include?: string[] | undefined, exclude?: string[] | undefined): (arg0: string) => boolean;
+/**
+ * Logic taken from https://github.com/nodeca/pako/blob/master/lib/zlib/crc32.js
+ * @param {number} crc The CRC-32 of the bytes that come before these, or 0.
+ * @param {Uint8Array} bytes
+ * @returns {number} The CRC-32 of all the bytes so far, as an unsigned number.
+ */
+export function calculateCRC32(crc: number, bytes: Uint8Array): number;
+/**
+ * Reads an 8 byte little-endian number. Numbers above 2^53 lose precision.
+ * @param {ByteStream} bstream
+ * @returns {number}
+ */
+export function readNumber8(bstream: ByteStream): number;
+/**
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @param {number} headerId
+ * @returns {ByteStream} The data of the extra field with the given header ID, or null.
+ */
+export function findExtraField(extraField: Uint8Array, headerId: number): ByteStream;
+/**
+ * Looks for the Zip64 extended information extra field. If it is there, the sizes, offset and disk
+ * number of the header that did not fit in their 32 (or 16) bit fields are replaced with the values
+ * in the extra field. Only the values that overflowed are in the extra field, in this order.
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @param {Object} header A local or central file header.
+ * @returns {boolean} True if the Zip64 extra field was found.
+ */
+export function readZip64ExtraField(extraField: Uint8Array, header: any): boolean;
+/**
+ * Decodes a file name or comment of a zip archive. The UTF-8 version in an Info-ZIP Unicode Path or
+ * Unicode Comment extra field comes first, if its CRC-32 shows that it is for the same bytes. Then
+ * the bytes are UTF-8 if the UTF-8 flag is set, and code page 437 if not, unless an encoding is
+ * given for them.
+ * @param {Uint8Array} bytes The bytes of the name or comment in the header.
+ * @param {number} generalPurpose The general purpose bit flag of the header.
+ * @param {Uint8Array} extraField The bytes of the header's extra field.
+ * @param {number} unicodeFieldId UNICODE_PATH_EXTRA_FIELD_ID or UNICODE_COMMENT_EXTRA_FIELD_ID.
+ * @param {string=} encoding A TextDecoder encoding, like 'shift_jis' or 'gbk', for the names and
+ *     comments that are not UTF-8.
+ * @returns {string}
+ */
+export function decodeZipString(bytes: Uint8Array, generalPurpose: number, extraField: Uint8Array, unicodeFieldId: number, encoding?: string | undefined): string;
+/**
+ * The most bytes that a decompressor implementation sends in one chunk of a file, with the chunked
+ * option.
+ */
+export const EXTRACT_CHUNK_SIZE: number;
+/**
+ * Used by a decompressor implementation to wait for the host to take each file it extracts, so
+ * that a slow host does not make extracted files pile up on the port. The host asks for this with
+ * the flowControl option, and sends a { resume: true } message each time it takes a file. See
+ * Unarchiver.entries().
+ */
+export class FlowControl {
+    /**
+     * @param {boolean} enabled If false, the implementation never waits for the host.
+     */
+    constructor(enabled: boolean);
+    /** @type {boolean} */
+    enabled: boolean;
+    /**
+     * The number of extracted files that the host has not taken yet.
+     * @type {number}
+     */
+    numPendingFiles: number;
+    /**
+     * Resolves the Promise returned by fileSent(), while the implementation is waiting.
+     * @type {function()}
+     * @private
+     */
+    private resumeFn_;
+    /**
+     * Call right after posting an extract message.
+     * @returns {Promise<void>} Resolves once the host has taken the file, so that the implementation
+     *     extracts the next file while the host works on this one.
+     */
+    fileSent(): Promise<void>;
+    /** Call when the host sends a { resume: true } message. */
+    fileTaken(): void;
+    /** @private */
+    private maybeResume_;
+}
 export const LOCAL_FILE_HEADER_SIG: 67324752;
 export const CENTRAL_FILE_HEADER_SIG: 33639248;
 export const END_OF_CENTRAL_DIR_SIG: 101010256;
@@ -38,6 +153,12 @@ export const ARCHIVE_EXTRA_DATA_SIG: 134630224;
 export const DIGITAL_SIGNATURE_SIG: 84233040;
 export const END_OF_CENTRAL_DIR_LOCATOR_SIG: 117853008;
 export const DATA_DESCRIPTOR_SIG: 134695760;
+export const ZIP64_END_OF_CENTRAL_DIR_SIG: 101075792;
+export const ZIP64_EXTRA_FIELD_ID: 1;
+/** The CRC-32 of each byte value, as used by zip archives. */
+export const CRC32_TABLE: Uint32Array;
+export const UNICODE_PATH_EXTRA_FIELD_ID: 28789;
+export const UNICODE_COMMENT_EXTRA_FIELD_ID: 25461;
 export type ZipCompressionMethod = number;
 export namespace ZipCompressionMethod {
     const STORE: number;
@@ -69,5 +190,19 @@ export type Implementation = {
      * A function to call when the port has been disconnected.
      */
     disconnectFn: Function;
+    /**
+     * A function to call to stop the implementation right away, even
+     * if it is in the middle of its work.
+     */
+    terminateFn: Function;
+};
+export type FileAttributes = {
+    /**
+     * The POSIX permission bits, like 0o644. Undefined if not known.
+     */
+    mode?: number | undefined;
+    isDirectory: boolean;
+    isSymlink: boolean;
 };
+import { ByteStream } from "../io/bytestream.js";
 //# sourceMappingURL=common.d.ts.map
\ No newline at end of file
@@ -16,13 +16,57 @@ export function getUnarchiver(ab: ArrayBuffer, options?: UnarchiverOptions | str
  * TODO: Move this interface into common.js?
  */
 /**
- * @typedef UnarchivedFile
+ * @typedef {UnarchivedEntry & UnarchivedFileData} UnarchivedFile An extracted file has the same
+ *     information as its entry, and its data. The Unzipper, Unrarrer and Untarrer also leave in the
+ *     other fields they read from the file's header, like the crc32 of a zip file or the uid, gid,
+ *     uname and gname of a tar file. Those depend on the format and are due to go in 2.0.
+ */
+/**
+ * @typedef UnarchivedFileData
+ * @property {Uint8Array} fileData Empty for directories, links, devices and FIFOs.
+ */
+/**
+ * @typedef UnarchivedEntry Information about a file in the archive, sent before it is extracted.
  * @property {string} filename
- * @property {Uint8Array} fileData
+ * @property {number} compressedSize
+ * @property {number} uncompressedSize
+ * @property {Date=} lastModified Undefined if the archive does not record it.
+ * @property {number=} mode The POSIX permission bits, like 0o644. Undefined if the archive does not
+ *     record them: gzip files and archives made on Windows do not, and zip files only have them in
+ *     the central directory at the end, which only ZipReader reads before the files.
+ * @property {boolean} isDirectory
+ * @property {boolean} isSymlink
+ * @property {number} compressionMethod The compression method, as numbered by the archive format.
+ * @property {boolean} isEncrypted
+ * @property {string=} comment The comment on the file, if the archive has one.
+ * @property {UnarchivedEntryType=} type Only set by the Untarrer, which also sends the entries
+ *     that are not files. Other unarchivers only send files.
+ * @property {string=} linkname The target of a symbolic link or hard link in a tar archive.
+ */
+/**
+ * @typedef {'file'|'directory'|'symlink'|'hardlink'|'character-device'|'block-device'|'fifo'}
+ *     UnarchivedEntryType
  */
 /**
  * @typedef UnarchiverOptions
  * @property {boolean=} debug Set to true for verbose unarchiver logging.
+ * @property {string=} password The password for encrypted archives.
+ * @property {boolean=} listOnly Set to true to only send ENTRY events for the files in the
+ *     archive, without decompressing or extracting any of them.
+ * @property {string[]=} include Glob patterns (like '*.jpg') of the files to extract. Other files
+ *     are skipped. If not set, all files are extracted.
+ * @property {string[]=} exclude Glob patterns (like '__MACOSX/') of the files to skip.
+ * @property {AbortSignal=} signal A signal that stops the unarchiving when it is aborted.
+ * @property {boolean=} chunked Set to true to get the data of each file in EXTRACT_CHUNK events
+ *     instead of an EXTRACT event, so that a big file does not have to fit in memory. Stored and
+ *     deflated zip files and tar files are sent in chunks as their bytes come in. Other files are
+ *     sent as one chunk. Ignored by entries() and UnarchiveStream, which yield whole files.
+ * @property {boolean=} skipChecksums Set to true to skip checking the CRC-32 (or the BLAKE2sp hash
+ *     of RAR5) of each zip and RAR file, which is faster. Otherwise, a file that does not match its
+ *     checksum is not extracted, and an ERROR event is sent.
+ * @property {string=} filenameEncoding The encoding of the file names and comments in a zip archive
+ *     that are not flagged as UTF-8, like 'shift_jis' or 'gbk' for archives made by Japanese or
+ *     Chinese tools. Any TextDecoder encoding works. If not set, they are read as code page 437.
  */
 /**
  * Base class for all Unarchivers.
@@ -50,6 +94,25 @@ export class Unarchiver extends EventTarget {
      * @private
      */
     private disconnectFn_;
+    /**
+     * A function to call to stop the implementation in the middle of its work.
+     * @type {Function}
+     * @private
+     */
+    private terminateFn_;
+    /**
+     * Whether the implementation waits for each extracted file to be taken. See entries().
+     * @type {boolean}
+     * @private
+     */
+    private flowControl_;
+    /**
+     * Called with flow control when the implementation has read all the bytes it was sent, and needs
+     * more. See UnarchiveStream.
+     * @type {function()}
+     * @private
+     */
+    private onWaitingForBytes_;
     /**
      * The ArrayBuffer object.
      * @type {ArrayBuffer}
@@ -61,19 +124,77 @@ export class Unarchiver extends EventTarget {
      * @type {boolean}
      */
     debugMode_: boolean;
+    /**
+     * @private
+     * @type {string}
+     */
+    private password_;
+    /**
+     * @private
+     * @type {boolean}
+     */
+    private listOnly_;
+    /**
+     * @private
+     * @type {string[]}
+     */
+    private include_;
+    /**
+     * @private
+     * @type {string[]}
+     */
+    private exclude_;
+    /**
+     * @private
+     * @type {AbortSignal}
+     */
+    private signal_;
+    /**
+     * @private
+     * @type {boolean}
+     */
+    private chunked_;
+    /**
+     * @private
+     * @type {boolean}
+     */
+    private skipChecksums_;
+    /**
+     * @private
+     * @type {string}
+     */
+    private filenameEncoding_;
+    /**
+     * Whether the constructor was given all of the bytes, so that update() is not expected.
+     * @protected
+     * @type {boolean}
+     */
+    protected inputComplete_: boolean;
     /**
      * Overridden so that the type hints for eventType are specific. Prefer onExtract(), etc.
-     * @param {'progress'|'extract'|'finish'} eventType
+     * @param {'progress'|'entry'|'extract'|'extract-chunk'|'finish'} eventType
      * @param {EventListenerOrEventListenerObject} listener
      * @override
      */
-    override addEventListener(eventType: 'progress' | 'extract' | 'finish', listener: EventListenerOrEventListenerObject): void;
+    override addEventListener(eventType: 'progress' | 'entry' | 'extract' | 'extract-chunk' | 'finish', listener: EventListenerOrEventListenerObject): void;
+    /**
+     * Type-safe way to subscribe to an UnarchiveEntryEvent.
+     * @param {function(UnarchiveEntryEvent)} listener
+     * @returns {Unarchiver} for chaining.
+     */
+    onEntry(listener: (arg0: UnarchiveEntryEvent) => any): Unarchiver;
     /**
      * Type-safe way to subscribe to an UnarchiveExtractEvent.
      * @param {function(UnarchiveExtractEvent)} listener
      * @returns {Unarchiver} for chaining.
      */
     onExtract(listener: (arg0: UnarchiveExtractEvent) => any): Unarchiver;
+    /**
+     * Type-safe way to subscribe to an UnarchiveExtractChunkEvent.
+     * @param {function(UnarchiveExtractChunkEvent)} listener
+     * @returns {Unarchiver} for chaining.
+     */
+    onExtractChunk(listener: (arg0: UnarchiveExtractChunkEvent) => any): Unarchiver;
     /**
      * Type-safe way to subscribe to an UnarchiveFinishEvent.
      * @param {function(UnarchiveFinishEvent)} listener
@@ -114,11 +235,26 @@ export class Unarchiver extends EventTarget {
     private handlePortEvent_;
     /**
      * Starts the unarchive by connecting the ports and sending the first ArrayBuffer.
+     * @param {AbortSignal=} signal A signal that stops the unarchiving when it is aborted. If not
+     *     set, the signal option is used.
      * @returns {Promise<void>} A Promise that resolves when the decompression is complete. While the
      *     decompression is proceeding, you can send more bytes of the archive to the decompressor
-     *     using the update() method.
+     *     using the update() method. If the signal is aborted, the implementation is terminated and
+     *     the Promise rejects with the abort reason (an AbortError DOMException, by default).
+     */
+    start(signal?: AbortSignal | undefined): Promise<void>;
+    /**
+     * Starts the unarchive and yields each extracted file, for use in a for await...of loop:
+     *
+     *   for await (const file of unarchiver.entries()) { ... }
+     *
+     * The implementation waits for the loop to take each file before it extracts the one after it,
+     * so a slow loop does not make extracted files pile up in memory. Leaving the loop early (with
+     * break, return or throw) stops the implementation. Event listeners are still called.
+     * @param {AbortSignal=} signal See start(). If it is aborted, the loop throws the abort reason.
+     * @returns {AsyncGenerator<UnarchivedFile>}
      */
-    start(): Promise<void>;
+    entries(signal?: AbortSignal | undefined): AsyncGenerator<UnarchivedFile>;
     /**
      * Adds more bytes to the unarchiver.
      * @param {ArrayBuffer} ab The ArrayBuffer with more bytes in it. If opt_transferable is
@@ -129,10 +265,22 @@ export class Unarchiver extends EventTarget {
      *     the implementation context.
      */
     update(ab: ArrayBuffer, opt_transferable?: boolean | undefined): void;
+    /**
+     * Tells the implementation that update() will not be called again, so that it sends an error
+     * instead of waiting for more bytes if the archive is incomplete.
+     * @private
+     */
+    private endInput_;
     /**
      * Closes the port to the decompressor implementation and terminates it.
      */
     stop(): void;
+    /**
+     * Stops the decompressor implementation in the middle of its work, drops any events it has not
+     * sent yet and lets go of the bytes of the archive.
+     * @private
+     */
+    private terminate_;
 }
 export class Unzipper extends Unarchiver {
     /**
@@ -143,10 +291,13 @@ export class Unzipper extends Unarchiver {
 }
 export class Unrarrer extends Unarchiver {
     /**
-     * @param {ArrayBuffer} ab
+     * @param {ArrayBuffer|Array<ArrayBuffer>} ab The archive, or all volumes of a multi-volume
+     *     archive in order (.part1.rar, .part2.rar, ... or .rar, .r00, .r01, ...). Volumes can also
+     *     be sent one at a time, in order, using update(). If a volume is missing from the array,
+     *     an error is sent instead of waiting for it.
      * @param {UnarchiverOptions} options
      */
-    constructor(ab: ArrayBuffer, options?: UnarchiverOptions);
+    constructor(ab: ArrayBuffer | Array<ArrayBuffer>, options?: UnarchiverOptions);
 }
 export class Untarrer extends Unarchiver {
     /**
@@ -174,24 +325,195 @@ export class Gunzipper extends Unarchiver {
      */
     constructor(ab: ArrayBuffer, options?: UnarchiverOptions);
 }
-export type UnarchivedFile = {
-    filename: string;
+/**
+ * Unarchives a stream of bytes, like the body of a fetch() Response. It is a pair of streams, like
+ * a TransformStream: byte chunks (ArrayBuffers or Uint8Arrays) are written to the writable side,
+ * and the extracted files come out of the readable side. Use it with pipeThrough():
+ *
+ *   const response = await fetch('comic.cbz');
+ *   for await (const file of response.body.pipeThrough(new UnzipStream())) { ... }
+ *
+ * A chunk is only written once the implementation has read the one before it, and the
+ * implementation waits for each file to be read before it extracts the next one, so a slow reader
+ * slows down the download instead of making bytes and files pile up in memory.
+ *
+ * The first error event from the implementation, or an archive that ends too soon, errors both
+ * sides. Aborting the writable side or cancelling the readable side stops the implementation.
+ */
+export class UnarchiveStream {
+    /**
+     * @param {UnarchiverOptions} options The options of the Unarchiver. If the signal option is
+     *     aborted, both sides of the stream are errored with its reason.
+     */
+    constructor(options?: UnarchiverOptions);
+    /** @type {ReadableStream<UnarchivedFile>} */
+    readable: ReadableStream<UnarchivedFile>;
+    /** @type {WritableStream<ArrayBuffer|ArrayBufferView>} */
+    writable: WritableStream<ArrayBuffer | ArrayBufferView>;
+    /**
+     * Created upon the first chunk, since an Unarchiver needs its first bytes to start.
+     * @type {Unarchiver}
+     * @private
+     */
+    private unarchiver_;
+    /**
+     * Stops the unarchiver when something goes wrong on either side.
+     * @type {AbortController}
+     * @private
+     */
+    private abortController_;
+    /**
+     * Resolves to the extracted files once the first chunk has been written, or to null if the
+     * writable side was closed without any.
+     * @type {Promise<AsyncGenerator<UnarchivedFile>>}
+     * @private
+     */
+    private files_;
+    /**
+     * Whether the implementation has read all the bytes it was sent, and needs more.
+     * @type {boolean}
+     * @private
+     */
+    private waiting_;
+    /**
+     * Whether the implementation has finished, or the stream has failed. Any more bytes are dropped.
+     * @type {boolean}
+     * @private
+     */
+    private done_;
+    /**
+     * Lets a write that is waiting for the implementation go ahead.
+     * @type {function()}
+     * @private
+     */
+    private wakeWriter_;
+    /**
+     * This method must be overridden by the subclass to make the Unarchiver.
+     * @param {ArrayBuffer} ab The first bytes of the archive.
+     * @param {UnarchiverOptions} options
+     * @returns {Unarchiver}
+     * @protected
+     */
+    protected createUnarchiver(ab: ArrayBuffer, options: UnarchiverOptions): Unarchiver;
+}
+export class UnzipStream extends UnarchiveStream {
+    createUnarchiver(ab: any, options: any): Unzipper;
+}
+export class UnrarStream extends UnarchiveStream {
+    createUnarchiver(ab: any, options: any): Unrarrer;
+}
+export class UntarStream extends UnarchiveStream {
+    createUnarchiver(ab: any, options: any): Untarrer;
+}
+/**
+ * An extracted file has the same
+ *     information as its entry, and its data. The Unzipper, Unrarrer and Untarrer also leave in the
+ *     other fields they read from the file's header, like the crc32 of a zip file or the uid, gid,
+ *     uname and gname of a tar file. Those depend on the format and are due to go in 2.0.
+ */
+export type UnarchivedFile = UnarchivedEntry & UnarchivedFileData;
+export type UnarchivedFileData = {
+    /**
+     * Empty for directories, links, devices and FIFOs.
+     */
     fileData: Uint8Array;
 };
+/**
+ * Information about a file in the archive, sent before it is extracted.
+ */
+export type UnarchivedEntry = {
+    filename: string;
+    compressedSize: number;
+    uncompressedSize: number;
+    /**
+     * Undefined if the archive does not record it.
+     */
+    lastModified?: Date | undefined;
+    /**
+     * The POSIX permission bits, like 0o644. Undefined if the archive does not
+     * record them: gzip files and archives made on Windows do not, and zip files only have them in
+     * the central directory at the end, which only ZipReader reads before the files.
+     */
+    mode?: number | undefined;
+    isDirectory: boolean;
+    isSymlink: boolean;
+    /**
+     * The compression method, as numbered by the archive format.
+     */
+    compressionMethod: number;
+    isEncrypted: boolean;
+    /**
+     * The comment on the file, if the archive has one.
+     */
+    comment?: string | undefined;
+    /**
+     * Only set by the Untarrer, which also sends the entries
+     * that are not files. Other unarchivers only send files.
+     */
+    type?: UnarchivedEntryType | undefined;
+    /**
+     * The target of a symbolic link or hard link in a tar archive.
+     */
+    linkname?: string | undefined;
+};
+export type UnarchivedEntryType = 'file' | 'directory' | 'symlink' | 'hardlink' | 'character-device' | 'block-device' | 'fifo';
 export type UnarchiverOptions = {
     /**
      * Set to true for verbose unarchiver logging.
      */
     debug?: boolean | undefined;
+    /**
+     * The password for encrypted archives.
+     */
+    password?: string | undefined;
+    /**
+     * Set to true to only send ENTRY events for the files in the
+     * archive, without decompressing or extracting any of them.
+     */
+    listOnly?: boolean | undefined;
+    /**
+     * Glob patterns (like '*.jpg') of the files to extract. Other files
+     * are skipped. If not set, all files are extracted.
+     */
+    include?: string[] | undefined;
+    /**
+     * Glob patterns (like '__MACOSX/') of the files to skip.
+     */
+    exclude?: string[] | undefined;
+    /**
+     * A signal that stops the unarchiving when it is aborted.
+     */
+    signal?: AbortSignal | undefined;
+    /**
+     * Set to true to get the data of each file in EXTRACT_CHUNK events
+     * instead of an EXTRACT event, so that a big file does not have to fit in memory. Stored and
+     * deflated zip files and tar files are sent in chunks as their bytes come in. Other files are
+     * sent as one chunk. Ignored by entries() and UnarchiveStream, which yield whole files.
+     */
+    chunked?: boolean | undefined;
+    /**
+     * Set to true to skip checking the CRC-32 (or the BLAKE2sp hash
+     * of RAR5) of each zip and RAR file, which is faster. Otherwise, a file that does not match its
+     * checksum is not extracted, and an ERROR event is sent.
+     */
+    skipChecksums?: boolean | undefined;
+    /**
+     * The encoding of the file names and comments in a zip archive
+     * that are not flagged as UTF-8, like 'shift_jis' or 'gbk' for archives made by Japanese or
+     * Chinese tools. Any TextDecoder encoding works. If not set, they are read as code page 437.
+     */
+    filenameEncoding?: string | undefined;
 };
 import { UnarchiveAppendEvent } from "./events.js";
+import { UnarchiveEntryEvent } from "./events.js";
 import { UnarchiveErrorEvent } from "./events.js";
 import { UnarchiveEvent } from "./events.js";
 import { UnarchiveEventType } from "./events.js";
+import { UnarchiveExtractChunkEvent } from "./events.js";
 import { UnarchiveExtractEvent } from "./events.js";
 import { UnarchiveFinishEvent } from "./events.js";
 import { UnarchiveInfoEvent } from "./events.js";
 import { UnarchiveProgressEvent } from "./events.js";
 import { UnarchiveStartEvent } from "./events.js";
-export { UnarchiveAppendEvent, UnarchiveErrorEvent, UnarchiveEvent, UnarchiveEventType, UnarchiveExtractEvent, UnarchiveFinishEvent, UnarchiveInfoEvent, UnarchiveProgressEvent, UnarchiveStartEvent };
+export { UnarchiveAppendEvent, UnarchiveEntryEvent, UnarchiveErrorEvent, UnarchiveEvent, UnarchiveEventType, UnarchiveExtractChunkEvent, UnarchiveExtractEvent, UnarchiveFinishEvent, UnarchiveInfoEvent, UnarchiveProgressEvent, UnarchiveStartEvent };
 //# sourceMappingURL=decompress.d.ts.map
\ No newline at end of file
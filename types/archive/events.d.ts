@@ -2,7 +2,9 @@ export namespace UnarchiveEventType {
     const START: string;
     const APPEND: string;
     const PROGRESS: string;
+    const ENTRY: string;
     const EXTRACT: string;
+    const EXTRACT_CHUNK: string;
     const FINISH: string;
     const INFO: string;
     const ERROR: string;
@@ -74,6 +76,17 @@ export class UnarchiveProgressEvent extends UnarchiveEvent {
     totalUncompressedBytesInArchive: number;
     totalCompressedBytesRead: number;
 }
+/** Entry event, with information about a file in the archive before it is extracted. */
+export class UnarchiveEntryEvent extends UnarchiveEvent {
+    /**
+     * @param {UnarchivedEntry} entry
+     */
+    constructor(entry: UnarchivedEntry);
+    /**
+     * @type {UnarchivedEntry}
+     */
+    entry: UnarchivedEntry;
+}
 /** Extract event. */
 export class UnarchiveExtractEvent extends UnarchiveEvent {
     /**
@@ -85,4 +98,28 @@ export class UnarchiveExtractEvent extends UnarchiveEvent {
      */
     unarchivedFile: UnarchivedFile;
 }
+/** Extract chunk event, with the next part of the data of a file. Sent with the chunked option. */
+export class UnarchiveExtractChunkEvent extends UnarchiveEvent {
+    /**
+     * @param {string} filename
+     * @param {Uint8Array} chunk
+     * @param {boolean} isLastChunk
+     */
+    constructor(filename: string, chunk: Uint8Array, isLastChunk: boolean);
+    /**
+     * The name of the file that the chunk is from.
+     * @type {string}
+     */
+    filename: string;
+    /**
+     * The next bytes of the file.
+     * @type {Uint8Array}
+     */
+    chunk: Uint8Array;
+    /**
+     * Whether this is the end of the file.
+     * @type {boolean}
+     */
+    isLastChunk: boolean;
+}
 //# sourceMappingURL=events.d.ts.map
\ No newline at end of file
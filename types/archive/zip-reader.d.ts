@@ -0,0 +1,100 @@
+/**
+ * Reads a zip archive in any order. The central directory at the end of the archive is used to list
+ * the files, and to extract a single file without decompressing the files before it.
+ *
+ * Unlike an Unzipper, the ZipReader needs the whole archive up front, and keeps its ArrayBuffer.
+ */
+export class ZipReader {
+    /**
+     * @param {ArrayBuffer} ab The whole zip archive.
+     * @param {UnarchiverOptions} options Options for the Unzipper that extracts each file. Only the
+     *     password, filenameEncoding and skipChecksums are used.
+     */
+    constructor(ab: ArrayBuffer, options?: UnarchiverOptions);
+    /**
+     * @type {ArrayBuffer}
+     * @private
+     */
+    private ab_;
+    /**
+     * @type {UnarchiverOptions}
+     * @private
+     */
+    private options_;
+    /**
+     * The central directory, once it has been read.
+     * @type {CentralDirectoryRecord[]}
+     * @private
+     */
+    private records_;
+    /**
+     * Lists the files in the archive, in central directory order. Nothing is decompressed.
+     * @returns {ZipEntry[]}
+     */
+    list(): ZipEntry[];
+    /**
+     * Extracts one file from the archive.
+     * @param {string} filename The name of the file, as in list().
+     * @returns {Promise<UnarchivedFile>} Rejects with the error message if the file is not in the
+     *     archive or cannot be extracted (for example, because of a wrong password).
+     */
+    extract(filename: string): Promise<UnarchivedFile>;
+    /**
+     * Finds the end of central directory record by scanning backwards from the end of the archive,
+     * since it ends with a variable length comment.
+     * @returns {number} The offset of the end of central directory record.
+     * @private
+     */
+    private findEndOfCentralDirectory_;
+    /**
+     * @returns {CentralDirectoryRecord[]}
+     * @private
+     */
+    private readCentralDirectory_;
+}
+export type UnarchivedFile = import('./decompress.js').UnarchivedFile;
+export type UnarchiverOptions = import('./decompress.js').UnarchiverOptions;
+/**
+ * Information about a file in a zip archive, from its central directory header.
+ */
+export type ZipEntry = {
+    filename: string;
+    comment: string;
+    compressionMethod: number;
+    compressedSize: number;
+    uncompressedSize: number;
+    crc32: number;
+    /**
+     * The time in MS-DOS format.
+     */
+    lastModFileTime: number;
+    /**
+     * The date in MS-DOS format.
+     */
+    lastModFileDate: number;
+    lastModified: Date;
+    /**
+     * The POSIX permission bits, like 0o644. Undefined if the archive was not
+     * made on Unix.
+     */
+    mode?: number | undefined;
+    isDirectory: boolean;
+    isSymlink: boolean;
+    isEncrypted: boolean;
+};
+export type CentralDirectoryRecord = {
+    entry: ZipEntry;
+    /**
+     * Where the local file header is in the archive.
+     */
+    localHeaderOffset: number;
+    /**
+     * Where the file data (and data descriptor) ends in the archive.
+     */
+    endOffset: number;
+    /**
+     * The central directory file header.
+     */
+    bytes: Uint8Array;
+};
+//# sourceMappingURL=zip-reader.d.ts.map
\ No newline at end of file
@@ -1,8 +1,10 @@
+export { ZipReader } from "./archive/zip-reader.js";
 export { findMimeType } from "./file/sniffer.js";
 export { BitBuffer } from "./io/bitbuffer.js";
 export { BitStream } from "./io/bitstream.js";
 export { ByteBuffer } from "./io/bytebuffer.js";
 export { ByteStream } from "./io/bytestream.js";
+export type ZipEntry = import('./archive/zip-reader.js').ZipEntry;
 export type ProbeStream = import('./codecs/codecs.js').ProbeStream;
 export type ProbeFormat = import('./codecs/codecs.js').ProbeFormat;
 export type ProbeInfo = import('./codecs/codecs.js').ProbeInfo;
@@ -38,7 +40,7 @@ export type PngSuggestedPalette = import('./image/parsers/png.js').PngSuggestedP
 export type PngSuggestedPaletteEntry = import('./image/parsers/png.js').PngSuggestedPaletteEntry;
 export type PngTextualData = import('./image/parsers/png.js').PngTextualData;
 export type PngTransparency = import('./image/parsers/png.js').PngTransparency;
-export { UnarchiveEvent, UnarchiveEventType, UnarchiveInfoEvent, UnarchiveErrorEvent, UnarchiveStartEvent, UnarchiveFinishEvent, UnarchiveProgressEvent, UnarchiveExtractEvent, Unarchiver, Unzipper, Unrarrer, Untarrer, getUnarchiver } from "./archive/decompress.js";
+export { UnarchiveEvent, UnarchiveEventType, UnarchiveInfoEvent, UnarchiveErrorEvent, UnarchiveStartEvent, UnarchiveFinishEvent, UnarchiveProgressEvent, UnarchiveEntryEvent, UnarchiveExtractEvent, UnarchiveExtractChunkEvent, Unarchiver, Unzipper, Unrarrer, Untarrer, getUnarchiver, UnarchiveStream, UnzipStream, UnrarStream, UntarStream } from "./archive/decompress.js";
 export { getFullMIMEString, getShortMIMEString } from "./codecs/codecs.js";
 export { GifParseEventType, GifParser } from "./image/parsers/gif.js";
 export { JpegComponentType, JpegDctType, JpegDensityUnits, JpegExtensionThumbnailFormat, JpegHuffmanTableType, JpegParseEventType, JpegParser, JpegSegmentType } from "./image/parsers/jpeg.js";